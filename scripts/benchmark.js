@@ -0,0 +1,212 @@
+#!/usr/bin/env node
+/**
+ * Z80 Core and Machine Benchmark
+ * Runs a fixed workload on a bare CPU with flat 64K memory and reports the
+ * emulated clock speed, for comparing the speed of the core between changes.
+ * Then boots a headless 48K ZXSpectrum from the bundled ROM and reports the
+ * frames it runs per second after a warm-up run, with contention, the
+ * floating bus and beam racing on as in a browser. Runs are timed in CPU time, so other load on the
+ * machine does not count.
+ *
+ * Usage: node scripts/benchmark.js [seconds] [runs] [--compare <dir>]
+ *   seconds - Emulated seconds per run at 3.5 MHz, or 50 frames a second (default 5)
+ *   runs    - Number of runs of each workload, the fastest is reported (default 5)
+ *   --compare <dir> - Also time another checkout, e.g. a worktree of an older
+ *             commit, and report the speed-up over it. Each run of either
+ *             checkout is a separate process, alternating between the two.
+ *             The core speed-up compares instructions per second, as cores
+ *             that count T-states differently report different clock speeds.
+ */
+import { spawnSync } from 'node:child_process';
+import { readFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+const CLOCK_RATE = 3500000;
+const FRAME_RATE = 50;
+
+// Fixed workload at 0x8000: block copy, a checksum loop with CB ops,
+// an IX-indexed loop with PUSH/CALL/POP and 16-bit arithmetic, repeated forever
+const PROGRAM = [
+    0x21, 0x00, 0x90, //       LD HL,0x9000
+    0x11, 0x01, 0x90, //       LD DE,0x9001
+    0x01, 0xff, 0x00, //       LD BC,0x00FF
+    0x36, 0x55, //             LD (HL),0x55
+    0xed, 0xb0, //             LDIR
+    0x21, 0x00, 0x90, //       LD HL,0x9000
+    0x06, 0x00, //             LD B,0
+    0xaf, //                   XOR A
+    0x86, //             sum:  ADD A,(HL)
+    0x23, //                   INC HL
+    0xcb, 0x06, //             RLC (HL)
+    0xcb, 0x5f, //             BIT 3,A
+    0x28, 0x01, //             JR Z,skip
+    0x3c, //                   INC A
+    0x10, 0xf5, //       skip: DJNZ sum
+    0xdd, 0x21, 0x00, 0x91, // LD IX,0x9100
+    0x06, 0x40, //             LD B,0x40
+    0xdd, 0x7e, 0x00, //  idx: LD A,(IX+0)
+    0xdd, 0x86, 0x01, //       ADD A,(IX+1)
+    0xdd, 0x77, 0x02, //       LD (IX+2),A
+    0xdd, 0x23, //             INC IX
+    0xc5, //                   PUSH BC
+    0xcd, 0x39, 0x80, //       CALL sub
+    0xc1, //                   POP BC
+    0x10, 0xee, //             DJNZ idx
+    0xc3, 0x00, 0x80, //       JP 0x8000
+    0xeb, //              sub: EX DE,HL
+    0xed, 0x52, //             SBC HL,DE
+    0xeb, //                   EX DE,HL
+    0xc9, //                   RET
+];
+
+// Shared by every run, so they all call the same memory and port functions
+const ram = new Uint8Array(0x10000);
+const memory = {
+    read: address => ram[address],
+    write: (address, value) => {
+        ram[address] = value;
+    },
+};
+const ula = {
+    readPort: () => 0xff,
+    writePort: () => {},
+};
+
+function run(Z80, tStates) {
+    ram.fill(0);
+    ram.set(PROGRAM, 0x8000);
+    const cpu = new Z80(memory, ula);
+    cpu.setState({ pc: 0x8000, sp: 0xff00, iff1: false, iff2: false });
+
+    let instructions = 0;
+    const start = process.cpuUsage();
+    while (cpu.cycles < tStates) {
+        cpu.execute();
+        instructions++;
+    }
+    const { user, system } = process.cpuUsage(start);
+    const seconds = (user + system) / 1e6;
+    return { seconds, mhz: cpu.cycles / seconds / 1e6, mips: instructions / seconds / 1e6 };
+}
+
+// ZXSpectrum takes a canvas; outside a browser it gets one that is never drawn to
+globalThis.HTMLCanvasElement ??= class HTMLCanvasElement {};
+
+function runMachine(ZXSpectrum, rom, frames) {
+    const canvas = Object.assign(new HTMLCanvasElement(), {
+        tagName: 'CANVAS',
+        style: {},
+        getContext: () => ({}),
+    });
+    const spectrum = new ZXSpectrum(canvas, {
+        rom,
+        autoStart: false,
+        sound: false,
+        handleKeyboard: false,
+        touchKeyboard: false,
+    });
+    spectrum.loadROM(rom);
+
+    const start = process.cpuUsage();
+    for (let i = 0; i < frames; i++) {
+        spectrum.runFrame();
+    }
+    const { user, system } = process.cpuUsage(start);
+    const seconds = (user + system) / 1e6;
+    return { seconds, fps: frames / seconds };
+}
+
+// Time one run of the core of a checkout, after warming up the JIT
+async function timeCore(root, tStates) {
+    const { Z80 } = await import(pathToFileURL(resolve(root, 'src/core/cpu.js')).href);
+    run(Z80, CLOCK_RATE);
+    return run(Z80, tStates);
+}
+
+// Time one run of the 48K machine of a checkout, after warming up the JIT on a first
+// run as long, so both the boot and the ROM's idle loop are compiled
+async function timeMachine(root, frames) {
+    const { ZXSpectrum } = await import(pathToFileURL(resolve(root, 'src/spectrum/spectrum.js')).href);
+    const rom = new Uint8Array(readFileSync(resolve(root, 'rom/48k.rom')));
+    runMachine(ZXSpectrum, rom, frames);
+    return runMachine(ZXSpectrum, rom, frames);
+}
+
+// Time one run in a fresh process, so the two checkouts never share a JIT
+function timeInProcess(workload, root, amount) {
+    const script = fileURLToPath(import.meta.url);
+    const child = spawnSync(process.execPath, [script, `--${workload}`, root, String(amount)], { encoding: 'utf8' });
+    if (child.status !== 0) {
+        throw new Error(`Benchmark of ${root} failed:\n${child.stderr}`);
+    }
+    return JSON.parse(child.stdout);
+}
+
+const formatCore = result =>
+    `${result.seconds.toFixed(3)}s, ${result.mhz.toFixed(2)} MHz, ${result.mips.toFixed(2)} MIPS`;
+const formatMachine = result => `${result.seconds.toFixed(3)}s, ${result.fps.toFixed(0)} frames/s`;
+
+const args = process.argv.slice(2);
+const option = name => {
+    const index = args.indexOf(name);
+    return index === -1 ? null : args.splice(index, 2)[1];
+};
+const core = option('--core');
+const machine = option('--machine');
+const compare = option('--compare');
+
+/**
+ * Run a workload a number of times, alternating with the other checkout when comparing
+ * Returns the fastest run here and the fastest run there (null without --compare).
+ */
+async function timeRuns(runs, label, time, workload, amount, format, score) {
+    const root = fileURLToPath(new URL('..', import.meta.url));
+    let best = null;
+    let baseline = null;
+    for (let i = 0; i < runs; i++) {
+        const result = compare === null ? await time(root, amount) : timeInProcess(workload, root, amount);
+        console.log(`${label} run ${i + 1}: ${format(result)}`);
+        if (best === null || score(result) > score(best)) {
+            best = result;
+        }
+        if (compare !== null) {
+            const other = timeInProcess(workload, compare, amount);
+            console.log(`       ${compare}: ${format(other)}`);
+            if (baseline === null || score(other) > score(baseline)) {
+                baseline = other;
+            }
+        }
+    }
+    return { best, baseline };
+}
+
+if (core !== null) {
+    // Child processes of --compare: one run, printed as JSON
+    console.log(JSON.stringify(await timeCore(core, Number(args[0]))));
+} else if (machine !== null) {
+    console.log(JSON.stringify(await timeMachine(machine, Number(args[0]))));
+} else {
+    const emulatedSeconds = Number(args[0]) || 5;
+    const runs = Number(args[1]) || 5;
+
+    const cores = await timeRuns(runs, 'Core', timeCore, 'core', emulatedSeconds * CLOCK_RATE,
+        formatCore, result => result.mips);
+    const machines = await timeRuns(runs, 'Machine', timeMachine, 'machine', emulatedSeconds * FRAME_RATE,
+        formatMachine, result => result.fps);
+
+    const { best, baseline } = cores;
+    const times = best.mhz / (CLOCK_RATE / 1e6);
+    console.log(`Core best: ${best.mhz.toFixed(2)} MHz (${times.toFixed(1)}x a 3.5 MHz Spectrum)`);
+    if (baseline !== null) {
+        const speedUp = best.mips / baseline.mips;
+        console.log(`${compare}: ${baseline.mhz.toFixed(2)} MHz, ${speedUp.toFixed(2)}x faster here`);
+    }
+
+    const fps = machines.best.fps;
+    console.log(`Machine best: ${fps.toFixed(0)} frames/s (${(fps / FRAME_RATE).toFixed(1)}x a real 48K)`);
+    if (machines.baseline !== null) {
+        const speedUp = fps / machines.baseline.fps;
+        console.log(`${compare}: ${machines.baseline.fps.toFixed(0)} frames/s, ${speedUp.toFixed(2)}x faster here`);
+    }
+}
@@ -11,6 +11,8 @@ import { MiscInstructions } from '../instructions/misc.js';
 import { ExtendedInstructions } from '../instructions/extended.js';
 import { IndexedInstructions } from '../instructions/indexed.js';
 import { InstructionDecoder } from '../decoder/instruction-decoder.js';
+import { getCPUVariant } from './variants.js';
+import { Hooks } from './hooks.js';
 
 /**
  * Z80 CPU Emulator
@@ -25,11 +27,21 @@ class Z80 {
      * @constructor
      * @param {Object} memory - Memory interface for RAM/ROM access
      * @param {Object} ula - ULA interface for I/O operations
+     * @param {Object} [options={}] - CPU options
+     * @param {string} [options.cpuVariant='nmos'] - Silicon variant ('nmos', 'cmos', 'nec' or 'toshiba', see variants.js)
      */
-    constructor(memory, ula) {
+    constructor(memory, ula, options = {}) {
+        this.variant = getCPUVariant(options.cpuVariant || 'nmos');
+
+        // () => byte driven onto the data bus during interrupt acknowledge, null for 0xFF
+        this.dataBusProvider = null;
+
+        // Observer hooks, shared with the memory and I/O interfaces
+        this.hooks = new Hooks();
+
         // Initialize interfaces
-        this.memory = new MemoryInterface(memory);
-        this.io = new IOInterface(ula);
+        this.memory = new MemoryInterface(memory, this.hooks);
+        this.io = new IOInterface(ula, this.memory);
 
         // Initialize core components
         this.registers = new Registers();
@@ -86,6 +98,8 @@ class Z80 {
         this.cycles = 0;
         this.iff1 = true; // Interrupt flip-flop 1
         this.iff2 = true; // Interrupt flip-flop 2
+        this.eiShadow = false; // Set by EI: no interrupt is accepted before the next instruction
+        this.readIFF2 = false; // Set by LD A,I and LD A,R, whose P/V an accepted interrupt clears
         this.instructionCount = 0; // For debugging
     }
 
@@ -98,9 +112,21 @@ class Z80 {
         if (this.halted) {
             // HALT instruction continues to consume 4 T-states per M1 cycle
             // until an interrupt occurs. This is important for accurate timing.
-            this.cycles += 4;
+            // The fetched byte is ignored and PC stays on the next instruction.
+            this.memory.beginInstruction(this.cycles);
+            const pc = this.registers.getPC();
+            if (this.hooks.instruction !== null) {
+                this.hooks.instruction((pc - 1) & 0xffff);
+            }
+            this.memory.fetchOpcode(this.registers);
+            this.registers.setPC(pc);
+            const haltCycles = 4 + this.memory.contentionTStates;
+            this.cycles += haltCycles;
             this.registers.incrementR();
-            return 4;
+            this.registers.q = 0;
+            this.eiShadow = false;
+            this.readIFF2 = false;
+            return haltCycles;
         }
 
         // Log first few instructions for debugging
@@ -111,54 +137,220 @@ class Z80 {
         //     this.instructionCount++;
         // }
 
-        const opcode = this.memory.fetchByte(this.registers);
+        if (this.hooks.instruction !== null) {
+            this.hooks.instruction(this.registers.pc);
+        }
+
+        this.memory.beginInstruction(this.cycles);
+        const opcode = this.memory.fetchOpcode(this.registers);
         this.registers.incrementR();
+        this.registers.flagsWritten = false;
+        this.eiShadow = false;
+        this.readIFF2 = false;
 
-        const instructionCycles = this.decoder.execute(opcode, this);
+        // Wait states inserted by memory contention are added on top of the handler's count
+        const instructionCycles = this.decoder.execute(opcode, this) + this.memory.contentionTStates;
         this.cycles += instructionCycles;
+
+        // Latch Q for the next instruction
+        this.registers.q = this.registers.flagsWritten ? this.registers.f : 0;
         return instructionCycles;
     }
 
     /**
      * Trigger a maskable interrupt
+     * Ignored right after EI, so EI ; RET returns before the next interrupt is taken.
+     * A DD/FD prefix runs with its opcode as one instruction and cannot be split either.
+     * IM 0 executes the instruction read from the data bus and IM 2 takes the vector
+     * low byte from it (see setDataBusProvider).
      * 
      * @returns {void}
      */
     interrupt() {
-        if (this.iff1 || this.halted) {
+        if ((this.iff1 || this.halted) && !this.eiShadow) {
+            if (this.hooks.interrupt !== null) {
+                this.hooks.interrupt('int', this.registers.pc);
+            }
             this.halted = false;
             this.iff1 = false;
             this.iff2 = false;
+            this.registers.q = 0;
+
+            // NMOS Z80s clear IFF2 before LD A,I/LD A,R copies it to P/V
+            if (this.readIFF2 && this.variant.ldAIRBug) {
+                this.registers.f &= ~this.flags.masks.PV;
+                this.readIFF2 = false;
+            }
+
+            // The stack writes follow the 7 T-state acknowledge cycle
+            this.memory.beginInstruction(this.cycles + 7);
 
             // Handle different interrupt modes
             switch (this.interruptMode) {
                 case 0: // Mode 0 - Execute instruction on data bus
-                    // On most systems, data bus contains 0xFF (RST 38H)
-                    this.memory.pushWord(this.registers, this.registers.getPC());
-                    this.registers.setPC(0x0038);
-                    this.cycles += 13;
+                    {
+                        // An idle bus reads 0xFF, which is RST 38h
+                        const opcode = this.readDataBus();
+                        if ((opcode & 0xc7) === 0xc7) {
+                            this.memory.pushWord(this.registers, this.registers.getPC());
+                            this.registers.setPC(opcode & 0x38);
+                            this.registers.memptr = opcode & 0x38;
+                            this.cycles += 13;
+                        } else {
+                            // Operand bytes come from the bus too, and PC is not advanced
+                            this.memory.setDataBus(() => this.readDataBus());
+                            this.cycles += 2 + this.decoder.execute(opcode, this);
+                            this.memory.setDataBus(null);
+                        }
+                    }
                     break;
 
                 case 1: // Mode 1 - RST 38h always
                     this.memory.pushWord(this.registers, this.registers.getPC());
                     this.registers.setPC(0x0038);
+                    this.registers.memptr = 0x0038;
                     this.cycles += 13;
                     break;
 
                 case 2: // Mode 2 - Vectored interrupt
                     {
                         // Vector formed from I register (high byte) and data bus (low byte)
-                        const vector = (this.registers.get('I') << 8) | 0xff; // Assuming 0xFF on data bus
+                        const vector = (this.registers.i << 8) | this.readDataBus();
                         const addr = this.memory.readWord(vector);
                         this.memory.pushWord(this.registers, this.registers.getPC());
                         this.registers.setPC(addr);
+                        this.registers.memptr = addr;
                         this.cycles += 19;
                     }
                     break;
             }
+
+            this.cycles += this.memory.contentionTStates;
         }
     }
 
+    /**
+     * Set the source of the byte read from the data bus while an interrupt is acknowledged
+     * The provider is called for each bus read: the IM 2 vector low byte, or the IM 0
+     * opcode and then each of its operand bytes
+     *
+     * @param {Function|null} provider - () => byte, or null for an idle bus reading 0xFF
+     * @returns {void}
+     */
+    setDataBusProvider(provider) {
+        this.dataBusProvider = provider;
+    }
+
+    /**
+     * Read the data bus during an interrupt acknowledge
+     *
+     * @returns {number} Byte placed on the bus (0xFF when no provider is set)
+     */
+    readDataBus() {
+        return this.dataBusProvider ? this.dataBusProvider() & 0xff : 0xff;
+    }
+
+    /**
+     * Switch the silicon variant
+     *
+     * @param {string|Object} variant - Variant id or profile (see variants.js)
+     * @returns {void}
+     * @throws {Error} If the variant is not supported
+     */
+    setVariant(variant) {
+        this.variant = getCPUVariant(variant);
+    }
+
+    /**
+     * Trigger a non-maskable interrupt
+     * IFF1 is saved in IFF2 so RETN can restore it, and the CPU calls 0x0066
+     * in 11 T-states whatever the interrupt mode or IFF1
+     *
+     * @returns {void}
+     */
+    nmi() {
+        if (this.hooks.interrupt !== null) {
+            this.hooks.interrupt('nmi', this.registers.pc);
+        }
+        this.halted = false;
+        this.iff2 = this.iff1;
+        this.iff1 = false;
+        this.registers.q = 0;
+
+        // The stack writes follow a 5 T-state opcode fetch whose byte is discarded
+        this.memory.beginInstruction(this.cycles + 5);
+        this.registers.incrementR();
+
+        this.memory.pushWord(this.registers, this.registers.getPC());
+        this.registers.setPC(0x0066);
+        this.registers.memptr = 0x0066;
+
+        this.cycles += 11 + this.memory.contentionTStates;
+    }
+
+    /**
+     * Call a listener before each instruction, with the address of the instruction
+     * (the HALT's own address while the CPU is halted)
+     *
+     * @param {Function} listener - (pc) => void
+     * @returns {Function} Removes the listener
+     */
+    onInstruction(listener) {
+        return this.hooks.add('instruction', listener);
+    }
+
+    /**
+     * Call a listener after each memory read cycle
+     *
+     * @param {Function} listener - (address, value, code) => void, code being true
+     *   for the opcode and operand bytes of an instruction
+     * @returns {Function} Removes the listener
+     */
+    onMemoryRead(listener) {
+        return this.hooks.add('memoryRead', listener);
+    }
+
+    /**
+     * Call a listener after each memory write cycle
+     *
+     * @param {Function} listener - (address, value) => void
+     * @returns {Function} Removes the listener
+     */
+    onMemoryWrite(listener) {
+        return this.hooks.add('memoryWrite', listener);
+    }
+
+    /**
+     * Call a listener after each port read
+     *
+     * @param {Function} listener - (port, value) => void
+     * @returns {Function} Removes the listener
+     */
+    onPortRead(listener) {
+        return this.hooks.add('portRead', listener);
+    }
+
+    /**
+     * Call a listener after each port write
+     *
+     * @param {Function} listener - (port, value) => void
+     * @returns {Function} Removes the listener
+     */
+    onPortWrite(listener) {
+        return this.hooks.add('portWrite', listener);
+    }
+
+    /**
+     * Call a listener when an interrupt is accepted, before the CPU responds to it
+     *
+     * @param {Function} listener - (type, pc) => void, type 'int' or 'nmi' and pc
+     *   the address the interrupt returns to
+     * @returns {Function} Removes the listener
+     */
+    onInterrupt(listener) {
+        return this.hooks.add('interrupt', listener);
+    }
+
     /**
      * Get complete CPU state with nested structure (DEPRECATED)
      * @deprecated Use getState() instead - this method will be removed in future versions
@@ -268,6 +460,7 @@ class Z80 {
      * @returns {number} .iy - IY index register
      * @returns {number} .i - Interrupt vector register
      * @returns {number} .r - Memory refresh register
+     * @returns {number} .memptr - Hidden MEMPTR (WZ) register
      * @returns {number} .im - Interrupt mode
      * @returns {boolean} .iff1 - Interrupt flip-flop 1
      * @returns {boolean} .iff2 - Interrupt flip-flop 2
@@ -302,6 +495,7 @@ class Z80 {
             // Special registers
             i: this.registers.get('I'),
             r: this.registers.get('R'),
+            memptr: this.registers.get16('MEMPTR'),
             
             // CPU state
             im: this.interruptMode,  // Fixed: was this.im
@@ -330,6 +524,7 @@ class Z80 {
      * @param {number} [state.iy] - IY index register
      * @param {number} [state.i] - Interrupt vector register
      * @param {number} [state.r] - Memory refresh register
+     * @param {number} [state.memptr] - Hidden MEMPTR (WZ) register
      * @param {number} [state.im] - Interrupt mode
      * @param {boolean} [state.iff1] - Interrupt flip-flop 1
      * @param {boolean} [state.iff2] - Interrupt flip-flop 2
@@ -366,6 +561,9 @@ class Z80 {
         // Special registers
         if (state.i !== undefined) this.registers.set('I', state.i);
         if (state.r !== undefined) this.registers.set('R', state.r);
+        if (state.memptr !== undefined) {
+            this.registers.set16('MEMPTR', state.memptr);
+        }
         
         // CPU state
         if (state.im !== undefined) this.interruptMode = state.im;
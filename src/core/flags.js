@@ -1,19 +1,39 @@
 /**
  * Z80 Flags Manager
  * Handles all flag operations including undocumented F3/F5 flags
+ *
+ * The hot instructions build F directly from the masks and the lookup tables
+ * below rather than flag by flag.
  */
+const MASKS = Object.freeze({
+    S: 0x80, // Sign
+    Z: 0x40, // Zero
+    F5: 0x20, // Undocumented - copy of bit 5
+    H: 0x10, // Half carry
+    F3: 0x08, // Undocumented - copy of bit 3
+    PV: 0x04, // Parity/Overflow
+    N: 0x02, // Add/Subtract
+    C: 0x01, // Carry
+});
+
+// S, Z, F5 and F3 of each 8-bit result
+const SZ53 = new Uint8Array(256);
+
+// The same with P/V set for even parity, as logical operations leave it
+const SZ53P = new Uint8Array(256);
+
+for (let value = 0; value < 256; value++) {
+    let parity = 0;
+    for (let i = 0; i < 8; i++) {
+        parity ^= (value >> i) & 1;
+    }
+    SZ53[value] = (value & (MASKS.S | MASKS.F5 | MASKS.F3)) | (value === 0 ? MASKS.Z : 0);
+    SZ53P[value] = SZ53[value] | (parity === 0 ? MASKS.PV : 0);
+}
+
 class Flags {
     constructor() {
-        this.masks = {
-            S: 0x80, // Sign
-            Z: 0x40, // Zero
-            F5: 0x20, // Undocumented - copy of bit 5
-            H: 0x10, // Half carry
-            F3: 0x08, // Undocumented - copy of bit 3
-            PV: 0x04, // Parity/Overflow
-            N: 0x02, // Add/Subtract
-            C: 0x01, // Carry
-        };
+        this.masks = MASKS;
     }
 
     /**
@@ -39,120 +59,78 @@ class Flags {
      */
     updateFlags(fRegister, result, operation = 'arithmetic') {
         const result8 = result & 0xff;
-        let newF = fRegister;
-
-        // Always update undocumented flags F3 and F5
-        newF = this.setFlag(newF, this.masks.F5, (result8 & 0x20) !== 0);
-        newF = this.setFlag(newF, this.masks.F3, (result8 & 0x08) !== 0);
-
-        newF = this.setFlag(newF, this.masks.S, (result8 & 0x80) !== 0);
-        newF = this.setFlag(newF, this.masks.Z, result8 === 0);
-
-        if (operation === 'subtract') {
-            newF = this.setFlag(newF, this.masks.N, true);
-        } else if (operation === 'arithmetic') {
-            newF = this.setFlag(newF, this.masks.N, false);
-        } else if (operation === 'logical') {
-            newF = this.setFlag(newF, this.masks.N, false);
-            // For logical operations, set parity flag
-            newF = this.setFlag(newF, this.masks.PV, this.calculateParity(result8));
+        const newF = (fRegister & ~(MASKS.S | MASKS.Z | MASKS.F5 | MASKS.F3)) | SZ53[result8];
+
+        switch (operation) {
+            case 'subtract':
+                return newF | MASKS.N;
+            case 'arithmetic':
+                return newF & ~MASKS.N;
+            case 'logical':
+                // For logical operations, set parity flag
+                return (newF & ~(MASKS.N | MASKS.PV)) | (SZ53P[result8] & MASKS.PV);
+            default:
+                return newF;
         }
-
-        return newF;
     }
 
     /**
      * Calculate parity of an 8-bit value
      */
     calculateParity(value) {
-        let parity = 0;
-        let temp = value & 0xff;
-        for (let i = 0; i < 8; i++) {
-            if (temp & 1) {
-                parity++;
-            }
-            temp >>= 1;
-        }
-        return (parity & 1) === 0;
+        return (SZ53P[value & 0xff] & MASKS.PV) !== 0;
     }
 
     /**
      * Update flags for IN instruction
      */
     updateInFlags(fRegister, value) {
-        let newF = fRegister;
-
-        newF = this.setFlag(newF, this.masks.S, (value & 0x80) !== 0);
-        newF = this.setFlag(newF, this.masks.Z, value === 0);
-        newF = this.setFlag(newF, this.masks.H, false);
-        newF = this.setFlag(newF, this.masks.N, false);
-        newF = this.setFlag(newF, this.masks.PV, this.calculateParity(value));
-
-        // Undocumented flags
-        newF = this.setFlag(newF, this.masks.F5, (value & 0x20) !== 0);
-        newF = this.setFlag(newF, this.masks.F3, (value & 0x08) !== 0);
-
-        return newF;
+        return (fRegister & MASKS.C) | SZ53P[value & 0xff];
     }
 
     /**
      * Update flags for increment operation
      */
     updateIncFlags(fRegister, originalValue, result) {
-        let newF = fRegister;
-
-        newF = this.setFlag(newF, this.masks.S, (result & 0x80) !== 0);
-        newF = this.setFlag(newF, this.masks.Z, result === 0);
-        newF = this.setFlag(newF, this.masks.H, (originalValue & 0x0f) === 0x0f);
-        newF = this.setFlag(newF, this.masks.PV, originalValue === 0x7f);
-        newF = this.setFlag(newF, this.masks.N, false);
-
-        // Undocumented flags
-        newF = this.setFlag(newF, this.masks.F5, (result & 0x20) !== 0);
-        newF = this.setFlag(newF, this.masks.F3, (result & 0x08) !== 0);
-
-        return newF;
+        return (
+            (fRegister & MASKS.C) |
+            SZ53[result] |
+            ((originalValue & 0x0f) === 0x0f ? MASKS.H : 0) |
+            (originalValue === 0x7f ? MASKS.PV : 0)
+        );
     }
 
     /**
      * Update flags for decrement operation
      */
     updateDecFlags(fRegister, originalValue, result) {
-        let newF = fRegister;
-
-        newF = this.setFlag(newF, this.masks.S, (result & 0x80) !== 0);
-        newF = this.setFlag(newF, this.masks.Z, result === 0);
-        newF = this.setFlag(newF, this.masks.H, (originalValue & 0x0f) === 0);
-        newF = this.setFlag(newF, this.masks.PV, originalValue === 0x80);
-        newF = this.setFlag(newF, this.masks.N, true);
-
-        // Undocumented flags - FIXED: was this.flags.F3, now this.masks.F3
-        newF = this.setFlag(newF, this.masks.F5, (result & 0x20) !== 0);
-        newF = this.setFlag(newF, this.masks.F3, (result & 0x08) !== 0);
-
-        return newF;
+        return (
+            (fRegister & MASKS.C) |
+            SZ53[result] |
+            MASKS.N |
+            ((originalValue & 0x0f) === 0 ? MASKS.H : 0) |
+            (originalValue === 0x80 ? MASKS.PV : 0)
+        );
     }
 
     /**
      * Update flags for BIT test operation
+     *
+     * F3 and F5 come from the tested value for BIT n,r; the memory forms pass
+     * the high byte of MEMPTR instead.
      */
-    updateBitTestFlags(fRegister, bit, value) {
-        const mask = 1 << bit;
-        const result = value & mask;
-        let newF = fRegister;
-
-        newF = this.setFlag(newF, this.masks.Z, result === 0);
-        newF = this.setFlag(newF, this.masks.H, true);
-        newF = this.setFlag(newF, this.masks.N, false);
-        newF = this.setFlag(newF, this.masks.S, bit === 7 && result !== 0);
-        newF = this.setFlag(newF, this.masks.PV, result === 0); // PV acts as Z for BIT
-
-        // Undocumented flags: F3 and F5 are set from the value being tested
-        newF = this.setFlag(newF, this.masks.F5, (value & 0x20) !== 0);
-        newF = this.setFlag(newF, this.masks.F3, (value & 0x08) !== 0);
-
-        return newF;
+    updateBitTestFlags(fRegister, bit, value, undocumentedValue = value) {
+        const result = value & (1 << bit);
+
+        // S is only set by BIT 7, and P/V acts as Z for BIT
+        return (
+            (fRegister & MASKS.C) |
+            MASKS.H |
+            (result & MASKS.S) |
+            (result === 0 ? MASKS.Z | MASKS.PV : 0) |
+            (undocumentedValue & (MASKS.F5 | MASKS.F3))
+        );
     }
 }
 
-export { Flags };
+export { Flags, MASKS, SZ53, SZ53P };
@@ -0,0 +1,75 @@
+/**
+ * Observer Hooks
+ * Listener lists for the events the CPU and the machine report. Each event has
+ * a dispatch slot the emitting code calls: null while nobody listens, so an
+ * unused hook costs one comparison, the listener itself when there is one, and
+ * a function calling each in turn when there are several.
+ *
+ * Listeners only observe: what they return is ignored, and they should not
+ * change CPU or memory state from inside a memory or port hook.
+ */
+
+// Events and the name of their dispatch slot
+const EVENTS = ['instruction', 'memoryRead', 'memoryWrite', 'portRead', 'portWrite', 'interrupt', 'frame'];
+
+class Hooks {
+    constructor() {
+        this.listeners = new Map(EVENTS.map(event => [event, []]));
+        for (const event of EVENTS) {
+            this[event] = null;
+        }
+
+        // Called after a dispatch slot changed, by the memory interface that checks them up front
+        this.onUpdate = null;
+    }
+
+    /**
+     * Add a listener
+     * @param {string} event - One of the EVENTS
+     * @param {Function} listener - Called with the event's arguments
+     * @returns {Function} Removes the listener again
+     * @throws {Error} If the event is unknown
+     */
+    add(event, listener) {
+        const listeners = this.listeners.get(event);
+        if (!listeners) {
+            throw new Error(`Unknown hook: ${event}`);
+        }
+        listeners.push(listener);
+        this.update(event);
+        return () => this.remove(event, listener);
+    }
+
+    /**
+     * Remove a listener added with add()
+     */
+    remove(event, listener) {
+        const listeners = this.listeners.get(event);
+        const index = listeners ? listeners.indexOf(listener) : -1;
+        if (index !== -1) {
+            listeners.splice(index, 1);
+            this.update(event);
+        }
+    }
+
+    // Rebuild the dispatch slot of an event
+    update(event) {
+        const listeners = [...this.listeners.get(event)];
+        if (listeners.length === 0) {
+            this[event] = null;
+        } else if (listeners.length === 1) {
+            [this[event]] = listeners;
+        } else {
+            this[event] = (a, b, c) => {
+                for (const listener of listeners) {
+                    listener(a, b, c);
+                }
+            };
+        }
+        if (this.onUpdate !== null) {
+            this.onUpdate();
+        }
+    }
+}
+
+export { Hooks, EVENTS };
@@ -1,91 +1,197 @@
 /**
  * Z80 Registers Manager
  * Handles all register operations and 16-bit register pairs
+ *
+ * Registers live in typed arrays so the hot path reads and writes them by
+ * index: 8-bit values in r8 and 16-bit ones in r16, which also wrap stored
+ * values to their width. B, C, D, E, H, L and A sit at the index the Z80
+ * encodes them with in opcodes (0-5 and 7), F takes the (HL) slot at 6.
  */
+
+// Indices into Registers.r8
+const R8 = Object.freeze({
+    B: 0,
+    C: 1,
+    D: 2,
+    E: 3,
+    H: 4,
+    L: 5,
+    F: 6,
+    A: 7,
+    B_: 8,
+    C_: 9,
+    D_: 10,
+    E_: 11,
+    H_: 12,
+    L_: 13,
+    F_: 14,
+    A_: 15,
+    I: 16,
+    R: 17,
+});
+
+// Indices into Registers.r16
+const R16 = Object.freeze({
+    PC: 0,
+    SP: 1,
+    IX: 2,
+    IY: 3,
+    // Hidden internal register (WZ), it leaks into F3/F5 of BIT n,(HL)
+    MEMPTR: 4,
+});
+
+// Register pairs for getPair and setPair; BC to SP follow the order of the rp opcode field
+const PAIRS = Object.freeze({
+    BC: 0,
+    DE: 1,
+    HL: 2,
+    SP: 3,
+    AF: 4,
+    IX: 5,
+    IY: 6,
+});
+
+const { B, C, D, E, H, L, F, A, B_, C_, D_, E_, H_, L_, F_, A_, I, R } = R8;
+const { PC, SP, IX, IY, MEMPTR } = R16;
+
 class Registers {
     constructor() {
+        this.r8 = new Uint8Array(18);
+        this.r16 = new Uint16Array(5);
         this.reset();
     }
 
     reset() {
-        this.data = {
-            A: 0,
-            F: 0,
-            B: 0,
-            C: 0,
-            D: 0,
-            E: 0,
-            H: 0,
-            L: 0,
-            A_: 0,
-            F_: 0,
-            B_: 0,
-            C_: 0,
-            D_: 0,
-            E_: 0,
-            H_: 0,
-            L_: 0,
-            I: 0,
-            R: 0,
-            IX: 0,
-            IY: 0,
-            SP: 0xffff,
-            PC: 0x0000,
-        };
+        this.r8.fill(0);
+        this.r16.fill(0);
+        this.r16[SP] = 0xffff;
+
+        // Q latch: F if the last instruction wrote the flags, 0 otherwise (feeds F3/F5 of SCF/CCF)
+        this.q = 0;
+        this.flagsWritten = false;
+    }
+
+    /**
+     * Copy of the registers keyed by name, for debugging and inspection
+     */
+    get data() {
+        const data = {};
+        for (const name of Object.keys(R8)) {
+            data[name] = this.r8[R8[name]];
+        }
+        for (const name of Object.keys(R16)) {
+            data[name] = this.r16[R16[name]];
+        }
+        return data;
     }
 
     // 8-bit register access
     get(name) {
-        return this.data[name] & 0xff;
+        return this.r8[R8[name]];
     }
 
     set(name, value) {
-        this.data[name] = value & 0xff;
+        const index = R8[name];
+        this.r8[index] = value;
+        if (index === F) {
+            this.flagsWritten = true;
+        }
     }
 
     // 16-bit register pair getters
     getBC() {
-        return (this.data.B << 8) | this.data.C;
+        return (this.r8[B] << 8) | this.r8[C];
     }
 
     getDE() {
-        return (this.data.D << 8) | this.data.E;
+        return (this.r8[D] << 8) | this.r8[E];
     }
 
     getHL() {
-        return (this.data.H << 8) | this.data.L;
+        return (this.r8[H] << 8) | this.r8[L];
     }
 
     getAF() {
-        return (this.data.A << 8) | this.data.F;
+        return (this.r8[A] << 8) | this.r8[F];
+    }
+
+    // Refresh address the CPU leaves on the bus during internal cycles
+    getIR() {
+        return (this.r8[I] << 8) | this.r8[R];
     }
 
     // 16-bit register pair setters
     setBC(value) {
-        const val = value & 0xffff;
-        this.data.B = (val >> 8) & 0xff;
-        this.data.C = val & 0xff;
+        this.r8[B] = value >> 8;
+        this.r8[C] = value;
     }
 
     setDE(value) {
-        const val = value & 0xffff;
-        this.data.D = (val >> 8) & 0xff;
-        this.data.E = val & 0xff;
+        this.r8[D] = value >> 8;
+        this.r8[E] = value;
     }
 
     setHL(value) {
-        const val = value & 0xffff;
-        this.data.H = (val >> 8) & 0xff;
-        this.data.L = val & 0xff;
+        this.r8[H] = value >> 8;
+        this.r8[L] = value;
     }
 
     setAF(value) {
-        const val = value & 0xffff;
-        this.data.A = (val >> 8) & 0xff;
-        this.data.F = val & 0xff;
+        this.r8[A] = value >> 8;
+        this.r8[F] = value;
     }
 
-    // 16-bit register access
+    // 16-bit register access by PAIRS index
+    getPair(pair) {
+        switch (pair) {
+            case PAIRS.BC:
+                return this.getBC();
+            case PAIRS.DE:
+                return this.getDE();
+            case PAIRS.HL:
+                return this.getHL();
+            case PAIRS.SP:
+                return this.r16[SP];
+            case PAIRS.AF:
+                return this.getAF();
+            case PAIRS.IX:
+                return this.r16[IX];
+            case PAIRS.IY:
+                return this.r16[IY];
+            default:
+                throw new Error(`Unknown register pair: ${pair}`);
+        }
+    }
+
+    setPair(pair, value) {
+        switch (pair) {
+            case PAIRS.BC:
+                this.setBC(value);
+                break;
+            case PAIRS.DE:
+                this.setDE(value);
+                break;
+            case PAIRS.HL:
+                this.setHL(value);
+                break;
+            case PAIRS.SP:
+                this.r16[SP] = value;
+                break;
+            case PAIRS.AF:
+                this.setAF(value);
+                break;
+            case PAIRS.IX:
+                this.r16[IX] = value;
+                break;
+            case PAIRS.IY:
+                this.r16[IY] = value;
+                break;
+            default:
+                throw new Error(`Unknown register pair: ${pair}`);
+        }
+    }
+
+    // 16-bit register access by name
     get16(name) {
         switch (name) {
             case 'BC':
@@ -97,44 +203,36 @@ class Registers {
             case 'AF':
                 return this.getAF();
             case 'SP':
-                return this.data.SP & 0xffff;
             case 'PC':
-                return this.data.PC & 0xffff;
             case 'IX':
-                return this.data.IX & 0xffff;
             case 'IY':
-                return this.data.IY & 0xffff;
+            case 'MEMPTR':
+                return this.r16[R16[name]];
             default:
                 throw new Error(`Unknown 16-bit register: ${name}`);
         }
     }
 
     set16(name, value) {
-        const val = value & 0xffff;
         switch (name) {
             case 'BC':
-                this.setBC(val);
+                this.setBC(value);
                 break;
             case 'DE':
-                this.setDE(val);
+                this.setDE(value);
                 break;
             case 'HL':
-                this.setHL(val);
+                this.setHL(value);
                 break;
             case 'AF':
-                this.setAF(val);
+                this.setAF(value);
                 break;
             case 'SP':
-                this.data.SP = val;
-                break;
             case 'PC':
-                this.data.PC = val;
-                break;
             case 'IX':
-                this.data.IX = val;
-                break;
             case 'IY':
-                this.data.IY = val;
+            case 'MEMPTR':
+                this.r16[R16[name]] = value;
                 break;
             default:
                 throw new Error(`Unknown 16-bit register: ${name}`);
@@ -143,177 +241,243 @@ class Registers {
 
     // Increment/Decrement 16-bit registers
     inc16(name) {
-        const value = this.get16(name);
-        this.set16(name, (value + 1) & 0xffff);
+        this.set16(name, this.get16(name) + 1);
     }
 
     dec16(name) {
-        const value = this.get16(name);
-        this.set16(name, (value - 1) & 0xffff);
+        this.set16(name, this.get16(name) - 1);
     }
 
     // Program counter operations
     incrementPC(amount = 1) {
-        this.data.PC = (this.data.PC + amount) & 0xffff;
+        this.r16[PC] += amount;
     }
 
     setPC(address) {
-        this.data.PC = address & 0xffff;
+        this.r16[PC] = address;
     }
 
     getPC() {
-        return this.data.PC & 0xffff;
+        return this.r16[PC];
     }
 
     // R register operations (7-bit counter with bit 7 unchanged)
     incrementR() {
-        this.data.R = ((this.data.R + 1) & 0x7f) | (this.data.R & 0x80);
+        const r = this.r8[R];
+        this.r8[R] = ((r + 1) & 0x7f) | (r & 0x80);
     }
 
     // Exchange operations
     exchangeAF() {
-        const tempA = this.data.A;
-        const tempF = this.data.F;
-        this.data.A = this.data.A_;
-        this.data.F = this.data.F_;
-        this.data.A_ = tempA;
-        this.data.F_ = tempF;
+        this.swap(A, A_);
+        this.swap(F, F_);
     }
 
     exchangeAll() {
         // EXX - Exchange BC, DE, HL with their shadow registers
-        const tempB = this.data.B;
-        const tempC = this.data.C;
-        const tempD = this.data.D;
-        const tempE = this.data.E;
-        const tempH = this.data.H;
-        const tempL = this.data.L;
-
-        this.data.B = this.data.B_;
-        this.data.C = this.data.C_;
-        this.data.D = this.data.D_;
-        this.data.E = this.data.E_;
-        this.data.H = this.data.H_;
-        this.data.L = this.data.L_;
-
-        this.data.B_ = tempB;
-        this.data.C_ = tempC;
-        this.data.D_ = tempD;
-        this.data.E_ = tempE;
-        this.data.H_ = tempH;
-        this.data.L_ = tempL;
+        this.swap(B, B_);
+        this.swap(C, C_);
+        this.swap(D, D_);
+        this.swap(E, E_);
+        this.swap(H, H_);
+        this.swap(L, L_);
+    }
+
+    swap(index, shadowIndex) {
+        const temp = this.r8[index];
+        this.r8[index] = this.r8[shadowIndex];
+        this.r8[shadowIndex] = temp;
     }
 
     exchangeDE_HL() {
-        const tempDE = this.getDE();
-        this.setDE(this.getHL());
-        this.setHL(tempDE);
+        this.swap(D, H);
+        this.swap(E, L);
     }
 
     // Debug helper
     dump() {
         return {
-            A: this.data.A.toString(16).padStart(2, '0'),
-            F: this.data.F.toString(16).padStart(2, '0'),
+            A: this.r8[A].toString(16).padStart(2, '0'),
+            F: this.r8[F].toString(16).padStart(2, '0'),
             BC: this.getBC().toString(16).padStart(4, '0'),
             DE: this.getDE().toString(16).padStart(4, '0'),
             HL: this.getHL().toString(16).padStart(4, '0'),
-            SP: this.data.SP.toString(16).padStart(4, '0'),
-            PC: this.data.PC.toString(16).padStart(4, '0'),
-            IX: this.data.IX.toString(16).padStart(4, '0'),
-            IY: this.data.IY.toString(16).padStart(4, '0'),
-            I: this.data.I.toString(16).padStart(2, '0'),
-            R: this.data.R.toString(16).padStart(2, '0'),
+            SP: this.r16[SP].toString(16).padStart(4, '0'),
+            PC: this.r16[PC].toString(16).padStart(4, '0'),
+            IX: this.r16[IX].toString(16).padStart(4, '0'),
+            IY: this.r16[IY].toString(16).padStart(4, '0'),
+            I: this.r8[I].toString(16).padStart(2, '0'),
+            R: this.r8[R].toString(16).padStart(2, '0'),
         };
     }
 
     // Undocumented IX/IY half registers
     getIXH() {
-        return (this.data.IX >> 8) & 0xff;
+        return this.r16[IX] >> 8;
     }
 
     setIXH(value) {
-        this.data.IX = (this.data.IX & 0x00ff) | ((value & 0xff) << 8);
+        this.r16[IX] = (this.r16[IX] & 0x00ff) | ((value & 0xff) << 8);
     }
 
     getIXL() {
-        return this.data.IX & 0xff;
+        return this.r16[IX] & 0xff;
     }
 
     setIXL(value) {
-        this.data.IX = (this.data.IX & 0xff00) | (value & 0xff);
+        this.r16[IX] = (this.r16[IX] & 0xff00) | (value & 0xff);
     }
 
     getIYH() {
-        return (this.data.IY >> 8) & 0xff;
+        return this.r16[IY] >> 8;
     }
 
     setIYH(value) {
-        this.data.IY = (this.data.IY & 0x00ff) | ((value & 0xff) << 8);
+        this.r16[IY] = (this.r16[IY] & 0x00ff) | ((value & 0xff) << 8);
     }
 
     getIYL() {
-        return this.data.IY & 0xff;
+        return this.r16[IY] & 0xff;
     }
 
     setIYL(value) {
-        this.data.IY = (this.data.IY & 0xff00) | (value & 0xff);
-    }
-
-    // Property accessors for test compatibility
-    get a() { return this.get('A'); }
-    set a(value) { this.set('A', value); }
-    
-    get f() { return this.get('F'); }
-    set f(value) { this.set('F', value); }
-    
-    get b() { return this.get('B'); }
-    set b(value) { this.set('B', value); }
-    
-    get c() { return this.get('C'); }
-    set c(value) { this.set('C', value); }
-    
-    get d() { return this.get('D'); }
-    set d(value) { this.set('D', value); }
-    
-    get e() { return this.get('E'); }
-    set e(value) { this.set('E', value); }
-    
-    get h() { return this.get('H'); }
-    set h(value) { this.set('H', value); }
-    
-    get l() { return this.get('L'); }
-    set l(value) { this.set('L', value); }
-    
-    get i() { return this.get('I'); }
-    set i(value) { this.set('I', value); }
-    
-    get r() { return this.get('R'); }
-    set r(value) { this.set('R', value); }
-    
-    get pc() { return this.getPC(); }
-    set pc(value) { this.setPC(value); }
-    
-    get sp() { return this.data.SP & 0xffff; }
-    set sp(value) { this.data.SP = value & 0xffff; }
-    
-    get ix() { return this.data.IX & 0xffff; }
-    set ix(value) { this.data.IX = value & 0xffff; }
-    
-    get iy() { return this.data.IY & 0xffff; }
-    set iy(value) { this.data.IY = value & 0xffff; }
-    
-    get bc() { return this.getBC(); }
-    set bc(value) { this.setBC(value); }
-    
-    get de() { return this.getDE(); }
-    set de(value) { this.setDE(value); }
-    
-    get hl() { return this.getHL(); }
-    set hl(value) { this.setHL(value); }
-    
-    get af() { return this.getAF(); }
-    set af(value) { this.setAF(value); }
+        this.r16[IY] = (this.r16[IY] & 0xff00) | (value & 0xff);
+    }
+
+    // Property accessors, also the fast path of the instruction handlers
+    get a() {
+        return this.r8[A];
+    }
+    set a(value) {
+        this.r8[A] = value;
+    }
+
+    get f() {
+        return this.r8[F];
+    }
+    set f(value) {
+        this.r8[F] = value;
+        this.flagsWritten = true;
+    }
+
+    get b() {
+        return this.r8[B];
+    }
+    set b(value) {
+        this.r8[B] = value;
+    }
+
+    get c() {
+        return this.r8[C];
+    }
+    set c(value) {
+        this.r8[C] = value;
+    }
+
+    get d() {
+        return this.r8[D];
+    }
+    set d(value) {
+        this.r8[D] = value;
+    }
+
+    get e() {
+        return this.r8[E];
+    }
+    set e(value) {
+        this.r8[E] = value;
+    }
+
+    get h() {
+        return this.r8[H];
+    }
+    set h(value) {
+        this.r8[H] = value;
+    }
+
+    get l() {
+        return this.r8[L];
+    }
+    set l(value) {
+        this.r8[L] = value;
+    }
+
+    get i() {
+        return this.r8[I];
+    }
+    set i(value) {
+        this.r8[I] = value;
+    }
+
+    get r() {
+        return this.r8[R];
+    }
+    set r(value) {
+        this.r8[R] = value;
+    }
+
+    get pc() {
+        return this.r16[PC];
+    }
+    set pc(value) {
+        this.r16[PC] = value;
+    }
+
+    get sp() {
+        return this.r16[SP];
+    }
+    set sp(value) {
+        this.r16[SP] = value;
+    }
+
+    get ix() {
+        return this.r16[IX];
+    }
+    set ix(value) {
+        this.r16[IX] = value;
+    }
+
+    get iy() {
+        return this.r16[IY];
+    }
+    set iy(value) {
+        this.r16[IY] = value;
+    }
+
+    get memptr() {
+        return this.r16[MEMPTR];
+    }
+    set memptr(value) {
+        this.r16[MEMPTR] = value;
+    }
+
+    get bc() {
+        return this.getBC();
+    }
+    set bc(value) {
+        this.setBC(value);
+    }
+
+    get de() {
+        return this.getDE();
+    }
+    set de(value) {
+        this.setDE(value);
+    }
+
+    get hl() {
+        return this.getHL();
+    }
+    set hl(value) {
+        this.setHL(value);
+    }
+
+    get af() {
+        return this.getAF();
+    }
+    set af(value) {
+        this.setAF(value);
+    }
 }
 
-export { Registers };
+export { Registers, R8, R16, PAIRS };
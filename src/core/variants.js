@@ -0,0 +1,73 @@
+/**
+ * Z80 Silicon Variants
+ * Behaviour that differs between Z80 dies and second-source clones
+ */
+
+/**
+ * @typedef {Object} CPUVariant
+ * @property {string} id - Variant identifier used by the `cpuVariant` option
+ * @property {string} name - Human readable chip name
+ * @property {number} outCZero - Byte put on the bus by the undocumented OUT (C),0 (ED 71)
+ * @property {boolean} ldAIRBug - Whether an interrupt accepted after LD A,I/LD A,R clears P/V
+ * @property {number} scfCcfQMask - F3/F5 bits of SCF/CCF taken from (Q ^ F) | A; the others come from A alone
+ */
+
+/**
+ * Supported CPU variants keyed by id
+ *
+ * @type {Object<string, CPUVariant>}
+ */
+export const CPU_VARIANTS = {
+    nmos: {
+        id: 'nmos',
+        name: 'Zilog Z80 NMOS',
+        outCZero: 0x00,
+        ldAIRBug: true,
+        scfCcfQMask: 0x28,
+    },
+    cmos: {
+        id: 'cmos',
+        name: 'Zilog Z84C00 CMOS',
+        outCZero: 0xff,
+        ldAIRBug: false,
+        scfCcfQMask: 0x28,
+    },
+    nec: {
+        id: 'nec',
+        name: 'NEC μPD780C NMOS',
+        outCZero: 0x00,
+        ldAIRBug: true,
+        // SCF/CCF copy F3/F5 from A whatever the previous instruction did
+        scfCcfQMask: 0x00,
+    },
+    toshiba: {
+        id: 'toshiba',
+        name: 'Toshiba TMPZ84C00 CMOS',
+        outCZero: 0xff,
+        ldAIRBug: false,
+        scfCcfQMask: 0x28,
+    },
+};
+
+/**
+ * Resolve a CPU variant from its id
+ *
+ * @param {string|CPUVariant} [variant='nmos'] - Variant id or an already resolved profile
+ * @returns {CPUVariant} Variant profile
+ * @throws {Error} If the variant is not supported
+ *
+ * @example
+ * const variant = getCPUVariant('cmos');
+ * console.log(variant.outCZero); // 255
+ */
+export function getCPUVariant(variant = 'nmos') {
+    if (typeof variant === 'object' && variant !== null) {
+        return variant;
+    }
+
+    const profile = CPU_VARIANTS[String(variant).toLowerCase()];
+    if (!profile) {
+        throw new Error(`Unknown CPU variant: ${variant}`);
+    }
+    return profile;
+}
@@ -1,1024 +1,945 @@
+import { PAIRS } from '../core/registers.js';
+
 /**
  * Complete Instruction Decoder
  * Comprehensive opcode decoding and dispatch system for Z80 emulator
  *
- * Timing philosophy: Each instruction handler returns its TOTAL cycle count.
- * The decoder does NOT add extra cycles - it trusts the instruction's return value.
+ * Timing philosophy: Each instruction handler returns its TOTAL cycle count,
+ * prefix fetches included. The decoder does NOT add extra cycles - it trusts the
+ * instruction's return value. Handlers also spend their internal T-states on the
+ * memory interface at the point they happen, so the bus cycles of an instruction
+ * add up to the count it returns.
+ *
+ * Dispatch goes through dense arrays of 256 handlers, one per opcode, built once
+ * when the module loads and shared by every decoder. Handlers are plain functions
+ * called as handler(decoder, opcode, cpu) - DD/FD ones also get the PAIRS index of
+ * IX or IY - and decode their operands from the opcode bits the way the Z80 does:
+ * registers by their 3-bit index into Registers.r8 (6 meaning (HL)), register
+ * pairs by the 2-bit rp field and conditions by the 3-bit cc field.
  */
-class InstructionDecoder {
-    constructor(registers, flags, memory, io, instructions) {
-        this.registers = registers;
-        this.flags = flags;
-        this.memory = memory;
-        this.io = io;
-        this.instructions = instructions;
 
-        // Build comprehensive instruction lookup tables
-        this.buildAllInstructionTables();
-    }
+const { BC, DE, HL, SP, AF, IX, IY } = PAIRS;
+
+// Register pairs of the rp field (bits 4-5), and of PUSH/POP with AF in place of SP
+const RP = [BC, DE, HL, SP];
+const RP2 = [BC, DE, HL, AF];
 
-    buildAllInstructionTables() {
-        this.mainTable = {};
-        this.cbTable = {};
-        this.edTable = {};
-        this.ddTable = {};
-        this.fdTable = {};
-        this.ddcbTable = {};
-        this.fdcbTable = {};
-
-        this.buildMainTable();
-        this.buildCBTable();
-        this.buildEDTable();
-        this.buildDDTable();
-        this.buildFDTable();
+/**
+ * 8-bit ALU operation with A, as encoded in bits 3-5 of 0x80-0xBF and 0xC6-0xFE
+ * @param {InstructionDecoder} d - Decoder
+ * @param {number} operation - 0 ADD, 1 ADC, 2 SUB, 3 SBC, 4 AND, 5 XOR, 6 OR, 7 CP
+ * @param {number} value - Operand
+ */
+function alu(d, operation, value) {
+    switch (operation) {
+        case 0:
+            d.arithmetic.addA(value);
+            break;
+        case 1:
+            d.arithmetic.adcA(value);
+            break;
+        case 2:
+            d.arithmetic.subA(value);
+            break;
+        case 3:
+            d.arithmetic.sbcA(value);
+            break;
+        case 4:
+            d.logical.andA(value);
+            break;
+        case 5:
+            d.logical.xorA(value);
+            break;
+        case 6:
+            d.logical.orA(value);
+            break;
+        default:
+            d.arithmetic.cpA(value);
+            break;
     }
+}
 
-    buildMainTable() {
-        const { logical, load } = this.instructions;
-
-        // 8x8 grid of register-to-register loads (0x40-0x7F)
-        const regMap = ['B', 'C', 'D', 'E', 'H', 'L', null, 'A'];
-        for (let dest = 0; dest < 8; dest++) {
-            for (let src = 0; src < 8; src++) {
-                if (dest === 6 && src === 6) {
-                    this.mainTable[0x76] = cpu => this.instructions.misc.halt(cpu); // HALT
-                    continue;
-                }
-
-                const opcode = 0x40 + (dest << 3) + src;
-
-                if (dest === 6) {
-                    // LD (HL), reg
-                    this.mainTable[opcode] = () => load.loadHLFromReg(regMap[src]);
-                } else if (src === 6) {
-                    // LD reg, (HL)
-                    this.mainTable[opcode] = () => load.loadRegFromHL(regMap[dest]);
-                } else {
-                    // LD reg, reg
-                    this.mainTable[opcode] = () => load.loadRegReg(regMap[dest], regMap[src]);
-                }
-            }
-        }
+// Main table handlers
 
-        // Arithmetic operations (0x80-0xBF)
-        for (let i = 0; i < 8; i++) {
-            const reg = regMap[i];
-            if (reg) {
-                // Arithmetic with registers - handlers return their own cycle count
-                this.mainTable[0x80 + i] = () =>
-                    this.instructions.arithmetic.addA(this.registers.get(reg));
-                this.mainTable[0x88 + i] = () =>
-                    this.instructions.arithmetic.adcA(this.registers.get(reg));
-                this.mainTable[0x90 + i] = () =>
-                    this.instructions.arithmetic.subA(this.registers.get(reg));
-                this.mainTable[0x98 + i] = () =>
-                    this.instructions.arithmetic.sbcA(this.registers.get(reg));
-                this.mainTable[0xa0 + i] = () => logical.andA(this.registers.get(reg));
-                this.mainTable[0xa8 + i] = () => logical.xorA(this.registers.get(reg));
-                this.mainTable[0xb0 + i] = () => logical.orA(this.registers.get(reg));
-                this.mainTable[0xb8 + i] = () =>
-                    this.instructions.arithmetic.cpA(this.registers.get(reg));
-            } else if (i === 6) {
-                // Arithmetic with (HL)
-                this.mainTable[0x86] = () => {
-                    this.instructions.arithmetic.addA(this.memory.readByte(this.registers.getHL()));
-                    return 7;
-                };
-                this.mainTable[0x8e] = () => {
-                    this.instructions.arithmetic.adcA(this.memory.readByte(this.registers.getHL()));
-                    return 7;
-                };
-                this.mainTable[0x96] = () => {
-                    this.instructions.arithmetic.subA(this.memory.readByte(this.registers.getHL()));
-                    return 7;
-                };
-                this.mainTable[0x9e] = () => {
-                    this.instructions.arithmetic.sbcA(this.memory.readByte(this.registers.getHL()));
-                    return 7;
-                };
-                this.mainTable[0xa6] = () => {
-                    logical.andA(this.memory.readByte(this.registers.getHL()));
-                    return 7;
-                };
-                this.mainTable[0xae] = () => {
-                    logical.xorA(this.memory.readByte(this.registers.getHL()));
-                    return 7;
-                };
-                this.mainTable[0xb6] = () => {
-                    logical.orA(this.memory.readByte(this.registers.getHL()));
-                    return 7;
-                };
-                this.mainTable[0xbe] = () => {
-                    this.instructions.arithmetic.cpA(this.memory.readByte(this.registers.getHL()));
-                    return 7;
-                };
-            }
-        }
+function nop(d) {
+    return d.misc.nop();
+}
 
-        // All other main instructions
-        this.buildMainInstructions();
-    }
+function ldRpImmediate(d, op) {
+    return d.load.loadReg16Immediate(RP[op >> 4], d.memory.fetchWord(d.registers));
+}
 
-    buildMainInstructions() {
-        const { logical, load, jump, bit } = this.instructions;
-
-        // Basic instructions
-        this.mainTable[0x00] = () => this.instructions.misc.nop(); // NOP
-
-        // 16-bit loads
-        this.mainTable[0x01] = () =>
-            load.loadReg16Immediate('BC', this.memory.fetchWord(this.registers));
-        this.mainTable[0x11] = () =>
-            load.loadReg16Immediate('DE', this.memory.fetchWord(this.registers));
-        this.mainTable[0x21] = () =>
-            load.loadReg16Immediate('HL', this.memory.fetchWord(this.registers));
-        this.mainTable[0x31] = () =>
-            load.loadReg16Immediate('SP', this.memory.fetchWord(this.registers));
-
-        // 8-bit immediate loads
-        this.mainTable[0x06] = () =>
-            load.loadRegImmediate('B', this.memory.fetchByte(this.registers));
-        this.mainTable[0x0e] = () =>
-            load.loadRegImmediate('C', this.memory.fetchByte(this.registers));
-        this.mainTable[0x16] = () =>
-            load.loadRegImmediate('D', this.memory.fetchByte(this.registers));
-        this.mainTable[0x1e] = () =>
-            load.loadRegImmediate('E', this.memory.fetchByte(this.registers));
-        this.mainTable[0x26] = () =>
-            load.loadRegImmediate('H', this.memory.fetchByte(this.registers));
-        this.mainTable[0x2e] = () =>
-            load.loadRegImmediate('L', this.memory.fetchByte(this.registers));
-        this.mainTable[0x3e] = () =>
-            load.loadRegImmediate('A', this.memory.fetchByte(this.registers));
-        this.mainTable[0x36] = () => load.loadHLImmediate(this.memory.fetchByte(this.registers));
-
-        // Increments and decrements
-        this.mainTable[0x04] = () => this.instructions.arithmetic.incReg('B');
-        this.mainTable[0x0c] = () => this.instructions.arithmetic.incReg('C');
-        this.mainTable[0x14] = () => this.instructions.arithmetic.incReg('D');
-        this.mainTable[0x1c] = () => this.instructions.arithmetic.incReg('E');
-        this.mainTable[0x24] = () => this.instructions.arithmetic.incReg('H');
-        this.mainTable[0x2c] = () => this.instructions.arithmetic.incReg('L');
-        this.mainTable[0x3c] = () => this.instructions.arithmetic.incReg('A');
-        this.mainTable[0x34] = () => this.instructions.arithmetic.incHL();
-
-        this.mainTable[0x05] = () => this.instructions.arithmetic.decReg('B');
-        this.mainTable[0x0d] = () => this.instructions.arithmetic.decReg('C');
-        this.mainTable[0x15] = () => this.instructions.arithmetic.decReg('D');
-        this.mainTable[0x1d] = () => this.instructions.arithmetic.decReg('E');
-        this.mainTable[0x25] = () => this.instructions.arithmetic.decReg('H');
-        this.mainTable[0x2d] = () => this.instructions.arithmetic.decReg('L');
-        this.mainTable[0x3d] = () => this.instructions.arithmetic.decReg('A');
-        this.mainTable[0x35] = () => this.instructions.arithmetic.decHL();
-
-        // 16-bit arithmetic
-        this.mainTable[0x03] = () => {
-            this.registers.inc16('BC');
-            return 6;
-        };
-        this.mainTable[0x13] = () => {
-            this.registers.inc16('DE');
-            return 6;
-        };
-        this.mainTable[0x23] = () => {
-            this.registers.inc16('HL');
-            return 6;
-        };
-        this.mainTable[0x33] = () => {
-            this.registers.inc16('SP');
-            return 6;
-        };
-
-        this.mainTable[0x0b] = () => {
-            this.registers.dec16('BC');
-            return 6;
-        };
-        this.mainTable[0x1b] = () => {
-            this.registers.dec16('DE');
-            return 6;
-        };
-        this.mainTable[0x2b] = () => {
-            this.registers.dec16('HL');
-            return 6;
-        };
-        this.mainTable[0x3b] = () => {
-            this.registers.dec16('SP');
-            return 6;
-        };
-
-        // ADD HL, reg16
-        this.mainTable[0x09] = () => this.instructions.arithmetic.addHL(this.registers.getBC());
-        this.mainTable[0x19] = () => this.instructions.arithmetic.addHL(this.registers.getDE());
-        this.mainTable[0x29] = () => this.instructions.arithmetic.addHL(this.registers.getHL());
-        this.mainTable[0x39] = () => this.instructions.arithmetic.addHL(this.registers.get16('SP'));
-
-        // Immediate arithmetic - handlers return base cycles, we add fetch cycles
-        this.mainTable[0xc6] = () => {
-            this.instructions.arithmetic.addA(this.memory.fetchByte(this.registers));
-            return 7;
-        };
-        this.mainTable[0xce] = () => {
-            this.instructions.arithmetic.adcA(this.memory.fetchByte(this.registers));
-            return 7;
-        };
-        this.mainTable[0xd6] = () => {
-            this.instructions.arithmetic.subA(this.memory.fetchByte(this.registers));
-            return 7;
-        };
-        this.mainTable[0xde] = () => {
-            this.instructions.arithmetic.sbcA(this.memory.fetchByte(this.registers));
-            return 7;
-        };
-        this.mainTable[0xe6] = () => {
-            logical.andA(this.memory.fetchByte(this.registers));
-            return 7;
-        };
-        this.mainTable[0xee] = () => {
-            logical.xorA(this.memory.fetchByte(this.registers));
-            return 7;
-        };
-        this.mainTable[0xf6] = () => {
-            logical.orA(this.memory.fetchByte(this.registers));
-            return 7;
-        };
-        this.mainTable[0xfe] = () => {
-            this.instructions.arithmetic.cpA(this.memory.fetchByte(this.registers));
-            return 7;
-        };
-
-        // Jumps and calls
-        this.mainTable[0xc3] = () => jump.jump(this.memory.fetchWord(this.registers));
-        this.mainTable[0x18] = () => jump.jumpRelative(this.memory.fetchByte(this.registers));
-        this.mainTable[0xe9] = () => jump.jumpHL();
-        this.mainTable[0xcd] = () => jump.call(this.memory.fetchWord(this.registers));
-        this.mainTable[0xc9] = () => jump.ret();
-
-        // Conditional operations
-        this.addConditionalInstructions();
-
-        // Stack operations
-        this.mainTable[0xc5] = () => this.instructions.misc.push('BC');
-        this.mainTable[0xd5] = () => this.instructions.misc.push('DE');
-        this.mainTable[0xe5] = () => this.instructions.misc.push('HL');
-        this.mainTable[0xf5] = () => this.instructions.misc.push('AF');
-
-        this.mainTable[0xc1] = () => this.instructions.misc.pop('BC');
-        this.mainTable[0xd1] = () => this.instructions.misc.pop('DE');
-        this.mainTable[0xe1] = () => this.instructions.misc.pop('HL');
-        this.mainTable[0xf1] = () => this.instructions.misc.pop('AF');
-
-        // Rotates
-        this.mainTable[0x07] = () => bit.rlca();
-        this.mainTable[0x0f] = () => bit.rrca();
-        this.mainTable[0x17] = () => bit.rla();
-        this.mainTable[0x1f] = () => bit.rra();
-
-        // Misc operations
-        this.mainTable[0x37] = () => logical.scf();
-        this.mainTable[0x3f] = () => logical.ccf();
-        this.mainTable[0x27] = () => logical.daa();
-        this.mainTable[0x2f] = () => logical.cpl();
-
-        // Interrupt control
-        this.mainTable[0xf3] = cpu => this.instructions.misc.di(cpu);
-        this.mainTable[0xfb] = cpu => this.instructions.misc.ei(cpu);
-
-        // Exchange operations
-        this.mainTable[0x08] = () => this.instructions.misc.exAF();
-        this.mainTable[0xd9] = () => this.instructions.misc.exx();
-        this.mainTable[0xeb] = () => this.instructions.misc.exDEHL();
-        this.mainTable[0xe3] = () => this.instructions.misc.exSPHL();
-
-        // I/O
-        this.mainTable[0xdb] = () =>
-            this.instructions.misc.inAImmediate(this.memory.fetchByte(this.registers), this.io);
-        this.mainTable[0xd3] = () =>
-            this.instructions.misc.outAImmediate(this.memory.fetchByte(this.registers), this.io);
-
-        // Memory operations
-        this.addMemoryInstructions();
-
-        // RST instructions
-        this.addRSTInstructions();
-
-        // DJNZ
-        this.mainTable[0x10] = () => jump.djnz(this.memory.fetchByte(this.registers));
-
-        // LD SP, HL
-        this.mainTable[0xf9] = () => load.loadSPFromHL();
-
-        // Prefixed instructions
-        this.mainTable[0xcb] = cpu => this.executeCBInstruction(cpu);
-        this.mainTable[0xed] = cpu => this.executeEDInstruction(cpu);
-        this.mainTable[0xdd] = cpu => this.executeDDInstruction(cpu);
-        this.mainTable[0xfd] = cpu => this.executeFDInstruction(cpu);
-    }
+function ldBCFromA(d) {
+    return d.load.loadBCFromA();
+}
+
+function ldDEFromA(d) {
+    return d.load.loadDEFromA();
+}
+
+function ldAFromBC(d) {
+    return d.load.loadAFromBC();
+}
+
+function ldAFromDE(d) {
+    return d.load.loadAFromDE();
+}
+
+function ldAddressFromHL(d) {
+    return d.load.loadAddressFromHL(d.memory.fetchWord(d.registers));
+}
+
+function ldHLFromAddress(d) {
+    return d.load.loadHLFromAddress(d.memory.fetchWord(d.registers));
+}
+
+function ldAddressFromA(d) {
+    return d.load.loadAddressFromA(d.memory.fetchWord(d.registers));
+}
+
+function ldAFromAddress(d) {
+    return d.load.loadAFromAddress(d.memory.fetchWord(d.registers));
+}
+
+function incRp(d, op) {
+    const pair = RP[op >> 4];
+    d.registers.setPair(pair, d.registers.getPair(pair) + 1);
+    d.memory.internal(d.registers.getIR(), 2);
+    return 6;
+}
+
+function decRp(d, op) {
+    const pair = RP[op >> 4];
+    d.registers.setPair(pair, d.registers.getPair(pair) - 1);
+    d.memory.internal(d.registers.getIR(), 2);
+    return 6;
+}
+
+function addHLRp(d, op) {
+    return d.arithmetic.addHL(d.registers.getPair(RP[op >> 4]));
+}
 
-    addConditionalInstructions() {
-        const { jump } = this.instructions;
-
-        // Conditional jumps
-        this.mainTable[0xc2] = () =>
-            jump.jumpConditional('NZ', this.memory.fetchWord(this.registers));
-        this.mainTable[0xca] = () =>
-            jump.jumpConditional('Z', this.memory.fetchWord(this.registers));
-        this.mainTable[0xd2] = () =>
-            jump.jumpConditional('NC', this.memory.fetchWord(this.registers));
-        this.mainTable[0xda] = () =>
-            jump.jumpConditional('C', this.memory.fetchWord(this.registers));
-        this.mainTable[0xe2] = () =>
-            jump.jumpConditional('PO', this.memory.fetchWord(this.registers));
-        this.mainTable[0xea] = () =>
-            jump.jumpConditional('PE', this.memory.fetchWord(this.registers));
-        this.mainTable[0xf2] = () =>
-            jump.jumpConditional('P', this.memory.fetchWord(this.registers));
-        this.mainTable[0xfa] = () =>
-            jump.jumpConditional('M', this.memory.fetchWord(this.registers));
-
-        // Conditional relative jumps
-        this.mainTable[0x20] = () =>
-            jump.jumpRelativeConditional('NZ', this.memory.fetchByte(this.registers));
-        this.mainTable[0x28] = () =>
-            jump.jumpRelativeConditional('Z', this.memory.fetchByte(this.registers));
-        this.mainTable[0x30] = () =>
-            jump.jumpRelativeConditional('NC', this.memory.fetchByte(this.registers));
-        this.mainTable[0x38] = () =>
-            jump.jumpRelativeConditional('C', this.memory.fetchByte(this.registers));
-
-        // Conditional calls
-        this.mainTable[0xc4] = () =>
-            jump.callConditional('NZ', this.memory.fetchWord(this.registers));
-        this.mainTable[0xcc] = () =>
-            jump.callConditional('Z', this.memory.fetchWord(this.registers));
-        this.mainTable[0xd4] = () =>
-            jump.callConditional('NC', this.memory.fetchWord(this.registers));
-        this.mainTable[0xdc] = () =>
-            jump.callConditional('C', this.memory.fetchWord(this.registers));
-        this.mainTable[0xe4] = () =>
-            jump.callConditional('PO', this.memory.fetchWord(this.registers));
-        this.mainTable[0xec] = () =>
-            jump.callConditional('PE', this.memory.fetchWord(this.registers));
-        this.mainTable[0xf4] = () =>
-            jump.callConditional('P', this.memory.fetchWord(this.registers));
-        this.mainTable[0xfc] = () =>
-            jump.callConditional('M', this.memory.fetchWord(this.registers));
-
-        // Conditional returns
-        this.mainTable[0xc0] = () => jump.retConditional('NZ');
-        this.mainTable[0xc8] = () => jump.retConditional('Z');
-        this.mainTable[0xd0] = () => jump.retConditional('NC');
-        this.mainTable[0xd8] = () => jump.retConditional('C');
-        this.mainTable[0xe0] = () => jump.retConditional('PO');
-        this.mainTable[0xe8] = () => jump.retConditional('PE');
-        this.mainTable[0xf0] = () => jump.retConditional('P');
-        this.mainTable[0xf8] = () => jump.retConditional('M');
+function incR(d, op) {
+    return d.arithmetic.incReg(op >> 3);
+}
+
+function decR(d, op) {
+    return d.arithmetic.decReg(op >> 3);
+}
+
+function incHL(d) {
+    return d.arithmetic.incHL();
+}
+
+function decHL(d) {
+    return d.arithmetic.decHL();
+}
+
+function ldRImmediate(d, op) {
+    return d.load.loadRegImmediate(op >> 3, d.memory.fetchByte(d.registers));
+}
+
+function ldHLImmediate(d) {
+    return d.load.loadHLImmediate(d.memory.fetchByte(d.registers));
+}
+
+function rlca(d) {
+    return d.bit.rlca();
+}
+
+function rrca(d) {
+    return d.bit.rrca();
+}
+
+function rla(d) {
+    return d.bit.rla();
+}
+
+function rra(d) {
+    return d.bit.rra();
+}
+
+function exAF(d) {
+    return d.misc.exAF();
+}
+
+function djnz(d) {
+    d.memory.internal(d.registers.getIR(), 1);
+    return d.jump.djnz(d.memory.fetchByte(d.registers));
+}
+
+function jr(d) {
+    return d.jump.jumpRelative(d.memory.fetchByte(d.registers));
+}
+
+function jrCondition(d, op) {
+    // NZ, Z, NC and C only, in bits 3-4
+    return d.jump.jumpRelativeConditional((op >> 3) & 0x03, d.memory.fetchByte(d.registers));
+}
+
+function daa(d) {
+    return d.logical.daa();
+}
+
+function cpl(d) {
+    return d.logical.cpl();
+}
+
+function scf(d, op, cpu) {
+    return d.logical.scf(cpu);
+}
+
+function ccf(d, op, cpu) {
+    return d.logical.ccf(cpu);
+}
+
+function ldRR(d, op) {
+    return d.load.loadRegReg((op >> 3) & 0x07, op & 0x07);
+}
+
+function ldRFromHL(d, op) {
+    return d.load.loadRegFromHL((op >> 3) & 0x07);
+}
+
+function ldHLFromR(d, op) {
+    return d.load.loadHLFromReg(op & 0x07);
+}
+
+function halt(d, op, cpu) {
+    return d.misc.halt(cpu);
+}
+
+function aluR(d, op) {
+    alu(d, (op >> 3) & 0x07, d.registers.r8[op & 0x07]);
+    return 4;
+}
+
+function aluHL(d, op) {
+    alu(d, (op >> 3) & 0x07, d.memory.readByte(d.registers.getHL()));
+    return 7;
+}
+
+function aluImmediate(d, op) {
+    alu(d, (op >> 3) & 0x07, d.memory.fetchByte(d.registers));
+    return 7;
+}
+
+function retCondition(d, op) {
+    return d.jump.retConditional((op >> 3) & 0x07);
+}
+
+function jpCondition(d, op) {
+    return d.jump.jumpConditional((op >> 3) & 0x07, d.memory.fetchWord(d.registers));
+}
+
+function callCondition(d, op) {
+    return d.jump.callConditional((op >> 3) & 0x07, d.memory.fetchWord(d.registers));
+}
+
+function popRp(d, op) {
+    return d.misc.pop(RP2[(op >> 4) & 0x03]);
+}
+
+function pushRp(d, op) {
+    return d.misc.push(RP2[(op >> 4) & 0x03]);
+}
+
+function rst(d, op) {
+    return d.jump.rst(op & 0x38);
+}
+
+function jp(d) {
+    return d.jump.jump(d.memory.fetchWord(d.registers));
+}
+
+function call(d) {
+    return d.jump.call(d.memory.fetchWord(d.registers));
+}
+
+function ret(d) {
+    return d.jump.ret();
+}
+
+function jpHL(d) {
+    return d.jump.jumpHL();
+}
+
+function ldSPFromHL(d) {
+    return d.load.loadSPFromHL();
+}
+
+function exx(d) {
+    return d.misc.exx();
+}
+
+function exDEHL(d) {
+    return d.misc.exDEHL();
+}
+
+function exSPHL(d) {
+    return d.misc.exSPHL();
+}
+
+function outImmediate(d) {
+    return d.misc.outAImmediate(d.memory.fetchByte(d.registers), d.io);
+}
+
+function inImmediate(d) {
+    return d.misc.inAImmediate(d.memory.fetchByte(d.registers), d.io);
+}
+
+function di(d, op, cpu) {
+    return d.misc.di(cpu);
+}
+
+function ei(d, op, cpu) {
+    return d.misc.ei(cpu);
+}
+
+function prefixCB(d, op, cpu) {
+    return d.executeCBInstruction(cpu);
+}
+
+function prefixED(d, op, cpu) {
+    return d.executeEDInstruction(cpu);
+}
+
+function prefixDD(d, op, cpu) {
+    return d.executeDDInstruction(cpu);
+}
+
+function prefixFD(d, op, cpu) {
+    return d.executeFDInstruction(cpu);
+}
+
+function buildMainTable() {
+    const table = new Array(256);
+
+    // 0x00-0x3F: laid out in columns of the low 3 bits
+    for (let y = 0; y < 8; y++) {
+        const op = y << 3;
+        table[op | 0x04] = y === 6 ? incHL : incR;
+        table[op | 0x05] = y === 6 ? decHL : decR;
+        table[op | 0x06] = y === 6 ? ldHLImmediate : ldRImmediate;
+    }
+    for (let p = 0; p < 4; p++) {
+        const op = p << 4;
+        table[op | 0x01] = ldRpImmediate;
+        table[op | 0x03] = incRp;
+        table[op | 0x09] = addHLRp;
+        table[op | 0x0b] = decRp;
+    }
+    table[0x00] = nop;
+    table[0x08] = exAF;
+    table[0x10] = djnz;
+    table[0x18] = jr;
+    table[0x20] = table[0x28] = table[0x30] = table[0x38] = jrCondition;
+    table[0x02] = ldBCFromA;
+    table[0x12] = ldDEFromA;
+    table[0x22] = ldAddressFromHL;
+    table[0x32] = ldAddressFromA;
+    table[0x0a] = ldAFromBC;
+    table[0x1a] = ldAFromDE;
+    table[0x2a] = ldHLFromAddress;
+    table[0x3a] = ldAFromAddress;
+    table[0x07] = rlca;
+    table[0x0f] = rrca;
+    table[0x17] = rla;
+    table[0x1f] = rra;
+    table[0x27] = daa;
+    table[0x2f] = cpl;
+    table[0x37] = scf;
+    table[0x3f] = ccf;
+
+    // 0x40-0x7F: LD r,r' with HALT in place of LD (HL),(HL)
+    for (let op = 0x40; op < 0x80; op++) {
+        if ((op & 0x07) === 6) {
+            table[op] = ldRFromHL;
+        } else if ((op & 0x38) === 0x30) {
+            table[op] = ldHLFromR;
+        } else {
+            table[op] = ldRR;
+        }
     }
+    table[0x76] = halt;
 
-    addMemoryInstructions() {
-        const { load } = this.instructions;
-
-        this.mainTable[0x02] = () => load.loadBCFromA();
-        this.mainTable[0x12] = () => load.loadDEFromA();
-        this.mainTable[0x0a] = () => load.loadAFromBC();
-        this.mainTable[0x1a] = () => load.loadAFromDE();
-        this.mainTable[0x22] = () => load.loadAddressFromHL(this.memory.fetchWord(this.registers));
-        this.mainTable[0x2a] = () => load.loadHLFromAddress(this.memory.fetchWord(this.registers));
-        this.mainTable[0x32] = () => load.loadAddressFromA(this.memory.fetchWord(this.registers));
-        this.mainTable[0x3a] = () => load.loadAFromAddress(this.memory.fetchWord(this.registers));
-        this.mainTable[0x77] = () => load.loadHLFromReg('A');
-        this.mainTable[0x7e] = () => load.loadRegFromHL('A');
+    // 0x80-0xBF: ALU A,r
+    for (let op = 0x80; op < 0xc0; op++) {
+        table[op] = (op & 0x07) === 6 ? aluHL : aluR;
     }
 
-    addRSTInstructions() {
-        const { jump } = this.instructions;
-
-        this.mainTable[0xc7] = () => jump.rst(0x00);
-        this.mainTable[0xcf] = () => jump.rst(0x08);
-        this.mainTable[0xd7] = () => jump.rst(0x10);
-        this.mainTable[0xdf] = () => jump.rst(0x18);
-        this.mainTable[0xe7] = () => jump.rst(0x20);
-        this.mainTable[0xef] = () => jump.rst(0x28);
-        this.mainTable[0xf7] = () => jump.rst(0x30);
-        this.mainTable[0xff] = () => jump.rst(0x38);
+    // 0xC0-0xFF
+    for (let y = 0; y < 8; y++) {
+        const op = 0xc0 | (y << 3);
+        table[op] = retCondition;
+        table[op | 0x02] = jpCondition;
+        table[op | 0x04] = callCondition;
+        table[op | 0x06] = aluImmediate;
+        table[op | 0x07] = rst;
+    }
+    for (let p = 0; p < 4; p++) {
+        const op = 0xc0 | (p << 4);
+        table[op | 0x01] = popRp;
+        table[op | 0x05] = pushRp;
     }
+    table[0xc3] = jp;
+    table[0xc9] = ret;
+    table[0xcd] = call;
+    table[0xd3] = outImmediate;
+    table[0xd9] = exx;
+    table[0xdb] = inImmediate;
+    table[0xe3] = exSPHL;
+    table[0xe9] = jpHL;
+    table[0xeb] = exDEHL;
+    table[0xf3] = di;
+    table[0xf9] = ldSPFromHL;
+    table[0xfb] = ei;
+
+    // Prefixes
+    table[0xcb] = prefixCB;
+    table[0xdd] = prefixDD;
+    table[0xed] = prefixED;
+    table[0xfd] = prefixFD;
+
+    return table;
+}
+
+// CB table handlers
 
-    buildCBTable() {
-        const { bit } = this.instructions;
-        const regMap = ['B', 'C', 'D', 'E', 'H', 'L', null, 'A'];
-
-        // Build all CB instructions systematically
-        for (let opcode = 0x00; opcode <= 0xff; opcode++) {
-            const reg = regMap[opcode & 0x07];
-            const isHL = (opcode & 0x07) === 6;
-
-            if ((opcode & 0xc0) === 0x40) {
-                // BIT operations (0x40-0x7F)
-                const bitNum = (opcode >> 3) & 0x07;
-                if (isHL) {
-                    this.cbTable[opcode] = () => {
-                        return bit.bitTest(bitNum, this.memory.readByte(this.registers.getHL()), true);
-                    };
-                } else {
-                    this.cbTable[opcode] = () => {
-                        return bit.bitTest(bitNum, this.registers.get(reg), false);
-                    };
-                }
-            } else if ((opcode & 0xc0) === 0x80) {
-                // RES operations (0x80-0xBF)
-                const bitNum = (opcode >> 3) & 0x07;
-                if (isHL) {
-                    this.cbTable[opcode] = () => bit.resBitHL(bitNum);
-                } else {
-                    this.cbTable[opcode] = () => bit.resBitReg(bitNum, reg);
-                }
-            } else if ((opcode & 0xc0) === 0xc0) {
-                // SET operations (0xC0-0xFF)
-                const bitNum = (opcode >> 3) & 0x07;
-                if (isHL) {
-                    this.cbTable[opcode] = () => bit.setBitHL(bitNum);
-                } else {
-                    this.cbTable[opcode] = () => bit.setBitReg(bitNum, reg);
-                }
-            } else {
-                // Rotate/Shift operations (0x00-0x3F)
-                const operation = opcode & 0xf8;
-                let opName;
-
-                switch (operation) {
-                    case 0x00:
-                        opName = 'RLC';
-                        break;
-                    case 0x08:
-                        opName = 'RRC';
-                        break;
-                    case 0x10:
-                        opName = 'RL';
-                        break;
-                    case 0x18:
-                        opName = 'RR';
-                        break;
-                    case 0x20:
-                        opName = 'SLA';
-                        break;
-                    case 0x28:
-                        opName = 'SRA';
-                        break;
-                    case 0x30:
-                        opName = 'SLL';
-                        break;
-                    case 0x38:
-                        opName = 'SRL';
-                        break;
-                    default:
-                        continue;
-                }
-
-                if (isHL) {
-                    this.cbTable[opcode] = () => bit.processHL(opName);
-                } else {
-                    this.cbTable[opcode] = () => bit.processRegister(opName, reg);
-                }
-            }
+function rotateR(d, op) {
+    return d.bit.processRegister(op >> 3, op & 0x07);
+}
+
+function rotateHL(d, op) {
+    return d.bit.processHL(op >> 3);
+}
+
+function bitR(d, op) {
+    return d.bit.bitTest((op >> 3) & 0x07, d.registers.r8[op & 0x07], false);
+}
+
+function bitHL(d, op) {
+    return d.bit.bitTest((op >> 3) & 0x07, d.memory.readByte(d.registers.getHL()), true);
+}
+
+function resR(d, op) {
+    return d.bit.resBitReg((op >> 3) & 0x07, op & 0x07);
+}
+
+function resHL(d, op) {
+    return d.bit.resBitHL((op >> 3) & 0x07);
+}
+
+function setR(d, op) {
+    return d.bit.setBitReg((op >> 3) & 0x07, op & 0x07);
+}
+
+function setHL(d, op) {
+    return d.bit.setBitHL((op >> 3) & 0x07);
+}
+
+function buildCBTable() {
+    const table = new Array(256);
+    for (let op = 0; op < 256; op++) {
+        const isHL = (op & 0x07) === 6;
+        switch (op & 0xc0) {
+            case 0x00:
+                table[op] = isHL ? rotateHL : rotateR;
+                break;
+            case 0x40:
+                table[op] = isHL ? bitHL : bitR;
+                break;
+            case 0x80:
+                table[op] = isHL ? resHL : resR;
+                break;
+            default:
+                table[op] = isHL ? setHL : setR;
+                break;
         }
     }
+    return table;
+}
 
-    buildEDTable() {
-        const { extended } = this.instructions;
-
-        // Block operations
-        this.edTable[0xa0] = () => extended.ldi();
-        this.edTable[0xb0] = () => extended.ldir();
-        this.edTable[0xa8] = () => extended.ldd();
-        this.edTable[0xb8] = () => extended.lddr();
-        this.edTable[0xa1] = () => extended.cpi();
-        this.edTable[0xb1] = () => extended.cpir();
-        this.edTable[0xa9] = () => extended.cpd();
-        this.edTable[0xb9] = () => extended.cpdr();
-
-        // 16-bit arithmetic
-        this.edTable[0x42] = () => extended.sbcHL(this.registers.getBC());
-        this.edTable[0x52] = () => extended.sbcHL(this.registers.getDE());
-        this.edTable[0x62] = () => extended.sbcHL(this.registers.getHL());
-        this.edTable[0x72] = () => extended.sbcHL(this.registers.get16('SP'));
-
-        this.edTable[0x4a] = () => extended.adcHL(this.registers.getBC());
-        this.edTable[0x5a] = () => extended.adcHL(this.registers.getDE());
-        this.edTable[0x6a] = () => extended.adcHL(this.registers.getHL());
-        this.edTable[0x7a] = () => extended.adcHL(this.registers.get16('SP'));
-
-        // Decimal operations
-        this.edTable[0x6f] = () => extended.rld();
-        this.edTable[0x67] = () => extended.rrd();
-
-        // NEG
-        for (let i = 0x44; i <= 0x7c; i += 8) {
-            this.edTable[i] = () => this.instructions.arithmetic.neg();
-        }
+// ED table handlers
 
-        // I/O operations
-        const regMap = ['B', 'C', 'D', 'E', 'H', 'L', null, 'A'];
-        for (let i = 0; i < 8; i++) {
-            const reg = regMap[i];
-            if (reg) {
-                this.edTable[0x40 + (i << 3)] = () =>
-                    this.instructions.misc.inRegC(reg, this.io, this.flags);
-                this.edTable[0x41 + (i << 3)] = () => this.instructions.misc.outRegC(reg, this.io);
-            } else {
-                // Special case for F register
-                this.edTable[0x70] = () => this.instructions.misc.inRegC(null, this.io, this.flags);
-                this.edTable[0x71] = () => this.instructions.misc.outRegC(null, this.io);
-            }
-        }
+function edNop() {
+    // Undocumented ED instruction - acts as 2-byte NOP
+    return 8;
+}
 
-        // I/O block operations
-        this.edTable[0xa2] = () => extended.ini();
-        this.edTable[0xb2] = () => extended.inir();
-        this.edTable[0xa3] = () => extended.outi();
-        this.edTable[0xb3] = () => extended.otir();
-        this.edTable[0xaa] = () => extended.ind();
-        this.edTable[0xba] = () => extended.indr();
-        this.edTable[0xab] = () => extended.outd();
-        this.edTable[0xbb] = () => extended.otdr();
+function inRC(d, op) {
+    const reg = (op >> 3) & 0x07;
+    // ED 70 is IN F,(C), which only sets the flags
+    return d.misc.inRegC(reg === 6 ? null : reg, d.io, d.flags);
+}
 
-        // Interrupt mode
-        this.addInterruptModeInstructions();
+function outCR(d, op, cpu) {
+    const reg = (op >> 3) & 0x07;
+    // ED 71 is OUT (C),0, whose value depends on the silicon
+    return d.misc.outRegC(reg === 6 ? null : reg, d.io, cpu);
+}
 
-        // Return instructions
-        this.addEDReturnInstructions();
+function sbcHLRp(d, op) {
+    return d.extended.sbcHL(d.registers.getPair(RP[(op >> 4) & 0x03]));
+}
 
-        // 16-bit load operations
-        this.addED16BitLoads();
+function adcHLRp(d, op) {
+    return d.extended.adcHL(d.registers.getPair(RP[(op >> 4) & 0x03]));
+}
 
-        // Add undocumented ED instructions
-        this.addUndocumentedEDInstructions();
-    }
+function ldAddressFromRp(d, op) {
+    return d.load.loadAddressFromReg16(d.memory.fetchWord(d.registers), RP[(op >> 4) & 0x03]);
+}
 
-    addInterruptModeInstructions() {
-        // IM 0
-        this.edTable[0x46] =
-            this.edTable[0x4e] =
-            this.edTable[0x66] =
-            this.edTable[0x6e] =
-                cpu => this.instructions.misc.setInterruptMode(0, cpu);
-
-        // IM 1
-        this.edTable[0x56] = this.edTable[0x76] = cpu =>
-            this.instructions.misc.setInterruptMode(1, cpu);
-
-        // IM 2
-        this.edTable[0x5e] = this.edTable[0x7e] = cpu =>
-            this.instructions.misc.setInterruptMode(2, cpu);
-    }
+function ldRpFromAddress(d, op) {
+    return d.load.loadReg16FromAddress(RP[(op >> 4) & 0x03], d.memory.fetchWord(d.registers));
+}
 
-    addEDReturnInstructions() {
-        const { jump } = this.instructions;
-
-        // RETI
-        this.edTable[0x4d] = () => jump.reti();
-
-        // RETN
-        this.edTable[0x45] =
-            this.edTable[0x55] =
-            this.edTable[0x5d] =
-            this.edTable[0x65] =
-            this.edTable[0x6d] =
-            this.edTable[0x75] =
-            this.edTable[0x7d] =
-                cpu => this.instructions.jump.retn(cpu);
-    }
+function neg(d) {
+    return d.arithmetic.neg();
+}
 
-    addED16BitLoads() {
-        const { load } = this.instructions;
-
-        // LD (nn), reg16
-        this.edTable[0x43] = () =>
-            load.loadAddressFromReg16(this.memory.fetchWord(this.registers), 'BC');
-        this.edTable[0x53] = () =>
-            load.loadAddressFromReg16(this.memory.fetchWord(this.registers), 'DE');
-        this.edTable[0x63] = () =>
-            load.loadAddressFromReg16(this.memory.fetchWord(this.registers), 'HL');
-        this.edTable[0x73] = () =>
-            load.loadAddressFromReg16(this.memory.fetchWord(this.registers), 'SP');
-
-        // LD reg16, (nn)
-        this.edTable[0x4b] = () =>
-            load.loadReg16FromAddress('BC', this.memory.fetchWord(this.registers));
-        this.edTable[0x5b] = () =>
-            load.loadReg16FromAddress('DE', this.memory.fetchWord(this.registers));
-        this.edTable[0x6b] = () =>
-            load.loadReg16FromAddress('HL', this.memory.fetchWord(this.registers));
-        this.edTable[0x7b] = () =>
-            load.loadReg16FromAddress('SP', this.memory.fetchWord(this.registers));
-
-        // LD I/R operations
-        this.edTable[0x47] = () => load.loadIFromA();
-        this.edTable[0x4f] = () => load.loadRFromA();
-        this.edTable[0x57] = () => load.loadAFromI();
-        this.edTable[0x5f] = () => load.loadAFromR();
-    }
+function retn(d, op, cpu) {
+    return d.jump.retn(cpu);
+}
 
-    addUndocumentedEDInstructions() {
-        // Add all undocumented ED instructions as NOPs
-        const undocumentedOpcodes = [
-            // Row 0x0X - all undocumented
-            0x00, 0x01, 0x02, 0x03, 0x04, 0x05, 0x06, 0x07, 0x08, 0x09, 0x0a, 0x0b, 0x0c, 0x0d,
-            0x0e, 0x0f,
-            // Row 0x1X - all undocumented
-            0x10, 0x11, 0x12, 0x13, 0x14, 0x15, 0x16, 0x17, 0x18, 0x19, 0x1a, 0x1b, 0x1c, 0x1d,
-            0x1e, 0x1f,
-            // Row 0x2X - all undocumented
-            0x20, 0x21, 0x22, 0x23, 0x24, 0x25, 0x26, 0x27, 0x28, 0x29, 0x2a, 0x2b, 0x2c, 0x2d,
-            0x2e, 0x2f,
-            // Row 0x3X - all undocumented
-            0x30, 0x31, 0x32, 0x33, 0x34, 0x35, 0x36, 0x37, 0x38, 0x39, 0x3a, 0x3b, 0x3c, 0x3d,
-            0x3e, 0x3f,
-            // Additional undocumented opcodes
-            0x77, 0x7f,
-            // Row 0x8X - all undocumented
-            0x80, 0x81, 0x82, 0x83, 0x84, 0x85, 0x86, 0x87, 0x88, 0x89, 0x8a, 0x8b, 0x8c, 0x8d,
-            0x8e, 0x8f,
-            // Row 0x9X - all undocumented
-            0x90, 0x91, 0x92, 0x93, 0x94, 0x95, 0x96, 0x97, 0x98, 0x99, 0x9a, 0x9b, 0x9c, 0x9d,
-            0x9e, 0x9f,
-            // Row 0xAX gaps
-            0xa4, 0xa5, 0xa6, 0xa7, 0xac, 0xad, 0xae, 0xaf,
-            // Row 0xBX gaps
-            0xb4, 0xb5, 0xb6, 0xb7, 0xbc, 0xbd, 0xbe, 0xbf,
-            // Row 0xCX - all undocumented
-            0xc0, 0xc1, 0xc2, 0xc3, 0xc4, 0xc5, 0xc6, 0xc7, 0xc8, 0xc9, 0xca, 0xcb, 0xcc, 0xcd,
-            0xce, 0xcf,
-            // Row 0xDX - all undocumented
-            0xd0, 0xd1, 0xd2, 0xd3, 0xd4, 0xd5, 0xd6, 0xd7, 0xd8, 0xd9, 0xda, 0xdb, 0xdc, 0xdd,
-            0xde, 0xdf,
-            // Row 0xEX - all undocumented
-            0xe0, 0xe1, 0xe2, 0xe3, 0xe4, 0xe5, 0xe6, 0xe7, 0xe8, 0xe9, 0xea, 0xeb, 0xec, 0xed,
-            0xee, 0xef,
-            // Row 0xFX - all undocumented
-            0xf0, 0xf1, 0xf2, 0xf3, 0xf4, 0xf5, 0xf6, 0xf7, 0xf8, 0xf9, 0xfa, 0xfb, 0xfc, 0xfd,
-            0xfe, 0xff,
-        ];
-
-        // Add all undocumented opcodes as NOPs (they don't modify state)
-        undocumentedOpcodes.forEach(opcode => {
-            if (!this.edTable[opcode]) {
-                this.edTable[opcode] = _cpu => {
-                    // Undocumented ED instruction - acts as 2-byte NOP
-                    return 8; // Standard ED instruction timing
-                };
-            }
-        });
-    }
+function reti(d) {
+    return d.jump.reti();
+}
+
+// Interrupt mode of ED 46-7E, indexed by bits 3-4
+const IM_MODES = [0, 0, 1, 2];
+
+function im(d, op, cpu) {
+    return d.misc.setInterruptMode(IM_MODES[(op >> 3) & 0x03], cpu);
+}
+
+function ldIFromA(d) {
+    return d.load.loadIFromA();
+}
+
+function ldRFromA(d) {
+    return d.load.loadRFromA();
+}
+
+function ldAFromI(d) {
+    return d.load.loadAFromI();
+}
+
+function ldAFromR(d) {
+    return d.load.loadAFromR();
+}
+
+function rrd(d) {
+    return d.extended.rrd();
+}
+
+function rld(d) {
+    return d.extended.rld();
+}
+
+function ldi(d) {
+    return d.extended.ldi();
+}
+
+function cpi(d) {
+    return d.extended.cpi();
+}
+
+function ini(d) {
+    return d.extended.ini();
+}
+
+function outi(d) {
+    return d.extended.outi();
+}
+
+function ldd(d) {
+    return d.extended.ldd();
+}
+
+function cpd(d) {
+    return d.extended.cpd();
+}
 
-    buildDDTable() {
-        // DD prefix instructions for IX operations
-        this.buildIndexedTable('IX', this.ddTable);
+function ind(d) {
+    return d.extended.ind();
+}
+
+function outd(d) {
+    return d.extended.outd();
+}
+
+function ldir(d) {
+    return d.extended.ldir();
+}
+
+function cpir(d) {
+    return d.extended.cpir();
+}
+
+function inir(d) {
+    return d.extended.inir();
+}
+
+function otir(d) {
+    return d.extended.otir();
+}
+
+function lddr(d) {
+    return d.extended.lddr();
+}
+
+function cpdr(d) {
+    return d.extended.cpdr();
+}
+
+function indr(d) {
+    return d.extended.indr();
+}
+
+function otdr(d) {
+    return d.extended.otdr();
+}
+
+function buildEDTable() {
+    const table = new Array(256).fill(edNop);
+
+    for (let y = 0; y < 8; y++) {
+        const op = 0x40 | (y << 3);
+        table[op] = inRC;
+        table[op | 0x01] = outCR;
+        table[op | 0x02] = y & 1 ? adcHLRp : sbcHLRp;
+        table[op | 0x03] = y & 1 ? ldRpFromAddress : ldAddressFromRp;
+        table[op | 0x04] = neg;
+        table[op | 0x05] = retn;
+        table[op | 0x06] = im;
     }
+    table[0x4d] = reti;
+    table[0x47] = ldIFromA;
+    table[0x4f] = ldRFromA;
+    table[0x57] = ldAFromI;
+    table[0x5f] = ldAFromR;
+    table[0x67] = rrd;
+    table[0x6f] = rld;
+
+    // Block instructions
+    table[0xa0] = ldi;
+    table[0xa1] = cpi;
+    table[0xa2] = ini;
+    table[0xa3] = outi;
+    table[0xa8] = ldd;
+    table[0xa9] = cpd;
+    table[0xaa] = ind;
+    table[0xab] = outd;
+    table[0xb0] = ldir;
+    table[0xb1] = cpir;
+    table[0xb2] = inir;
+    table[0xb3] = otir;
+    table[0xb8] = lddr;
+    table[0xb9] = cpdr;
+    table[0xba] = indr;
+    table[0xbb] = otdr;
+
+    return table;
+}
 
-    buildFDTable() {
-        // FD prefix instructions for IY operations
-        this.buildIndexedTable('IY', this.fdTable);
+// DD/FD table handlers, called with the PAIRS index of IX or IY
+
+/**
+ * Read r of an undocumented DD/FD opcode, where H and L stand for the index register halves
+ */
+function getIndexOperand(d, pair, reg) {
+    if (reg === 4) {
+        return d.registers.getPair(pair) >> 8;
     }
+    if (reg === 5) {
+        return d.registers.getPair(pair) & 0xff;
+    }
+    return d.registers.r8[reg];
+}
 
-    buildIndexedTable(indexReg, table) {
-        const { indexed, load } = this.instructions;
-
-        // Basic IX/IY operations
-        table[0x21] = () =>
-            load.loadReg16Immediate(indexReg, this.memory.fetchWord(this.registers));
-        table[0x22] = () =>
-            load.loadAddressFromReg16(this.memory.fetchWord(this.registers), indexReg);
-        table[0x2a] = () =>
-            load.loadReg16FromAddress(indexReg, this.memory.fetchWord(this.registers));
-        table[0x23] = () => {
-            this.registers.inc16(indexReg);
-            return 10;
-        };
-        table[0x2b] = () => {
-            this.registers.dec16(indexReg);
-            return 10;
-        };
-
-        // ADD IX/IY, reg16
-        table[0x09] = () => indexed.addIndex(indexReg, this.registers.getBC());
-        table[0x19] = () => indexed.addIndex(indexReg, this.registers.getDE());
-        table[0x29] = () => indexed.addIndex(indexReg, this.registers.get16(indexReg));
-        table[0x39] = () => indexed.addIndex(indexReg, this.registers.get16('SP'));
-
-        // Indexed memory operations
-        table[0x7e] = () =>
-            indexed.loadRegFromIndexed('A', indexReg, this.memory.fetchByte(this.registers));
-        table[0x77] = () =>
-            indexed.loadIndexedFromReg(indexReg, this.memory.fetchByte(this.registers), 'A');
-        table[0x36] = () => {
-            const disp = this.memory.fetchByte(this.registers);
-            const value = this.memory.fetchByte(this.registers);
-            return indexed.loadIndexedImmediate(indexReg, disp, value);
-        };
-
-        // More indexed loads
-        this.addIndexedLoads(table, indexReg, indexed);
-
-        // Indexed arithmetic
-        this.addIndexedArithmetic(table, indexReg, indexed);
-
-        // Misc indexed operations
-        table[0xe9] = () => indexed.jumpIndexed(indexReg);
-        table[0xe3] = () => indexed.exchangeSPIndexed(indexReg);
-        table[0xe5] = () => indexed.pushIndexed(indexReg);
-        table[0xe1] = () => indexed.popIndexed(indexReg);
-
-        // CB prefix for indexed bit operations
-        table[0xcb] = _cpu => this.executeIndexedCBInstruction(_cpu, indexReg);
+/**
+ * Write r of an undocumented DD/FD opcode, where H and L stand for the index register halves
+ */
+function setIndexOperand(d, pair, reg, value) {
+    const index = d.registers.getPair(pair);
+    if (reg === 4) {
+        d.registers.setPair(pair, (value << 8) | (index & 0xff));
+    } else if (reg === 5) {
+        d.registers.setPair(pair, (index & 0xff00) | value);
+    } else {
+        d.registers.r8[reg] = value;
     }
+}
+
+function addIndexRp(d, op, cpu, pair) {
+    const source = RP[op >> 4];
+    // ADD IX,IX adds the index register to itself
+    return d.indexed.addIndex(pair, d.registers.getPair(source === HL ? pair : source));
+}
+
+function ldIndexImmediate(d, op, cpu, pair) {
+    return d.load.loadReg16Immediate(pair, d.memory.fetchWord(d.registers));
+}
+
+function ldAddressFromIndex(d, op, cpu, pair) {
+    return d.load.loadAddressFromReg16(d.memory.fetchWord(d.registers), pair);
+}
+
+function ldIndexFromAddress(d, op, cpu, pair) {
+    return d.load.loadReg16FromAddress(pair, d.memory.fetchWord(d.registers));
+}
+
+function incIndex(d, op, cpu, pair) {
+    d.registers.setPair(pair, d.registers.getPair(pair) + 1);
+    d.memory.internal(d.registers.getIR(), 2);
+    return 10;
+}
+
+function decIndex(d, op, cpu, pair) {
+    d.registers.setPair(pair, d.registers.getPair(pair) - 1);
+    d.memory.internal(d.registers.getIR(), 2);
+    return 10;
+}
 
-    addIndexedLoads(table, indexReg, indexed) {
-        const regMap = ['B', 'C', 'D', 'E', 'H', 'L', null, 'A'];
-
-        // LD reg, (IX/IY+d)
-        const loadOpcodes = [0x46, 0x4e, 0x56, 0x5e, 0x66, 0x6e, null, 0x7e];
-        for (let i = 0; i < loadOpcodes.length; i++) {
-            if (loadOpcodes[i] && regMap[i]) {
-                table[loadOpcodes[i]] = () => {
-                    const disp = this.memory.fetchByte(this.registers);
-                    return indexed.loadRegFromIndexed(regMap[i], indexReg, disp);
-                };
-            }
+function incIndexHalf(d, op, cpu, pair) {
+    const reg = op >> 3;
+    setIndexOperand(d, pair, reg, d.arithmetic.inc8(getIndexOperand(d, pair, reg)));
+    return 8;
+}
+
+function decIndexHalf(d, op, cpu, pair) {
+    const reg = op >> 3;
+    setIndexOperand(d, pair, reg, d.arithmetic.dec8(getIndexOperand(d, pair, reg)));
+    return 8;
+}
+
+function ldIndexHalfImmediate(d, op, cpu, pair) {
+    setIndexOperand(d, pair, op >> 3, d.memory.fetchByte(d.registers));
+    return 11;
+}
+
+function incIndexed(d, op, cpu, pair) {
+    return d.indexed.incIndexed(pair, d.memory.fetchByte(d.registers));
+}
+
+function decIndexed(d, op, cpu, pair) {
+    return d.indexed.decIndexed(pair, d.memory.fetchByte(d.registers));
+}
+
+function ldIndexedImmediate(d, op, cpu, pair) {
+    const disp = d.memory.fetchByte(d.registers);
+    const value = d.memory.fetchByte(d.registers);
+    return d.indexed.loadIndexedImmediate(pair, disp, value);
+}
+
+function ldIndexOperands(d, op, cpu, pair) {
+    setIndexOperand(d, pair, (op >> 3) & 0x07, getIndexOperand(d, pair, op & 0x07));
+    return 8;
+}
+
+function ldRFromIndexed(d, op, cpu, pair) {
+    return d.indexed.loadRegFromIndexed((op >> 3) & 0x07, pair, d.memory.fetchByte(d.registers));
+}
+
+function ldIndexedFromR(d, op, cpu, pair) {
+    return d.indexed.loadIndexedFromReg(pair, d.memory.fetchByte(d.registers), op & 0x07);
+}
+
+function aluIndexHalf(d, op, cpu, pair) {
+    alu(d, (op >> 3) & 0x07, getIndexOperand(d, pair, op & 0x07));
+    return 8;
+}
+
+function addAIndexed(d, op, cpu, pair) {
+    return d.indexed.addAIndexed(pair, d.memory.fetchByte(d.registers));
+}
+
+function adcAIndexed(d, op, cpu, pair) {
+    return d.indexed.adcAIndexed(pair, d.memory.fetchByte(d.registers));
+}
+
+function subAIndexed(d, op, cpu, pair) {
+    return d.indexed.subAIndexed(pair, d.memory.fetchByte(d.registers));
+}
+
+function sbcAIndexed(d, op, cpu, pair) {
+    return d.indexed.sbcAIndexed(pair, d.memory.fetchByte(d.registers));
+}
+
+function andAIndexed(d, op, cpu, pair) {
+    return d.indexed.andAIndexed(pair, d.memory.fetchByte(d.registers));
+}
+
+function xorAIndexed(d, op, cpu, pair) {
+    return d.indexed.xorAIndexed(pair, d.memory.fetchByte(d.registers));
+}
+
+function orAIndexed(d, op, cpu, pair) {
+    return d.indexed.orAIndexed(pair, d.memory.fetchByte(d.registers));
+}
+
+function cpAIndexed(d, op, cpu, pair) {
+    return d.indexed.cpAIndexed(pair, d.memory.fetchByte(d.registers));
+}
+
+function popIndex(d, op, cpu, pair) {
+    return d.indexed.popIndexed(pair);
+}
+
+function pushIndex(d, op, cpu, pair) {
+    return d.indexed.pushIndexed(pair);
+}
+
+function exSPIndex(d, op, cpu, pair) {
+    return d.indexed.exchangeSPIndexed(pair);
+}
+
+function jpIndex(d, op, cpu, pair) {
+    return d.indexed.jumpIndexed(pair);
+}
+
+function ldSPFromIndex(d, op, cpu, pair) {
+    return d.indexed.loadSPIndexed(pair);
+}
+
+function prefixIndexedCB(d, op, cpu, pair) {
+    return d.executeIndexedCBInstruction(cpu, pair);
+}
+
+/**
+ * DD/FD opcodes that use IX/IY, null for the ones that run as the unprefixed
+ * instruction after the 4 T-state prefix
+ */
+function buildIndexedTable() {
+    const table = new Array(256).fill(null);
+
+    for (let p = 0; p < 4; p++) {
+        table[(p << 4) | 0x09] = addIndexRp;
+    }
+    table[0x21] = ldIndexImmediate;
+    table[0x22] = ldAddressFromIndex;
+    table[0x2a] = ldIndexFromAddress;
+    table[0x23] = incIndex;
+    table[0x2b] = decIndex;
+    table[0x24] = table[0x2c] = incIndexHalf;
+    table[0x25] = table[0x2d] = decIndexHalf;
+    table[0x26] = table[0x2e] = ldIndexHalfImmediate;
+    table[0x34] = incIndexed;
+    table[0x35] = decIndexed;
+    table[0x36] = ldIndexedImmediate;
+
+    // 0x40-0x7F: (HL) becomes (IX/IY+d), H and L become the index register halves
+    // (undocumented) unless the other operand is (IX/IY+d)
+    for (let op = 0x40; op < 0x80; op++) {
+        const dest = (op >> 3) & 0x07;
+        const src = op & 0x07;
+        if (op === 0x76) {
+            continue;
+        }
+        if (src === 6) {
+            table[op] = ldRFromIndexed;
+        } else if (dest === 6) {
+            table[op] = ldIndexedFromR;
+        } else if (dest === 4 || dest === 5 || src === 4 || src === 5) {
+            table[op] = ldIndexOperands;
         }
+    }
 
-        // LD (IX/IY+d), reg
-        const storeOpcodes = [0x70, 0x71, 0x72, 0x73, 0x74, 0x75, null, 0x77];
-        for (let i = 0; i < storeOpcodes.length; i++) {
-            if (storeOpcodes[i] && regMap[i]) {
-                table[storeOpcodes[i]] = () => {
-                    const disp = this.memory.fetchByte(this.registers);
-                    return indexed.loadIndexedFromReg(indexReg, disp, regMap[i]);
-                };
-            }
+    // 0x80-0xBF: ALU A,(IX/IY+d) and A,IXH/IXL (undocumented)
+    for (let op = 0x80; op < 0xc0; op++) {
+        if ((op & 0x07) === 4 || (op & 0x07) === 5) {
+            table[op] = aluIndexHalf;
         }
     }
+    table[0x86] = addAIndexed;
+    table[0x8e] = adcAIndexed;
+    table[0x96] = subAIndexed;
+    table[0x9e] = sbcAIndexed;
+    table[0xa6] = andAIndexed;
+    table[0xae] = xorAIndexed;
+    table[0xb6] = orAIndexed;
+    table[0xbe] = cpAIndexed;
+
+    table[0xcb] = prefixIndexedCB;
+    table[0xe1] = popIndex;
+    table[0xe3] = exSPIndex;
+    table[0xe5] = pushIndex;
+    table[0xe9] = jpIndex;
+    table[0xf9] = ldSPFromIndex;
+
+    return table;
+}
+
+const MAIN_TABLE = buildMainTable();
+const CB_TABLE = buildCBTable();
+const ED_TABLE = buildEDTable();
+const INDEXED_TABLE = buildIndexedTable();
+
+class InstructionDecoder {
+    constructor(registers, flags, memory, io, instructions) {
+        this.registers = registers;
+        this.flags = flags;
+        this.memory = memory;
+        this.io = io;
+        this.instructions = instructions;
 
-    addIndexedArithmetic(table, indexReg, indexed) {
-        // Arithmetic with (IX/IY+d)
-        table[0x86] = () => indexed.addAIndexed(indexReg, this.memory.fetchByte(this.registers));
-        table[0x8e] = () => indexed.adcAIndexed(indexReg, this.memory.fetchByte(this.registers));
-        table[0x96] = () => indexed.subAIndexed(indexReg, this.memory.fetchByte(this.registers));
-        table[0x9e] = () => indexed.sbcAIndexed(indexReg, this.memory.fetchByte(this.registers));
-        table[0xa6] = () => indexed.andAIndexed(indexReg, this.memory.fetchByte(this.registers));
-        table[0xae] = () => indexed.xorAIndexed(indexReg, this.memory.fetchByte(this.registers));
-        table[0xb6] = () => indexed.orAIndexed(indexReg, this.memory.fetchByte(this.registers));
-        table[0xbe] = () => indexed.cpAIndexed(indexReg, this.memory.fetchByte(this.registers));
-
-        // INC/DEC (IX/IY+d)
-        table[0x34] = () => indexed.incIndexed(indexReg, this.memory.fetchByte(this.registers));
-        table[0x35] = () => indexed.decIndexed(indexReg, this.memory.fetchByte(this.registers));
+        // Instruction groups the handlers call into
+        this.arithmetic = instructions.arithmetic;
+        this.logical = instructions.logical;
+        this.load = instructions.load;
+        this.jump = instructions.jump;
+        this.bit = instructions.bit;
+        this.misc = instructions.misc;
+        this.extended = instructions.extended;
+        this.indexed = instructions.indexed;
     }
 
     // Main instruction execution
     execute(opcode, cpu = null) {
-        const handler = this.mainTable[opcode];
-        if (handler) {
-            return handler(cpu);
-        } else {
-            console.warn(
-                `Unimplemented opcode: 0x${opcode.toString(16).padStart(2, '0')} at PC: 0x${(this.registers.getPC() - 1).toString(16).padStart(4, '0')}`
-            );
-            return 4; // Default cycles
-        }
+        return MAIN_TABLE[opcode](this, opcode, cpu);
     }
 
     // Prefixed instruction handlers
     executeCBInstruction() {
         this.registers.incrementR();
-        const cbOpcode = this.memory.fetchByte(this.registers);
-
-        const handler = this.cbTable[cbOpcode];
-        if (handler) {
-            return 4 + handler(); // 4 cycles for CB prefix + instruction cycles
-        } else {
-            console.warn(`Unimplemented CB opcode: 0x${cbOpcode.toString(16).padStart(2, '0')}`);
-            return 8;
-        }
+        const cbOpcode = this.memory.fetchOpcode(this.registers);
+        return CB_TABLE[cbOpcode](this, cbOpcode);
     }
 
     executeEDInstruction(cpu) {
         this.registers.incrementR();
-        const edOpcode = this.memory.fetchByte(this.registers);
-
-        const handler = this.edTable[edOpcode];
-        if (handler) {
-            return 4 + handler(cpu); // 4 cycles for ED prefix + instruction cycles
-        } else {
-            // Many ED opcodes act as NOPs
-            return 8;
-        }
+        const edOpcode = this.memory.fetchOpcode(this.registers);
+        return ED_TABLE[edOpcode](this, edOpcode, cpu);
     }
 
     executeDDInstruction(cpu) {
-        const ddOpcode = this.memory.fetchByte(this.registers);
-
-        const handler = this.ddTable[ddOpcode];
-        if (handler) {
-            this.registers.incrementR(); // Only increment R if we handle the instruction
-            return 4 + handler(cpu); // 4 cycles for DD prefix + instruction cycles
-        } else {
-            // Handle undocumented IXH/IXL opcodes
-            switch (ddOpcode) {
-                // LD reg,IXH
-                case 0x44: this.registers.set('B', this.registers.getIXH()); return 8;
-                case 0x4C: this.registers.set('C', this.registers.getIXH()); return 8;
-                case 0x54: this.registers.set('D', this.registers.getIXH()); return 8;
-                case 0x5C: this.registers.set('E', this.registers.getIXH()); return 8;
-                case 0x7C: this.registers.set('A', this.registers.getIXH()); return 8;
-                
-                // LD reg,IXL
-                case 0x45: this.registers.set('B', this.registers.getIXL()); return 8;
-                case 0x4D: this.registers.set('C', this.registers.getIXL()); return 8;
-                case 0x55: this.registers.set('D', this.registers.getIXL()); return 8;
-                case 0x5D: this.registers.set('E', this.registers.getIXL()); return 8;
-                case 0x7D: this.registers.set('A', this.registers.getIXL()); return 8;
-                
-                // LD IXH,reg
-                case 0x60: this.registers.setIXH(this.registers.get('B')); return 8;
-                case 0x61: this.registers.setIXH(this.registers.get('C')); return 8;
-                case 0x62: this.registers.setIXH(this.registers.get('D')); return 8;
-                case 0x63: this.registers.setIXH(this.registers.get('E')); return 8;
-                case 0x67: this.registers.setIXH(this.registers.get('A')); return 8;
-                
-                // LD IXL,reg
-                case 0x68: this.registers.setIXL(this.registers.get('B')); return 8;
-                case 0x69: this.registers.setIXL(this.registers.get('C')); return 8;
-                case 0x6A: this.registers.setIXL(this.registers.get('D')); return 8;
-                case 0x6B: this.registers.setIXL(this.registers.get('E')); return 8;
-                case 0x6F: this.registers.setIXL(this.registers.get('A')); return 8;
-                
-                // LD IXH,IXH / LD IXL,IXL (NOPs effectively)
-                case 0x64: return 8; // LD IXH,IXH
-                case 0x6D: return 8; // LD IXL,IXL
-                
-                // LD IXH,IXL / LD IXL,IXH
-                case 0x65: this.registers.setIXH(this.registers.getIXL()); return 8;
-                case 0x6C: this.registers.setIXL(this.registers.getIXH()); return 8;
-                
-                // Arithmetic with IXH
-                case 0x84: this.instructions.arithmetic.addA(this.registers.getIXH()); return 8;
-                case 0x85: this.instructions.arithmetic.addA(this.registers.getIXL()); return 8;
-                case 0x8C: this.instructions.arithmetic.adcA(this.registers.getIXH()); return 8;
-                case 0x8D: this.instructions.arithmetic.adcA(this.registers.getIXL()); return 8;
-                case 0x94: this.instructions.arithmetic.subA(this.registers.getIXH()); return 8;
-                case 0x95: this.instructions.arithmetic.subA(this.registers.getIXL()); return 8;
-                case 0x9C: this.instructions.arithmetic.sbcA(this.registers.getIXH()); return 8;
-                case 0x9D: this.instructions.arithmetic.sbcA(this.registers.getIXL()); return 8;
-                
-                // Logical with IXH/IXL
-                case 0xA4: this.instructions.logical.andA(this.registers.getIXH()); return 8;
-                case 0xA5: this.instructions.logical.andA(this.registers.getIXL()); return 8;
-                case 0xAC: this.instructions.logical.xorA(this.registers.getIXH()); return 8;
-                case 0xAD: this.instructions.logical.xorA(this.registers.getIXL()); return 8;
-                case 0xB4: this.instructions.logical.orA(this.registers.getIXH()); return 8;
-                case 0xB5: this.instructions.logical.orA(this.registers.getIXL()); return 8;
-                case 0xBC: this.instructions.arithmetic.cpA(this.registers.getIXH()); return 8;
-                case 0xBD: this.instructions.arithmetic.cpA(this.registers.getIXL()); return 8;
-                
-                // INC/DEC IXH/IXL
-                case 0x24: {
-                    const result = this.instructions.arithmetic.inc8(this.registers.getIXH());
-                    this.registers.setIXH(result);
-                    return 8;
-                }
-                case 0x25: {
-                    const result = this.instructions.arithmetic.dec8(this.registers.getIXH());
-                    this.registers.setIXH(result);
-                    return 8;
-                }
-                case 0x2C: {
-                    const result = this.instructions.arithmetic.inc8(this.registers.getIXL());
-                    this.registers.setIXL(result);
-                    return 8;
-                }
-                case 0x2D: {
-                    const result = this.instructions.arithmetic.dec8(this.registers.getIXL());
-                    this.registers.setIXL(result);
-                    return 8;
-                }
-                
-                // LD IXH/IXL,n
-                case 0x26: this.registers.setIXH(this.memory.fetchByte(this.registers)); return 11;
-                case 0x2E: this.registers.setIXL(this.memory.fetchByte(this.registers)); return 11;
-                
-                default:
-                    // If no DD handler, execute as normal instruction WITHOUT the prefix
-                    // Don't increment R again since main execute will do it
-                    return this.execute(ddOpcode, cpu);
-            }
-        }
+        return this.executeIndexedInstruction(cpu, IX);
     }
 
     executeFDInstruction(cpu) {
-        const fdOpcode = this.memory.fetchByte(this.registers);
+        return this.executeIndexedInstruction(cpu, IY);
+    }
 
-        const handler = this.fdTable[fdOpcode];
-        if (handler) {
-            this.registers.incrementR(); // Only increment R if we handle the instruction
-            return 4 + handler(cpu); // 4 cycles for FD prefix + instruction cycles
-        } else {
-            // Handle undocumented IYH/IYL opcodes
-            switch (fdOpcode) {
-                // LD reg,IYH
-                case 0x44: this.registers.set('B', this.registers.getIYH()); return 8;
-                case 0x4C: this.registers.set('C', this.registers.getIYH()); return 8;
-                case 0x54: this.registers.set('D', this.registers.getIYH()); return 8;
-                case 0x5C: this.registers.set('E', this.registers.getIYH()); return 8;
-                case 0x7C: this.registers.set('A', this.registers.getIYH()); return 8;
-                
-                // LD reg,IYL
-                case 0x45: this.registers.set('B', this.registers.getIYL()); return 8;
-                case 0x4D: this.registers.set('C', this.registers.getIYL()); return 8;
-                case 0x55: this.registers.set('D', this.registers.getIYL()); return 8;
-                case 0x5D: this.registers.set('E', this.registers.getIYL()); return 8;
-                case 0x7D: this.registers.set('A', this.registers.getIYL()); return 8;
-                
-                // LD IYH,reg
-                case 0x60: this.registers.setIYH(this.registers.get('B')); return 8;
-                case 0x61: this.registers.setIYH(this.registers.get('C')); return 8;
-                case 0x62: this.registers.setIYH(this.registers.get('D')); return 8;
-                case 0x63: this.registers.setIYH(this.registers.get('E')); return 8;
-                case 0x67: this.registers.setIYH(this.registers.get('A')); return 8;
-                
-                // LD IYL,reg
-                case 0x68: this.registers.setIYL(this.registers.get('B')); return 8;
-                case 0x69: this.registers.setIYL(this.registers.get('C')); return 8;
-                case 0x6A: this.registers.setIYL(this.registers.get('D')); return 8;
-                case 0x6B: this.registers.setIYL(this.registers.get('E')); return 8;
-                case 0x6F: this.registers.setIYL(this.registers.get('A')); return 8;
-                
-                // LD IYH,IYH / LD IYL,IYL (NOPs effectively)
-                case 0x64: return 8; // LD IYH,IYH
-                case 0x6D: return 8; // LD IYL,IYL
-                
-                // LD IYH,IYL / LD IYL,IYH
-                case 0x65: this.registers.setIYH(this.registers.getIYL()); return 8;
-                case 0x6C: this.registers.setIYL(this.registers.getIYH()); return 8;
-                
-                // Arithmetic with IYH
-                case 0x84: this.instructions.arithmetic.addA(this.registers.getIYH()); return 8;
-                case 0x85: this.instructions.arithmetic.addA(this.registers.getIYL()); return 8;
-                case 0x8C: this.instructions.arithmetic.adcA(this.registers.getIYH()); return 8;
-                case 0x8D: this.instructions.arithmetic.adcA(this.registers.getIYL()); return 8;
-                case 0x94: this.instructions.arithmetic.subA(this.registers.getIYH()); return 8;
-                case 0x95: this.instructions.arithmetic.subA(this.registers.getIYL()); return 8;
-                case 0x9C: this.instructions.arithmetic.sbcA(this.registers.getIYH()); return 8;
-                case 0x9D: this.instructions.arithmetic.sbcA(this.registers.getIYL()); return 8;
-                
-                // Logical with IYH/IYL
-                case 0xA4: this.instructions.logical.andA(this.registers.getIYH()); return 8;
-                case 0xA5: this.instructions.logical.andA(this.registers.getIYL()); return 8;
-                case 0xAC: this.instructions.logical.xorA(this.registers.getIYH()); return 8;
-                case 0xAD: this.instructions.logical.xorA(this.registers.getIYL()); return 8;
-                case 0xB4: this.instructions.logical.orA(this.registers.getIYH()); return 8;
-                case 0xB5: this.instructions.logical.orA(this.registers.getIYL()); return 8;
-                case 0xBC: this.instructions.arithmetic.cpA(this.registers.getIYH()); return 8;
-                case 0xBD: this.instructions.arithmetic.cpA(this.registers.getIYL()); return 8;
-                
-                // INC/DEC IYH/IYL
-                case 0x24: {
-                    const result = this.instructions.arithmetic.inc8(this.registers.getIYH());
-                    this.registers.setIYH(result);
-                    return 8;
-                }
-                case 0x25: {
-                    const result = this.instructions.arithmetic.dec8(this.registers.getIYH());
-                    this.registers.setIYH(result);
-                    return 8;
-                }
-                case 0x2C: {
-                    const result = this.instructions.arithmetic.inc8(this.registers.getIYL());
-                    this.registers.setIYL(result);
-                    return 8;
-                }
-                case 0x2D: {
-                    const result = this.instructions.arithmetic.dec8(this.registers.getIYL());
-                    this.registers.setIYL(result);
-                    return 8;
-                }
-                
-                // LD IYH/IYL,n
-                case 0x26: this.registers.setIYH(this.memory.fetchByte(this.registers)); return 11;
-                case 0x2E: this.registers.setIYL(this.memory.fetchByte(this.registers)); return 11;
-                
-                default:
-                    // If no FD handler, execute as normal instruction WITHOUT the prefix
-                    // Don't increment R again since main execute will do it
-                    return this.execute(fdOpcode, cpu);
-            }
+    executeIndexedInstruction(cpu, pair) {
+        const opcode = this.memory.fetchOpcode(this.registers);
+        this.registers.incrementR();
+
+        const handler = INDEXED_TABLE[opcode];
+        if (handler !== null) {
+            return handler(this, opcode, cpu, pair);
         }
+        // If no DD/FD handler, execute as normal instruction after the 4 T-state prefix
+        return 4 + this.execute(opcode, cpu);
     }
 
-    executeIndexedCBInstruction(_cpu, indexReg) {
-        this.registers.incrementR();
+    executeIndexedCBInstruction(_cpu, pair) {
+        // The displacement and opcode are read as data, so R only counts the two prefixes
         const displacement = this.memory.fetchByte(this.registers);
         const cbOpcode = this.memory.fetchByte(this.registers);
 
-        return 4 + this.instructions.indexed.processIndexedCB(indexReg, displacement, cbOpcode);
+        return this.indexed.processIndexedCB(pair, displacement, cbOpcode);
     }
 }
 
@@ -1,11 +1,13 @@
+import { MASKS, SZ53 } from '../core/flags.js';
+
 /**
  * ArithmeticInstructions – fixed version
  * Implements ADD, SUB, ADC, SBC, INC, DEC, CP, ADD HL, NEG
  * ------------------------------------------------------------------
  * Fixes applied :
- *  1. **Overflow flag preservation** – `updateFlags()` is called, then
- *     the pre-computed overflow bit is restored so parity logic inside
- *     `updateFlags()` cannot overwrite it.
+ *  1. **Overflow flag preservation** – the 8-bit ALU operations build
+ *     F in one go from the SZ53 table and the computed H, P/V and C
+ *     bits, so no parity logic can overwrite the overflow bit.
  *  2. **Accurate timing** – every public method now accepts an optional
  *     `cycles` argument.  It defaults to 4 T (the register-to-register
  *     form) but the caller can supply **7 T** or **11 T** for immediate
@@ -35,28 +37,15 @@ class ArithmeticInstructions {
      * @param {number} cycles T-states to report (default 4)
      */
     addA(value, cycles = 4) {
-        const a         = this.registers.get('A');
-        const result    = a + value;
-        const halfCarry = (a & 0x0f) + (value & 0x0f) > 0x0f;
-        const carry     = result > 0xff;
-
-        let f = this.registers.get('F');
-        f = this.flags.setFlag(f, this.flags.masks.C, carry);
-        f = this.flags.setFlag(f, this.flags.masks.H, halfCarry);
-        f = this.flags.setFlag(f, this.flags.masks.N, false);
-
-        // overflow when operands have same sign, result has opposite
-        const overflow = ((a ^ value) & 0x80) === 0 &&
-                         ((a ^ result) & 0x80) !== 0;
-
-        // Update S,Z,F5,F3 (and possibly PV) from result
-        f = this.flags.updateFlags(f, result & 0xff);
+        const a      = this.registers.a;
+        const result = a + value;
 
-        // restore correct overflow
-        f = this.flags.setFlag(f, this.flags.masks.PV, overflow);
-
-        this.registers.set('A', result & 0xff);
-        this.registers.set('F', f);
+        // H from bit 4 of a ^ value ^ result, overflow when operands have same sign and result has opposite
+        this.registers.a = result & 0xff;
+        this.registers.f = SZ53[result & 0xff] |
+                           (result >> 8) |
+                           ((a ^ value ^ result) & MASKS.H) |
+                           ((~(a ^ value) & (a ^ result) & 0x80) >> 5);
 
         return cycles;
     }
@@ -65,24 +54,15 @@ class ArithmeticInstructions {
      * SUB A, value
      */
     subA(value, cycles = 4) {
-        const a          = this.registers.get('A');
-        const result     = a - value;
-        const halfBorrow = (a & 0x0f) - (value & 0x0f) < 0;
-        const borrow     = result < 0;
-
-        let f = this.registers.get('F');
-        f = this.flags.setFlag(f, this.flags.masks.C, borrow);
-        f = this.flags.setFlag(f, this.flags.masks.H, halfBorrow);
-        f = this.flags.setFlag(f, this.flags.masks.N, true);
-
-        const overflow = ((a ^ value) & 0x80) !== 0 &&
-                         ((a ^ result) & 0x80) !== 0;
-
-        f = this.flags.updateFlags(f, result & 0xff, 'subtract');
-        f = this.flags.setFlag(f, this.flags.masks.PV, overflow);
+        const a      = this.registers.a;
+        const result = a - value;
 
-        this.registers.set('A', result & 0xff);
-        this.registers.set('F', f);
+        this.registers.a = result & 0xff;
+        this.registers.f = SZ53[result & 0xff] |
+                           ((result >> 8) & MASKS.C) |
+                           MASKS.N |
+                           ((a ^ value ^ result) & MASKS.H) |
+                           (((a ^ value) & (a ^ result) & 0x80) >> 5);
 
         return cycles;
     }
@@ -91,27 +71,14 @@ class ArithmeticInstructions {
      * ADC A, value (Add with Carry)
      */
     adcA(value, cycles = 4) {
-        const a      = this.registers.get('A');
-        const carry  = this.flags.getFlag(this.registers.get('F'),
-                                          this.flags.masks.C) ? 1 : 0;
+        const a      = this.registers.a;
+        const result = a + value + (this.registers.f & MASKS.C);
 
-        const result    = a + value + carry;
-        const halfCarry = (a & 0x0f) + (value & 0x0f) + carry > 0x0f;
-        const carryOut  = result > 0xff;
-
-        let f = this.registers.get('F');
-        f = this.flags.setFlag(f, this.flags.masks.C, carryOut);
-        f = this.flags.setFlag(f, this.flags.masks.H, halfCarry);
-        f = this.flags.setFlag(f, this.flags.masks.N, false);
-
-        const overflow = ((a ^ value) & 0x80) === 0 &&
-                         ((a ^ result) & 0x80) !== 0;
-
-        f = this.flags.updateFlags(f, result & 0xff);
-        f = this.flags.setFlag(f, this.flags.masks.PV, overflow);
-
-        this.registers.set('A', result & 0xff);
-        this.registers.set('F', f);
+        this.registers.a = result & 0xff;
+        this.registers.f = SZ53[result & 0xff] |
+                           (result >> 8) |
+                           ((a ^ value ^ result) & MASKS.H) |
+                           ((~(a ^ value) & (a ^ result) & 0x80) >> 5);
 
         return cycles;
     }
@@ -120,27 +87,15 @@ class ArithmeticInstructions {
      * SBC A, value (Subtract with Carry)
      */
     sbcA(value, cycles = 4) {
-        const a      = this.registers.get('A');
-        const carry  = this.flags.getFlag(this.registers.get('F'),
-                                          this.flags.masks.C) ? 1 : 0;
-
-        const result     = a - value - carry;
-        const halfBorrow = (a & 0x0f) - (value & 0x0f) - carry < 0;
-        const borrow     = result < 0;
-
-        let f = this.registers.get('F');
-        f = this.flags.setFlag(f, this.flags.masks.C, borrow);
-        f = this.flags.setFlag(f, this.flags.masks.H, halfBorrow);
-        f = this.flags.setFlag(f, this.flags.masks.N, true);
-
-        const overflow = ((a ^ value) & 0x80) !== 0 &&
-                         ((a ^ result) & 0x80) !== 0;
+        const a      = this.registers.a;
+        const result = a - value - (this.registers.f & MASKS.C);
 
-        f = this.flags.updateFlags(f, result & 0xff, 'subtract');
-        f = this.flags.setFlag(f, this.flags.masks.PV, overflow);
-
-        this.registers.set('A', result & 0xff);
-        this.registers.set('F', f);
+        this.registers.a = result & 0xff;
+        this.registers.f = SZ53[result & 0xff] |
+                           ((result >> 8) & MASKS.C) |
+                           MASKS.N |
+                           ((a ^ value ^ result) & MASKS.H) |
+                           (((a ^ value) & (a ^ result) & 0x80) >> 5);
 
         return cycles;
     }
@@ -149,28 +104,17 @@ class ArithmeticInstructions {
      * CP value  (Compare with A)
      */
     cpA(value, cycles = 4) {
-        const a          = this.registers.get('A');
-        const result     = a - value;
-        const halfBorrow = (a & 0x0f) - (value & 0x0f) < 0;
-        const borrow     = result < 0;
-        const temp       = result & 0xff;
-
-        let f = this.registers.get('F');
-        f = this.flags.setFlag(f, this.flags.masks.C, borrow);
-        f = this.flags.setFlag(f, this.flags.masks.H, halfBorrow);
-        f = this.flags.setFlag(f, this.flags.masks.N, true);
-        f = this.flags.setFlag(f, this.flags.masks.S, (temp & 0x80) !== 0);
-        f = this.flags.setFlag(f, this.flags.masks.Z, temp === 0);
-
-        const overflow = ((a ^ value) & 0x80) !== 0 &&
-                         ((a ^ temp)  & 0x80) !== 0;
-        f = this.flags.setFlag(f, this.flags.masks.PV, overflow);
+        const a      = this.registers.a;
+        const result = a - value;
 
         // undocumented bits from *operand*
-        f = this.flags.setFlag(f, this.flags.masks.F5, (value & 0x20) !== 0);
-        f = this.flags.setFlag(f, this.flags.masks.F3, (value & 0x08) !== 0);
+        this.registers.f = (SZ53[result & 0xff] & ~(MASKS.F5 | MASKS.F3)) |
+                           (value & (MASKS.F5 | MASKS.F3)) |
+                           ((result >> 8) & MASKS.C) |
+                           MASKS.N |
+                           ((a ^ value ^ result) & MASKS.H) |
+                           (((a ^ value) & (a ^ result) & 0x80) >> 5);
 
-        this.registers.set('F', f);
         return cycles;
     }
 
@@ -178,28 +122,40 @@ class ArithmeticInstructions {
      * INC / DEC single-register helpers
      * ----------------------------------------------------------- */
 
-    incReg(regName, cycles = 4) {
-        const before = this.registers.get(regName);
-        const after  = (before + 1) & 0xff;
+    incReg(reg, cycles = 4) {
+        const r8 = this.registers.r8;
+        r8[reg] = this.inc8(r8[reg]);
+        return cycles;
+    }
 
-        this.registers.set(regName, after);
-        const f = this.flags.updateIncFlags(
-            this.registers.get('F'), before, after
-        );
-        this.registers.set('F', f);
+    decReg(reg, cycles = 4) {
+        const r8 = this.registers.r8;
+        r8[reg] = this.dec8(r8[reg]);
         return cycles;
     }
 
-    decReg(regName, cycles = 4) {
-        const before = this.registers.get(regName);
-        const after  = (before - 1) & 0xff;
+    /**
+     * INC of an 8-bit value, also used for IXH, IXL, IYH and IYL
+     * @param {number} before 8-bit operand
+     * @returns {number} Incremented value, with the flags updated
+     */
+    inc8(before) {
+        const after = (before + 1) & 0xff;
+        const f = this.flags.updateIncFlags(this.registers.f, before, after);
+        this.registers.f = f;
+        return after;
+    }
 
-        this.registers.set(regName, after);
-        const f = this.flags.updateDecFlags(
-            this.registers.get('F'), before, after
-        );
-        this.registers.set('F', f);
-        return cycles;
+    /**
+     * DEC counterpart of inc8
+     * @param {number} before 8-bit operand
+     * @returns {number} Decremented value, with the flags updated
+     */
+    dec8(before) {
+        const after = (before - 1) & 0xff;
+        const f = this.flags.updateDecFlags(this.registers.f, before, after);
+        this.registers.f = f;
+        return after;
     }
 
     /* -------------------------------------------------------------
@@ -211,12 +167,11 @@ class ArithmeticInstructions {
         const before = this.memory.readByte(addr);
         const after  = (before + 1) & 0xff;
 
+        this.memory.internal(addr, 1);
         this.memory.writeByte(addr, after);
 
-        const f = this.flags.updateIncFlags(
-            this.registers.get('F'), before, after
-        );
-        this.registers.set('F', f);
+        const f = this.flags.updateIncFlags(this.registers.f, before, after);
+        this.registers.f = f;
         return cycles;
     }
 
@@ -225,12 +180,11 @@ class ArithmeticInstructions {
         const before = this.memory.readByte(addr);
         const after  = (before - 1) & 0xff;
 
+        this.memory.internal(addr, 1);
         this.memory.writeByte(addr, after);
 
-        const f = this.flags.updateDecFlags(
-            this.registers.get('F'), before, after
-        );
-        this.registers.set('F', f);
+        const f = this.flags.updateDecFlags(this.registers.f, before, after);
+        this.registers.f = f;
         return cycles;
     }
 
@@ -246,23 +200,16 @@ class ArithmeticInstructions {
         const hl     = this.registers.getHL();
         const result = hl + value;
 
-        let f = this.registers.get('F');
-        f = this.flags.setFlag(f, this.flags.masks.C, result > 0xffff);
-        f = this.flags.setFlag(
-            f,
-            this.flags.masks.H,
-            ((hl & 0x0fff) + (value & 0x0fff)) > 0x0fff
-        );
-        f = this.flags.setFlag(f, this.flags.masks.N, false);
-
         this.registers.setHL(result & 0xffff);
+        this.registers.memptr = hl + 1;
+        this.memory.internal(this.registers.getIR(), 7);
 
+        // S, Z and P/V kept, H from the carry out of bit 11,
         // undocumented bits from high byte of result
-        const high = (result >> 8) & 0xff;
-        f = this.flags.setFlag(f, this.flags.masks.F5, (high & 0x20) !== 0);
-        f = this.flags.setFlag(f, this.flags.masks.F3, (high & 0x08) !== 0);
-
-        this.registers.set('F', f);
+        this.registers.f = (this.registers.f & (MASKS.S | MASKS.Z | MASKS.PV)) |
+                           (result >> 16) |
+                           (((hl ^ value ^ result) >> 8) & MASKS.H) |
+                           ((result >> 8) & (MASKS.F5 | MASKS.F3));
         return cycles;
     }
 
@@ -271,10 +218,10 @@ class ArithmeticInstructions {
      * ----------------------------------------------------------- */
 
     neg(cycles = 8) {
-        const a      = this.registers.get('A');
+        const a      = this.registers.a;
         const result = (-a) & 0xff;
 
-        let f = this.registers.get('F');
+        let f = this.registers.f;
         f = this.flags.setFlag(f, this.flags.masks.C, a !== 0);
         f = this.flags.setFlag(f, this.flags.masks.H, (a & 0x0f) !== 0);
         f = this.flags.setFlag(f, this.flags.masks.PV, a === 0x80);
@@ -284,8 +231,8 @@ class ArithmeticInstructions {
         f = this.flags.setFlag(f, this.flags.masks.F5, (result & 0x20) !== 0);
         f = this.flags.setFlag(f, this.flags.masks.F3, (result & 0x08) !== 0);
 
-        this.registers.set('A', result);
-        this.registers.set('F', f);
+        this.registers.a = result;
+        this.registers.f = f;
         return cycles;
     }
 }
@@ -1,3 +1,5 @@
+import { MASKS, SZ53P } from '../core/flags.js';
+
 /**
  * Bit Manipulation Instructions
  * Handles BIT, SET, RES and rotate/shift operations (CB prefix)
@@ -14,30 +16,33 @@ class BitInstructions {
      * @param {number} bit - The bit position to test (0-7)
      * @param {number} value - The value to test
      * @param {boolean} isMemory - Whether this is a memory operation (HL)
-     * @returns {number} Cycles: 4 for register, 8 for (HL) (not including CB prefix)
+     * @returns {number} Cycles: 8 for register, 12 for (HL)
      */
     bitTest(bit, value, isMemory = false) {
-        const newF = this.flags.updateBitTestFlags(this.registers.get('F'), bit, value);
-        this.registers.set('F', newF);
+        if (isMemory) {
+            this.memory.internal(this.registers.getHL(), 1);
+        }
+        // BIT n,(HL) leaks the high byte of MEMPTR into F3/F5
+        const undocumented = isMemory ? this.registers.memptr >> 8 : value;
+        const newF = this.flags.updateBitTestFlags(this.registers.f, bit, value, undocumented);
+        this.registers.f = newF;
 
-        return isMemory ? 8 : 4;
+        return isMemory ? 12 : 8;
     }
 
     /**
      * SET bit, reg
      */
-    setBitReg(bit, regName) {
-        const value = this.registers.get(regName);
-        this.registers.set(regName, value | (1 << bit));
+    setBitReg(bit, reg) {
+        this.registers.r8[reg] |= 1 << bit;
         return 8; // cycles
     }
 
     /**
      * RES bit, reg
      */
-    resBitReg(bit, regName) {
-        const value = this.registers.get(regName);
-        this.registers.set(regName, value & ~(1 << bit));
+    resBitReg(bit, reg) {
+        this.registers.r8[reg] &= ~(1 << bit);
         return 8; // cycles
     }
 
@@ -47,6 +52,7 @@ class BitInstructions {
     setBitHL(bit) {
         const addr = this.registers.getHL();
         const value = this.memory.readByte(addr);
+        this.memory.internal(addr, 1);
         this.memory.writeByte(addr, value | (1 << bit));
         return 15; // cycles
     }
@@ -57,6 +63,7 @@ class BitInstructions {
     resBitHL(bit) {
         const addr = this.registers.getHL();
         const value = this.memory.readByte(addr);
+        this.memory.internal(addr, 1);
         this.memory.writeByte(addr, value & ~(1 << bit));
         return 15; // cycles
     }
@@ -65,17 +72,8 @@ class BitInstructions {
      * RLC (Rotate Left Circular)
      */
     rlc(value) {
-        const carry = (value & 0x80) !== 0;
-        const result = ((value << 1) | (carry ? 1 : 0)) & 0xff;
-
-        let newF = this.registers.get('F');
-        newF = this.flags.setFlag(newF, this.flags.masks.C, carry);
-        newF = this.flags.setFlag(newF, this.flags.masks.H, false);
-        newF = this.flags.setFlag(newF, this.flags.masks.N, false);
-        newF = this.flags.updateFlags(newF, result, 'logical');
-        // F3 and F5 flags are already set by updateFlags
-
-        this.registers.set('F', newF);
+        const result = ((value << 1) | (value >> 7)) & 0xff;
+        this.registers.f = SZ53P[result] | (value >> 7);
         return result;
     }
 
@@ -83,16 +81,8 @@ class BitInstructions {
      * RRC (Rotate Right Circular)
      */
     rrc(value) {
-        const carry = (value & 0x01) !== 0;
-        const result = ((value >> 1) | (carry ? 0x80 : 0)) & 0xff;
-
-        let newF = this.registers.get('F');
-        newF = this.flags.setFlag(newF, this.flags.masks.C, carry);
-        newF = this.flags.setFlag(newF, this.flags.masks.H, false);
-        newF = this.flags.setFlag(newF, this.flags.masks.N, false);
-        newF = this.flags.updateFlags(newF, result, 'logical');
-
-        this.registers.set('F', newF);
+        const result = ((value >> 1) | (value << 7)) & 0xff;
+        this.registers.f = SZ53P[result] | (value & MASKS.C);
         return result;
     }
 
@@ -100,17 +90,8 @@ class BitInstructions {
      * RL (Rotate Left through Carry)
      */
     rl(value) {
-        const oldCarry = this.flags.getFlag(this.registers.get('F'), this.flags.masks.C) ? 1 : 0;
-        const newCarry = (value & 0x80) !== 0;
-        const result = ((value << 1) | oldCarry) & 0xff;
-
-        let newF = this.registers.get('F');
-        newF = this.flags.setFlag(newF, this.flags.masks.C, newCarry);
-        newF = this.flags.setFlag(newF, this.flags.masks.H, false);
-        newF = this.flags.setFlag(newF, this.flags.masks.N, false);
-        newF = this.flags.updateFlags(newF, result, 'logical');
-
-        this.registers.set('F', newF);
+        const result = ((value << 1) | (this.registers.f & MASKS.C)) & 0xff;
+        this.registers.f = SZ53P[result] | (value >> 7);
         return result;
     }
 
@@ -118,17 +99,8 @@ class BitInstructions {
      * RR (Rotate Right through Carry)
      */
     rr(value) {
-        const oldCarry = this.flags.getFlag(this.registers.get('F'), this.flags.masks.C) ? 0x80 : 0;
-        const newCarry = (value & 0x01) !== 0;
-        const result = ((value >> 1) | oldCarry) & 0xff;
-
-        let newF = this.registers.get('F');
-        newF = this.flags.setFlag(newF, this.flags.masks.C, newCarry);
-        newF = this.flags.setFlag(newF, this.flags.masks.H, false);
-        newF = this.flags.setFlag(newF, this.flags.masks.N, false);
-        newF = this.flags.updateFlags(newF, result, 'logical');
-
-        this.registers.set('F', newF);
+        const result = (value >> 1) | ((this.registers.f & MASKS.C) << 7);
+        this.registers.f = SZ53P[result] | (value & MASKS.C);
         return result;
     }
 
@@ -136,16 +108,8 @@ class BitInstructions {
      * SLA (Shift Left Arithmetic)
      */
     sla(value) {
-        const carry = (value & 0x80) !== 0;
         const result = (value << 1) & 0xff;
-
-        let newF = this.registers.get('F');
-        newF = this.flags.setFlag(newF, this.flags.masks.C, carry);
-        newF = this.flags.setFlag(newF, this.flags.masks.H, false);
-        newF = this.flags.setFlag(newF, this.flags.masks.N, false);
-        newF = this.flags.updateFlags(newF, result, 'logical');
-
-        this.registers.set('F', newF);
+        this.registers.f = SZ53P[result] | (value >> 7);
         return result;
     }
 
@@ -153,16 +117,8 @@ class BitInstructions {
      * SRA (Shift Right Arithmetic)
      */
     sra(value) {
-        const carry = (value & 0x01) !== 0;
-        const result = ((value >> 1) | (value & 0x80)) & 0xff;
-
-        let newF = this.registers.get('F');
-        newF = this.flags.setFlag(newF, this.flags.masks.C, carry);
-        newF = this.flags.setFlag(newF, this.flags.masks.H, false);
-        newF = this.flags.setFlag(newF, this.flags.masks.N, false);
-        newF = this.flags.updateFlags(newF, result, 'logical');
-
-        this.registers.set('F', newF);
+        const result = (value >> 1) | (value & 0x80);
+        this.registers.f = SZ53P[result] | (value & MASKS.C);
         return result;
     }
 
@@ -172,16 +128,8 @@ class BitInstructions {
      * which shifts left and sets bit 0 to 1. Some assemblers use SLL for this operation.
      */
     sll(value) {
-        const carry = (value & 0x80) !== 0;
         const result = ((value << 1) | 1) & 0xff;
-
-        let newF = this.registers.get('F');
-        newF = this.flags.setFlag(newF, this.flags.masks.C, carry);
-        newF = this.flags.setFlag(newF, this.flags.masks.H, false);
-        newF = this.flags.setFlag(newF, this.flags.masks.N, false);
-        newF = this.flags.updateFlags(newF, result, 'logical');
-
-        this.registers.set('F', newF);
+        this.registers.f = SZ53P[result] | (value >> 7);
         return result;
     }
 
@@ -189,16 +137,8 @@ class BitInstructions {
      * SRL (Shift Right Logical)
      */
     srl(value) {
-        const carry = (value & 0x01) !== 0;
-        const result = (value >> 1) & 0xff;
-
-        let newF = this.registers.get('F');
-        newF = this.flags.setFlag(newF, this.flags.masks.C, carry);
-        newF = this.flags.setFlag(newF, this.flags.masks.H, false);
-        newF = this.flags.setFlag(newF, this.flags.masks.N, false);
-        newF = this.flags.updateFlags(newF, result, 'logical');
-
-        this.registers.set('F', newF);
+        const result = value >> 1;
+        this.registers.f = SZ53P[result] | (value & MASKS.C);
         return result;
     }
 
@@ -206,13 +146,13 @@ class BitInstructions {
      * RLCA (Rotate Left Circular Accumulator)
      */
     rlca() {
-        const a = this.registers.get('A');
+        const a = this.registers.a;
         const carry = (a & 0x80) !== 0;
         const result = ((a << 1) | (carry ? 1 : 0)) & 0xff;
 
-        this.registers.set('A', result);
+        this.registers.a = result;
 
-        let newF = this.registers.get('F');
+        let newF = this.registers.f;
         newF = this.flags.setFlag(newF, this.flags.masks.C, carry);
         newF = this.flags.setFlag(newF, this.flags.masks.H, false);
         newF = this.flags.setFlag(newF, this.flags.masks.N, false);
@@ -221,7 +161,7 @@ class BitInstructions {
         newF = this.flags.setFlag(newF, this.flags.masks.F5, (result & 0x20) !== 0);
         newF = this.flags.setFlag(newF, this.flags.masks.F3, (result & 0x08) !== 0);
 
-        this.registers.set('F', newF);
+        this.registers.f = newF;
         return 4; // cycles
     }
 
@@ -229,13 +169,13 @@ class BitInstructions {
      * RRCA (Rotate Right Circular Accumulator)
      */
     rrca() {
-        const a = this.registers.get('A');
+        const a = this.registers.a;
         const carry = (a & 0x01) !== 0;
         const result = ((a >> 1) | (carry ? 0x80 : 0)) & 0xff;
 
-        this.registers.set('A', result);
+        this.registers.a = result;
 
-        let newF = this.registers.get('F');
+        let newF = this.registers.f;
         newF = this.flags.setFlag(newF, this.flags.masks.C, carry);
         newF = this.flags.setFlag(newF, this.flags.masks.H, false);
         newF = this.flags.setFlag(newF, this.flags.masks.N, false);
@@ -244,7 +184,7 @@ class BitInstructions {
         newF = this.flags.setFlag(newF, this.flags.masks.F5, (result & 0x20) !== 0);
         newF = this.flags.setFlag(newF, this.flags.masks.F3, (result & 0x08) !== 0);
 
-        this.registers.set('F', newF);
+        this.registers.f = newF;
         return 4; // cycles
     }
 
@@ -252,14 +192,14 @@ class BitInstructions {
      * RLA (Rotate Left Accumulator)
      */
     rla() {
-        const a = this.registers.get('A');
-        const oldCarry = this.flags.getFlag(this.registers.get('F'), this.flags.masks.C) ? 1 : 0;
+        const a = this.registers.a;
+        const oldCarry = this.flags.getFlag(this.registers.f, this.flags.masks.C) ? 1 : 0;
         const newCarry = (a & 0x80) !== 0;
         const result = ((a << 1) | oldCarry) & 0xff;
 
-        this.registers.set('A', result);
+        this.registers.a = result;
 
-        let newF = this.registers.get('F');
+        let newF = this.registers.f;
         newF = this.flags.setFlag(newF, this.flags.masks.C, newCarry);
         newF = this.flags.setFlag(newF, this.flags.masks.H, false);
         newF = this.flags.setFlag(newF, this.flags.masks.N, false);
@@ -268,7 +208,7 @@ class BitInstructions {
         newF = this.flags.setFlag(newF, this.flags.masks.F5, (result & 0x20) !== 0);
         newF = this.flags.setFlag(newF, this.flags.masks.F3, (result & 0x08) !== 0);
 
-        this.registers.set('F', newF);
+        this.registers.f = newF;
         return 4; // cycles
     }
 
@@ -276,14 +216,14 @@ class BitInstructions {
      * RRA (Rotate Right Accumulator)
      */
     rra() {
-        const a = this.registers.get('A');
-        const oldCarry = this.flags.getFlag(this.registers.get('F'), this.flags.masks.C) ? 0x80 : 0;
+        const a = this.registers.a;
+        const oldCarry = this.flags.getFlag(this.registers.f, this.flags.masks.C) ? 0x80 : 0;
         const newCarry = (a & 0x01) !== 0;
         const result = ((a >> 1) | oldCarry) & 0xff;
 
-        this.registers.set('A', result);
+        this.registers.a = result;
 
-        let newF = this.registers.get('F');
+        let newF = this.registers.f;
         newF = this.flags.setFlag(newF, this.flags.masks.C, newCarry);
         newF = this.flags.setFlag(newF, this.flags.masks.H, false);
         newF = this.flags.setFlag(newF, this.flags.masks.N, false);
@@ -292,49 +232,44 @@ class BitInstructions {
         newF = this.flags.setFlag(newF, this.flags.masks.F5, (result & 0x20) !== 0);
         newF = this.flags.setFlag(newF, this.flags.masks.F3, (result & 0x08) !== 0);
 
-        this.registers.set('F', newF);
+        this.registers.f = newF;
         return 4; // cycles
     }
 
     /**
-     * Process CB instruction on register
+     * Rotate or shift a value with the operation encoded in bits 3-5 of a CB opcode
+     * @param {number} operation - 0 RLC, 1 RRC, 2 RL, 3 RR, 4 SLA, 5 SRA, 6 SLL, 7 SRL
+     * @param {number} value - The value to rotate
+     * @returns {number} The result, with the flags updated
      */
-    processRegister(operation, regName) {
-        const value = this.registers.get(regName);
-        let result;
-        const cycles = 8;
-
+    rotate(operation, value) {
         switch (operation) {
-            case 'RLC':
-                result = this.rlc(value);
-                break;
-            case 'RRC':
-                result = this.rrc(value);
-                break;
-            case 'RL':
-                result = this.rl(value);
-                break;
-            case 'RR':
-                result = this.rr(value);
-                break;
-            case 'SLA':
-                result = this.sla(value);
-                break;
-            case 'SRA':
-                result = this.sra(value);
-                break;
-            case 'SLL':
-                result = this.sll(value);
-                break;
-            case 'SRL':
-                result = this.srl(value);
-                break;
+            case 0:
+                return this.rlc(value);
+            case 1:
+                return this.rrc(value);
+            case 2:
+                return this.rl(value);
+            case 3:
+                return this.rr(value);
+            case 4:
+                return this.sla(value);
+            case 5:
+                return this.sra(value);
+            case 6:
+                return this.sll(value);
             default:
-                return 0;
+                return this.srl(value);
         }
+    }
 
-        this.registers.set(regName, result);
-        return cycles;
+    /**
+     * Process CB instruction on register
+     */
+    processRegister(operation, reg) {
+        const r8 = this.registers.r8;
+        r8[reg] = this.rotate(operation, r8[reg]);
+        return 8; // cycles
     }
 
     /**
@@ -342,41 +277,10 @@ class BitInstructions {
      */
     processHL(operation) {
         const addr = this.registers.getHL();
-        const value = this.memory.readByte(addr);
-        let result;
-        const cycles = 15;
-
-        switch (operation) {
-            case 'RLC':
-                result = this.rlc(value);
-                break;
-            case 'RRC':
-                result = this.rrc(value);
-                break;
-            case 'RL':
-                result = this.rl(value);
-                break;
-            case 'RR':
-                result = this.rr(value);
-                break;
-            case 'SLA':
-                result = this.sla(value);
-                break;
-            case 'SRA':
-                result = this.sra(value);
-                break;
-            case 'SLL':
-                result = this.sll(value);
-                break;
-            case 'SRL':
-                result = this.srl(value);
-                break;
-            default:
-                return 0;
-        }
-
+        const result = this.rotate(operation, this.memory.readByte(addr));
+        this.memory.internal(addr, 1);
         this.memory.writeByte(addr, result);
-        return cycles;
+        return 15; // cycles
     }
 }
 
@@ -1,11 +1,11 @@
+import { MASKS, SZ53, SZ53P } from '../core/flags.js';
+
 /**
  * Extended Instructions (ED prefix)
  * Handles block operations, 16‐bit arithmetic, and other extended Z80 instructions
  *
- * Fixed P/V flag handling for the block I/O repeat instructions
- * (INIR, INDR, OTIR, OTDR). P/V is preserved through iterations and only
- * set to 0 on the final iteration when B becomes 0.
- * Carry flag (C) remains unmodified throughout, matching hardware behaviour.
+ * The block instructions set F3, F5, H and P/V as the undocumented formulas
+ * give them, and their repeat forms leave the flags of the last step.
  */
 class ExtendedInstructions {
     constructor(registers, flags, memory, io) {
@@ -21,31 +21,16 @@ class ExtendedInstructions {
 
     /** LDI – Load and Increment */
     ldi() {
-        const value = this.memory.readByte(this.registers.getHL());
-        this.memory.writeByte(this.registers.getDE(), value);
-        this.registers.setHL((this.registers.getHL() + 1) & 0xffff);
-        this.registers.setDE((this.registers.getDE() + 1) & 0xffff);
-        this.registers.setBC((this.registers.getBC() - 1) & 0xffff);
-
-        let f = this.registers.get('F');
-        f = this.flags.setFlag(f, this.flags.masks.H, false);
-        f = this.flags.setFlag(f, this.flags.masks.N, false);
-        f = this.flags.setFlag(f, this.flags.masks.PV, this.registers.getBC() !== 0);
-
-        // undocumented flags – A + value
-        const n = (this.registers.get('A') + value) & 0xff;
-        f = this.flags.setFlag(f, this.flags.masks.F5, (n & 0x20) !== 0);
-        f = this.flags.setFlag(f, this.flags.masks.F3, (n & 0x08) !== 0);
-
-        this.registers.set('F', f);
-        return 16;
+        return this.blockLoad(1);
     }
 
     /** LDIR – Load, Increment and Repeat */
     ldir() {
+        const de = this.registers.getDE();
         const cycles = this.ldi();
         if (this.registers.getBC() !== 0) {
-            this.registers.setPC((this.registers.getPC() - 2) & 0xffff);
+            this.memory.internal(de, 5);
+            this.repeat();
             return 21; // repeat form
         }
         return cycles;
@@ -53,128 +38,114 @@ class ExtendedInstructions {
 
     /** LDD – Load and Decrement */
     ldd() {
-        const value = this.memory.readByte(this.registers.getHL());
-        this.memory.writeByte(this.registers.getDE(), value);
-        this.registers.setHL((this.registers.getHL() - 1) & 0xffff);
-        this.registers.setDE((this.registers.getDE() - 1) & 0xffff);
-        this.registers.setBC((this.registers.getBC() - 1) & 0xffff);
-
-        let f = this.registers.get('F');
-        f = this.flags.setFlag(f, this.flags.masks.H, false);
-        f = this.flags.setFlag(f, this.flags.masks.N, false);
-        f = this.flags.setFlag(f, this.flags.masks.PV, this.registers.getBC() !== 0);
-
-        const n = (this.registers.get('A') + value) & 0xff;
-        f = this.flags.setFlag(f, this.flags.masks.F5, (n & 0x20) !== 0);
-        f = this.flags.setFlag(f, this.flags.masks.F3, (n & 0x08) !== 0);
+        return this.blockLoad(-1);
+    }
 
-        this.registers.set('F', f);
+    /**
+     * Copy (HL) to (DE), step HL and DE by +1 or -1 and count BC down.
+     * P/V is set while BC is not 0; F3 is bit 3 and F5 bit 1 of A + the byte copied.
+     */
+    blockLoad(step) {
+        const registers = this.registers;
+        const hl = registers.getHL();
+        const de = registers.getDE();
+        const value = this.memory.readByte(hl);
+        this.memory.writeByte(de, value);
+        this.memory.internal(de, 2);
+        registers.setHL((hl + step) & 0xffff);
+        registers.setDE((de + step) & 0xffff);
+        const bc = (registers.getBC() - 1) & 0xffff;
+        registers.setBC(bc);
+
+        const n = (registers.a + value) & 0xff;
+        registers.f = (registers.f & (MASKS.S | MASKS.Z | MASKS.C)) |
+            (n & MASKS.F3) | ((n << 4) & MASKS.F5) |
+            (bc !== 0 ? MASKS.PV : 0);
         return 16;
     }
 
     /** LDDR – Load, Decrement and Repeat */
     lddr() {
+        const de = this.registers.getDE();
         const cycles = this.ldd();
         if (this.registers.getBC() !== 0) {
-            this.registers.setPC((this.registers.getPC() - 2) & 0xffff);
+            this.memory.internal(de, 5);
+            this.repeat();
             return 21;
         }
         return cycles;
     }
 
+    /**
+     * Step PC back onto the ED prefix so the instruction runs again.
+     * MEMPTR is left pointing one past it.
+     */
+    repeat() {
+        const pc = (this.registers.getPC() - 2) & 0xffff;
+        this.registers.setPC(pc);
+        this.registers.memptr = pc + 1;
+    }
+
     /* ------------------------------------------------------------ */
     /*                  Compare & search block group                */
     /* ------------------------------------------------------------ */
 
     /** CPI – Compare and Increment */
     cpi() {
-        const value = this.memory.readByte(this.registers.getHL());
-        const a = this.registers.get('A');
-        const result = (a - value) & 0xffff;
-        const halfBorrow = (a & 0x0f) - (value & 0x0f) < 0;
-
-        this.registers.setHL((this.registers.getHL() + 1) & 0xffff);
-        this.registers.setBC((this.registers.getBC() - 1) & 0xffff);
-
-        let f = this.registers.get('F');
-        f = this.flags.setFlag(f, this.flags.masks.S, (result & 0x80) !== 0);
-        f = this.flags.setFlag(f, this.flags.masks.Z, (result & 0xff) === 0);
-        f = this.flags.setFlag(f, this.flags.masks.H, halfBorrow);
-        f = this.flags.setFlag(f, this.flags.masks.PV, this.registers.getBC() !== 0);
-        f = this.flags.setFlag(f, this.flags.masks.N, true);
-
-        // Undocumented flags for CPI: F3/F5 are based on A - (HL) - H
-        const n = ((result & 0xff) - (halfBorrow ? 1 : 0)) & 0xff;
-        f = this.flags.setFlag(f, this.flags.masks.F3, (n & 0x08) !== 0);
-        f = this.flags.setFlag(f, this.flags.masks.F5, (n & 0x20) !== 0);
-
-        this.registers.set('F', f);
-        return 16;
+        return this.blockCompare(1);
     }
 
     /** CPIR – Compare, Increment and Repeat */
     cpir() {
-        const cycles = this.cpi();
-        const notEqual = !this.flags.getFlag(this.registers.get('F'), this.flags.masks.Z);
-        if (this.registers.getBC() !== 0 && notEqual) {
-            this.registers.setPC((this.registers.getPC() - 2) & 0xffff);
-            let f = this.registers.get('F');
-            f = this.flags.setFlag(f, this.flags.masks.PV, true);
-            this.registers.set('F', f);
-            return 21;
-        }
-        // On successful match (Z=1), P/V must be 0 regardless of BC
-        if (!notEqual) {
-            let f = this.registers.get('F');
-            f = this.flags.setFlag(f, this.flags.masks.PV, false);
-            this.registers.set('F', f);
-        }
-        return cycles;
+        return this.blockCompareRepeat(1);
     }
 
     /** CPD – Compare and Decrement */
     cpd() {
-        const value = this.memory.readByte(this.registers.getHL());
-        const a = this.registers.get('A');
-        const result = (a - value) & 0xffff;
-        const halfBorrow = (a & 0x0f) - (value & 0x0f) < 0;
-
-        this.registers.setHL((this.registers.getHL() - 1) & 0xffff);
-        this.registers.setBC((this.registers.getBC() - 1) & 0xffff);
-
-        let f = this.registers.get('F');
-        f = this.flags.setFlag(f, this.flags.masks.S, (result & 0x80) !== 0);
-        f = this.flags.setFlag(f, this.flags.masks.Z, (result & 0xff) === 0);
-        f = this.flags.setFlag(f, this.flags.masks.H, halfBorrow);
-        f = this.flags.setFlag(f, this.flags.masks.PV, this.registers.getBC() !== 0);
-        f = this.flags.setFlag(f, this.flags.masks.N, true);
-
-        // Undocumented flags for CPD: F3/F5 are based on A - (HL) - H
-        const n = ((result & 0xff) - (halfBorrow ? 1 : 0)) & 0xff;
-        f = this.flags.setFlag(f, this.flags.masks.F3, (n & 0x08) !== 0);
-        f = this.flags.setFlag(f, this.flags.masks.F5, (n & 0x20) !== 0);
-
-        this.registers.set('F', f);
-        return 16;
+        return this.blockCompare(-1);
     }
 
     /** CPDR – Compare, Decrement and Repeat */
     cpdr() {
-        const cycles = this.cpd();
-        const notEqual = !this.flags.getFlag(this.registers.get('F'), this.flags.masks.Z);
-        if (this.registers.getBC() !== 0 && notEqual) {
-            this.registers.setPC((this.registers.getPC() - 2) & 0xffff);
-            let f = this.registers.get('F');
-            f = this.flags.setFlag(f, this.flags.masks.PV, true);
-            this.registers.set('F', f);
+        return this.blockCompareRepeat(-1);
+    }
+
+    /**
+     * Compare A with (HL), step HL by +1 or -1 and count BC down. C is kept,
+     * P/V is set while BC is not 0, and F3/F5 are bits 3 and 1 of A - (HL) - H.
+     */
+    blockCompare(step) {
+        const registers = this.registers;
+        const hl = registers.getHL();
+        const value = this.memory.readByte(hl);
+        this.memory.internal(hl, 5);
+        const a = registers.a;
+        const result = (a - value) & 0xff;
+        const halfBorrow = (a & 0x0f) < (value & 0x0f);
+
+        registers.setHL((hl + step) & 0xffff);
+        const bc = (registers.getBC() - 1) & 0xffff;
+        registers.setBC(bc);
+        registers.memptr += step;
+
+        const n = (result - (halfBorrow ? 1 : 0)) & 0xff;
+        registers.f = (registers.f & MASKS.C) | MASKS.N |
+            (SZ53[result] & (MASKS.S | MASKS.Z)) |
+            (halfBorrow ? MASKS.H : 0) |
+            (bc !== 0 ? MASKS.PV : 0) |
+            (n & MASKS.F3) | ((n << 4) & MASKS.F5);
+        return 16;
+    }
+
+    // CPIR/CPDR: repeat until BC is 0 or A matches, with the flags of the last compare
+    blockCompareRepeat(step) {
+        const hl = this.registers.getHL();
+        const cycles = this.blockCompare(step);
+        if ((this.registers.f & (MASKS.PV | MASKS.Z)) === MASKS.PV) {
+            this.memory.internal(hl, 5);
+            this.repeat();
             return 21;
         }
-        // On successful match (Z=1), P/V must be 0 regardless of BC
-        if (!notEqual) {
-            let f = this.registers.get('F');
-            f = this.flags.setFlag(f, this.flags.masks.PV, false);
-            this.registers.set('F', f);
-        }
         return cycles;
     }
 
@@ -183,54 +154,39 @@ class ExtendedInstructions {
     /* ------------------------------------------------------------ */
 
     sbcHL(value) {
-        const carry = this.flags.getFlag(this.registers.get('F'), this.flags.masks.C) ? 1 : 0;
         const hl = this.registers.getHL();
-        const result = (hl - value - carry) & 0x1ffff; // 17‐bit to test carry
-
-        let f = this.registers.get('F');
-        f = this.flags.setFlag(f, this.flags.masks.C, (result & 0x10000) !== 0);
-        f = this.flags.setFlag(f, this.flags.masks.H, (hl & 0x0fff) - (value & 0x0fff) - carry < 0);
-        f = this.flags.setFlag(f, this.flags.masks.N, true);
-        f = this.flags.setFlag(f, this.flags.masks.S, (result & 0x8000) !== 0);
-        f = this.flags.setFlag(f, this.flags.masks.Z, (result & 0xffff) === 0);
-
-        const overflow = ((hl ^ value) & 0x8000) !== 0 && ((hl ^ result) & 0x8000) !== 0;
-        f = this.flags.setFlag(f, this.flags.masks.PV, overflow);
-
+        const result = hl - value - (this.registers.f & MASKS.C);
         const high = (result >> 8) & 0xff;
-        f = this.flags.setFlag(f, this.flags.masks.F5, (high & 0x20) !== 0);
-        f = this.flags.setFlag(f, this.flags.masks.F3, (high & 0x08) !== 0);
 
+        // S, F5 and F3 from the high byte, H from the borrow out of bit 11
         this.registers.setHL(result & 0xffff);
-        this.registers.set('F', f);
+        this.registers.memptr = hl + 1;
+        this.registers.f =
+            (SZ53[high] & ~MASKS.Z) |
+            ((result & 0xffff) === 0 ? MASKS.Z : 0) |
+            ((result >> 16) & MASKS.C) |
+            MASKS.N |
+            (((hl ^ value ^ result) >> 8) & MASKS.H) |
+            (((hl ^ value) & (hl ^ result) & 0x8000) >> 13);
+        this.memory.internal(this.registers.getIR(), 7);
         return 15;
     }
 
     adcHL(value) {
-        const carry = this.flags.getFlag(this.registers.get('F'), this.flags.masks.C) ? 1 : 0;
         const hl = this.registers.getHL();
-        const result = (hl + value + carry) & 0x1ffff;
-
-        let f = this.registers.get('F');
-        f = this.flags.setFlag(f, this.flags.masks.C, (result & 0x10000) !== 0);
-        f = this.flags.setFlag(
-            f,
-            this.flags.masks.H,
-            (hl & 0x0fff) + (value & 0x0fff) + carry > 0x0fff
-        );
-        f = this.flags.setFlag(f, this.flags.masks.N, false);
-        f = this.flags.setFlag(f, this.flags.masks.S, (result & 0x8000) !== 0);
-        f = this.flags.setFlag(f, this.flags.masks.Z, (result & 0xffff) === 0);
-
-        const overflow = ((hl ^ value) & 0x8000) === 0 && ((hl ^ result) & 0x8000) !== 0;
-        f = this.flags.setFlag(f, this.flags.masks.PV, overflow);
-
+        const result = hl + value + (this.registers.f & MASKS.C);
         const high = (result >> 8) & 0xff;
-        f = this.flags.setFlag(f, this.flags.masks.F5, (high & 0x20) !== 0);
-        f = this.flags.setFlag(f, this.flags.masks.F3, (high & 0x08) !== 0);
 
+        // S, F5 and F3 from the high byte, H from the carry out of bit 11
         this.registers.setHL(result & 0xffff);
-        this.registers.set('F', f);
+        this.registers.memptr = hl + 1;
+        this.registers.f =
+            (SZ53[high] & ~MASKS.Z) |
+            ((result & 0xffff) === 0 ? MASKS.Z : 0) |
+            (result >> 16) |
+            (((hl ^ value ^ result) >> 8) & MASKS.H) |
+            ((~(hl ^ value) & (hl ^ result) & 0x8000) >> 13);
+        this.memory.internal(this.registers.getIR(), 7);
         return 15;
     }
 
@@ -241,19 +197,21 @@ class ExtendedInstructions {
     rld() {
         const addr = this.registers.getHL();
         const mem = this.memory.readByte(addr);
-        const a = this.registers.get('A');
+        const a = this.registers.a;
+        this.memory.internal(addr, 4);
 
         const newMem = ((mem << 4) | (a & 0x0f)) & 0xff;
         const newA = (a & 0xf0) | ((mem >> 4) & 0x0f);
 
         this.memory.writeByte(addr, newMem);
-        this.registers.set('A', newA);
+        this.registers.a = newA;
+        this.registers.memptr = addr + 1;
 
-        let f = this.registers.get('F');
+        let f = this.registers.f;
         f = this.flags.setFlag(f, this.flags.masks.H, false);
         f = this.flags.setFlag(f, this.flags.masks.N, false);
         f = this.flags.updateFlags(f, newA, 'logical');
-        this.registers.set('F', f);
+        this.registers.f = f;
 
         return 18;
     }
@@ -261,19 +219,21 @@ class ExtendedInstructions {
     rrd() {
         const addr = this.registers.getHL();
         const mem = this.memory.readByte(addr);
-        const a = this.registers.get('A');
+        const a = this.registers.a;
+        this.memory.internal(addr, 4);
 
         const newMem = ((a << 4) | (mem >> 4)) & 0xff;
         const newA = (a & 0xf0) | (mem & 0x0f);
 
         this.memory.writeByte(addr, newMem);
-        this.registers.set('A', newA);
+        this.registers.a = newA;
+        this.registers.memptr = addr + 1;
 
-        let f = this.registers.get('F');
+        let f = this.registers.f;
         f = this.flags.setFlag(f, this.flags.masks.H, false);
         f = this.flags.setFlag(f, this.flags.masks.N, false);
         f = this.flags.updateFlags(f, newA, 'logical');
-        this.registers.set('F', f);
+        this.registers.f = f;
 
         return 18;
     }
@@ -282,142 +242,98 @@ class ExtendedInstructions {
     /*                   I/O block transfer group                   */
     /* ------------------------------------------------------------ */
 
-    /* Helper to apply Z and N for IN/OUT single‐step variants */
-    _applyInOutFlags(preservePV = false) {
-        let f = this.registers.get('F');
-        f = this.flags.setFlag(f, this.flags.masks.Z, this.registers.get('B') === 0);
-        f = this.flags.setFlag(f, this.flags.masks.N, false); // N is reset for I/O instructions
+    /**
+     * Flags of the block I/O instructions, with B already counted down. k is the
+     * byte moved plus C + 1 (INI), C - 1 (IND) or L after the step (OUTI/OUTD):
+     * H and C are its carry out of bit 7 and P/V the parity of (k & 7) ^ B.
+     * N is bit 7 of the byte, and S, Z, F5 and F3 come from B.
+     */
+    blockIOFlags(value, k) {
+        const b = this.registers.b;
+        this.registers.f = SZ53[b] |
+            (value & 0x80 ? MASKS.N : 0) |
+            (k > 0xff ? MASKS.H | MASKS.C : 0) |
+            (SZ53P[(k & 0x07) ^ b] & MASKS.PV);
+    }
 
-        // For non-repeat versions, set P/V based on B == 0
-        if (!preservePV) {
-            f = this.flags.setFlag(f, this.flags.masks.PV, this.registers.get('B') === 0);
-        }
+    // INI/IND: read port BC into (HL), step HL by +1 or -1 and count B down
+    blockIn(step) {
+        const registers = this.registers;
+        this.memory.internal(registers.getIR(), 1);
+        const bc = registers.getBC();
+        const value = this.io.readPort(bc);
+        registers.memptr = bc + step;
+        const hl = registers.getHL();
+        this.memory.writeByte(hl, value);
+        registers.setHL((hl + step) & 0xffff);
+        registers.b = (registers.b - 1) & 0xff;
+        this.blockIOFlags(value, value + ((registers.c + step) & 0xff));
+        return 16;
+    }
 
-        return f;
+    // OUTI/OUTD: count B down, then write (HL) to port BC and step HL by +1 or -1
+    blockOut(step) {
+        const registers = this.registers;
+        this.memory.internal(registers.getIR(), 1);
+        registers.b = (registers.b - 1) & 0xff;
+        const hl = registers.getHL();
+        const value = this.memory.readByte(hl);
+        const bc = registers.getBC();
+        this.io.writePort(bc, value);
+        registers.memptr = bc + step;
+        registers.setHL((hl + step) & 0xffff);
+        this.blockIOFlags(value, value + registers.l);
+        return 16;
     }
 
     /* ---- Single‐step variants ---------------------------------- */
 
     ini() {
-        const value = this.io.readPort(this.registers.getBC());
-        this.memory.writeByte(this.registers.getHL(), value);
-        this.registers.setHL((this.registers.getHL() + 1) & 0xffff);
-        this.registers.set('B', (this.registers.get('B') - 1) & 0xff);
-        this.registers.set('F', this._applyInOutFlags());
-        return 16;
+        return this.blockIn(1);
     }
 
     ind() {
-        const value = this.io.readPort(this.registers.getBC());
-        this.memory.writeByte(this.registers.getHL(), value);
-        this.registers.setHL((this.registers.getHL() - 1) & 0xffff);
-        this.registers.set('B', (this.registers.get('B') - 1) & 0xff);
-        this.registers.set('F', this._applyInOutFlags());
-        return 16;
+        return this.blockIn(-1);
     }
 
     outi() {
-        // B is decremented BEFORE the I/O operation
-        this.registers.set('B', (this.registers.get('B') - 1) & 0xff);
-        const value = this.memory.readByte(this.registers.getHL());
-        this.io.writePort(this.registers.getBC(), value);
-        this.registers.setHL((this.registers.getHL() + 1) & 0xffff);
-        this.registers.set('F', this._applyInOutFlags());
-        return 16;
+        return this.blockOut(1);
     }
 
     outd() {
-        // B is decremented BEFORE the I/O operation
-        this.registers.set('B', (this.registers.get('B') - 1) & 0xff);
-        const value = this.memory.readByte(this.registers.getHL());
-        this.io.writePort(this.registers.getBC(), value);
-        this.registers.setHL((this.registers.getHL() - 1) & 0xffff);
-        this.registers.set('F', this._applyInOutFlags());
-        return 16;
+        return this.blockOut(-1);
     }
 
     /* ---- Repeat variants --------------------------------------- */
+    /* The flags are those of the single step; PC steps back while B is not 0 */
 
     inir() {
-        const value = this.io.readPort(this.registers.getBC());
-        this.memory.writeByte(this.registers.getHL(), value);
-        this.registers.setHL((this.registers.getHL() + 1) & 0xffff);
-        this.registers.set('B', (this.registers.get('B') - 1) & 0xff);
-
-        if (this.registers.get('B') !== 0) {
-            // P/V must be set to 1 during repeat
-            let f = this._applyInOutFlags(true);
-            f = this.flags.setFlag(f, this.flags.masks.PV, true);
-            this.registers.set('F', f);
-            this.registers.setPC((this.registers.getPC() - 2) & 0xffff);
-            return 21;
-        } else {
-            // P/V = 0 on final iteration
-            this.registers.set('F', this._applyInOutFlags(false));
-            return 16;
-        }
+        const hl = this.registers.getHL();
+        const cycles = this.blockIn(1);
+        return this.registers.b !== 0 ? this.repeatIO(hl) : cycles;
     }
 
     indr() {
-        const value = this.io.readPort(this.registers.getBC());
-        this.memory.writeByte(this.registers.getHL(), value);
-        this.registers.setHL((this.registers.getHL() - 1) & 0xffff);
-        this.registers.set('B', (this.registers.get('B') - 1) & 0xff);
-
-        if (this.registers.get('B') !== 0) {
-            // P/V must be set to 1 during repeat
-            let f = this._applyInOutFlags(true);
-            f = this.flags.setFlag(f, this.flags.masks.PV, true);
-            this.registers.set('F', f);
-            this.registers.setPC((this.registers.getPC() - 2) & 0xffff);
-            return 21;
-        } else {
-            // P/V = 0 on final iteration
-            this.registers.set('F', this._applyInOutFlags(false));
-            return 16;
-        }
+        const hl = this.registers.getHL();
+        const cycles = this.blockIn(-1);
+        return this.registers.b !== 0 ? this.repeatIO(hl) : cycles;
     }
 
     otir() {
-        // B is decremented BEFORE the I/O operation
-        this.registers.set('B', (this.registers.get('B') - 1) & 0xff);
-        const value = this.memory.readByte(this.registers.getHL());
-        this.io.writePort(this.registers.getBC(), value);
-        this.registers.setHL((this.registers.getHL() + 1) & 0xffff);
-
-        if (this.registers.get('B') !== 0) {
-            // P/V must be set to 1 during repeat
-            let f = this._applyInOutFlags(true);
-            f = this.flags.setFlag(f, this.flags.masks.PV, true);
-            this.registers.set('F', f);
-            this.registers.setPC((this.registers.getPC() - 2) & 0xffff);
-            return 21;
-        } else {
-            // P/V = 0 on final iteration
-            this.registers.set('F', this._applyInOutFlags(false));
-            return 16;
-        }
+        const cycles = this.blockOut(1);
+        return this.registers.b !== 0 ? this.repeatIO(this.registers.getBC()) : cycles;
     }
 
     otdr() {
-        // B is decremented BEFORE the I/O operation
-        this.registers.set('B', (this.registers.get('B') - 1) & 0xff);
-        const value = this.memory.readByte(this.registers.getHL());
-        this.io.writePort(this.registers.getBC(), value);
-        this.registers.setHL((this.registers.getHL() - 1) & 0xffff);
-
-        if (this.registers.get('B') !== 0) {
-            // P/V must be set to 1 during repeat
-            let f = this._applyInOutFlags(true);
-            f = this.flags.setFlag(f, this.flags.masks.PV, true);
-            this.registers.set('F', f);
-            this.registers.setPC((this.registers.getPC() - 2) & 0xffff);
-            return 21;
-        } else {
-            // P/V = 0 on final iteration
-            this.registers.set('F', this._applyInOutFlags(false));
-            return 16;
-        }
+        const cycles = this.blockOut(-1);
+        return this.registers.b !== 0 ? this.repeatIO(this.registers.getBC()) : cycles;
+    }
+
+    // Five more T-states on the bus at address, then run the instruction again
+    repeatIO(address) {
+        this.memory.internal(address, 5);
+        this.registers.setPC((this.registers.getPC() - 2) & 0xffff);
+        return 21;
     }
 }
 
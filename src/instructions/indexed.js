@@ -17,14 +17,25 @@ class IndexedInstructions {
         this.getBit = instructionFactories.getBit;
     }
 
+    /**
+     * Work out IX/IY+d while the CPU spends internal T-states on the last byte it read
+     * (5 after the displacement, 2 when an operand or opcode follows it), and latch it in MEMPTR
+     */
+    indexedAddress(pair, displacement, internalTStates = 5) {
+        this.memory.internal(this.registers.getPC() - 1, internalTStates);
+        const addr = (this.registers.getPair(pair) + sign8(displacement)) & 0xffff;
+        this.registers.memptr = addr;
+        return addr;
+    }
+
     /**
      * ADD IX/IY, reg16
      */
-    addIndex(indexReg, value) {
-        const index = this.registers.get16(indexReg);
+    addIndex(pair, value) {
+        const index = this.registers.getPair(pair);
         const result = index + value;
 
-        let newF = this.registers.get('F');
+        let newF = this.registers.f;
         newF = this.flags.setFlag(newF, this.flags.masks.C, result > 0xffff);
         newF = this.flags.setFlag(
             newF,
@@ -38,37 +49,36 @@ class IndexedInstructions {
         newF = this.flags.setFlag(newF, this.flags.masks.F5, (highByte & 0x20) !== 0);
         newF = this.flags.setFlag(newF, this.flags.masks.F3, (highByte & 0x08) !== 0);
 
-        this.registers.set16(indexReg, result & 0xffff);
-        this.registers.set('F', newF);
+        this.registers.setPair(pair, result & 0xffff);
+        this.registers.memptr = index + 1;
+        this.registers.f = newF;
+        this.memory.internal(this.registers.getIR(), 7);
         return 15; // cycles
     }
 
     /**
      * LD reg, (IX/IY+d)
      */
-    loadRegFromIndexed(regName, indexReg, displacement) {
-        const signedDisp = sign8(displacement);
-        const addr = (this.registers.get16(indexReg) + signedDisp) & 0xffff;
-        this.registers.set(regName, this.memory.readByte(addr));
+    loadRegFromIndexed(reg, pair, displacement) {
+        const addr = this.indexedAddress(pair, displacement);
+        this.registers.r8[reg] = this.memory.readByte(addr);
         return 19; // cycles
     }
 
     /**
      * LD (IX/IY+d), reg
      */
-    loadIndexedFromReg(indexReg, displacement, regName) {
-        const signedDisp = sign8(displacement);
-        const addr = (this.registers.get16(indexReg) + signedDisp) & 0xffff;
-        this.memory.writeByte(addr, this.registers.get(regName));
+    loadIndexedFromReg(pair, displacement, reg) {
+        const addr = this.indexedAddress(pair, displacement);
+        this.memory.writeByte(addr, this.registers.r8[reg]);
         return 19; // cycles
     }
 
     /**
      * LD (IX/IY+d), n
      */
-    loadIndexedImmediate(indexReg, displacement, value) {
-        const signedDisp = sign8(displacement);
-        const addr = (this.registers.get16(indexReg) + signedDisp) & 0xffff;
+    loadIndexedImmediate(pair, displacement, value) {
+        const addr = this.indexedAddress(pair, displacement, 2);
         this.memory.writeByte(addr, value);
         return 19; // cycles
     }
@@ -76,65 +86,57 @@ class IndexedInstructions {
     /**
      * Arithmetic operations with (IX/IY+d)
      */
-    addAIndexed(indexReg, displacement) {
-        const signedDisp = sign8(displacement);
-        const addr = (this.registers.get16(indexReg) + signedDisp) & 0xffff;
+    addAIndexed(pair, displacement) {
+        const addr = this.indexedAddress(pair, displacement);
         const value = this.memory.readByte(addr);
         this.getArithmetic().addA(value);
         return 19; // cycles
     }
 
-    adcAIndexed(indexReg, displacement) {
-        const signedDisp = sign8(displacement);
-        const addr = (this.registers.get16(indexReg) + signedDisp) & 0xffff;
+    adcAIndexed(pair, displacement) {
+        const addr = this.indexedAddress(pair, displacement);
         const value = this.memory.readByte(addr);
         this.getArithmetic().adcA(value);
         return 19; // cycles
     }
 
-    subAIndexed(indexReg, displacement) {
-        const signedDisp = sign8(displacement);
-        const addr = (this.registers.get16(indexReg) + signedDisp) & 0xffff;
+    subAIndexed(pair, displacement) {
+        const addr = this.indexedAddress(pair, displacement);
         const value = this.memory.readByte(addr);
         this.getArithmetic().subA(value);
         return 19; // cycles
     }
 
-    sbcAIndexed(indexReg, displacement) {
-        const signedDisp = sign8(displacement);
-        const addr = (this.registers.get16(indexReg) + signedDisp) & 0xffff;
+    sbcAIndexed(pair, displacement) {
+        const addr = this.indexedAddress(pair, displacement);
         const value = this.memory.readByte(addr);
         this.getArithmetic().sbcA(value);
         return 19; // cycles
     }
 
-    andAIndexed(indexReg, displacement) {
-        const signedDisp = sign8(displacement);
-        const addr = (this.registers.get16(indexReg) + signedDisp) & 0xffff;
+    andAIndexed(pair, displacement) {
+        const addr = this.indexedAddress(pair, displacement);
         const value = this.memory.readByte(addr);
         this.getLogical().andA(value);
         return 19; // cycles
     }
 
-    xorAIndexed(indexReg, displacement) {
-        const signedDisp = sign8(displacement);
-        const addr = (this.registers.get16(indexReg) + signedDisp) & 0xffff;
+    xorAIndexed(pair, displacement) {
+        const addr = this.indexedAddress(pair, displacement);
         const value = this.memory.readByte(addr);
         this.getLogical().xorA(value);
         return 19; // cycles
     }
 
-    orAIndexed(indexReg, displacement) {
-        const signedDisp = sign8(displacement);
-        const addr = (this.registers.get16(indexReg) + signedDisp) & 0xffff;
+    orAIndexed(pair, displacement) {
+        const addr = this.indexedAddress(pair, displacement);
         const value = this.memory.readByte(addr);
         this.getLogical().orA(value);
         return 19; // cycles
     }
 
-    cpAIndexed(indexReg, displacement) {
-        const signedDisp = sign8(displacement);
-        const addr = (this.registers.get16(indexReg) + signedDisp) & 0xffff;
+    cpAIndexed(pair, displacement) {
+        const addr = this.indexedAddress(pair, displacement);
         const value = this.memory.readByte(addr);
         this.getArithmetic().cpA(value);
         return 19; // cycles
@@ -143,56 +145,73 @@ class IndexedInstructions {
     /**
      * INC (IX/IY+d)
      */
-    incIndexed(indexReg, displacement) {
-        const signedDisp = sign8(displacement);
-        const addr = (this.registers.get16(indexReg) + signedDisp) & 0xffff;
+    incIndexed(pair, displacement) {
+        const addr = this.indexedAddress(pair, displacement);
         const value = this.memory.readByte(addr);
         const result = (value + 1) & 0xff;
+        this.memory.internal(addr, 1);
         this.memory.writeByte(addr, result);
 
-        const newF = this.flags.updateIncFlags(this.registers.get('F'), value, result);
-        this.registers.set('F', newF);
+        const newF = this.flags.updateIncFlags(this.registers.f, value, result);
+        this.registers.f = newF;
         return 23; // cycles
     }
 
     /**
      * DEC (IX/IY+d)
      */
-    decIndexed(indexReg, displacement) {
-        const signedDisp = sign8(displacement);
-        const addr = (this.registers.get16(indexReg) + signedDisp) & 0xffff;
+    decIndexed(pair, displacement) {
+        const addr = this.indexedAddress(pair, displacement);
         const value = this.memory.readByte(addr);
         const result = (value - 1) & 0xff;
+        this.memory.internal(addr, 1);
         this.memory.writeByte(addr, result);
 
-        const newF = this.flags.updateDecFlags(this.registers.get('F'), value, result);
-        this.registers.set('F', newF);
+        const newF = this.flags.updateDecFlags(this.registers.f, value, result);
+        this.registers.f = newF;
         return 23; // cycles
     }
 
+    /**
+     * LD SP,IX/IY
+     */
+    loadSPIndexed(pair) {
+        this.memory.internal(this.registers.getIR(), 2);
+        this.registers.sp = this.registers.getPair(pair);
+        return 10; // cycles
+    }
+
     /**
      * JP (IX/IY)
      */
-    jumpIndexed(indexReg) {
-        this.registers.setPC(this.registers.get16(indexReg));
+    jumpIndexed(pair) {
+        this.registers.setPC(this.registers.getPair(pair));
         return 8; // cycles
     }
 
     /**
      * EX (SP), IX/IY
      */
-    exchangeSPIndexed(indexReg) {
-        const spValue = this.memory.readWord(this.registers.get16('SP'));
-        this.memory.writeWord(this.registers.get16('SP'), this.registers.get16(indexReg));
-        this.registers.set16(indexReg, spValue);
+    exchangeSPIndexed(pair) {
+        const sp = this.registers.sp;
+        const value = this.registers.getPair(pair);
+        const spValue = this.memory.readWord(sp);
+        // Written back high byte first
+        this.memory.internal(sp + 1, 1);
+        this.memory.writeByte(sp + 1, value >> 8);
+        this.memory.writeByte(sp, value & 0xff);
+        this.memory.internal(sp, 2);
+        this.registers.setPair(pair, spValue);
+        this.registers.memptr = spValue;
         return 23; // cycles
     }
 
     /**
      * PUSH IX/IY
      */
-    pushIndexed(indexReg) {
-        const value = this.registers.get16(indexReg);
+    pushIndexed(pair) {
+        const value = this.registers.getPair(pair);
+        this.memory.internal(this.registers.getIR(), 1);
         this.memory.pushWord(this.registers, value);
         return 15; // cycles
     }
@@ -200,161 +219,48 @@ class IndexedInstructions {
     /**
      * POP IX/IY
      */
-    popIndexed(indexReg) {
+    popIndexed(pair) {
         const value = this.memory.popWord(this.registers);
-        this.registers.set16(indexReg, value);
+        this.registers.setPair(pair, value);
         return 14; // cycles
     }
 
     /**
-     * Bit operations with (IX/IY+d)
-     * These are complex operations that involve both reading and potentially writing
+     * Process DDCB/FDCB instruction
+     * BIT only tests (IX/IY+d). The other operations write the result back, and also
+     * copy it to the register in bits 0-2 of the opcode unless they are 6 (undocumented).
      */
-    processIndexedBitOp(indexReg, displacement, operation, bit, targetReg = null) {
-        const signedDisp = sign8(displacement);
-        const addr = (this.registers.get16(indexReg) + signedDisp) & 0xffff;
+    processIndexedCB(pair, displacement, cbOpcode) {
+        const addr = this.indexedAddress(pair, displacement, 2);
         const value = this.memory.readByte(addr);
-        const bitInst = this.getBit();
+        this.memory.internal(addr, 1);
+        const bit = (cbOpcode >> 3) & 0x07;
 
         let result;
-        let cycles = 20; // Base cycles for indexed bit operations
-
-        switch (operation) {
-            case 'BIT': {
-                // BIT operations don't modify memory, just test the bit
-                const newF = this.flags.updateBitTestFlags(this.registers.get('F'), bit, value);
-                this.registers.set('F', newF);
-                return cycles;
-            }
-
-            case 'SET':
-                result = value | (1 << bit);
-                cycles = 23;
-                break;
-
-            case 'RES':
+        switch (cbOpcode & 0xc0) {
+            case 0x40:
+                // F3/F5 come from the high byte of IX/IY+d
+                this.registers.f = this.flags.updateBitTestFlags(this.registers.f, bit, value, addr >> 8);
+                return 20; // cycles
+            case 0x80:
                 result = value & ~(1 << bit);
-                cycles = 23;
-                break;
-
-            case 'RLC':
-                result = bitInst.rlc(value);
-                cycles = 23;
-                break;
-
-            case 'RRC':
-                result = bitInst.rrc(value);
-                cycles = 23;
-                break;
-
-            case 'RL':
-                result = bitInst.rl(value);
-                cycles = 23;
-                break;
-
-            case 'RR':
-                result = bitInst.rr(value);
-                cycles = 23;
                 break;
-
-            case 'SLA':
-                result = bitInst.sla(value);
-                cycles = 23;
-                break;
-
-            case 'SRA':
-                result = bitInst.sra(value);
-                cycles = 23;
-                break;
-
-            case 'SLL':
-                result = bitInst.sll(value);
-                cycles = 23;
-                break;
-
-            case 'SRL':
-                result = bitInst.srl(value);
-                cycles = 23;
+            case 0xc0:
+                result = value | (1 << bit);
                 break;
-
             default:
-                return cycles;
+                result = this.getBit().rotate(bit, value);
+                break;
         }
 
-        // Store result in memory
         this.memory.writeByte(addr, result);
 
-        // Also store in register if specified (undocumented behavior)
-        if (targetReg && targetReg !== 'NONE') {
-            this.registers.set(targetReg, result);
+        const reg = cbOpcode & 0x07;
+        if (reg !== 6) {
+            this.registers.r8[reg] = result;
         }
 
-        return cycles;
-    }
-
-    /**
-     * Get register name from index (for DD/FD CB operations)
-     */
-    getRegisterFromIndex(index) {
-        const regMap = ['B', 'C', 'D', 'E', 'H', 'L', 'NONE', 'A'];
-        return regMap[index] || 'NONE';
-    }
-
-    /**
-     * Process DDCB/FDCB instruction
-     */
-    processIndexedCB(indexReg, displacement, cbOpcode) {
-        const regIndex = cbOpcode & 0x07;
-        const targetReg = this.getRegisterFromIndex(regIndex);
-
-        if ((cbOpcode & 0xc0) === 0x40) {
-            // BIT operations (0x40-0x7F)
-            const bit = (cbOpcode >> 3) & 0x07;
-            return this.processIndexedBitOp(indexReg, displacement, 'BIT', bit);
-        } else if ((cbOpcode & 0xc0) === 0x80) {
-            // RES operations (0x80-0xBF)
-            const bit = (cbOpcode >> 3) & 0x07;
-            return this.processIndexedBitOp(indexReg, displacement, 'RES', bit, targetReg);
-        } else if ((cbOpcode & 0xc0) === 0xc0) {
-            // SET operations (0xC0-0xFF)
-            const bit = (cbOpcode >> 3) & 0x07;
-            return this.processIndexedBitOp(indexReg, displacement, 'SET', bit, targetReg);
-        } else {
-            // Rotate/Shift operations (0x00-0x3F)
-            const operation = cbOpcode & 0xf8;
-            let opName;
-
-            switch (operation) {
-                case 0x00:
-                    opName = 'RLC';
-                    break;
-                case 0x08:
-                    opName = 'RRC';
-                    break;
-                case 0x10:
-                    opName = 'RL';
-                    break;
-                case 0x18:
-                    opName = 'RR';
-                    break;
-                case 0x20:
-                    opName = 'SLA';
-                    break;
-                case 0x28:
-                    opName = 'SRA';
-                    break;
-                case 0x30:
-                    opName = 'SLL';
-                    break;
-                case 0x38:
-                    opName = 'SRL';
-                    break;
-                default:
-                    return 23; // Unknown operation
-            }
-
-            return this.processIndexedBitOp(indexReg, displacement, opName, 0, targetReg);
-        }
+        return 23; // cycles
     }
 }
 
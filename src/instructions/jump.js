@@ -14,6 +14,7 @@ class JumpInstructions {
      */
     jump(address) {
         this.registers.setPC(address);
+        this.registers.memptr = address;
         return 10; // cycles
     }
 
@@ -24,6 +25,8 @@ class JumpInstructions {
         if (this.checkCondition(condition)) {
             this.registers.setPC(address);
         }
+        // MEMPTR takes the target whether or not the jump is taken
+        this.registers.memptr = address;
         return 10; // cycles
     }
 
@@ -35,21 +38,15 @@ class JumpInstructions {
         return 4; // cycles
     }
 
-    /**
-     * JP (IX) / JP (IY)
-     */
-    jumpIndexed(indexReg) {
-        this.registers.setPC(this.registers.get16(indexReg));
-        return 8; // cycles
-    }
-
     /**
      * JR e (Relative jump)
      */
     jumpRelative(offset) {
+        this.memory.internal(this.registers.getPC() - 1, 5);
         const signedOffset = offset > 127 ? offset - 256 : offset;
         const newPC = (this.registers.getPC() + signedOffset) & 0xffff;
         this.registers.setPC(newPC);
+        this.registers.memptr = newPC;
         return 12; // cycles
     }
 
@@ -58,9 +55,11 @@ class JumpInstructions {
      */
     jumpRelativeConditional(condition, offset) {
         if (this.checkCondition(condition)) {
+            this.memory.internal(this.registers.getPC() - 1, 5);
             const signedOffset = offset > 127 ? offset - 256 : offset;
             const newPC = (this.registers.getPC() + signedOffset) & 0xffff;
             this.registers.setPC(newPC);
+            this.registers.memptr = newPC;
             return 12; // cycles
         }
         return 7; // cycles
@@ -70,8 +69,10 @@ class JumpInstructions {
      * CALL nn (Unconditional call)
      */
     call(address) {
+        this.memory.internal(this.registers.getPC() - 1, 1);
         this.memory.pushWord(this.registers, this.registers.getPC());
         this.registers.setPC(address);
+        this.registers.memptr = address;
         return 17; // cycles
     }
 
@@ -79,7 +80,9 @@ class JumpInstructions {
      * CALL cc, nn (Conditional call)
      */
     callConditional(condition, address) {
+        this.registers.memptr = address;
         if (this.checkCondition(condition)) {
+            this.memory.internal(this.registers.getPC() - 1, 1);
             this.memory.pushWord(this.registers, this.registers.getPC());
             this.registers.setPC(address);
             return 17; // cycles
@@ -93,6 +96,7 @@ class JumpInstructions {
     ret() {
         const address = this.memory.popWord(this.registers);
         this.registers.setPC(address);
+        this.registers.memptr = address;
         return 10; // cycles
     }
 
@@ -100,9 +104,11 @@ class JumpInstructions {
      * RET cc (Conditional return)
      */
     retConditional(condition) {
+        this.memory.internal(this.registers.getIR(), 1);
         if (this.checkCondition(condition)) {
             const address = this.memory.popWord(this.registers);
             this.registers.setPC(address);
+            this.registers.memptr = address;
             return 11; // cycles
         }
         return 5; // cycles
@@ -114,6 +120,7 @@ class JumpInstructions {
     reti() {
         const address = this.memory.popWord(this.registers);
         this.registers.setPC(address);
+        this.registers.memptr = address;
         // RETI also signals to peripherals that interrupt routine is complete
         return 14; // cycles
     }
@@ -124,6 +131,7 @@ class JumpInstructions {
     retn(cpu) {
         const address = this.memory.popWord(this.registers);
         this.registers.setPC(address);
+        this.registers.memptr = address;
         // Restore interrupt state: IFF1 = IFF2
         if (cpu) {
             cpu.iff1 = cpu.iff2;
@@ -135,8 +143,10 @@ class JumpInstructions {
      * RST p (Restart)
      */
     rst(address) {
+        this.memory.internal(this.registers.getIR(), 1);
         this.memory.pushWord(this.registers, this.registers.getPC());
         this.registers.setPC(address);
+        this.registers.memptr = address;
         return 11; // cycles
     }
 
@@ -144,13 +154,15 @@ class JumpInstructions {
      * DJNZ e (Decrement B and jump if not zero)
      */
     djnz(offset) {
-        const b = (this.registers.get('B') - 1) & 0xff;
-        this.registers.set('B', b);
+        const b = (this.registers.b - 1) & 0xff;
+        this.registers.b = b;
 
         if (b !== 0) {
+            this.memory.internal(this.registers.getPC() - 1, 5);
             const signedOffset = offset > 127 ? offset - 256 : offset;
             const newPC = (this.registers.getPC() + signedOffset) & 0xffff;
             this.registers.setPC(newPC);
+            this.registers.memptr = newPC;
             return 13; // cycles
         }
         return 8; // cycles
@@ -158,26 +170,27 @@ class JumpInstructions {
 
     /**
      * Check condition codes
+     * @param {number} condition - Bits 3-5 of the opcode: 0 NZ, 1 Z, 2 NC, 3 C, 4 PO, 5 PE, 6 P, 7 M
      */
     checkCondition(condition) {
-        const f = this.registers.get('F');
+        const f = this.registers.f;
 
         switch (condition) {
-            case 'NZ':
+            case 0:
                 return !this.flags.getFlag(f, this.flags.masks.Z);
-            case 'Z':
+            case 1:
                 return this.flags.getFlag(f, this.flags.masks.Z);
-            case 'NC':
+            case 2:
                 return !this.flags.getFlag(f, this.flags.masks.C);
-            case 'C':
+            case 3:
                 return this.flags.getFlag(f, this.flags.masks.C);
-            case 'PO':
+            case 4:
                 return !this.flags.getFlag(f, this.flags.masks.PV);
-            case 'PE':
+            case 5:
                 return this.flags.getFlag(f, this.flags.masks.PV);
-            case 'P':
+            case 6:
                 return !this.flags.getFlag(f, this.flags.masks.S);
-            case 'M':
+            case 7:
                 return this.flags.getFlag(f, this.flags.masks.S);
             default:
                 return false;
@@ -1,4 +1,4 @@
-import { sign8 } from '../utils/helpers.js';
+import { PAIRS } from '../core/registers.js';
 
 /**
  * Load Instructions
@@ -15,34 +15,34 @@ class LoadInstructions {
     }
 
     /* LD reg, value */
-    loadRegImmediate(regName, value) {
-        this.registers.set(regName, value & 0xff);
+    loadRegImmediate(reg, value) {
+        this.registers.r8[reg] = value;
         return 7;
     }
 
     /* LD reg16, value */
-    loadReg16Immediate(regName, value) {
-        this.registers.set16(regName, value & 0xffff);
-        return regName === 'IX' || regName === 'IY' ? 14 : 10;
+    loadReg16Immediate(pair, value) {
+        this.registers.setPair(pair, value);
+        return pair === PAIRS.IX || pair === PAIRS.IY ? 14 : 10;
     }
 
     /* LD reg, reg */
     loadRegReg(destReg, srcReg) {
-        this.registers.set(destReg, this.registers.get(srcReg));
+        this.registers.r8[destReg] = this.registers.r8[srcReg];
         return 4;
     }
 
     /* LD reg, (HL) */
-    loadRegFromHL(regName) {
+    loadRegFromHL(reg) {
         const addr = this.registers.getHL();
-        this.registers.set(regName, this.memory.readByte(addr));
+        this.registers.r8[reg] = this.memory.readByte(addr);
         return 7;
     }
 
     /* LD (HL), reg */
-    loadHLFromReg(regName) {
+    loadHLFromReg(reg) {
         const addr = this.registers.getHL();
-        this.memory.writeByte(addr, this.registers.get(regName));
+        this.memory.writeByte(addr, this.registers.r8[reg]);
         return 7;
     }
 
@@ -56,82 +56,103 @@ class LoadInstructions {
     /* LD A,(BC) */
     loadAFromBC() {
         const addr = this.registers.getBC();
-        this.registers.set('A', this.memory.readByte(addr));
+        this.registers.a = this.memory.readByte(addr);
+        this.registers.memptr = addr + 1;
         return 7;
     }
 
     /* LD A,(DE) */
     loadAFromDE() {
         const addr = this.registers.getDE();
-        this.registers.set('A', this.memory.readByte(addr));
+        this.registers.a = this.memory.readByte(addr);
+        this.registers.memptr = addr + 1;
         return 7;
     }
 
     /* LD (BC),A */
     loadBCFromA() {
         const addr = this.registers.getBC();
-        this.memory.writeByte(addr, this.registers.get('A'));
+        this.memory.writeByte(addr, this.registers.a);
+        this._setMemptrAfterStoreA(addr);
         return 7;
     }
 
     /* LD (DE),A */
     loadDEFromA() {
         const addr = this.registers.getDE();
-        this.memory.writeByte(addr, this.registers.get('A'));
+        this.memory.writeByte(addr, this.registers.a);
+        this._setMemptrAfterStoreA(addr);
         return 7;
     }
 
     /* LD A,(nn) */
     loadAFromAddress(address) {
-        this.registers.set('A', this.memory.readByte(address & 0xffff));
+        this.registers.a = this.memory.readByte(address & 0xffff);
+        this.registers.memptr = address + 1;
         return 13;
     }
 
     /* LD (nn),A */
     loadAddressFromA(address) {
-        this.memory.writeByte(address & 0xffff, this.registers.get('A'));
+        this.memory.writeByte(address & 0xffff, this.registers.a);
+        this._setMemptrAfterStoreA(address);
         return 13;
     }
 
+    /**
+     * Stores of A leave A in the high byte of MEMPTR and the address + 1 in the
+     * low byte, without the carry into the high byte.
+     */
+    _setMemptrAfterStoreA(address) {
+        this.registers.memptr = (this.registers.a << 8) | ((address + 1) & 0xff);
+    }
+
     /* LD HL,(nn) */
     loadHLFromAddress(address) {
         this.registers.setHL(this.memory.readWord(address & 0xffff));
+        this.registers.memptr = address + 1;
         return 16;
     }
 
     /* LD (nn),HL */
     loadAddressFromHL(address) {
         this.memory.writeWord(address & 0xffff, this.registers.getHL());
+        this.registers.memptr = address + 1;
         return 16;
     }
 
     /* LD reg16,(nn)  (ED) */
-    loadReg16FromAddress(regName, address) {
-        this.registers.set16(regName, this.memory.readWord(address & 0xffff));
+    loadReg16FromAddress(pair, address) {
+        this.registers.setPair(pair, this.memory.readWord(address & 0xffff));
+        this.registers.memptr = address + 1;
         return 20;
     }
 
     /* LD (nn),reg16 (ED) */
-    loadAddressFromReg16(address, regName) {
-        this.memory.writeWord(address & 0xffff, this.registers.get16(regName));
+    loadAddressFromReg16(address, pair) {
+        this.memory.writeWord(address & 0xffff, this.registers.getPair(pair));
+        this.registers.memptr = address + 1;
         return 20;
     }
 
     /* LD SP,HL */
     loadSPFromHL() {
-        this.registers.set16('SP', this.registers.getHL());
+        this.memory.internal(this.registers.getIR(), 2);
+        this.registers.sp = this.registers.getHL();
         return 6;
     }
 
     /* LD I,A */
     loadIFromA() {
-        this.registers.set('I', this.registers.get('A'));
+        this.memory.internal(this.registers.getIR(), 1);
+        this.registers.i = this.registers.a;
         return 9;
     }
 
     /* LD R,A */
     loadRFromA() {
-        this.registers.set('R', this.registers.get('A'));
+        this.memory.internal(this.registers.getIR(), 1);
+        this.registers.r = this.registers.a;
         return 9;
     }
 
@@ -140,7 +161,7 @@ class LoadInstructions {
      * @param {number} value  The value loaded into A (either I or R)
      */
     _updateFlagsAfterLoadAIorAR(value) {
-        let f = this.registers.get('F');
+        let f = this.registers.f;
         const carryState = this.flags.getFlag(f, this.flags.masks.C); // preserve C
 
         f = this.flags.setFlag(f, this.flags.masks.S, (value & 0x80) !== 0);
@@ -151,6 +172,7 @@ class LoadInstructions {
         // PV == IFF2 when CPU context is provided
         if (this.cpu) {
             f = this.flags.setFlag(f, this.flags.masks.PV, !!this.cpu.iff2);
+            this.cpu.readIFF2 = true;
         }
 
         // Undocumented flags
@@ -160,48 +182,26 @@ class LoadInstructions {
         // Restore original carry
         f = this.flags.setFlag(f, this.flags.masks.C, carryState);
 
-        this.registers.set('F', f);
+        this.registers.f = f;
     }
 
     /* LD A,I */
     loadAFromI() {
-        const i = this.registers.get('I') & 0xff;
-        this.registers.set('A', i);
+        this.memory.internal(this.registers.getIR(), 1);
+        const i = this.registers.i;
+        this.registers.a = i;
         this._updateFlagsAfterLoadAIorAR(i);
         return 9;
     }
 
     /* LD A,R */
     loadAFromR() {
-        const r = this.registers.get('R') & 0xff;
-        this.registers.set('A', r);
+        this.memory.internal(this.registers.getIR(), 1);
+        const r = this.registers.r;
+        this.registers.a = r;
         this._updateFlagsAfterLoadAIorAR(r);
         return 9;
     }
-
-    /* LD reg,(IX/IY+d) */
-    loadRegFromIndexed(regName, indexReg, displacement) {
-        const signedDisp = sign8(displacement);
-        const addr = (this.registers.get16(indexReg) + signedDisp) & 0xffff;
-        this.registers.set(regName, this.memory.readByte(addr));
-        return 19;
-    }
-
-    /* LD (IX/IY+d),reg */
-    loadIndexedFromReg(indexReg, displacement, regName) {
-        const signedDisp = sign8(displacement);
-        const addr = (this.registers.get16(indexReg) + signedDisp) & 0xffff;
-        this.memory.writeByte(addr, this.registers.get(regName));
-        return 19;
-    }
-
-    /* LD (IX/IY+d),n */
-    loadIndexedImmediate(indexReg, displacement, value) {
-        const signedDisp = sign8(displacement);
-        const addr = (this.registers.get16(indexReg) + signedDisp) & 0xffff;
-        this.memory.writeByte(addr, value & 0xff);
-        return 19;
-    }
 }
 
 export { LoadInstructions };
@@ -1,3 +1,5 @@
+import { MASKS, SZ53P } from '../core/flags.js';
+
 /**
  * Logical Instructions
  * Handles AND, OR, XOR, CPL, SCF, CCF, DAA operations
@@ -12,14 +14,9 @@ class LogicalInstructions {
      * AND A, value
      */
     andA(value) {
-        const result = this.registers.get('A') & value;
-        this.registers.set('A', result);
-
-        let newF = this.registers.get('F');
-        newF = this.flags.setFlag(newF, this.flags.masks.C, false);
-        newF = this.flags.setFlag(newF, this.flags.masks.H, true);
-        newF = this.flags.updateFlags(newF, result, 'logical');
-        this.registers.set('F', newF);
+        const result = this.registers.a & value;
+        this.registers.a = result;
+        this.registers.f = MASKS.H | SZ53P[result];
 
         return 4; // cycles
     }
@@ -28,14 +25,9 @@ class LogicalInstructions {
      * OR A, value
      */
     orA(value) {
-        const result = this.registers.get('A') | value;
-        this.registers.set('A', result);
-
-        let newF = this.registers.get('F');
-        newF = this.flags.setFlag(newF, this.flags.masks.C, false);
-        newF = this.flags.setFlag(newF, this.flags.masks.H, false);
-        newF = this.flags.updateFlags(newF, result, 'logical');
-        this.registers.set('F', newF);
+        const result = this.registers.a | value;
+        this.registers.a = result;
+        this.registers.f = SZ53P[result];
 
         return 4; // cycles
     }
@@ -44,14 +36,9 @@ class LogicalInstructions {
      * XOR A, value
      */
     xorA(value) {
-        const result = this.registers.get('A') ^ value;
-        this.registers.set('A', result);
-
-        let newF = this.registers.get('F');
-        newF = this.flags.setFlag(newF, this.flags.masks.C, false);
-        newF = this.flags.setFlag(newF, this.flags.masks.H, false);
-        newF = this.flags.updateFlags(newF, result, 'logical');
-        this.registers.set('F', newF);
+        const result = this.registers.a ^ value;
+        this.registers.a = result;
+        this.registers.f = SZ53P[result];
 
         return 4; // cycles
     }
@@ -60,18 +47,18 @@ class LogicalInstructions {
      * CPL (Complement A)
      */
     cpl() {
-        this.registers.set('A', ~this.registers.get('A') & 0xff);
+        this.registers.a = ~this.registers.a & 0xff;
 
-        let newF = this.registers.get('F');
+        let newF = this.registers.f;
         newF = this.flags.setFlag(newF, this.flags.masks.H, true);
         newF = this.flags.setFlag(newF, this.flags.masks.N, true);
 
         // Undocumented flags from A
-        const a = this.registers.get('A');
+        const a = this.registers.a;
         newF = this.flags.setFlag(newF, this.flags.masks.F5, (a & 0x20) !== 0);
         newF = this.flags.setFlag(newF, this.flags.masks.F3, (a & 0x08) !== 0);
 
-        this.registers.set('F', newF);
+        this.registers.f = newF;
 
         return 4; // cycles
     }
@@ -79,18 +66,14 @@ class LogicalInstructions {
     /**
      * SCF (Set Carry Flag)
      */
-    scf() {
-        let newF = this.registers.get('F');
+    scf(cpu) {
+        let newF = this.registers.f;
         newF = this.flags.setFlag(newF, this.flags.masks.C, true);
         newF = this.flags.setFlag(newF, this.flags.masks.H, false);
         newF = this.flags.setFlag(newF, this.flags.masks.N, false);
+        newF = this.undocumentedFlagsFromQ(newF, cpu);
 
-        // Undocumented flags from A
-        const a = this.registers.get('A');
-        newF = this.flags.setFlag(newF, this.flags.masks.F5, (a & 0x20) !== 0);
-        newF = this.flags.setFlag(newF, this.flags.masks.F3, (a & 0x08) !== 0);
-
-        this.registers.set('F', newF);
+        this.registers.f = newF;
 
         return 4; // cycles
     }
@@ -98,94 +81,69 @@ class LogicalInstructions {
     /**
      * CCF (Complement Carry Flag)
      */
-    ccf() {
-        const oldCarry = this.flags.getFlag(this.registers.get('F'), this.flags.masks.C);
+    ccf(cpu) {
+        const oldCarry = this.flags.getFlag(this.registers.f, this.flags.masks.C);
 
-        let newF = this.registers.get('F');
+        let newF = this.registers.f;
         newF = this.flags.setFlag(newF, this.flags.masks.H, oldCarry);
         newF = this.flags.setFlag(newF, this.flags.masks.C, !oldCarry);
         newF = this.flags.setFlag(newF, this.flags.masks.N, false);
+        newF = this.undocumentedFlagsFromQ(newF, cpu);
 
-        // Undocumented flags from A
-        const a = this.registers.get('A');
-        newF = this.flags.setFlag(newF, this.flags.masks.F5, (a & 0x20) !== 0);
-        newF = this.flags.setFlag(newF, this.flags.masks.F3, (a & 0x08) !== 0);
-
-        this.registers.set('F', newF);
+        this.registers.f = newF;
 
         return 4; // cycles
     }
 
+    /**
+     * F3/F5 for SCF and CCF
+     *
+     * On Zilog parts they are ((Q ^ F) | A): copied from A after an instruction
+     * that set the flags, and ORed with the old F3/F5 otherwise. The CPU variant
+     * says which of the two bits follow this rule; the rest come from A.
+     */
+    undocumentedFlagsFromQ(newF, cpu = null) {
+        const qMask = cpu ? cpu.variant.scfCcfQMask : 0x28;
+        const bits = (((this.registers.q ^ this.registers.f) & qMask) | this.registers.a) & 0x28;
+        return (newF & ~0x28) | bits;
+    }
+
     /**
      * DAA (Decimal Adjust Accumulator)
      *
-     * Flags affected: S Z H PV N C F5 F3
-     * This is the official Z80 logic for DAA.
-     * - H is set if there is a half-carry out of bit 3 of the result (after correction)
-     * - C is set if correction was >= 0x60, or if C was already set and a correction was done
-     * - N is not changed
+     * Flags affected: S Z H PV C F5 F3, N is not changed
+     * The correction is chosen the same way after an addition and a subtraction:
+     * 0x06 if H is set or the low digit is over 9, plus 0x60 if C is set or A is
+     * over 0x99. N selects whether it is added or subtracted.
+     * - H is the carry (or borrow) out of bit 3 of the correction
+     * - C is set if it was already, or if A was over 0x99
      */
     daa() {
-        let a = this.registers.get('A');
-        let f = this.registers.get('F');
-
-        const c = this.flags.getFlag(f, this.flags.masks.C);
-        const h = this.flags.getFlag(f, this.flags.masks.H);
-        const n = this.flags.getFlag(f, this.flags.masks.N);
+        const a = this.registers.a;
+        const f = this.registers.f;
 
         let correction = 0;
-        let setC = false;
-
-        // DAA algorithm
-        if (!n) {
-            // After addition
-            if (h || (a & 0x0f) > 9) {
-                correction |= 0x06;
-            }
-            if (c || a > 0x99) {
-                correction |= 0x60;
-                setC = true;
-            }
-
-            const newA = (a + correction) & 0xff;
-            // Set or clear H: was there a half-carry?
-            const halfCarry = (a & 0x0f) + (correction & 0x0f) > 0x0f;
-            f = this.flags.setFlag(f, this.flags.masks.H, halfCarry);
-            a = newA;
-        } else {
-            // After subtraction - DAA adjusts based on invalid BCD digits
-            if (h) {
-                correction |= 0x06;
-            }
-            if (c) {
-                correction |= 0x60;
-            }
-
-            const newA = (a - correction) & 0xff;
-            // H flag behavior after subtraction DAA is complex:
-            // Set if there was a borrow from bit 4 during the correction
-            const halfBorrow = (a & 0x0f) < (correction & 0x0f);
-            f = this.flags.setFlag(f, this.flags.masks.H, halfBorrow);
-            a = newA;
-            
-            // C flag remains as it was (set by the previous SUB/SBC)
-            setC = c;
+        let carry = f & MASKS.C;
+        if (f & MASKS.H || (a & 0x0f) > 9) {
+            correction = 0x06;
+        }
+        if (carry || a > 0x99) {
+            correction |= 0x60;
+            carry = MASKS.C;
         }
 
-        // Set S, Z, PV
-        f = this.flags.setFlag(f, this.flags.masks.S, (a & 0x80) !== 0);
-        f = this.flags.setFlag(f, this.flags.masks.Z, a === 0);
-        f = this.flags.setFlag(f, this.flags.masks.PV, this.flags.calculateParity(a));
-
-        // Set/clear carry
-        f = this.flags.setFlag(f, this.flags.masks.C, setC);
-
-        // F5/F3 undocumented: from result
-        f = this.flags.setFlag(f, this.flags.masks.F5, (a & 0x20) !== 0);
-        f = this.flags.setFlag(f, this.flags.masks.F3, (a & 0x08) !== 0);
+        let result;
+        let halfCarry;
+        if (f & MASKS.N) {
+            result = (a - correction) & 0xff;
+            halfCarry = (a & 0x0f) < (correction & 0x0f);
+        } else {
+            result = (a + correction) & 0xff;
+            halfCarry = (a & 0x0f) + (correction & 0x0f) > 0x0f;
+        }
 
-        this.registers.set('A', a);
-        this.registers.set('F', f);
+        this.registers.a = result;
+        this.registers.f = SZ53P[result] | (halfCarry ? MASKS.H : 0) | (f & MASKS.N) | carry;
 
         return 4; // cycles
     }
@@ -1,3 +1,5 @@
+import { PAIRS } from '../core/registers.js';
+
 /**
  * Miscellaneous Instructions
  * Handles NOP, HALT, DI, EI, EX operations and stack operations
@@ -43,6 +45,7 @@ class MiscInstructions {
         if (cpu) {
             cpu.iff1 = true;
             cpu.iff2 = true;
+            cpu.eiShadow = true;
         }
         return 4; // cycles
     }
@@ -71,13 +74,27 @@ class MiscInstructions {
         return 4; // cycles
     }
 
+    /**
+     * Exchange the word at the top of the stack with a register pair
+     * It is read low byte first and written back high byte first.
+     */
+    exchangeSP(pair) {
+        const sp = this.registers.sp;
+        const value = this.registers.getPair(pair);
+        const spValue = this.memory.readWord(sp);
+        this.memory.internal(sp + 1, 1);
+        this.memory.writeByte(sp + 1, value >> 8);
+        this.memory.writeByte(sp, value & 0xff);
+        this.memory.internal(sp, 2);
+        this.registers.setPair(pair, spValue);
+        this.registers.memptr = spValue;
+    }
+
     /**
      * EX (SP), HL
      */
     exSPHL() {
-        const spValue = this.memory.readWord(this.registers.get16('SP'));
-        this.memory.writeWord(this.registers.get16('SP'), this.registers.getHL());
-        this.registers.setHL(spValue);
+        this.exchangeSP(PAIRS.HL);
         return 19; // cycles
     }
 
@@ -85,9 +102,7 @@ class MiscInstructions {
      * EX (SP), IX
      */
     exSPIX() {
-        const spValue = this.memory.readWord(this.registers.get16('SP'));
-        this.memory.writeWord(this.registers.get16('SP'), this.registers.get16('IX'));
-        this.registers.set16('IX', spValue);
+        this.exchangeSP(PAIRS.IX);
         return 23; // cycles
     }
 
@@ -95,20 +110,19 @@ class MiscInstructions {
      * EX (SP), IY
      */
     exSPIY() {
-        const spValue = this.memory.readWord(this.registers.get16('SP'));
-        this.memory.writeWord(this.registers.get16('SP'), this.registers.get16('IY'));
-        this.registers.set16('IY', spValue);
+        this.exchangeSP(PAIRS.IY);
         return 23; // cycles
     }
 
     /**
      * PUSH reg16
      */
-    push(regName) {
-        const value = this.registers.get16(regName);
+    push(pair) {
+        const value = this.registers.getPair(pair);
+        this.memory.internal(this.registers.getIR(), 1);
         this.memory.pushWord(this.registers, value);
 
-        if (regName === 'IX' || regName === 'IY') {
+        if (pair === PAIRS.IX || pair === PAIRS.IY) {
             return 15; // cycles
         }
         return 11; // cycles
@@ -117,11 +131,11 @@ class MiscInstructions {
     /**
      * POP reg16
      */
-    pop(regName) {
+    pop(pair) {
         const value = this.memory.popWord(this.registers);
-        this.registers.set16(regName, value);
+        this.registers.setPair(pair, value);
 
-        if (regName === 'IX' || regName === 'IY') {
+        if (pair === PAIRS.IX || pair === PAIRS.IY) {
             return 14; // cycles
         }
         return 10; // cycles
@@ -131,9 +145,10 @@ class MiscInstructions {
      * IN A, (n)
      */
     inAImmediate(port, io) {
-        const a = this.registers.get('A');
+        const a = this.registers.a;
         const fullPort = port | (a << 8);
-        this.registers.set('A', io.readPort(fullPort));
+        this.registers.a = io.readPort(fullPort);
+        this.registers.memptr = fullPort + 1;
         return 11; // cycles
     }
 
@@ -141,39 +156,44 @@ class MiscInstructions {
      * OUT (n), A
      */
     outAImmediate(port, io) {
-        const a = this.registers.get('A');
+        const a = this.registers.a;
         const fullPort = port | (a << 8);
         io.writePort(fullPort, a);
+        // The low byte wraps without carrying into A
+        this.registers.memptr = (a << 8) | ((port + 1) & 0xff);
         return 11; // cycles
     }
 
     /**
      * IN reg, (C)
      */
-    inRegC(regName, io, flags) {
+    inRegC(reg, io, flags) {
         const port = this.registers.getBC();
         const value = io.readPort(port);
+        this.registers.memptr = port + 1;
 
-        if (regName !== null) {
-            this.registers.set(regName, value);
+        if (reg !== null) {
+            this.registers.r8[reg] = value;
         }
-        // Note: When regName is null, this is the IN F,(C) instruction
+        // Note: When reg is null, this is the IN F,(C) instruction
         // where the value is read but discarded (only flags are affected)
 
         // Update flags
-        const newF = flags.updateInFlags(this.registers.get('F'), value);
-        this.registers.set('F', newF);
+        const newF = flags.updateInFlags(this.registers.f, value);
+        this.registers.f = newF;
 
         return 12; // cycles
     }
 
     /**
      * OUT (C), reg
+     * The undocumented OUT (C),0 (reg null) outputs 0 on NMOS parts and 0xFF on CMOS ones
      */
-    outRegC(regName, io) {
+    outRegC(reg, io, cpu = null) {
         const port = this.registers.getBC();
-        const value = regName ? this.registers.get(regName) : 0;
+        const value = reg !== null ? this.registers.r8[reg] : (cpu ? cpu.variant.outCZero : 0);
         io.writePort(port, value);
+        this.registers.memptr = port + 1;
         return 12; // cycles
     }
 
@@ -1,24 +1,111 @@
 /**
  * I/O Interface
  * Provides abstraction layer for I/O port access
+ *
+ * Port cycles take 4 T-states on the access clock of the memory interface,
+ * and are reported to its bus listener. When I/O contention is on, they are
+ * delayed following the ULA's I/O contention patterns, using the contention
+ * tables of the memory interface, so the delays land on the T-state the port
+ * cycle happens. The portRead and portWrite hooks
+ * of the memory interface see each port access as (port, value).
  */
 class IOInterface {
-    constructor(ula) {
+    constructor(ula, clock = null) {
         this.ula = ula;
+
+        // Memory interface whose access clock times the port cycles
+        this.clock = clock;
+
+        // Whether port cycles are contended, with the tables of the clock
+        this.contended = false;
+    }
+
+    /**
+     * Enable or disable I/O contention
+     */
+    setContention(enabled) {
+        this.contended = enabled;
+    }
+
+    /**
+     * Apply the contention of a 4 T-state port cycle
+     *
+     * High byte  | Bit 0 | Pattern
+     * contended  | 0     | C:1, C:3
+     * contended  | 1     | C:1, C:1, C:1, C:1
+     * other      | 0     | N:1, C:3
+     * other      | 1     | N:4
+     *
+     * C:n waits for the ULA then takes n T-states, N:n takes n T-states.
+     * An uncontended high byte gets no delay from the tables, so the two
+     * odd-port patterns and the first cycle of the even-port ones coincide.
+     */
+    contend(port) {
+        const clock = this.clock;
+        const start = clock.accessTState;
+        let t = start;
+
+        if ((port & 0x01) === 0) {
+            t += clock.contentionDelay(port, t) + 1;
+            // The ULA itself answers even ports, so the rest waits as for a screen access
+            t += clock.contentionDelay(0x4000, t) + 3;
+        } else {
+            for (let i = 0; i < 4; i++) {
+                t += clock.contentionDelay(port, t) + 1;
+            }
+        }
+
+        clock.contentionTStates += t - start - 4;
+        clock.accessTState = t;
+    }
+
+    /**
+     * Advance the access clock past a port cycle
+     * Returns the T-state its last 4 T-states start at, after the wait states
+     */
+    portCycle(port) {
+        if (this.contended) {
+            this.contend(port);
+        } else {
+            this.clock.accessTState += 4;
+        }
+        return this.clock.accessTState - 4;
     }
 
     /**
      * Read from I/O port
      */
     readPort(port) {
-        return this.ula.readPort(port & 0xffff);
+        if (this.clock === null) {
+            return this.ula.readPort(port & 0xffff);
+        }
+        const tState = this.portCycle(port & 0xffff);
+        const value = this.ula.readPort(port & 0xffff);
+        if (this.clock.busListener !== null) {
+            this.clock.busListener('in', port & 0xffff, value, tState);
+        }
+        if (this.clock.hooks.portRead !== null) {
+            this.clock.hooks.portRead(port & 0xffff, value);
+        }
+        return value;
     }
 
     /**
      * Write to I/O port
      */
     writePort(port, value) {
+        if (this.clock === null) {
+            this.ula.writePort(port & 0xffff, value & 0xff);
+            return;
+        }
+        const tState = this.portCycle(port & 0xffff);
         this.ula.writePort(port & 0xffff, value & 0xff);
+        if (this.clock.busListener !== null) {
+            this.clock.busListener('out', port & 0xffff, value & 0xff, tState);
+        }
+        if (this.clock.hooks.portWrite !== null) {
+            this.clock.hooks.portWrite(port & 0xffff, value & 0xff);
+        }
     }
 }
 
@@ -1,33 +1,214 @@
+import { Hooks } from '../core/hooks.js';
+
 /**
  * Memory Interface
  * Provides abstraction layer for memory access
+ *
+ * Every bus cycle of an instruction advances the access clock: 4 T-states for
+ * an opcode fetch, 3 for a memory read or write and 1 for each internal
+ * T-state during which the CPU keeps an address on the bus. When contention
+ * tables are set, each cycle first waits the T-states the ULA inserts at the
+ * T-state it happens. A bus listener sees the cycles in order as
+ * (type, address, value, tState), with type one of 'fetch', 'read', 'write',
+ * 'internal' (value null), or 'in' and 'out' for the port cycles of the I/O
+ * interface sharing this clock.
+ *
+ * Contention is given as two tables: whether each 16K page is contended, and
+ * the wait states of an access at each T-state of the frame, which starts at
+ * CPU T-state frameStart. The page table may be changed in place by paging.
+ *
+ * The memoryRead and memoryWrite hooks see every access as (address, value),
+ * reads with a third argument that is true for the opcode and operand bytes of
+ * an instruction and false for data.
+ *
+ * An access looks its page up in one table and, unless the page is flagged,
+ * only reads or writes memory and advances the access clock. The table is the
+ * contended flags, or flags every page while a bus listener, a data bus
+ * provider or a memory hook is in use; flagged accesses take the observed
+ * variants, which wait for the ULA and report the cycle.
  */
+
+// Page flags while contention is off, and while every access is observed
+// (plain arrays: the hot path reads frozen ones much more slowly)
+const UNCONTENDED = [false, false, false, false];
+const ALL_PAGES = [true, true, true, true];
+
 class MemoryInterface {
-    constructor(memory) {
+    constructor(memory, hooks = new Hooks()) {
         this.memory = memory;
+
+        // Observer hooks shared with the CPU; a change to them updates the observed pages
+        this.hooks = hooks;
+        hooks.onUpdate = () => this.updateObserved();
+
+        // Contended flag per 16K page and wait states per frame T-state
+        this.contendedPages = UNCONTENDED;
+        this.contentionDelays = null;
+        this.frameStart = 0;
+        this.accessTState = 0;
+        this.contentionTStates = 0;
+
+        // Bus listener (type, address, value, tState) => void, or null
+        this.busListener = null;
+
+        // () => byte replacing instruction fetches while an IM 0 instruction is read from the data bus
+        this.dataBus = null;
+
+        // Pages whose accesses take the observed path
+        this.observedPages = UNCONTENDED;
+    }
+
+    // Recompute which pages take the observed path
+    updateObserved() {
+        const observed = this.busListener !== null || this.dataBus !== null ||
+            this.hooks.memoryRead !== null || this.hooks.memoryWrite !== null;
+        this.observedPages = observed ? ALL_PAGES : this.contendedPages;
+    }
+
+    /**
+     * Set the contention tables, or null for both to disable contention
+     */
+    setContention(contendedPages, delays) {
+        this.contendedPages = contendedPages ?? UNCONTENDED;
+        this.contentionDelays = delays;
+        this.contentionTStates = 0;
+        this.updateObserved();
+    }
+
+    /**
+     * Get the wait states of an access to an address at a CPU T-state
+     * Used for the port cycles; memory cycles look the tables up inline.
+     */
+    contentionDelay(address, tState) {
+        if (!this.contendedPages[address >> 14]) {
+            return 0;
+        }
+        // Outside the frame the table does not cover there is no delay
+        const delay = this.contentionDelays[tState - this.frameStart];
+        return delay > 0 ? delay : 0;
+    }
+
+    /**
+     * Set the bus listener, or null to stop reporting bus cycles
+     */
+    setBusListener(listener) {
+        this.busListener = listener;
+        this.updateObserved();
+    }
+
+    /**
+     * Set the data bus provider replacing instruction fetches, or null to fetch from memory
+     */
+    setDataBus(provider) {
+        this.dataBus = provider;
+        this.updateObserved();
+    }
+
+    /**
+     * Start timing a new instruction at the given CPU T-state
+     */
+    beginInstruction(tState) {
+        this.accessTState = tState;
+        this.contentionTStates = 0;
+    }
+
+    /**
+     * Apply the contention delay of a bus cycle and advance the access clock past it
+     * Returns the T-state the cycle starts at, after the wait states
+     */
+    contend(address, length) {
+        if (this.contendedPages[address >> 14]) {
+            // Outside the frame the table does not cover there is no delay
+            const delay = this.contentionDelays[this.accessTState - this.frameStart];
+            if (delay > 0) {
+                this.contentionTStates += delay;
+                this.accessTState += delay;
+            }
+        }
+        const tState = this.accessTState;
+        this.accessTState += length;
+        return tState;
+    }
+
+    /**
+     * Spend internal T-states with an address left on the bus
+     * Contention delays each of them separately.
+     */
+    internal(address, tStates) {
+        const addr = address & 0xffff;
+        if (!this.observedPages[addr >> 14]) {
+            this.accessTState += tStates;
+            return;
+        }
+        for (let i = 0; i < tStates; i++) {
+            const tState = this.contend(addr, 1);
+            if (this.busListener !== null) {
+                this.busListener('internal', addr, null, tState);
+            }
+        }
+    }
+
+    /**
+     * Read cycle with contention, the bus listener and the memoryRead hook
+     * Returns the byte read.
+     */
+    observedRead(type, address, length, code) {
+        const tState = this.contend(address, length);
+        const value = this.memory.read(address);
+        if (this.busListener !== null) {
+            this.busListener(type, address, value, tState);
+        }
+        if (this.hooks.memoryRead !== null) {
+            this.hooks.memoryRead(address, value, code);
+        }
+        return value;
+    }
+
+    /**
+     * Write cycle with contention, the bus listener and the memoryWrite hook
+     */
+    observedWrite(address, value) {
+        const tState = this.contend(address, 3);
+        this.memory.write(address, value);
+        if (this.busListener !== null) {
+            this.busListener('write', address, value, tState);
+        }
+        if (this.hooks.memoryWrite !== null) {
+            this.hooks.memoryWrite(address, value);
+        }
     }
 
     /**
      * Read a byte from memory
      */
     readByte(address) {
-        return this.memory.read(address & 0xffff);
+        const addr = address & 0xffff;
+        if (this.observedPages[addr >> 14]) {
+            return this.observedRead('read', addr, 3, false);
+        }
+        this.accessTState += 3;
+        return this.memory.read(addr);
     }
 
     /**
      * Write a byte to memory
      */
     writeByte(address, value) {
-        this.memory.write(address & 0xffff, value & 0xff);
+        const addr = address & 0xffff;
+        if (this.observedPages[addr >> 14]) {
+            this.observedWrite(addr, value & 0xff);
+            return;
+        }
+        this.accessTState += 3;
+        this.memory.write(addr, value & 0xff);
     }
 
     /**
      * Read a 16-bit word from memory (little-endian)
      */
     readWord(address) {
-        const addr = address & 0xffff;
-        const low = this.memory.read(addr);
-        const high = this.memory.read((addr + 1) & 0xffff);
+        const low = this.readByte(address);
+        const high = this.readByte(address + 1);
         return low | (high << 8);
     }
 
@@ -35,19 +216,44 @@ class MemoryInterface {
      * Write a 16-bit word to memory (little-endian)
      */
     writeWord(address, value) {
-        const addr = address & 0xffff;
-        const val = value & 0xffff;
-        this.memory.write(addr, val & 0xff);
-        this.memory.write((addr + 1) & 0xffff, (val >> 8) & 0xff);
+        this.writeByte(address, value & 0xff);
+        this.writeByte(address + 1, (value >> 8) & 0xff);
+    }
+
+    /**
+     * Fetch an opcode byte (M1 cycle) and increment PC
+     */
+    fetchOpcode(registers) {
+        const pc = registers.pc;
+        if (this.observedPages[pc >> 14]) {
+            if (this.dataBus !== null) {
+                return this.dataBus();
+            }
+            registers.pc = pc + 1;
+            return this.observedRead('fetch', pc, 4, true);
+        }
+        this.accessTState += 4;
+        registers.pc = pc + 1;
+        return this.memory.read(pc);
     }
 
     /**
      * Read byte and increment PC
+     * Operand bytes are read cycles on the bus, but reported to the hooks as code.
      */
     fetchByte(registers) {
-        const byte = this.readByte(registers.getPC());
-        registers.incrementPC();
-        return byte;
+        const pc = registers.pc;
+        if (this.observedPages[pc >> 14]) {
+            if (this.dataBus !== null) {
+                return this.dataBus();
+            }
+            const byte = this.observedRead('read', pc, 3, true);
+            registers.pc = pc + 1;
+            return byte;
+        }
+        this.accessTState += 3;
+        registers.pc = pc + 1;
+        return this.memory.read(pc);
     }
 
     /**
@@ -63,8 +269,8 @@ class MemoryInterface {
      * Push byte to stack
      */
     pushByte(registers, value) {
-        const sp = (registers.get16('SP') - 1) & 0xffff;
-        registers.set16('SP', sp);
+        const sp = (registers.sp - 1) & 0xffff;
+        registers.sp = sp;
         this.writeByte(sp, value);
     }
 
@@ -72,9 +278,9 @@ class MemoryInterface {
      * Pop byte from stack
      */
     popByte(registers) {
-        const sp = registers.get16('SP');
+        const sp = registers.sp;
         const value = this.readByte(sp);
-        registers.set16('SP', (sp + 1) & 0xffff);
+        registers.sp = sp + 1;
         return value;
     }
 
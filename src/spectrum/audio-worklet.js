@@ -9,7 +9,12 @@ export class SpectrumAudioWorklet {
     static MAX_EDGES_PER_FRAME = 2_048;          // safe worst-case
 
     /* =================================================================== */
-    constructor () {
+    constructor ({ tStatesPerFrame = SpectrumAudioWorklet.T_STATES_PER_FRAME,
+                   framesPerSecond = SpectrumAudioWorklet.FRAMES_PER_SECOND } = {}) {
+        /* Machine timing (128K frames are longer than 48K ones) -------- */
+        this.tStatesPerFrame = tStatesPerFrame;
+        this.framesPerSecond = framesPerSecond;
+
         /* Audio graph (created in init) --------------------------------- */
         this.audioContext = null;
         this.workletNode  = null;
@@ -19,6 +24,7 @@ export class SpectrumAudioWorklet {
         /* Edge-buffer pool (pre-allocated, reused every frame) ---------- */
         this.edgePool = Array.from({ length: 4 },             // 4 buffers = 80 ms latency guard
             () => new Float64Array(SpectrumAudioWorklet.MAX_EDGES_PER_FRAME * 2));
+        this.ayPool = []; // AY level buffers, sized on first use
 
         /* Frame / beeper state ----------------------------------------- */
         this.currentLevel   = 0;         // last beeper level (0-1)
@@ -49,7 +55,7 @@ export class SpectrumAudioWorklet {
             const SR = this.audioContext.sampleRate;   // actual rate granted
 
             /* ---------- 2. Inject AudioWorklet processor --------------- */
-            const processorSrc = this.#buildProcessorSource(SR);
+            const processorSrc = this.#buildProcessorSource(SR, this.tStatesPerFrame, this.framesPerSecond);
             const blobURL = URL.createObjectURL(new Blob([processorSrc], { type: "application/javascript" }));
             await this.audioContext.audioWorklet.addModule(blobURL);
             URL.revokeObjectURL(blobURL);
@@ -61,6 +67,9 @@ export class SpectrumAudioWorklet {
                     // Buffer returned from the worklet, reuse it.
                     this.edgePool.push(new Float64Array(e.data.returnBuffer));
                 }
+                if (e.data?.returnAYBuffer instanceof ArrayBuffer) {
+                    this.ayPool.push(new Float32Array(e.data.returnAYBuffer));
+                }
             };
 
             this.compressor = this.audioContext.createDynamicsCompressor();
@@ -116,7 +125,9 @@ export class SpectrumAudioWorklet {
         this.frameEdges = [{ tState: 0, level: this.currentLevel }];
     }
 
-    endFrame (frameTStates) {
+    /* `ay` is the AY38912.endFrame() output; its levels are mixed with the
+       beeper inside the processor, one level per `tStatesPerTick` T-states */
+    endFrame (frameTStates, ay = null) {
         if (!this.enabled || !this.workletNode) return;
 
         this.totalTStates += frameTStates;
@@ -133,13 +144,29 @@ export class SpectrumAudioWorklet {
             buf[i * 2 + 1] = e.level;
         }
 
-        this.workletNode.port.postMessage({
+        const msg = {
             frame        : true,
             edges        : buf,
             edgeCount    : count,
             frameTStates : frameTStates,
             syncTState   : this.totalTStates
-        }, [buf.buffer]);                      // transfer ownership
+        };
+        const transfer = [buf.buffer];
+
+        if (ay && ay.count > 0) {
+            let ayBuf = this.ayPool.pop();
+            if (!ayBuf || ayBuf.length < ay.levels.length) {
+                ayBuf = new Float32Array(ay.levels.length);
+            }
+            ayBuf.set(ay.levels.subarray(0, ay.count));
+
+            msg.ay = ayBuf;
+            msg.ayCount = ay.count;
+            msg.ayTStatesPerTick = ay.tStatesPerTick;
+            transfer.push(ayBuf.buffer);
+        }
+
+        this.workletNode.port.postMessage(msg, transfer);   // transfer ownership
     }
 
     /* =============================== UTILITIES ========================= */
@@ -209,12 +236,12 @@ export class SpectrumAudioWorklet {
     }
 
     /* ======================= PRIVATE HELPERS =========================== */
-    #buildProcessorSource (sr) {
+    #buildProcessorSource (sr, tStatesPerFrame, framesPerSecond) {
         /* String-template so we can embed sample-rate-dependent constants */
         return `
             class ZXBeeperProcessor extends AudioWorkletProcessor {
-                static T_STATES_PER_FRAME = 69888;
-                static FRAMES_PER_SECOND  = 50;
+                static T_STATES_PER_FRAME = ${tStatesPerFrame};
+                static FRAMES_PER_SECOND  = ${framesPerSecond};
                 static CPU_FREQ = ZXBeeperProcessor.T_STATES_PER_FRAME *
                                    ZXBeeperProcessor.FRAMES_PER_SECOND;
 
@@ -230,6 +257,11 @@ export class SpectrumAudioWorklet {
                     this.edgeBuf      = null;
                     this.edgeCount    = 0;
 
+                    /* AY levels (one per tick of ayTStatesPerTick) -- */
+                    this.ayBuf            = null;
+                    this.ayCount          = 0;
+                    this.ayTStatesPerTick = 16;
+
                     /* Synth state ----------------------------------- */
                     this.currentLevel    = 0;
                     this.generatorTState = 0;      // absolute
@@ -259,6 +291,9 @@ export class SpectrumAudioWorklet {
                         this.edgeCount    = d.edgeCount | 0;
                         this.frameTStates = d.frameTStates | 0;
                         this.syncTState   = d.syncTState | 0;
+                        this.ayBuf        = d.ay ? new Float32Array(d.ay) : null;
+                        this.ayCount      = d.ay ? d.ayCount | 0 : 0;
+                        if (d.ayTStatesPerTick) this.ayTStatesPerTick = d.ayTStatesPerTick;
 
                         this.#renderFrame();
                         this.frameReady = true;
@@ -278,6 +313,7 @@ export class SpectrumAudioWorklet {
                 #renderFrame () {
                     const N = this.samplesPerFrame;
                     let eix = 0;
+                    let aix = 0;
 
                     for (let s = 0; s < N; ++s) {
                         const relTS = s * this.tStatesPerSample;
@@ -291,8 +327,18 @@ export class SpectrumAudioWorklet {
                         this.lpState += this.lpAlpha *
                                         (this.currentLevel - this.lpState);
 
+                        /* AY: average the ticks falling inside this sample */
+                        let ay = 0;
+                        if (this.ayCount) {
+                            const end = Math.min(this.ayCount,
+                                Math.ceil((relTS + this.tStatesPerSample) / this.ayTStatesPerTick));
+                            let sum = 0, n = 0;
+                            for (; aix < end; ++aix, ++n) sum += this.ayBuf[aix];
+                            ay = n ? sum / n : this.ayBuf[Math.max(0, aix - 1)];
+                        }
+
                         /* bipolar + DC-block */
-                        const bb  = (this.lpState - 0.5) * 2;
+                        const bb  = (this.lpState - 0.5) * 2 + ay * 1.2;
                         const out = bb - this.dcPrevIn +
                                     this.dcCoeff * this.dcPrevOut;
                         this.dcPrevIn  = bb;
@@ -313,6 +359,13 @@ export class SpectrumAudioWorklet {
                                           [this.edgeBuf.buffer]);
                     this.edgeBuf = null;
                     this.edgeCount = 0;
+
+                    if (this.ayBuf) {
+                        this.port.postMessage({ returnAYBuffer: this.ayBuf.buffer },
+                                              [this.ayBuf.buffer]);
+                        this.ayBuf   = null;
+                        this.ayCount = 0;
+                    }
                 }
 
                 /* ---------------- audio callback ------------------ */
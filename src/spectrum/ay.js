@@ -0,0 +1,313 @@
+/**
+ * AY-3-8912 Programmable Sound Generator Emulation
+ *
+ * The chip is clocked at half the CPU clock (1.7734 MHz on the 128K) and its
+ * generators advance every 8 chip cycles, so the output is produced as one
+ * level per 16 CPU T-states. Register writes carry the T-state they happened
+ * at and the chip catches up to that point before applying them, keeping the
+ * output in step with the beeper edges recorded for the same frame.
+ *
+ * Registers:
+ * - R0-R5: Tone period of channels A, B and C (12 bits each, fine/coarse)
+ * - R6: Noise period (5 bits)
+ * - R7: Mixer (bits 0-2 tone off, bits 3-5 noise off, bits 6-7 I/O direction)
+ * - R8-R10: Channel amplitude (bits 0-3 level, bit 4 use envelope)
+ * - R11-R12: Envelope period (16 bits)
+ * - R13: Envelope shape (continue, attack, alternate, hold)
+ * - R14-R15: I/O ports
+ */
+
+/**
+ * Read-back masks for unused register bits
+ * @private
+ */
+const REGISTER_MASKS = [
+    0xFF, 0x0F, 0xFF, 0x0F, 0xFF, 0x0F, 0x1F, 0xFF,
+    0x1F, 0x1F, 0x1F, 0xFF, 0xFF, 0x0F, 0xFF, 0xFF,
+];
+
+/**
+ * Normalised output level for each of the 16 logarithmic volume steps
+ * @private
+ */
+const VOLUME_LEVELS = [
+    0.0, 0.0137, 0.0205, 0.0291, 0.0423, 0.0618, 0.0847, 0.1369,
+    0.1691, 0.2647, 0.3527, 0.4499, 0.5704, 0.6873, 0.8482, 1.0,
+];
+
+/**
+ * @class AY38912
+ * @description Register-level emulation of the AY-3-8912 with three tone
+ * channels, a noise generator and the envelope generator.
+ *
+ * @example
+ * const ay = new AY38912();
+ * ay.selectRegister(8);
+ * ay.writeRegister(0x0F, tState); // Channel A at full volume
+ * const frame = ay.endFrame(69888);
+ */
+export class AY38912 {
+    /**
+     * CPU T-states per generator tick (chip clock = CPU / 2, prescaler / 8)
+     * @type {number}
+     */
+    static T_STATES_PER_TICK = 16;
+
+    /**
+     * Creates a new AY38912 instance
+     *
+     * @constructor
+     * @param {Object} [options={}] - Chip options
+     * @param {number} [options.maxFrameTStates=80000] - Longest frame the output buffer must hold
+     */
+    constructor(options = {}) {
+        const { maxFrameTStates = 80000 } = options;
+
+        /**
+         * @property {Uint8Array} registers - The 16 chip registers
+         */
+        this.registers = new Uint8Array(16);
+
+        /**
+         * @property {number} selectedRegister - Register addressed through port 0xFFFD
+         */
+        this.selectedRegister = 0;
+
+        /**
+         * @property {Float32Array} output - Mixed output level (0-1) for each tick of the frame
+         * @private
+         */
+        this.output = new Float32Array(Math.ceil(maxFrameTStates / AY38912.T_STATES_PER_TICK) + 1);
+
+        this.reset();
+    }
+
+    /**
+     * Reset the chip to its power-on state
+     *
+     * @returns {void}
+     */
+    reset() {
+        this.registers.fill(0);
+        this.selectedRegister = 0;
+
+        // Tone generators
+        this.toneCounters = [0, 0, 0];
+        this.toneOutputs = [0, 0, 0];
+
+        // Noise generator (17-bit LFSR)
+        this.noiseCounter = 0;
+        this.noiseShift = 1;
+        this.noiseOutput = 0;
+
+        // Envelope generator
+        this.envelopeCounter = 0;
+        this.resetEnvelope();
+
+        // Generators advance noise and envelope on every other tick
+        this.tickPhase = 0;
+
+        // Frame timing
+        this.tState = 0;
+        this.outputCount = 0;
+    }
+
+    /**
+     * Select the register for subsequent reads and writes (port 0xFFFD write)
+     *
+     * @param {number} value - Register number (0-15)
+     * @returns {void}
+     */
+    selectRegister(value) {
+        this.selectedRegister = value & 0x0F;
+    }
+
+    /**
+     * Write the selected register (port 0xBFFD write)
+     *
+     * @param {number} value - Value to write
+     * @param {number} [tState] - Frame T-state of the write; the chip catches up to it first
+     * @returns {void}
+     */
+    writeRegister(value, tState) {
+        if (tState !== undefined) {
+            this.update(tState);
+        }
+
+        const reg = this.selectedRegister;
+        this.registers[reg] = value & REGISTER_MASKS[reg];
+
+        if (reg === 13) {
+            this.resetEnvelope();
+        }
+    }
+
+    /**
+     * Read the selected register (port 0xFFFD read)
+     *
+     * @returns {number} Register value with unused bits cleared
+     */
+    readRegister() {
+        return this.registers[this.selectedRegister];
+    }
+
+    /**
+     * Run the generators up to a frame T-state, recording one output level per tick
+     *
+     * @param {number} tState - Frame T-state to catch up to
+     * @returns {void}
+     */
+    update(tState) {
+        while (this.tState + AY38912.T_STATES_PER_TICK <= tState) {
+            this.tick();
+            this.tState += AY38912.T_STATES_PER_TICK;
+        }
+    }
+
+    /**
+     * Finish the frame and return its output levels
+     * T-states beyond the frame end carry over into the next frame
+     *
+     * @param {number} frameTStates - Length of the frame that just ended
+     * @returns {{levels: Float32Array, count: number, tStatesPerTick: number}} Output of the frame;
+     * `levels` is reused, copy it before the next frame starts
+     */
+    endFrame(frameTStates) {
+        this.update(frameTStates);
+
+        const frame = {
+            levels: this.output,
+            count: this.outputCount,
+            tStatesPerTick: AY38912.T_STATES_PER_TICK,
+        };
+
+        this.tState -= frameTStates;
+        this.outputCount = 0;
+        return frame;
+    }
+
+    /**
+     * Get the chip state for snapshots
+     *
+     * @returns {{registers: Uint8Array, selectedRegister: number}} Register state
+     */
+    getState() {
+        return {
+            registers: new Uint8Array(this.registers),
+            selectedRegister: this.selectedRegister,
+        };
+    }
+
+    /**
+     * Restore the chip state from a snapshot
+     *
+     * @param {Object} state - State returned by getState()
+     * @returns {void}
+     */
+    setState(state) {
+        for (let reg = 0; reg < 16; reg++) {
+            this.registers[reg] = (state.registers[reg] || 0) & REGISTER_MASKS[reg];
+        }
+        this.resetEnvelope();
+        this.selectRegister(state.selectedRegister || 0);
+    }
+
+    /**
+     * Advance all generators by one tick and record the mixed output
+     *
+     * @private
+     * @returns {void}
+     */
+    tick() {
+        const regs = this.registers;
+
+        for (let ch = 0; ch < 3; ch++) {
+            const period = (regs[ch * 2] | (regs[ch * 2 + 1] << 8)) || 1;
+            if (++this.toneCounters[ch] >= period) {
+                this.toneCounters[ch] = 0;
+                this.toneOutputs[ch] ^= 1;
+            }
+        }
+
+        this.tickPhase ^= 1;
+        if (this.tickPhase) {
+            if (++this.noiseCounter >= (regs[6] || 1)) {
+                this.noiseCounter = 0;
+                const bit = (this.noiseShift ^ (this.noiseShift >> 3)) & 1;
+                this.noiseShift = (this.noiseShift >> 1) | (bit << 16);
+                this.noiseOutput = this.noiseShift & 1;
+            }
+
+            if (++this.envelopeCounter >= ((regs[11] | (regs[12] << 8)) || 1)) {
+                this.envelopeCounter = 0;
+                this.stepEnvelope();
+            }
+        }
+
+        const mixer = regs[7];
+        let level = 0;
+        for (let ch = 0; ch < 3; ch++) {
+            const toneOn = this.toneOutputs[ch] | ((mixer >> ch) & 1);
+            const noiseOn = this.noiseOutput | ((mixer >> (ch + 3)) & 1);
+            if (toneOn & noiseOn) {
+                const amplitude = regs[8 + ch];
+                level += VOLUME_LEVELS[(amplitude & 0x10) ? this.envelopeVolume : amplitude & 0x0F];
+            }
+        }
+
+        if (this.outputCount < this.output.length) {
+            this.output[this.outputCount++] = level / 3;
+        }
+    }
+
+    /**
+     * Restart the envelope from the shape in R13
+     *
+     * @private
+     * @returns {void}
+     */
+    resetEnvelope() {
+        const shape = this.registers[13];
+
+        this.envelopeAttack = (shape & 0x04) ? 0x0F : 0x00;
+        if (shape & 0x08) {
+            this.envelopeHold = (shape & 0x01) !== 0;
+            this.envelopeAlternate = (shape & 0x02) !== 0;
+        } else {
+            // Single-shot shapes end at zero: hold, flipping back down after an attack
+            this.envelopeHold = true;
+            this.envelopeAlternate = this.envelopeAttack !== 0;
+        }
+
+        this.envelopeStep = 15;
+        this.envelopeHolding = false;
+        this.envelopeCounter = 0;
+        this.envelopeVolume = this.envelopeStep ^ this.envelopeAttack;
+    }
+
+    /**
+     * Move the envelope to its next volume step
+     *
+     * @private
+     * @returns {void}
+     */
+    stepEnvelope() {
+        if (this.envelopeHolding) {
+            return;
+        }
+
+        if (--this.envelopeStep < 0) {
+            if (this.envelopeAlternate) {
+                this.envelopeAttack ^= 0x0F;
+            }
+            if (this.envelopeHold) {
+                this.envelopeStep = 0;
+                this.envelopeHolding = true;
+            } else {
+                this.envelopeStep = 15;
+            }
+        }
+
+        this.envelopeVolume = this.envelopeStep ^ this.envelopeAttack;
+    }
+}
@@ -0,0 +1,58 @@
+import { getMachineModel } from './machines.js';
+
+/**
+ * ZX Spectrum Memory Contention
+ *
+ * While the ULA draws the 192 paper lines it fetches screen and attribute
+ * bytes in 8 T-state cycles, and a CPU access to a bank it shares has to wait
+ * for the fetch to finish. The wait depends only on the frame T-state of the
+ * access, so it is precomputed for every T-state of the frame.
+ */
+
+/**
+ * @class SpectrumContention
+ * @description Per-T-state contention delays for a machine model
+ *
+ * @example
+ * const contention = new SpectrumContention(memory, '48k');
+ * contention.getDelay(0x4000, 14335); // 6
+ */
+export class SpectrumContention {
+    /**
+     * @param {SpectrumMemory} memory - Memory used to decide which addresses are contended
+     * @param {string|Object} [model='48k'] - Machine model id or profile (see machines.js)
+     */
+    constructor(memory, model = '48k') {
+        this.memory = memory;
+        this.model = getMachineModel(model);
+
+        /**
+         * @property {Uint8Array} delays - Extra T-states for an access at each frame T-state,
+         * looked up directly by the memory interface of the CPU
+         */
+        this.delays = new Uint8Array(this.model.tStatesPerFrame);
+
+        const { contentionPattern, contentionStartTState, tStatesPerLine } = this.model;
+        for (let line = 0; line < 192; line++) {
+            const lineStart = contentionStartTState + line * tStatesPerLine;
+            // 128 T-states of paper per line, 16 fetch cycles of 8 T-states
+            for (let t = 0; t < 128; t++) {
+                this.delays[lineStart + t] = contentionPattern[t & 0x07];
+            }
+        }
+    }
+
+    /**
+     * Get the wait states for a memory access
+     *
+     * @param {number} address - Address being accessed
+     * @param {number} tState - Frame T-state at which the access starts
+     * @returns {number} Extra T-states (0 for uncontended addresses or outside the paper area)
+     */
+    getDelay(address, tState) {
+        if (!this.memory.isContended(address)) {
+            return 0;
+        }
+        return this.delays[tState] || 0;
+    }
+}
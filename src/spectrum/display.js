@@ -3,6 +3,7 @@
  * Converts screen memory to pixels
  */
 /* global ImageData */
+import { getMachineModel } from './machines.js';
 
 /**
  * @class SpectrumDisplay
@@ -22,8 +23,54 @@ export class SpectrumDisplay {
      * Creates a new SpectrumDisplay instance
      * 
      * @constructor
+     * @param {string|Object} [model='48k'] - Machine model id or profile, used for border line timing
      */
-    constructor() {
+    constructor(model = '48k') {
+        const profile = getMachineModel(model);
+
+        /**
+         * @property {number} tStatesPerLine - T-states per scanline, used to follow the beam
+         * @private
+         */
+        this.tStatesPerLine = profile.tStatesPerLine;
+
+        /**
+         * @property {number} firstPixelTState - Frame T-state at which the first paper pixel is displayed
+         * @private
+         */
+        this.firstPixelTState = profile.firstPixelTState;
+
+        /**
+         * @property {number} beamTState - Frame T-state the beam-raced frame has been drawn up to
+         * @private
+         */
+        this.beamTState = 0;
+
+        /**
+         * @property {Uint8Array} drawnScreen - Screen memory of the last frame beam raced in one call
+         * @private
+         */
+        this.drawnScreen = new Uint8Array(0x1b00);
+
+        /**
+         * @property {number} drawnFrameKey - Border, screen offset and flash phase of that frame,
+         * or -1 when the buffer no longer shows it
+         * @private
+         */
+        this.drawnFrameKey = -1;
+
+        /**
+         * @property {number} firstScreenLine - Scanline where the paper area starts
+         * @private
+         */
+        this.firstScreenLine = profile.firstScreenLine;
+
+        /**
+         * @property {number} scanlinesPerFrame - Scanlines in a frame
+         * @private
+         */
+        this.scanlinesPerFrame = profile.scanlines;
+
         /**
          * @property {number} width - Screen width in pixels (excluding border)
          * @readonly
@@ -77,6 +124,12 @@ export class SpectrumDisplay {
          * @private
          */
         this.displayBuffer = new Uint8Array(this.totalWidth * this.totalHeight * 4);
+
+        /**
+         * @property {Uint32Array} displayPixels - The display buffer as one 32-bit word per pixel
+         * @private
+         */
+        this.displayPixels = new Uint32Array(this.displayBuffer.buffer);
         
         /**
          * @property {boolean} flashPhase - Current flash state (true = swapped colors)
@@ -122,6 +175,13 @@ export class SpectrumDisplay {
             [0xFF, 0xFF, 0x00, 0xFF], // 14: Yellow (bright)
             [0xFF, 0xFF, 0xFF, 0xFF]  // 15: White (bright)
         ];
+
+        /**
+         * @property {Uint32Array} palettePixels - The palette as 32-bit words for displayPixels
+         * @private
+         */
+        this.palettePixels = Uint32Array.from(this.palette,
+            color => new Uint32Array(Uint8Array.from(color).buffer)[0]);
     }
     
     /**
@@ -161,19 +221,7 @@ export class SpectrumDisplay {
      * const pixels = display.render(screenMem, attrMem, 1); // Blue border
      */
     render(screenMemory, attributeMemory, borderColor, scanlineBorderColors = null) {
-        // Update flash phase
-        this.flashCounter++;
-        if (this.flashCounter >= this.FLASH_FRAMES) {
-            this.flashPhase = !this.flashPhase;
-            this.flashCounter = 0;
-        }
-        
-        // Fill border - use scanline colors if available for stripe effects
-        if (scanlineBorderColors) {
-            this.fillBorderWithScanlines(scanlineBorderColors);
-        } else {
-            this.fillBorder(borderColor);
-        }
+        this.beginFrame(false, borderColor, scanlineBorderColors);
         
         // Then render the screen content
         for (let y = 0; y < 192; y++) {
@@ -221,6 +269,308 @@ export class SpectrumDisplay {
         return this.displayBuffer;
     }
 
+    /**
+     * Render the Timex hi-colour mode: a colour byte for every 8x1 pixel row
+     * Colour bytes use the attribute format and the same layout as the bitmap
+     *
+     * @param {Uint8Array} screenMemory - 6KB of screen pixel data (screen 0)
+     * @param {Uint8Array} colourMemory - 6KB of colour data (the screen 1 bitmap area)
+     * @param {number} borderColor - Border color index (0-7)
+     * @param {Uint8Array} [scanlineBorderColors=null] - Per-scanline border colors for effects
+     * @returns {Uint8Array} RGBA pixel data for the entire display
+     */
+    renderHiColour(screenMemory, colourMemory, borderColor, scanlineBorderColors = null) {
+        this.beginFrame(false, borderColor, scanlineBorderColors);
+
+        for (let y = 0; y < 192; y++) {
+            for (let x = 0; x < 32; x++) {
+                const addr = this.getScreenAddress(x, y);
+                const attrData = this.attributeCache[colourMemory[addr]];
+                const swap = attrData.flash && this.flashPhase;
+
+                this.drawByte(screenMemory[addr], x * 8, y,
+                    swap ? attrData.paper : attrData.ink,
+                    swap ? attrData.ink : attrData.paper);
+            }
+        }
+
+        return this.displayBuffer;
+    }
+
+    /**
+     * Render the Timex 512x192 hi-res mode
+     * Columns alternate between the screen 0 and screen 1 bitmaps, in a single
+     * ink/paper pair; the border takes the paper colour
+     *
+     * @param {Uint8Array} screen0 - 6KB bitmap for the even columns
+     * @param {Uint8Array} screen1 - 6KB bitmap for the odd columns
+     * @param {number} inkColor - Ink color index (0-7); paper is its complement
+     * @returns {Uint8Array} RGBA pixel data for the entire display
+     */
+    renderHiRes(screen0, screen1, inkColor) {
+        const ink = inkColor & 0x07;
+        const paper = 7 - ink;
+        this.beginFrame(true, paper, null);
+
+        for (let y = 0; y < 192; y++) {
+            for (let x = 0; x < 32; x++) {
+                const addr = this.getScreenAddress(x, y);
+                this.drawByte(screen0[addr], x * 16, y, ink, paper);
+                this.drawByte(screen1[addr], x * 16 + 8, y, ink, paper);
+            }
+        }
+
+        return this.displayBuffer;
+    }
+
+    /**
+     * Switch between the 256-pixel and the 512-pixel (Timex hi-res) display width
+     * Horizontal borders double with the paper so the aspect ratio is kept,
+     * and the display buffer is reallocated when the width changes
+     *
+     * @param {boolean} enabled - True for 512x192 hi-res
+     * @returns {void}
+     */
+    setHiRes(enabled) {
+        const width = enabled ? 512 : 256;
+        if (width === this.width) {
+            return;
+        }
+
+        const scale = enabled ? 2 : 1;
+        this.width = width;
+        this.borderLeft = 48 * scale;
+        this.borderRight = 48 * scale;
+        this.totalWidth = this.width + this.borderLeft + this.borderRight;
+        this.displayBuffer = new Uint8Array(this.totalWidth * this.totalHeight * 4);
+        this.displayPixels = new Uint32Array(this.displayBuffer.buffer);
+        this.drawnFrameKey = -1;
+    }
+
+    /**
+     * Start a frame: advance the flash phase, select the resolution and fill the border
+     *
+     * @private
+     * @param {boolean} hiRes - Whether the frame uses the 512-pixel width
+     * @param {number} borderColor - Border color index (0-7)
+     * @param {Uint8Array} [scanlineBorderColors] - Per-scanline border colors for effects
+     * @returns {void}
+     */
+    beginFrame(hiRes, borderColor, scanlineBorderColors) {
+        this.drawnFrameKey = -1;
+        this.setHiRes(hiRes);
+        this.advanceFlash();
+
+        // Fill border - use scanline colors if available for stripe effects
+        if (scanlineBorderColors) {
+            this.fillBorderWithScanlines(scanlineBorderColors);
+        } else {
+            this.fillBorder(borderColor);
+        }
+    }
+
+    /**
+     * Advance the flash phase by one frame
+     *
+     * @private
+     * @returns {void}
+     */
+    advanceFlash() {
+        this.flashCounter++;
+        if (this.flashCounter >= this.FLASH_FRAMES) {
+            this.flashPhase = !this.flashPhase;
+            this.flashCounter = 0;
+        }
+    }
+
+    /**
+     * Start a beam-raced frame
+     * The frame is then drawn incrementally by renderTo() as the emulation runs,
+     * so changes to screen memory or the border mid-frame show where the beam was
+     *
+     * @returns {void}
+     */
+    startBeamFrame() {
+        this.setHiRes(false);
+        this.advanceFlash();
+        this.beamTState = 0;
+    }
+
+    /**
+     * Draw the beam-raced frame up to a frame T-state
+     * Every T-state covers 2 pixels; a paper cell is drawn from memory at the T-state
+     * the ULA fetches it, and border pixels take the colour current at their T-state.
+     * Call it before anything visible changes, with the state from before the change.
+     * Each line segment up to tState is drawn at once: the border as filled spans and
+     * the paper as the cells fetched within it. A frame whose visible part is drawn
+     * in one call (tState Infinity) is skipped when the buffer already shows the same
+     * screen memory, border and flash phase, as it does on a frame where nothing changed.
+     *
+     * @param {number} tState - Frame T-state to draw up to (exclusive)
+     * @param {Uint8Array} bank - 16KB RAM bank holding the displayed screen
+     * @param {number} borderColor - Border color index (0-7) up to this T-state
+     * @param {number} [screenBase=0] - Offset of the screen within the bank (0x2000 for the Timex screen 1)
+     * @returns {void}
+     */
+    renderTo(tState, bank, borderColor, screenBase = 0) {
+        const tStatesPerLine = this.tStatesPerLine;
+        const visibleTStates = this.totalWidth >> 1;
+        const paperStart = this.borderLeft >> 1;
+        const paperEnd = paperStart + (this.width >> 1);
+        const origin = this.firstPixelTState - this.borderTop * tStatesPerLine - paperStart;
+
+        // Nothing visible is drawn before origin
+        if (this.beamTState <= origin && tState === Infinity) {
+            if (this.isFrameDrawn(bank, borderColor, screenBase)) {
+                this.beamTState = tState;
+                return;
+            }
+            this.drawnScreen.set(bank.subarray(screenBase, screenBase + 0x1b00));
+            this.drawnFrameKey = this.frameKey(borderColor, screenBase);
+        } else if (tState > origin && this.beamTState < tState) {
+            this.drawnFrameKey = -1;
+        }
+
+        const border = this.palettePixels[borderColor & 0x07];
+        const pixels = this.displayPixels;
+
+        while (this.beamTState < tState) {
+            const position = this.beamTState - origin;
+            if (position < 0) {
+                // Lines above the visible border
+                this.beamTState = Math.min(tState, origin);
+                continue;
+            }
+
+            const y = Math.floor(position / tStatesPerLine);
+            if (y >= this.totalHeight) {
+                this.beamTState = tState;
+                break;
+            }
+
+            const x = position - y * tStatesPerLine;
+            if (x >= visibleTStates) {
+                // Horizontal retrace
+                this.beamTState += tStatesPerLine - x;
+                continue;
+            }
+
+            const end = Math.min(visibleTStates, x + tState - this.beamTState);
+            const paperRow = y - this.borderTop;
+            const line = y * this.totalWidth;
+
+            if (paperRow < 0 || paperRow >= this.height) {
+                pixels.fill(border, line + x * 2, line + end * 2);
+            } else {
+                if (x < paperStart) {
+                    pixels.fill(border, line + x * 2, line + Math.min(end, paperStart) * 2);
+                }
+                // 4 T-states per 8-pixel cell, drawn when the ULA fetches it
+                const firstColumn = Math.max(0, (x - paperStart + 3) >> 2);
+                const endColumn = Math.min(this.width >> 3, (end - paperStart + 3) >> 2);
+                if (firstColumn < endColumn) {
+                    this.drawCells(bank, screenBase, paperRow, firstColumn, endColumn);
+                }
+                if (end > paperEnd) {
+                    pixels.fill(border, line + Math.max(x, paperEnd) * 2, line + end * 2);
+                }
+            }
+
+            this.beamTState += end - x;
+        }
+    }
+
+    /**
+     * Border, screen offset and flash phase of a whole frame as one number
+     *
+     * @private
+     * @param {number} borderColor - Border color index (0-7)
+     * @param {number} screenBase - Offset of the screen within the bank
+     * @returns {number} The key
+     */
+    frameKey(borderColor, screenBase) {
+        return (borderColor & 0x07) | screenBase | (this.flashPhase ? 0x10000 : 0);
+    }
+
+    /**
+     * Whether the buffer shows a whole frame drawn from the same screen memory, border and flash phase
+     *
+     * @private
+     * @param {Uint8Array} bank - 16KB RAM bank holding the displayed screen
+     * @param {number} borderColor - Border color index (0-7)
+     * @param {number} screenBase - Offset of the screen within the bank
+     * @returns {boolean} True if drawing the frame again would not change the buffer
+     */
+    isFrameDrawn(bank, borderColor, screenBase) {
+        if (this.drawnFrameKey !== this.frameKey(borderColor, screenBase)) {
+            return false;
+        }
+        const drawn = this.drawnScreen;
+        for (let i = 0; i < drawn.length; i++) {
+            if (bank[screenBase + i] !== drawn[i]) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Draw a run of 8x1 paper cells of one pixel row of the standard layout from a screen bank
+     *
+     * @private
+     * @param {Uint8Array} bank - 16KB RAM bank holding the screen
+     * @param {number} screenBase - Offset of the screen within the bank
+     * @param {number} y - Pixel row within the paper area (0-191)
+     * @param {number} firstColumn - First character column to draw (0-31)
+     * @param {number} endColumn - Character column to stop at (exclusive)
+     * @returns {void}
+     */
+    drawCells(bank, screenBase, y, firstColumn, endColumn) {
+        const bitmapRow = screenBase + this.getScreenAddress(0, y);
+        const attributeRow = screenBase + 0x1800 + ((y >> 3) << 5);
+        const pixels = this.displayPixels;
+        let offset = (y + this.borderTop) * this.totalWidth + this.borderLeft + firstColumn * 8;
+
+        for (let column = firstColumn; column < endColumn; column++) {
+            const attrData = this.attributeCache[bank[attributeRow + column]];
+            const swap = attrData.flash && this.flashPhase;
+            const ink = this.palettePixels[swap ? attrData.paper : attrData.ink];
+            const paper = this.palettePixels[swap ? attrData.ink : attrData.paper];
+            const pixelByte = bank[bitmapRow + column];
+
+            pixels[offset] = pixelByte & 0x80 ? ink : paper;
+            pixels[offset + 1] = pixelByte & 0x40 ? ink : paper;
+            pixels[offset + 2] = pixelByte & 0x20 ? ink : paper;
+            pixels[offset + 3] = pixelByte & 0x10 ? ink : paper;
+            pixels[offset + 4] = pixelByte & 0x08 ? ink : paper;
+            pixels[offset + 5] = pixelByte & 0x04 ? ink : paper;
+            pixels[offset + 6] = pixelByte & 0x02 ? ink : paper;
+            pixels[offset + 7] = pixelByte & 0x01 ? ink : paper;
+            offset += 8;
+        }
+    }
+
+    /**
+     * Draw 8 pixels of a bitmap byte into the paper area
+     *
+     * @private
+     * @param {number} pixelByte - Bitmap byte, most significant bit leftmost
+     * @param {number} x - Pixel column within the paper area
+     * @param {number} y - Pixel row within the paper area
+     * @param {number} inkColor - Palette index for set bits
+     * @param {number} paperColor - Palette index for clear bits
+     * @returns {void}
+     */
+    drawByte(pixelByte, x, y, inkColor, paperColor) {
+        const ink = this.palettePixels[inkColor];
+        const paper = this.palettePixels[paperColor];
+        let offset = (y + this.borderTop) * this.totalWidth + x + this.borderLeft;
+
+        for (let bit = 7; bit >= 0; bit--) {
+            this.displayPixels[offset++] = (pixelByte >> bit) & 0x01 ? ink : paper;
+        }
+    }
+
     /**
      * Calculate screen memory address for given coordinates
      * Implements the ZX Spectrum's non-linear screen memory layout
@@ -315,17 +665,18 @@ export class SpectrumDisplay {
      * Used for demos and games that change border color mid-frame
      * 
      * @private
-     * @param {Uint8Array} scanlineBorderColors - Array of 312 color values (one per scanline)
+     * @param {Uint8Array} scanlineBorderColors - Array of color values (one per scanline)
      * @returns {void}
      */
     fillBorderWithScanlines(scanlineBorderColors) {
-        if (!scanlineBorderColors || scanlineBorderColors.length < 312) {
+        const scanlines = this.scanlinesPerFrame;
+        if (!scanlineBorderColors || scanlineBorderColors.length < scanlines) {
             this.fillBorder(7); // Default white border
             return;
         }
         
         // Constants for ZX Spectrum timing
-        const firstVisibleScanline = 64;
+        const firstVisibleScanline = this.firstScreenLine;
         const visibleScanlines = 192;
         const topBorderScanlines = 48;
         
@@ -372,7 +723,7 @@ export class SpectrumDisplay {
         for (let y = 0; y < this.borderBottom; y++) {
             const displayY = this.borderTop + this.height + y;
             const scanline = firstVisibleScanline + visibleScanlines + y;
-            const actualScanline = scanline < 312 ? scanline : scanline - 312;
+            const actualScanline = scanline < scanlines ? scanline : scanline - scanlines;
             const color = this.palette[scanlineBorderColors[actualScanline] & 0x07];
             
             for (let x = 0; x < this.totalWidth; x++) {
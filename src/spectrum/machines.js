@@ -0,0 +1,179 @@
+/**
+ * ZX Spectrum Machine Models
+ * Timing and memory layout profiles for the supported Spectrum models
+ */
+
+/**
+ * @typedef {Object} MachineModel
+ * @property {string} id - Model identifier used by the `model` option
+ * @property {string} name - Human readable model name
+ * @property {number} clockRate - CPU clock in Hz
+ * @property {number} fps - Frames per second used by the emulation loop
+ * @property {number} tStatesPerFrame - T-states between two frame interrupts
+ * @property {number} tStatesPerLine - T-states per scanline
+ * @property {number} scanlines - Scanlines per frame
+ * @property {number} firstScreenLine - Scanline where the 192-line paper area starts
+ * @property {number} firstPixelTState - T-state after the interrupt at which the first paper pixel is displayed
+ * @property {number} interruptLength - T-states the INT line stays active
+ * @property {number} romPages - Number of 16KB ROM banks
+ * @property {Array<number>} ramLayout - RAM banks in the order they are stored in the RAM buffer
+ * @property {string|null} paging - Paging scheme ('128k' or '+3') or null for a fixed memory map
+ * @property {Array<number>} contendedBanks - RAM banks shared with the ULA
+ * @property {Array<number>} contentionPattern - Extra T-states for each position of the 8 T-state ULA cycle
+ * @property {number} contentionStartTState - First frame T-state at which contended accesses are delayed
+ * @property {boolean} ioContention - Whether port cycles are contended as well as memory accesses
+ * @property {boolean} floatingBus - Whether unattached port reads return the byte the ULA is fetching
+ * @property {boolean} ay - Whether the AY-3-8912 sound chip is fitted as standard
+ * @property {boolean} [timex] - Whether the Timex SCLD video modes are decoded on port 0xFF
+ * @property {string|null} romURL - Default ROM image URL (null if the ROM must be supplied)
+ */
+
+/**
+ * Supported machine models keyed by id
+ *
+ * @type {Object<string, MachineModel>}
+ */
+export const MACHINE_MODELS = {
+    '48k': {
+        id: '48k',
+        name: 'ZX Spectrum 48K',
+        clockRate: 3500000,
+        fps: 50,
+        tStatesPerFrame: 69888,
+        tStatesPerLine: 224,
+        scanlines: 312,
+        firstScreenLine: 64,
+        firstPixelTState: 14336,
+        interruptLength: 32,
+        romPages: 1,
+        // 0x4000, 0x8000 and 0xC000 are hard-wired to the banks a 128K maps there by default
+        ramLayout: [5, 2, 0],
+        paging: null,
+        contendedBanks: [5],
+        contentionPattern: [6, 5, 4, 3, 2, 1, 0, 0],
+        contentionStartTState: 14335,
+        ioContention: true,
+        floatingBus: true,
+        ay: false,
+        romURL: 'https://cdn.jsdelivr.net/npm/zx-generation@latest/rom/48k.rom',
+    },
+    '128k': {
+        id: '128k',
+        name: 'ZX Spectrum 128K',
+        clockRate: 3546900,
+        fps: 50,
+        tStatesPerFrame: 70908,
+        tStatesPerLine: 228,
+        scanlines: 311,
+        firstScreenLine: 63,
+        firstPixelTState: 14364,
+        interruptLength: 36,
+        romPages: 2,
+        ramLayout: [0, 1, 2, 3, 4, 5, 6, 7],
+        paging: '128k',
+        contendedBanks: [1, 3, 5, 7],
+        contentionPattern: [6, 5, 4, 3, 2, 1, 0, 0],
+        contentionStartTState: 14361,
+        ioContention: true,
+        floatingBus: true,
+        ay: true,
+        romURL: null,
+    },
+    '+3': {
+        id: '+3',
+        name: 'ZX Spectrum +3',
+        clockRate: 3546900,
+        fps: 50,
+        tStatesPerFrame: 70908,
+        tStatesPerLine: 228,
+        scanlines: 311,
+        firstScreenLine: 63,
+        firstPixelTState: 14364,
+        interruptLength: 32,
+        romPages: 4,
+        ramLayout: [0, 1, 2, 3, 4, 5, 6, 7],
+        paging: '+3',
+        // The gate array contends the upper four banks and does not leak the video fetch onto the bus
+        contendedBanks: [4, 5, 6, 7],
+        contentionPattern: [1, 0, 7, 6, 5, 4, 3, 2],
+        contentionStartTState: 14365,
+        ioContention: false,
+        floatingBus: false,
+        ay: true,
+        romURL: null,
+    },
+    pentagon: {
+        id: 'pentagon',
+        name: 'Pentagon 128',
+        clockRate: 3500000,
+        fps: 3500000 / 71680,
+        tStatesPerFrame: 71680,
+        tStatesPerLine: 224,
+        scanlines: 320,
+        // The interrupt fires earlier in the frame than on a Sinclair machine: 80 lines and 68 T-states before the paper
+        firstScreenLine: 80,
+        firstPixelTState: 17988,
+        interruptLength: 32,
+        romPages: 2,
+        ramLayout: [0, 1, 2, 3, 4, 5, 6, 7],
+        paging: '128k',
+        contendedBanks: [],
+        contentionPattern: [0, 0, 0, 0, 0, 0, 0, 0],
+        contentionStartTState: 17988,
+        ioContention: false,
+        floatingBus: false,
+        ay: true,
+        romURL: null,
+    },
+    tc2048: {
+        id: 'tc2048',
+        name: 'Timex TC2048',
+        clockRate: 3500000,
+        fps: 50,
+        tStatesPerFrame: 69888,
+        tStatesPerLine: 224,
+        scanlines: 312,
+        firstScreenLine: 64,
+        firstPixelTState: 14336,
+        interruptLength: 32,
+        romPages: 1,
+        ramLayout: [5, 2, 0],
+        paging: null,
+        contendedBanks: [5],
+        contentionPattern: [6, 5, 4, 3, 2, 1, 0, 0],
+        contentionStartTState: 14335,
+        ioContention: true,
+        // The SCLD drives the bus high while idle
+        floatingBus: false,
+        ay: false,
+        timex: true,
+        // The TC2048 ROM only differs from the 48K ROM in a few bytes; the 48K image boots it
+        romURL: 'https://cdn.jsdelivr.net/npm/zx-generation@latest/rom/48k.rom',
+    },
+};
+
+// The +2A is a +3 without the disk drive
+MACHINE_MODELS['+2a'] = { ...MACHINE_MODELS['+3'], id: '+2a', name: 'ZX Spectrum +2A' };
+
+/**
+ * Resolve a machine model from its id
+ *
+ * @param {string|MachineModel} [model='48k'] - Model id or an already resolved profile
+ * @returns {MachineModel} Machine profile
+ * @throws {Error} If the model is not supported
+ *
+ * @example
+ * const model = getMachineModel('128k');
+ * console.log(model.tStatesPerFrame); // 70908
+ */
+export function getMachineModel(model = '48k') {
+    if (typeof model === 'object' && model !== null) {
+        return model;
+    }
+
+    const profile = MACHINE_MODELS[String(model).toLowerCase()];
+    if (!profile) {
+        throw new Error(`Unknown machine model: ${model}`);
+    }
+    return profile;
+}
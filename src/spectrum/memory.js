@@ -2,19 +2,37 @@
  * ZX Spectrum Memory Implementation
  * 
  * Memory Map:
- * 0x0000 - 0x3FFF: ROM (16KB)
+ * 0x0000 - 0x3FFF: ROM (16KB, one of two ROMs on the 128K)
  * 0x4000 - 0x57FF: Screen memory (6KB)
  * 0x5800 - 0x5AFF: Screen attributes (768 bytes)
  * 0x5B00 - 0x5BFF: Printer buffer
  * 0x5C00 - 0x5CBF: System variables
  * 0x5CC0 - 0x5CFF: Reserved
  * 0x5D00 - 0xFFFF: RAM
+ * 0xC000 - 0xFFFF: Any of RAM banks 0-7 on the 128K
+ *
+ * The +2A/+3 adds two more ROMs and "special" all-RAM configurations through port 0x1FFD.
  */
 
+import { getMachineModel } from './machines.js';
+
+/**
+ * RAM banks mapped at 0x0000, 0x4000, 0x8000 and 0xC000 in the +2A/+3 special paging modes
+ * @private
+ */
+const SPECIAL_PAGING_CONFIGS = [
+    [0, 1, 2, 3],
+    [4, 5, 6, 7],
+    [4, 5, 6, 3],
+    [4, 7, 6, 3],
+];
+
 /**
  * @class SpectrumMemory
- * @description Implements the ZX Spectrum 48K memory model with 16KB ROM and 48KB RAM.
- * Handles memory-mapped screen display and attributes.
+ * @description Implements the ZX Spectrum memory model as four 16KB pages.
+ * The 48K maps its ROM and 48KB of RAM at fixed addresses; the 128K adds
+ * eight RAM banks and two ROMs selected through the paging register at port 0x7FFD,
+ * and the +2A/+3 four ROMs plus the all-RAM configurations of port 0x1FFD.
  * 
  * @example
  * const memory = new SpectrumMemory();
@@ -27,25 +45,103 @@ export class SpectrumMemory {
      * Creates a new SpectrumMemory instance
      * 
      * @constructor
+     * @param {string|Object} [model='48k'] - Machine model id or profile (see machines.js)
      */
-    constructor() {
+    constructor(model = '48k') {
+        /**
+         * @property {Object} model - Machine profile this memory is laid out for
+         * @readonly
+         */
+        this.model = getMachineModel(model);
+
         /**
-         * @property {Uint8Array} rom - 16KB ROM storage (0x0000-0x3FFF)
+         * @property {Uint8Array} rom - ROM storage, 16KB per ROM bank
          * @private
          */
-        this.rom = new Uint8Array(16384);     // 16KB ROM
+        this.rom = new Uint8Array(this.model.romPages * 0x4000);
         
         /**
-         * @property {Uint8Array} ram - 48KB RAM storage (0x4000-0xFFFF mapped)
+         * @property {Uint8Array} ram - RAM storage, 16KB per RAM bank
+         * On the 48K this is the flat 0x4000-0xFFFF address space
+         * @private
+         */
+        this.ram = new Uint8Array(this.model.ramLayout.length * 0x4000);
+
+        /**
+         * @property {Array<Uint8Array>} romBanks - 16KB views of each ROM bank
+         * @private
+         */
+        this.romBanks = [];
+        for (let i = 0; i < this.model.romPages; i++) {
+            this.romBanks.push(this.rom.subarray(i * 0x4000, (i + 1) * 0x4000));
+        }
+
+        /**
+         * @property {Array<Uint8Array>} ramBanks - 16KB views of each RAM bank, indexed by bank number
+         * @private
+         */
+        this.ramBanks = [];
+        this.model.ramLayout.forEach((bank, i) => {
+            this.ramBanks[bank] = this.ram.subarray(i * 0x4000, (i + 1) * 0x4000);
+        });
+
+        /**
+         * @property {Array<Uint8Array>} pages - Memory currently mapped at 0x0000, 0x4000, 0x8000 and 0xC000
+         * @private
+         */
+        this.pages = new Array(4);
+
+        /**
+         * @property {Array<number>} pageBanks - RAM bank mapped in each page, -1 for ROM
+         * @private
+         */
+        this.pageBanks = [-1, 5, 2, 0];
+
+        /**
+         * @property {Array<boolean>} pageWritable - Whether each page holds RAM
+         * @private
+         */
+        this.pageWritable = [false, true, true, true];
+
+        /**
+         * @property {Array<boolean>} pageContended - Whether each page holds a bank shared with the ULA
          * @private
          */
-        this.ram = new Uint8Array(49152);     // 48KB RAM
+        this.pageContended = [false, true, false, false];
+
+        /**
+         * @property {number} port7FFD - Last value written to the 128K paging register
+         */
+        this.port7FFD = 0;
+
+        /**
+         * @property {number} port1FFD - Last value written to the +2A/+3 paging register
+         */
+        this.port1FFD = 0;
+
+        /**
+         * @property {boolean} pagingLocked - Set by bit 5 of port 0x7FFD until the next reset
+         */
+        this.pagingLocked = false;
+
+        /**
+         * @property {number} screenBank - RAM bank the ULA displays (5, or 7 for the shadow screen)
+         */
+        this.screenBank = 5;
         
         /**
          * @property {boolean} romEnabled - Whether ROM is mapped to lower 16KB
          * @private
          */
         this.romEnabled = true;
+
+        /**
+         * @property {Function|null} onScreenWrite - Called before a write to the displayed screen bank
+         * or a paging change, so a beam-racing renderer can catch up first
+         */
+        this.onScreenWrite = null;
+
+        this.updatePaging();
     }
 
     /**
@@ -61,12 +157,10 @@ export class SpectrumMemory {
     read(address) {
         address &= 0xFFFF;
         
-        if (address < 0x4000 && this.romEnabled) {
-            return this.rom[address];
-        } else if (address >= 0x4000) {
-            return this.ram[address - 0x4000];
+        if (address < 0x4000 && !this.romEnabled) {
+            return 0xFF;
         }
-        return 0xFF;
+        return this.pages[address >> 14][address & 0x3FFF];
     }
 
     /**
@@ -86,16 +180,24 @@ export class SpectrumMemory {
         value &= 0xFF;
         
         // ROM area is read-only
-        if (address >= 0x4000) {
-            this.ram[address - 0x4000] = value;
+        const page = address >> 14;
+        if (this.pageWritable[page]) {
+            // Both Timex screens live in the first 0x3B00 bytes of the bank
+            if (this.onScreenWrite !== null && this.pageBanks[page] === this.screenBank &&
+                (address & 0x3FFF) < 0x3B00) {
+                this.onScreenWrite();
+            }
+            this.pages[page][address & 0x3FFF] = value;
         }
     }
 
     /**
      * Load ROM data into memory
+     * A 32KB image fills both ROMs of a 128K; `page` loads a single ROM bank
      * 
      * @param {Uint8Array} data - ROM data to load
-     * @throws {Error} If ROM data exceeds 16384 bytes
+     * @param {number} [page=0] - First ROM bank to load into
+     * @throws {Error} If ROM data does not fit in the ROM banks
      * @returns {void}
      * 
      * @example
@@ -103,25 +205,156 @@ export class SpectrumMemory {
      * const romData = new Uint8Array(await response.arrayBuffer());
      * memory.loadROM(romData);
      */
-    loadROM(data) {
-        if (data.length > this.rom.length) {
-            throw new Error(`ROM too large: ${data.length} bytes (max ${this.rom.length})`);
+    loadROM(data, page = 0) {
+        const offset = page * 0x4000;
+        if (data.length > this.rom.length - offset) {
+            throw new Error(`ROM too large: ${data.length} bytes (max ${this.rom.length - offset})`);
+        }
+        this.rom.set(data, offset);
+    }
+
+    /**
+     * Write the 128K paging register (port 0x7FFD)
+     *
+     * - Bits 0-2: RAM bank paged in at 0xC000
+     * - Bit 3: Display the shadow screen in bank 7
+     * - Bit 4: ROM select (0 = 128K editor, 1 = 48K BASIC); low bit of the ROM number on the +2A/+3
+     * - Bit 5: Lock paging until the next reset
+     *
+     * Ignored on models without paging and once the lock bit is set.
+     *
+     * @param {number} value - Value written to the port
+     * @returns {void}
+     *
+     * @example
+     * memory.writePort7FFD(0x03); // Page bank 3 into 0xC000
+     */
+    writePort7FFD(value) {
+        if (!this.model.paging || this.pagingLocked) {
+            return;
+        }
+
+        if (this.onScreenWrite !== null) {
+            this.onScreenWrite();
+        }
+
+        this.port7FFD = value & 0xFF;
+        this.pagingLocked = (value & 0x20) !== 0;
+        this.updatePaging();
+    }
+
+    /**
+     * Write the +2A/+3 paging register (port 0x1FFD)
+     *
+     * - Bit 0: Special paging (all-RAM configuration selected by bits 1-2)
+     * - Bits 1-2: Special configuration; in normal paging bit 2 is the high bit of the ROM number
+     * - Bit 3: Disk motor
+     * - Bit 4: Printer strobe
+     *
+     * Ignored on models other than the +2A/+3 and while paging is locked.
+     *
+     * @param {number} value - Value written to the port
+     * @returns {void}
+     *
+     * @example
+     * memory.writePort1FFD(0x01); // Banks 0, 1, 2, 3 (CP/M's TPA layout)
+     */
+    writePort1FFD(value) {
+        if (this.model.paging !== '+3' || this.pagingLocked) {
+            return;
+        }
+
+        if (this.onScreenWrite !== null) {
+            this.onScreenWrite();
+        }
+
+        this.port1FFD = value & 0xFF;
+        this.updatePaging();
+    }
+
+    /**
+     * Return paging to its power-on state and release the lock
+     *
+     * @returns {void}
+     */
+    resetPaging() {
+        this.port7FFD = 0;
+        this.port1FFD = 0;
+        this.pagingLocked = false;
+        this.updatePaging();
+    }
+
+    /**
+     * Map ROM and RAM banks into the four 16KB pages from the paging state
+     *
+     * @private
+     * @returns {void}
+     */
+    updatePaging() {
+        const value = this.port7FFD;
+        const plus3 = this.model.paging === '+3';
+
+        if (plus3 && (this.port1FFD & 0x01)) {
+            const banks = SPECIAL_PAGING_CONFIGS[(this.port1FFD >> 1) & 0x03];
+            for (let page = 0; page < 4; page++) {
+                this.pageBanks[page] = banks[page];
+            }
+        } else {
+            this.pageBanks[0] = -1;
+            this.pageBanks[1] = 5;
+            this.pageBanks[2] = 2;
+            this.pageBanks[3] = this.model.paging ? value & 0x07 : 0;
         }
-        this.rom.set(data);
+
+        for (let page = 0; page < 4; page++) {
+            const bank = this.pageBanks[page];
+            if (bank < 0) {
+                const rom = ((value >> 4) & 0x01) | (plus3 ? (this.port1FFD >> 1) & 0x02 : 0);
+                this.pages[page] = this.romBanks[rom & (this.romBanks.length - 1)];
+            } else {
+                this.pages[page] = this.ramBanks[bank];
+            }
+            this.pageWritable[page] = bank >= 0;
+            this.pageContended[page] = bank >= 0 && this.model.contendedBanks.includes(bank);
+        }
+
+        this.screenBank = (value & 0x08) ? 7 : 5;
+    }
+
+    /**
+     * Get the RAM bank number paged in at 0xC000
+     *
+     * @returns {number} Bank number (always 0 on the 48K)
+     */
+    getPagedBank() {
+        return this.pageBanks[3];
+    }
+
+    /**
+     * Check whether an address falls in a RAM bank shared with the ULA
+     *
+     * @param {number} address - Memory address (0x0000-0xFFFF)
+     * @returns {boolean} True if accesses to the address are subject to contention
+     */
+    isContended(address) {
+        return this.pageContended[(address & 0xFFFF) >> 14];
     }
 
     /**
      * Get screen pixel memory for rendering
-     * Returns a view of the 6KB screen memory area (0x4000-0x57FF)
+     * Returns a view of the 6KB screen memory area of the displayed screen bank
+     * (0x4000-0x57FF unless the 128K shadow screen is selected)
      * 
+     * @param {number} [screen=0] - Timex screen within the bank (1 = the copy at 0x6000)
      * @returns {Uint8Array} View of screen pixel memory (6144 bytes)
      * 
      * @example
      * const screenMem = memory.getScreenMemory();
      * // Each byte contains 8 pixels (1 bit per pixel)
      */
-    getScreenMemory() {
-        return this.ram.subarray(0, 0x1800); // 6KB of screen pixels
+    getScreenMemory(screen = 0) {
+        const base = screen ? 0x2000 : 0;
+        return this.ramBanks[this.screenBank].subarray(base, base + 0x1800); // 6KB of screen pixels
     }
 
     /**
@@ -134,6 +367,7 @@ export class SpectrumMemory {
      * - Bit 6: BRIGHT flag
      * - Bit 7: FLASH flag
      * 
+     * @param {number} [screen=0] - Timex screen within the bank (1 = the copy at 0x6000)
      * @returns {Uint8Array} View of attribute memory (768 bytes)
      * 
      * @example
@@ -141,8 +375,9 @@ export class SpectrumMemory {
      * attrs[0] = 0x47; // White ink on black paper
      * attrs[0] = 0xC7; // Bright white ink on black paper with flash
      */
-    getAttributeMemory() {
-        return this.ram.subarray(0x1800, 0x1B00); // 768 bytes of attributes
+    getAttributeMemory(screen = 0) {
+        const base = screen ? 0x3800 : 0x1800;
+        return this.ramBanks[this.screenBank].subarray(base, base + 0x300); // 768 bytes of attributes
     }
 
     /**
@@ -152,7 +387,7 @@ export class SpectrumMemory {
      * @returns {void}
      * 
      * @example
-     * memory.clearRAM(); // Clear all 48KB of RAM
+     * memory.clearRAM(); // Clear all RAM banks
      */
     clearRAM() {
         this.ram.fill(0);
@@ -33,8 +33,8 @@ export class Z80SnapshotLoader {
         regs.set('H', header[5]);
         regs.set16('PC', header[6] | (header[7] << 8));
         regs.set16('SP', header[8] | (header[9] << 8));
-        regs.data.I = header[10];
-        regs.data.R = header[11];
+        regs.set('I', header[10]);
+        regs.set('R', header[11]);
 
         const flags1 = header[12];
         const compressed = (flags1 & 0x20) !== 0;
@@ -42,14 +42,14 @@ export class Z80SnapshotLoader {
 
         regs.set('E', header[13]);
         regs.set('D', header[14]);
-        regs.data.C_ = header[15];
-        regs.data.B_ = header[16];
-        regs.data.E_ = header[17];
-        regs.data.D_ = header[18];
-        regs.data.L_ = header[19];
-        regs.data.H_ = header[20];
-        regs.data.A_ = header[21];
-        regs.data.F_ = header[22];
+        regs.set('C_', header[15]);
+        regs.set('B_', header[16]);
+        regs.set('E_', header[17]);
+        regs.set('D_', header[18]);
+        regs.set('L_', header[19]);
+        regs.set('H_', header[20]);
+        regs.set('A_', header[21]);
+        regs.set('F_', header[22]);
         regs.set16('IY', header[23] | (header[24] << 8));
         regs.set16('IX', header[25] | (header[26] << 8));
         this.cpu.iff1 = header[27] !== 0;
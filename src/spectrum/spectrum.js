@@ -8,9 +8,12 @@ import { SpectrumAudioWorklet } from './audio-worklet.js';
 import { Z80SnapshotLoader } from './snapshot.js';
 import { Tape } from './tape.js';
 import { TouchKeyboard } from './touch-keyboard.js';
+import { getMachineModel } from './machines.js';
+import { AY38912 } from './ay.js';
+import { SpectrumContention } from './contention.js';
 
 /**
- * ZXSpectrum - Main emulator class for the ZX Spectrum 48K
+ * ZXSpectrum - Main emulator class for the ZX Spectrum 48K, 128K and +2A/+3
  * 
  * @class ZXSpectrum
  * @example
@@ -27,28 +30,47 @@ export class ZXSpectrum {
      * @constructor
      * @param {string|HTMLCanvasElement} canvasOrSelector - Canvas element or CSS selector
      * @param {Object} [options={}] - Configuration options
-     * @param {string|Uint8Array} [options.rom='https://cdn.jsdelivr.net/npm/zx-generation@latest/rom/48k.rom'] - ROM data or URL
+     * @param {string} [options.model='48k'] - Machine model ('48k', '128k', '+2a' or '+3')
+     * @param {string|Uint8Array} [options.rom] - ROM data or URL. Defaults to the bundled 48K ROM;
+     * the 128K needs its 32KB ROM image (both ROMs back to back) and the +2A/+3 its 64KB image,
+     * supplied here or through loadROM()
      * @param {boolean} [options.autoStart=true] - Start emulation automatically after ROM loads
      * @param {boolean} [options.sound=true] - Enable sound emulation
+     * @param {boolean} [options.ay] - Fit an AY-3-8912 (standard on the 128K; a Melodik-style interface on the 48K)
+     * @param {string} [options.cpuVariant='nmos'] - Z80 silicon variant: 'nmos', 'cmos', 'nec' or 'toshiba'
+     * @param {boolean} [options.contention=true] - Delay CPU accesses to contended memory and ports as the ULA does
+     * @param {boolean} [options.floatingBus] - Return the ULA's video fetches on unattached port reads
+     * (defaults to the model: on for the 48K and 128K)
+     * @param {boolean} [options.beamRacing=true] - Draw the display as the beam passes, so mid-frame
+     * changes to screen memory and the border show up (multicolour, rainbow and border effects)
      * @param {boolean} [options.useAudioWorklet=true] - Use AudioWorklet for better sound
      * @param {number|string} [options.scale='auto'] - Display scale factor
      * @param {boolean} [options.handleKeyboard=true] - Handle keyboard input automatically
      * @param {boolean|string} [options.touchKeyboard='auto'] - Touch keyboard support
-     * @param {number} [options.fps=50] - Frames per second (PAL standard)
+     * @param {number} [options.fps] - Frames per second (defaults to the model's frame rate, 50 for PAL)
      * @param {Function} [options.onReady] - Callback when emulator is ready
      * @param {Function} [options.onError] - Error callback
      */
     constructor(canvasOrSelector, options = {}) {
+        // Resolve the machine profile first, it provides the ROM and timing defaults
+        this.model = getMachineModel(options.model || '48k');
+
         // Initialize options with defaults
         this.options = {
-            rom: 'https://cdn.jsdelivr.net/npm/zx-generation@latest/rom/48k.rom',
+            model: this.model.id,
+            rom: this.model.romURL,
             autoStart: true,
             sound: true,
+            ay: this.model.ay,
+            cpuVariant: 'nmos',
+            contention: true,
+            floatingBus: this.model.floatingBus,
+            beamRacing: true,
             useAudioWorklet: true,
             scale: 'auto',
             handleKeyboard: true,
             touchKeyboard: 'auto',  // 'auto', true, false, or custom element/selector
-            fps: 50,
+            fps: this.model.fps,
             onReady: null,
             onError: null,
             ...options
@@ -59,26 +81,49 @@ export class ZXSpectrum {
         this.ctx = this.canvas.getContext('2d');
         
         // Initialize hardware components
-        this.memory = new SpectrumMemory();
-        this.ula = new SpectrumULA();
-        this.display = new SpectrumDisplay();
+        this.memory = new SpectrumMemory(this.model);
+        this.ula = new SpectrumULA(this.memory, this.model);
+        this.display = new SpectrumDisplay(this.model);
+        this.ay = this.options.ay ? new AY38912({ maxFrameTStates: this.model.tStatesPerFrame * 2 }) : null;
+        this.ula.attachAY(this.ay);
+        this.ula.setFloatingBus(this.options.floatingBus);
+        // Port writes are stamped with the T-state of the port cycle within the running instruction
+        this.ula.setTStateCallback(() => this.cpu.memory.accessTState - this.cpu.memory.frameStart);
         
         // Initialize sound if enabled
         this.useAudioWorklet = this.options.sound && this.options.useAudioWorklet;
         if (this.options.sound) {
-            this.sound = this.useAudioWorklet ? new SpectrumAudioWorklet() : new SpectrumSound();
+            this.sound = this.useAudioWorklet
+                ? new SpectrumAudioWorklet({
+                    tStatesPerFrame: this.model.tStatesPerFrame,
+                    framesPerSecond: this.options.fps,
+                })
+                : new SpectrumSound();
         } else {
             this.sound = null;
         }
         
-        this.cpu = new Z80(this.memory, this.ula);
+        this.cpu = new Z80(this.memory, this.ula, { cpuVariant: this.options.cpuVariant });
+        // Nothing answers the interrupt acknowledge, so IM 2 vectors are read off the floating bus
+        this.cpu.setDataBusProvider(() => this.ula.readDataBus());
         this.tape = new Tape(this);
+
+        this.contention = new SpectrumContention(this.memory, this.model);
+        this.setContention(this.options.contention);
+
+        // Beam racing: catch the display up to the beam before anything visible changes
+        this.beamFrameActive = false;
+        this.beamFrameReady = false;
+        if (this.options.beamRacing) {
+            this.memory.onScreenWrite = () => this._catchUpDisplay();
+            this.ula.onVideoChange = () => this._catchUpDisplay();
+        }
         
         // Setup sound callbacks
         if (this.sound) {
             this.ula.setPortWriteCallback((portValue) => {
                 if (this.sound && this.sound.enabled && this.useAudioWorklet) {
-                    const tStateOffset = this.cpu.cycles - this.frameStartCycles;
+                    const tStateOffset = this.ula.getFrameTState();
                     this.sound.setBeeperState(portValue, tStateOffset);
                 }
             });
@@ -94,8 +139,8 @@ export class ZXSpectrum {
         
         // Emulation timing
         this.FRAMES_PER_SECOND = this.options.fps;
-        this.TSTATES_PER_FRAME = 69888;
-        this.INTERRUPT_TSTATES = 32;
+        this.TSTATES_PER_FRAME = this.model.tStatesPerFrame;
+        this.INTERRUPT_TSTATES = this.model.interruptLength;
         
         // State
         this.running = false;
@@ -103,6 +148,7 @@ export class ZXSpectrum {
         this.lastFrameTime = 0;
         this.accumulatedTime = 0;
         this.frameStartCycles = 0;
+        this.nmiPending = false;
         
         // Stats
         this.fps = 0;
@@ -400,7 +446,7 @@ export class ZXSpectrum {
     /**
      * Load ROM data into the emulator
      * 
-     * @param {Uint8Array} romData - ROM data (must be 16384 bytes)
+     * @param {Uint8Array} romData - ROM data (16384 bytes, 32768 bytes for the 128K, 65536 for the +2A/+3)
      * @throws {Error} If romData is not a Uint8Array
      */
     loadROM(romData) {
@@ -432,15 +478,36 @@ export class ZXSpectrum {
         }
     }
 
+    /**
+     * CPU T-state at which the current frame began
+     * The memory interface keeps it, to index the contention delays by frame T-state.
+     * The frame loop uses the field directly, as going through the accessor there
+     * kept V8 deoptimizing runFrame at the end of every frame.
+     *
+     * @type {number}
+     */
+    get frameStartCycles() {
+        return this.cpu.memory.frameStart;
+    }
+
+    set frameStartCycles(value) {
+        this.cpu.memory.frameStart = value;
+    }
+
     /**
      * Reset the emulator to initial state
      */
     reset() {
         this.cpu.reset();
+        this.frameStartCycles = 0;
+        this.nmiPending = false;
         this.memory.clearRAM();
+        this.memory.resetPaging();
         this.ula.clearKeys();
         this.ula.borderColor = 1;
+        this.ula.portFF = 0;
         this.frameCount = 0;
+        this.beamFrameReady = false;
         
         const attrs = this.memory.getAttributeMemory();
         attrs.fill(0x38);
@@ -449,6 +516,10 @@ export class ZXSpectrum {
             this.sound.reset();
         }
         
+        if (this.ay) {
+            this.ay.reset();
+        }
+
         const screenMem = this.memory.getScreenMemory();
         const attrMem = this.memory.getAttributeMemory();
         
@@ -458,39 +529,76 @@ export class ZXSpectrum {
     }
 
     /**
-     * Run a single frame of emulation (69888 T-states)
+     * Run a single frame of emulation (TSTATES_PER_FRAME T-states, 69888 on the 48K)
+     * Frame T-state 0 is the start of the INT pulse. The last instruction of a frame
+     * usually runs past its end; those T-states count towards the next frame.
      * 
      * @private
      * @returns {void}
      */
     runFrame() {
-        let tStates = 0;
-        
-        this.frameStartCycles = this.cpu.cycles;
+        const clock = this.cpu.memory;
+        let tState = this.cpu.cycles - clock.frameStart;
+
+        // Resynchronise if the CPU clock was changed outside the frame loop
+        if (tState < 0 || tState >= this.TSTATES_PER_FRAME) {
+            clock.frameStart = this.cpu.cycles;
+            tState = 0;
+        }
+
         if (this.useAudioWorklet && this.sound && this.sound.startFrame) {
             this.sound.startFrame();
         }
+
+        if (this.cpu.hooks.frame !== null) {
+            this.cpu.hooks.frame(this.frameCount);
+        }
+
+        this.ula.startFrame();
+
+        // The Timex hi-res and hi-colour modes are left to the full-frame renderer
+        this.beamFrameActive = this.options.beamRacing && this._isBeamRacedMode();
+        if (this.beamFrameActive) {
+            this.display.startBeamFrame();
+        }
         
-        while (tStates < this.TSTATES_PER_FRAME) {
+        while (tState < this.TSTATES_PER_FRAME) {
             const beforeCycles = this.cpu.cycles;
+
+            // NMI takes priority over INT, and leaves IFF1 clear so INT waits
+            if (this.nmiPending) {
+                this.nmiPending = false;
+                this.cpu.nmi();
+            }
+
+            // INT is sampled before each instruction and only accepted while the line is active
+            if (this.ula.isInterruptActive(tState)) {
+                this.cpu.interrupt();
+            }
+
             this.cpu.execute();
             const cyclesExecuted = this.cpu.cycles - beforeCycles;
             
-            this.ula.addCycles(cyclesExecuted);
-            
             const tapeInputBit = this.tape.update(this.cpu.cycles);
             this.ula.setTapeInput(tapeInputBit);
             
-            if (this.ula.shouldGenerateInterrupt()) {
-                this.cpu.interrupt();
-            }
-            
-            tStates += cyclesExecuted;
+            tState += cyclesExecuted;
         }
         
+        if (this.beamFrameActive) {
+            this._catchUpDisplay(Infinity);
+            this.beamFrameActive = false;
+            this.beamFrameReady = this._isBeamRacedMode();
+        }
+
+        // The AY buffers its output per frame, so it is drained even when sound is off
+        const ayFrame = this.ay ? this.ay.endFrame(this.TSTATES_PER_FRAME) : null;
+
         if (this.useAudioWorklet && this.sound && this.sound.endFrame) {
-            this.sound.endFrame(tStates);
+            this.sound.endFrame(this.TSTATES_PER_FRAME, ayFrame);
         }
+
+        clock.frameStart += this.TSTATES_PER_FRAME;
         
         this.frameCount++;
         
@@ -647,8 +755,6 @@ export class ZXSpectrum {
      * @returns {Uint8Array} Display buffer
      */
     renderDisplay() {
-        const screenMemory = this.memory.getScreenMemory();
-        const attributeMemory = this.memory.getAttributeMemory();
         const borderColor = this.ula.getBorderColor();
         
         const scanlineBorderColors = this.ula.isBorderColorChanged() 
@@ -656,10 +762,56 @@ export class ZXSpectrum {
             : null;
         
         this.ula.resetBorderChanged();
-        
-        return this.display.render(screenMemory, attributeMemory, borderColor, scanlineBorderColors);
+
+        // The last frame was drawn as the beam passed, with per-T-state border changes
+        if (this.beamFrameReady) {
+            return this.display.displayBuffer;
+        }
+
+        switch (this.ula.getTimexVideoMode()) {
+            case 'hires':
+                return this.display.renderHiRes(
+                    this.memory.getScreenMemory(0), this.memory.getScreenMemory(1), this.ula.getHiResInk());
+            case 'hicolour':
+                return this.display.renderHiColour(
+                    this.memory.getScreenMemory(0), this.memory.getScreenMemory(1), borderColor, scanlineBorderColors);
+            case 'screen1':
+                return this.display.render(
+                    this.memory.getScreenMemory(1), this.memory.getAttributeMemory(1),
+                    borderColor, scanlineBorderColors);
+            default:
+                return this.display.render(
+                    this.memory.getScreenMemory(), this.memory.getAttributeMemory(), borderColor, scanlineBorderColors);
+        }
     }
     
+    /**
+     * Draw the beam-raced frame up to a frame T-state with the current memory and border
+     *
+     * @private
+     * @param {number} [tState] - Frame T-state to draw up to (defaults to the current one)
+     * @returns {void}
+     */
+    _catchUpDisplay(tState = this.ula.getFrameTState()) {
+        if (!this.beamFrameActive) {
+            return;
+        }
+
+        const screenBase = this.ula.getTimexVideoMode() === 'screen1' ? 0x2000 : 0;
+        this.display.renderTo(tState, this.memory.ramBanks[this.memory.screenBank], this.ula.borderColor, screenBase);
+    }
+
+    /**
+     * Whether the current video mode can be beam raced
+     *
+     * @private
+     * @returns {boolean} True for the standard layout and the Timex second screen
+     */
+    _isBeamRacedMode() {
+        const mode = this.ula.getTimexVideoMode();
+        return mode === 'standard' || mode === 'screen1';
+    }
+
     /**
      * Draw the display buffer to canvas
      * 
@@ -670,6 +822,11 @@ export class ZXSpectrum {
     draw(canvas = null) {
         const targetCanvas = canvas || this.canvas;
         const ctx = canvas ? canvas.getContext('2d') : this.ctx;
+
+        // Timex hi-res doubles the buffer width; the CSS size set up front keeps the aspect ratio
+        if (targetCanvas.width !== this.display.totalWidth) {
+            targetCanvas.width = this.display.totalWidth;
+        }
         
         const imageData = this.display.getImageData();
         ctx.putImageData(imageData, 0, 0);
@@ -730,21 +887,37 @@ export class ZXSpectrum {
      * Load a snapshot from saved state data
      * 
      * @param {Object} data - Snapshot data
-     * @param {Uint8Array} [data.ram] - RAM contents
+     * @param {Uint8Array} [data.ram] - RAM contents (49152 bytes, or all eight banks on the 128K)
      * @param {Object} [data.cpu] - CPU state
      * @param {Object} [data.ula] - ULA state
+     * @param {Object} [data.paging] - 128K and +2A/+3 paging state
+     * @param {Object} [data.ay] - AY-3-8912 register state
      */
     loadSnapshot(data) {
-        if (data.ram && data.ram.length === 49152) {
+        this.beamFrameReady = false;
+
+        if (data.ram && data.ram.length === this.memory.ram.length) {
             this.memory.ram.set(data.ram);
         }
         
+        if (data.paging) {
+            this.memory.resetPaging();
+            // 0x7FFD last, its lock bit would block the 0x1FFD write
+            this.memory.writePort1FFD(data.paging.port1FFD || 0);
+            this.memory.writePort7FFD(data.paging.port7FFD);
+        }
+
+        if (data.ay && this.ay) {
+            this.ay.setState(data.ay);
+        }
+
         if (data.cpu) {
             this.cpu.setState(data.cpu);
         }
         
         if (data.ula) {
             this.ula.borderColor = data.ula.borderColor || 7;
+            this.ula.portFF = data.ula.portFF || 0;
         }
     }
 
@@ -754,6 +927,7 @@ export class ZXSpectrum {
      * @param {ArrayBuffer|Uint8Array} data - Z80 snapshot data
      */
     loadZ80Snapshot(data) {
+        this.beamFrameReady = false;
         const snapshotLoader = new Z80SnapshotLoader(this.memory, this.cpu, this.ula);
         snapshotLoader.load(data instanceof ArrayBuffer ? new Uint8Array(data) : data);
     }
@@ -761,16 +935,41 @@ export class ZXSpectrum {
     /**
      * Save current state as snapshot
      * 
-     * @returns {Object} Snapshot data with ram, cpu, and ula state
+     * @returns {Object} Snapshot data with model, ram, cpu, ula, paging and AY state
      */
     saveSnapshot() {
-        return {
+        const snapshot = {
+            model: this.model.id,
             ram: new Uint8Array(this.memory.ram),
             cpu: this.cpu.getState(),
             ula: {
-                borderColor: this.ula.borderColor
-            }
+                borderColor: this.ula.borderColor,
+                portFF: this.ula.portFF,
+            },
+            paging: {
+                port7FFD: this.memory.port7FFD,
+                port1FFD: this.memory.port1FFD,
+            },
         };
+
+        if (this.ay) {
+            snapshot.ay = this.ay.getState();
+        }
+
+        return snapshot;
+    }
+
+    /**
+     * Trigger a non-maskable interrupt, as the NMI button of a Multiface does
+     * The CPU takes it before the next instruction it runs
+     *
+     * @returns {void}
+     *
+     * @example
+     * spectrum.triggerNMI(); // Jump to the ROM NMI handler at 0x0066
+     */
+    triggerNMI() {
+        this.nmiPending = true;
     }
 
     /**
@@ -780,6 +979,7 @@ export class ZXSpectrum {
      * @returns {number} .fps - Current frames per second
      * @returns {number} .frameCount - Total frames rendered
      * @returns {Object} .cpuState - Current CPU state
+     * @returns {string} .cpuVariant - Id of the emulated Z80 variant
      * @returns {boolean} .running - Whether emulator is running
      * @returns {Object} .audioStats - Audio statistics (if available)
      */
@@ -788,6 +988,7 @@ export class ZXSpectrum {
             fps: this.fps,
             frameCount: this.frameCount,
             cpuState: this.cpu.getState(),
+            cpuVariant: this.cpu.variant.id,
             running: this.running,
             audioStats: this.sound?.getStats ? this.sound.getStats() : null
         };
@@ -907,6 +1108,67 @@ export class ZXSpectrum {
         };
     }
     
+    /**
+     * Observer hooks on the CPU, see the Z80 methods of the same names
+     * Each returns a function removing the listener again.
+     */
+    onInstruction(listener) {
+        return this.cpu.onInstruction(listener);
+    }
+
+    onMemoryRead(listener) {
+        return this.cpu.onMemoryRead(listener);
+    }
+
+    onMemoryWrite(listener) {
+        return this.cpu.onMemoryWrite(listener);
+    }
+
+    onPortRead(listener) {
+        return this.cpu.onPortRead(listener);
+    }
+
+    onPortWrite(listener) {
+        return this.cpu.onPortWrite(listener);
+    }
+
+    onInterrupt(listener) {
+        return this.cpu.onInterrupt(listener);
+    }
+
+    /**
+     * Call a listener at the start of each frame, with the frame number
+     *
+     * @param {Function} listener - (frame) => void
+     * @returns {Function} Removes the listener
+     */
+    onFrame(listener) {
+        return this.cpu.hooks.add('frame', listener);
+    }
+
+    /**
+     * Enable or disable memory and I/O contention
+     * Disabling it runs every instruction at its nominal T-state count, which is faster
+     * but breaks loaders and effects timed against the ULA
+     *
+     * @param {boolean} enabled - Whether contended accesses are delayed
+     * @returns {void}
+     */
+    setContention(enabled) {
+        this.options.contention = enabled;
+
+        // Models without contended banks keep the fast path either way
+        const active = enabled && this.model.contendedBanks.length > 0;
+
+        // The page flags are updated in place by paging, so the CPU looks both tables up directly
+        if (active) {
+            this.cpu.memory.setContention(this.memory.pageContended, this.contention.delays);
+        } else {
+            this.cpu.memory.setContention(null, null);
+        }
+        this.cpu.io.setContention(active && this.model.ioContention);
+    }
+
     /**
      * Set audio volume
      * 
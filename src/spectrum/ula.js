@@ -1,9 +1,18 @@
+import { getMachineModel } from './machines.js';
+
 /**
  * ZX Spectrum ULA (Uncommitted Logic Array) Emulation
  * Handles I/O ports, keyboard, border color, and speaker
  */
 export class SpectrumULA {
-    constructor() {
+    /**
+     * @param {SpectrumMemory} [memory=null] - Memory to forward paging port writes to
+     * @param {string|Object} [model='48k'] - Machine model id or profile (see machines.js)
+     */
+    constructor(memory = null, model = '48k') {
+        this.memory = memory;
+        this.model = getMachineModel(model);
+
         this.borderColor = 1; // Blue border by default
         this.speakerBit = 0;
         this.micBit = 0;
@@ -19,22 +28,36 @@ export class SpectrumULA {
         
         // NEW: Callback for port writes with exact timing
         this.onPortWrite = null;
+
+        // Callback run before the border colour or the Timex video mode changes
+        this.onVideoChange = null;
         
+        // Callback returning the current T-state within the frame
+        this.tStateCallback = null;
+
+        // AY-3-8912 sound chip (built into the 128K, optional Melodik interface on the 48K)
+        this.ay = null;
+
+        // Timex SCLD control register (port 0xFF): video mode, hi-res colour, interrupt disable
+        this.portFF = 0;
+
+        // Unattached odd ports return the byte the ULA is fetching (48K and 128K only)
+        this.floatingBus = this.model.floatingBus;
+
         // Tape input bit (EAR)
         this.tapeInputBit = 1;
         
-        // Scanline tracking for border effects
-        this.scanline = 0;
-        this.scanlineBorderColors = new Uint8Array(312).fill(1);
+        // Border colour when the frame started, and the last colour written on
+        // each scanline of the frame (-1 for none), for border effects
+        this.frameBorderColor = this.borderColor;
+        this.borderWrites = new Int8Array(this.model.scanlines).fill(-1);
+        this.scanlineBorderColors = new Uint8Array(this.model.scanlines);
         this.borderChanged = false;
         
         // Timing constants
-        this.SCANLINES_PER_FRAME = 312;
-        this.TSTATES_PER_SCANLINE = 224;
-        this.cycleCounter = 0;
-        
-        // Interrupt generation
-        this.interruptPending = false;
+        this.SCANLINES_PER_FRAME = this.model.scanlines;
+        this.TSTATES_PER_SCANLINE = this.model.tStatesPerLine;
+        this.INTERRUPT_TSTATES = this.model.interruptLength;
     }
 
     readPort(port) {
@@ -63,13 +86,54 @@ export class SpectrumULA {
             return result;
         }
         
-        return 0xFF;
+        // Port 0xFFFD - AY register read-back
+        if (this.ay && (port & 0xC002) === 0xC000) {
+            return this.ay.readRegister();
+        }
+
+        // Port 0xFF - Timex SCLD control register read-back
+        if (this.model.timex && (port & 0xFF) === 0xFF) {
+            return this.portFF;
+        }
+
+        return this.readDataBus();
     }
 
     writePort(port, value) {
-        port &= 0xFF;
+        port &= 0xFFFF;
         value &= 0xFF;
         
+        // Port 0x7FFD - 128K memory paging (decoded on A15 and A1 low)
+        if (this.model.paging === '128k' && (port & 0x8002) === 0 && this.memory) {
+            this.memory.writePort7FFD(value);
+        }
+
+        // Ports 0x7FFD and 0x1FFD - +2A/+3 memory paging (fully decoded on A15-A12 and A1)
+        if (this.model.paging === '+3' && this.memory) {
+            if ((port & 0xC002) === 0x4000) {
+                this.memory.writePort7FFD(value);
+            } else if ((port & 0xF002) === 0x1000) {
+                this.memory.writePort1FFD(value);
+            }
+        }
+
+        // Ports 0xFFFD/0xBFFD - AY register select and data (decoded on A15, A14 and A1)
+        if (this.ay && (port & 0x8002) === 0x8000) {
+            if (port & 0x4000) {
+                this.ay.selectRegister(value);
+            } else {
+                this.ay.writeRegister(value, this.getFrameTState());
+            }
+        }
+
+        // Port 0xFF - Timex SCLD control register (decoded on the low byte only)
+        if (this.model.timex && (port & 0xFF) === 0xFF) {
+            if (this.onVideoChange && value !== this.portFF) {
+                this.onVideoChange();
+            }
+            this.portFF = value;
+        }
+
         // Port 0xFE - Border color and speaker
         if ((port & 0x01) === 0) {
             const previousPortFE = this.lastPortFE;
@@ -81,9 +145,12 @@ export class SpectrumULA {
             
             // Update border color and track change
             if (newBorderColor !== this.borderColor) {
+                if (this.onVideoChange) {
+                    this.onVideoChange();
+                }
                 this.borderColor = newBorderColor;
                 this.borderChanged = true;
-                this.scanlineBorderColors[this.scanline] = newBorderColor;
+                this.borderWrites[this.getBeamScanline()] = newBorderColor;
             }
             
             // Notify about port write with the value (for accurate beeper tracking)
@@ -106,6 +173,131 @@ export class SpectrumULA {
         this.onPortWrite = callback;
     }
 
+    /**
+     * Set the callback that reports the current T-state within the frame
+     *
+     * @param {Function} callback - Returns the frame T-state of the running instruction
+     * @returns {void}
+     */
+    setTStateCallback(callback) {
+        this.tStateCallback = callback;
+    }
+
+    /**
+     * Get the current T-state within the frame
+     *
+     * @returns {number} Frame T-state (0 if no callback is set)
+     */
+    getFrameTState() {
+        return this.tStateCallback ? this.tStateCallback() : 0;
+    }
+
+    /**
+     * Enable or disable the floating bus
+     * With it disabled, unattached ports read 0xFF as on the +2A/+3
+     *
+     * @param {boolean} enabled - Whether unattached port reads see the ULA's video fetches
+     * @returns {void}
+     */
+    setFloatingBus(enabled) {
+        this.floatingBus = enabled;
+    }
+
+    /**
+     * Read the data bus as the CPU sees it when no device answers
+     *
+     * @returns {number} The floating bus value, or 0xFF with the floating bus disabled
+     */
+    readDataBus() {
+        return this.floatingBus ? this.readFloatingBus() : 0xFF;
+    }
+
+    /**
+     * Read the data bus while no device drives it
+     * During each 8 T-state paper cycle the ULA fetches a bitmap byte, its attribute,
+     * the next bitmap byte and its attribute, then leaves the bus idle for 4 T-states.
+     * The fetches start 3 T-states after the first contended T-state of the line.
+     *
+     * @returns {number} The byte being fetched at the current frame T-state, or 0xFF when idle
+     */
+    readFloatingBus() {
+        if (!this.memory) {
+            return 0xFF;
+        }
+
+        const t = this.getFrameTState() - this.model.contentionStartTState - 3;
+        if (t < 0) {
+            return 0xFF;
+        }
+
+        const line = Math.floor(t / this.TSTATES_PER_SCANLINE);
+        const position = t % this.TSTATES_PER_SCANLINE;
+        if (line >= 192 || position >= 128 || (position & 0x07) > 3) {
+            return 0xFF;
+        }
+
+        const column = ((position >> 3) << 1) | ((position >> 1) & 0x01);
+        if (position & 0x01) {
+            return this.memory.getAttributeMemory()[((line >> 3) << 5) | column];
+        }
+
+        const address = ((line & 0xC0) << 5) | ((line & 0x07) << 8) | ((line & 0x38) << 2) | column;
+        return this.memory.getScreenMemory()[address];
+    }
+
+    /**
+     * Get the scanline the beam is on at the current port cycle
+     * Falls back to the first scanline when no T-state callback is set
+     *
+     * @returns {number} Scanline since the frame interrupt
+     */
+    getBeamScanline() {
+        if (!this.tStateCallback) {
+            return 0;
+        }
+        const line = Math.floor(this.tStateCallback() / this.TSTATES_PER_SCANLINE);
+        return Math.max(0, Math.min(line, this.SCANLINES_PER_FRAME - 1));
+    }
+
+    /**
+     * Connect an AY-3-8912 to ports 0xFFFD and 0xBFFD
+     *
+     * @param {AY38912|null} ay - Sound chip, or null to disconnect it
+     * @returns {void}
+     */
+    attachAY(ay) {
+        this.ay = ay;
+    }
+
+    /**
+     * Get the Timex video mode selected by port 0xFF bits 0-2
+     * Hi-res takes precedence over hi-colour, which takes precedence over screen 1
+     *
+     * @returns {'standard'|'screen1'|'hicolour'|'hires'} Video mode
+     */
+    getTimexVideoMode() {
+        if (!this.model.timex) {
+            return 'standard';
+        }
+        if (this.portFF & 0x04) {
+            return 'hires';
+        }
+        if (this.portFF & 0x02) {
+            return 'hicolour';
+        }
+        return (this.portFF & 0x01) ? 'screen1' : 'standard';
+    }
+
+    /**
+     * Get the hi-res ink colour selected by port 0xFF bits 3-5
+     * The paper colour is its complement (7 - ink)
+     *
+     * @returns {number} Ink color index (0-7)
+     */
+    getHiResInk() {
+        return (this.portFF >> 3) & 0x07;
+    }
+
     // Set key state (row 0-7, col 0-4)
     setKey(row, col, pressed) {
         if (row >= 0 && row < 8 && col >= 0 && col < 5) {
@@ -133,33 +325,30 @@ export class SpectrumULA {
         return this.speakerBit;
     }
     
-    // Add cycles for scanline tracking
-    addCycles(cycles) {
-        this.cycleCounter += cycles;
-        
-        // Check if we've completed a scanline
-        while (this.cycleCounter >= this.TSTATES_PER_SCANLINE) {
-            this.cycleCounter -= this.TSTATES_PER_SCANLINE;
-            
-            // Record border color for this scanline
-            this.scanlineBorderColors[this.scanline] = this.borderColor;
-            
-            // Move to next scanline
-            this.scanline++;
-            if (this.scanline >= this.SCANLINES_PER_FRAME) {
-                this.scanline = 0;
-                // Generate interrupt at start of frame
-                this.interruptPending = true;
-            }
-        }
+    /**
+     * Start recording the border writes of a new frame
+     *
+     * @returns {void}
+     */
+    startFrame() {
+        this.frameBorderColor = this.borderColor;
+        this.borderWrites.fill(-1);
     }
     
     /**
      * Get per-scanline border colors for multicolor effects
+     * Each scanline takes the last colour written on it, or keeps the one above
      * 
      * @returns {Uint8Array} Array of 312 border colors (one per scanline)
      */
     getScanlineBorderColors() {
+        let color = this.frameBorderColor;
+        for (let line = 0; line < this.SCANLINES_PER_FRAME; line++) {
+            if (this.borderWrites[line] !== -1) {
+                color = this.borderWrites[line];
+            }
+            this.scanlineBorderColors[line] = color;
+        }
         return this.scanlineBorderColors;
     }
     
@@ -182,17 +371,20 @@ export class SpectrumULA {
     }
     
     /**
-     * Check if interrupt should be generated
-     * Interrupts occur at the start of the vertical retrace period
+     * Check whether the INT line is active
+     * The ULA holds INT low for the first INTERRUPT_TSTATES T-states of each frame;
+     * the CPU samples it at the end of every instruction, so an interrupt is only
+     * accepted inside that window, and again if the handler re-enables interrupts in time
      * 
-     * @returns {boolean} True if interrupt should be generated
+     * @param {number} tState - Frame T-state
+     * @returns {boolean} True while the interrupt is being signalled
      */
-    shouldGenerateInterrupt() {
-        if (this.interruptPending) {
-            this.interruptPending = false;
-            return true;
+    isInterruptActive(tState) {
+        if (tState < 0 || tState >= this.INTERRUPT_TSTATES) {
+            return false;
         }
-        return false;
+        // Port 0xFF bit 6 masks the Timex frame interrupt
+        return !(this.model.timex && (this.portFF & 0x40));
     }
     
     /**
@@ -204,8 +396,8 @@ export class SpectrumULA {
     setBorderColor(color) {
         this.borderColor = color & 0x07;
         this.borderChanged = true;
-        // Update scanline border color for current scanline
-        this.scanlineBorderColors[this.scanline] = this.borderColor;
+        // The whole frame takes the new colour
+        this.startFrame();
     }
     
     /**
@@ -0,0 +1,209 @@
+/**
+ * Memory Access Recorder
+ * Counts, for every address, how often the CPU executed, read and wrote it, to
+ * tell code from data when reverse-engineering and to measure which parts of
+ * the ROM a run exercises.
+ *
+ * Attach it to a Z80, or to a ZXSpectrum to have it follow frames. Operand
+ * bytes count as executed along with the opcodes, so an instruction marks all
+ * of its bytes as code. Counts add up over the whole run, or restart at each
+ * frame with the perFrame option.
+ *
+ * The heat map is 256x256 pixels, one per address with a row per 256-byte
+ * page: green for executed, blue for read and red for written, brighter for
+ * more accesses on a log scale.
+ */
+
+// Flags of flags()
+const EXECUTED = 1;
+const READ = 2;
+const WRITTEN = 4;
+
+const SIZE = 0x10000;
+
+const hex = value => value.toString(16).padStart(4, '0').toUpperCase();
+
+// Colour channel for a count, dim for one access and full for the most
+function intensity(count, logMax) {
+    return count === 0 ? 0 : 64 + Math.round((191 * Math.log1p(count)) / logMax);
+}
+
+class AccessRecorder {
+    /**
+     * @param {Object} [options={}]
+     * @param {boolean} [options.perFrame=false] - Clear the counts at the start of each frame
+     */
+    constructor(options = {}) {
+        this.perFrame = options.perFrame ?? false;
+        this.executeCounts = new Float64Array(SIZE);
+        this.readCounts = new Float64Array(SIZE);
+        this.writeCounts = new Float64Array(SIZE);
+        this.frames = 0;
+        this.removeListeners = [];
+    }
+
+    /**
+     * Record every memory access from now on
+     * @param {Z80|ZXSpectrum} target - The CPU, or a ZXSpectrum to also follow its frames
+     */
+    attach(target) {
+        this.detach();
+        this.removeListeners = [
+            target.onMemoryRead((address, value, code) => {
+                (code ? this.executeCounts : this.readCounts)[address]++;
+            }),
+            target.onMemoryWrite(address => {
+                this.writeCounts[address]++;
+            }),
+        ];
+        if (typeof target.onFrame === 'function') {
+            this.removeListeners.push(target.onFrame(() => this.startFrame()));
+        }
+    }
+
+    /**
+     * Stop recording
+     */
+    detach() {
+        for (const removeListener of this.removeListeners) {
+            removeListener();
+        }
+        this.removeListeners = [];
+    }
+
+    /**
+     * Start a frame, clearing the counts in per-frame mode
+     */
+    startFrame() {
+        if (this.perFrame) {
+            this.clear();
+        }
+        this.frames++;
+    }
+
+    /**
+     * Drop the counts recorded so far
+     */
+    clear() {
+        this.executeCounts.fill(0);
+        this.readCounts.fill(0);
+        this.writeCounts.fill(0);
+    }
+
+    /**
+     * Access flags per address
+     * @returns {Uint8Array} EXECUTED | READ | WRITTEN bits for each of the 65536 addresses
+     */
+    flags() {
+        const flags = new Uint8Array(SIZE);
+        for (let address = 0; address < SIZE; address++) {
+            flags[address] =
+                (this.executeCounts[address] > 0 ? EXECUTED : 0) |
+                (this.readCounts[address] > 0 ? READ : 0) |
+                (this.writeCounts[address] > 0 ? WRITTEN : 0);
+        }
+        return flags;
+    }
+
+    /**
+     * Runs of code and data: code is anything executed, data anything else read
+     * or written. Addresses never accessed are left out.
+     * @returns {Array<{ start: number, end: number, type: string }>} Inclusive ranges, type 'code' or 'data'
+     */
+    regions() {
+        const regions = [];
+        let current = null;
+
+        for (let address = 0; address < SIZE; address++) {
+            let type = null;
+            if (this.executeCounts[address] > 0) {
+                type = 'code';
+            } else if (this.readCounts[address] > 0 || this.writeCounts[address] > 0) {
+                type = 'data';
+            }
+
+            if (current !== null && current.type === type) {
+                current.end = address;
+            } else {
+                current = type === null ? null : { start: address, end: address, type };
+                if (current !== null) {
+                    regions.push(current);
+                }
+            }
+        }
+
+        return regions;
+    }
+
+    /**
+     * Code/data map as text, one "0000-0052 code" line per region
+     * @returns {string}
+     */
+    toCodeDataMap() {
+        return this.regions().map(({ start, end, type }) => `${hex(start)}-${hex(end)} ${type}\n`).join('');
+    }
+
+    /**
+     * Executed addresses in a range, e.g. 0x0000-0x3FFF for the 48K ROM
+     * @param {number} [start=0] - First address
+     * @param {number} [end=0xFFFF] - Last address, inclusive
+     * @returns {{ executed: number, total: number }}
+     */
+    coverage(start = 0, end = SIZE - 1) {
+        let executed = 0;
+        for (let address = start; address <= end; address++) {
+            if (this.executeCounts[address] > 0) {
+                executed++;
+            }
+        }
+        return { executed, total: end - start + 1 };
+    }
+
+    /**
+     * Render the heat map
+     * @returns {Uint8ClampedArray} 256x256 RGBA pixels, address = y * 256 + x
+     */
+    renderHeatMap() {
+        const pixels = new Uint8ClampedArray(SIZE * 4);
+        const logMax = counts => Math.log1p(counts.reduce((max, count) => Math.max(max, count), 0)) || 1;
+        const logExecute = logMax(this.executeCounts);
+        const logRead = logMax(this.readCounts);
+        const logWrite = logMax(this.writeCounts);
+
+        for (let address = 0; address < SIZE; address++) {
+            const i = address * 4;
+            pixels[i] = intensity(this.writeCounts[address], logWrite);
+            pixels[i + 1] = intensity(this.executeCounts[address], logExecute);
+            pixels[i + 2] = intensity(this.readCounts[address], logRead);
+            pixels[i + 3] = 255;
+        }
+
+        return pixels;
+    }
+
+    /**
+     * Draw the heat map on a canvas
+     * @param {CanvasRenderingContext2D} context - 2D context to draw on
+     * @param {number} [x=0] - Left edge
+     * @param {number} [y=0] - Top edge
+     */
+    drawHeatMap(context, x = 0, y = 0) {
+        const image = context.createImageData(256, 256);
+        image.data.set(this.renderHeatMap());
+        context.putImageData(image, x, y);
+    }
+
+    /**
+     * Regions and totals, for JSON.stringify
+     * @returns {{ frames: number, regions: Array, coverage: Object }}
+     */
+    toJSON() {
+        return {
+            frames: this.frames,
+            regions: this.regions(),
+            coverage: this.coverage(),
+        };
+    }
+}
+
+export { AccessRecorder, EXECUTED, READ, WRITTEN };
@@ -0,0 +1,1065 @@
+/**
+ * Z80 Assembler
+ * Builds test programs and example code from source instead of hand-encoded hex.
+ *
+ * Two passes over the source: the first sizes every line and collects the
+ * labels, the second encodes with all symbols known. Supported:
+ * - labels (name: anywhere, or name at the start of a line), EQU, ORG,
+ *   DB/DEFB/DEFM, DW/DEFW and DS/DEFS count[,fill]
+ * - expressions with + - * / % << >> & | ^ ~ and parentheses, $ for the
+ *   address of the current line, numbers as 42, $2A, 0x2A, 2Ah, %101010 or
+ *   0b101010, and 'c' for a character code
+ * - every documented instruction, plus SLL, the IXH/IXL/IYH/IYL halves,
+ *   the DDCB/FDCB forms that copy their result into a register (RLC (IX+d),B),
+ *   IN F,(C) and OUT (C),0
+ *
+ * Mnemonics, registers and directives are case-insensitive, symbols are not.
+ * Errors are thrown with the line number of the offending line.
+ */
+
+const REGISTERS_8 = { B: 0, C: 1, D: 2, E: 3, H: 4, L: 5, A: 7 };
+const INDEX_HALVES = {
+    IXH: [0xdd, 4],
+    IXL: [0xdd, 5],
+    IYH: [0xfd, 4],
+    IYL: [0xfd, 5],
+};
+const PAIRS = { BC: 0, DE: 1, HL: 2, SP: 3 };
+const STACK_PAIRS = { BC: 0, DE: 1, HL: 2, AF: 3 };
+const CONDITIONS = { NZ: 0, Z: 1, NC: 2, C: 3, PO: 4, PE: 5, P: 6, M: 7 };
+const INDEX_PREFIXES = { IX: 0xdd, IY: 0xfd };
+const REGISTER_NAMES = new Set([
+    ...Object.keys(REGISTERS_8), ...Object.keys(INDEX_HALVES), ...Object.keys(PAIRS),
+    'AF', "AF'", 'IX', 'IY', 'I', 'R', 'F',
+]);
+
+const ALU_OPS = { ADD: 0, ADC: 1, SUB: 2, SBC: 3, AND: 4, XOR: 5, OR: 6, CP: 7 };
+const ROTATE_OPS = { RLC: 0, RRC: 1, RL: 2, RR: 3, SLA: 4, SRA: 5, SLL: 6, SL1: 6, SRL: 7 };
+const BIT_OPS = { BIT: 0x40, RES: 0x80, SET: 0xc0 };
+
+const IMPLIED = {
+    NOP: [0x00], RLCA: [0x07], RRCA: [0x0f], RLA: [0x17], RRA: [0x1f], DAA: [0x27], CPL: [0x2f],
+    SCF: [0x37], CCF: [0x3f], HALT: [0x76], EXX: [0xd9], DI: [0xf3], EI: [0xfb],
+    NEG: [0xed, 0x44], RETN: [0xed, 0x45], RETI: [0xed, 0x4d], RRD: [0xed, 0x67], RLD: [0xed, 0x6f],
+    LDI: [0xed, 0xa0], CPI: [0xed, 0xa1], INI: [0xed, 0xa2], OUTI: [0xed, 0xa3],
+    LDD: [0xed, 0xa8], CPD: [0xed, 0xa9], IND: [0xed, 0xaa], OUTD: [0xed, 0xab],
+    LDIR: [0xed, 0xb0], CPIR: [0xed, 0xb1], INIR: [0xed, 0xb2], OTIR: [0xed, 0xb3],
+    LDDR: [0xed, 0xb8], CPDR: [0xed, 0xb9], INDR: [0xed, 0xba], OTDR: [0xed, 0xbb],
+};
+
+const DIRECTIVES = {
+    ORG: 'ORG', EQU: 'EQU', DB: 'DB', DEFB: 'DB', DEFM: 'DB', DW: 'DW', DEFW: 'DW', DS: 'DS', DEFS: 'DS',
+};
+
+const isIdentifierStart = c => /[A-Za-z_.]/.test(c);
+const isIdentifierChar = c => /[\w.]/.test(c);
+
+/**
+ * Split source text into expression tokens
+ */
+function tokenize(text) {
+    const tokens = [];
+    let i = 0;
+
+    // A % or $ where a value is expected starts a binary or hex number
+    const expectsValue = () => {
+        const last = tokens[tokens.length - 1];
+        return !last || (last.type === 'op' && last.value !== ')');
+    };
+
+    while (i < text.length) {
+        const c = text[i];
+        if (/\s/.test(c)) {
+            i++;
+            continue;
+        }
+
+        const rest = text.slice(i);
+        let match;
+        if ((match = /^(?:\$|0x)([0-9a-f]+)/i.exec(rest))) {
+            tokens.push({ type: 'number', value: parseInt(match[1], 16) });
+        } else if (expectsValue() && (match = /^%([01]+)/.exec(rest))) {
+            tokens.push({ type: 'number', value: parseInt(match[1], 2) });
+        } else if ((match = /^([0-9][0-9a-f]*)h(?![\w.])/i.exec(rest))) {
+            tokens.push({ type: 'number', value: parseInt(match[1], 16) });
+        } else if ((match = /^0b([01]+)(?![\w.])/i.exec(rest))) {
+            tokens.push({ type: 'number', value: parseInt(match[1], 2) });
+        } else if ((match = /^[0-9]+(?![\w.])/.exec(rest))) {
+            tokens.push({ type: 'number', value: parseInt(match[0], 10) });
+        } else if ((match = /^(['"])(.)\1/.exec(rest))) {
+            tokens.push({ type: 'number', value: match[2].charCodeAt(0) });
+        } else if (c === '$') {
+            match = ['$'];
+            tokens.push({ type: 'here' });
+        } else if (isIdentifierStart(c)) {
+            let end = i + 1;
+            while (end < text.length && isIdentifierChar(text[end])) {
+                end++;
+            }
+            match = [text.slice(i, end)];
+            tokens.push({ type: 'symbol', value: match[0] });
+        } else if ((match = /^(<<|>>|[-+*/%&|^~()])/.exec(rest))) {
+            tokens.push({ type: 'op', value: match[0] });
+        } else {
+            throw new Error(`Unexpected character in expression: ${c}`);
+        }
+        i += match[0].length;
+    }
+
+    return tokens;
+}
+
+const BINARY_PRECEDENCE = {
+    '|': 1, '^': 2, '&': 3, '<<': 4, '>>': 4, '+': 5, '-': 5, '*': 6, '/': 6, '%': 6,
+};
+
+/**
+ * Evaluate an expression
+ * Returns undefined while a symbol it uses is still undefined.
+ */
+function evaluate(text, resolve) {
+    const tokens = tokenize(text);
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const take = () => tokens[position++];
+
+    function primary() {
+        const token = take();
+        if (!token) {
+            throw new Error(`Incomplete expression: ${text}`);
+        }
+        switch (token.type) {
+            case 'number':
+                return token.value;
+            case 'here':
+                return resolve('$');
+            case 'symbol':
+                return resolve(token.value);
+            default:
+                break;
+        }
+        switch (token.value) {
+            case '(': {
+                const value = binary(0);
+                if (take()?.value !== ')') {
+                    throw new Error(`Missing ) in expression: ${text}`);
+                }
+                return value;
+            }
+            case '-': {
+                const value = primary();
+                return value === undefined ? undefined : -value;
+            }
+            case '+':
+                return primary();
+            case '~': {
+                const value = primary();
+                return value === undefined ? undefined : ~value;
+            }
+            default:
+                throw new Error(`Unexpected ${token.value} in expression: ${text}`);
+        }
+    }
+
+    function binary(minPrecedence) {
+        let left = primary();
+        for (;;) {
+            const token = peek();
+            const precedence = token?.type === 'op' ? BINARY_PRECEDENCE[token.value] : undefined;
+            if (precedence === undefined || precedence <= minPrecedence) {
+                return left;
+            }
+            take();
+            const right = binary(precedence);
+            left = left === undefined || right === undefined ? undefined : applyOperator(token.value, left, right);
+        }
+    }
+
+    const value = binary(0);
+    if (position < tokens.length) {
+        throw new Error(`Unexpected ${tokens[position].value ?? 'value'} in expression: ${text}`);
+    }
+    return value;
+}
+
+function applyOperator(operator, left, right) {
+    switch (operator) {
+        case '|':
+            return left | right;
+        case '^':
+            return left ^ right;
+        case '&':
+            return left & right;
+        case '<<':
+            return left << right;
+        case '>>':
+            return left >> right;
+        case '+':
+            return left + right;
+        case '-':
+            return left - right;
+        case '*':
+            return left * right;
+        default:
+            if (right === 0) {
+                throw new Error('Division by zero');
+            }
+            return operator === '/' ? Math.trunc(left / right) : left % right;
+    }
+}
+
+/**
+ * Index of the end of a quoted string starting at i, or -1 for the
+ * apostrophe of AF' which does not start one
+ */
+function closingQuote(text, i) {
+    if (text[i] === "'" && /(^|[^\w.])AF$/i.test(text.slice(0, i))) {
+        return -1;
+    }
+    const end = text.indexOf(text[i], i + 1);
+    return end === -1 ? text.length : end;
+}
+
+function stripComment(line) {
+    for (let i = 0; i < line.length; i++) {
+        if (line[i] === '"' || line[i] === "'") {
+            const end = closingQuote(line, i);
+            i = end === -1 ? i : end;
+        } else if (line[i] === ';') {
+            return line.slice(0, i);
+        }
+    }
+    return line;
+}
+
+// Split operands at commas outside parentheses and strings
+function splitOperands(text) {
+    const operands = [];
+    let depth = 0;
+    let start = 0;
+
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (c === '"' || c === "'") {
+            const end = closingQuote(text, i);
+            i = end === -1 ? i : end;
+        } else if (c === '(') {
+            depth++;
+        } else if (c === ')') {
+            depth--;
+        } else if (c === ',' && depth === 0) {
+            operands.push(text.slice(start, i).trim());
+            start = i + 1;
+        }
+    }
+    operands.push(text.slice(start).trim());
+
+    return operands.filter((operand, i) => operand !== '' || i < operands.length - 1);
+}
+
+// Whether the whole operand is wrapped in one pair of parentheses
+function isIndirect(text) {
+    if (!text.startsWith('(') || !text.endsWith(')')) {
+        return false;
+    }
+    let depth = 0;
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '(') {
+            depth++;
+        } else if (text[i] === ')') {
+            depth--;
+            if (depth === 0) {
+                return i === text.length - 1;
+            }
+        }
+    }
+    return false;
+}
+
+/**
+ * Classify an operand
+ * reg: a register, ind: (HL), (BC), (DE), (SP) or (C), idx: (IX+d) or (IY+d),
+ * mem: (expression), imm: expression
+ */
+function parseOperand(text) {
+    const upper = text.toUpperCase();
+    if (REGISTER_NAMES.has(upper)) {
+        return { type: 'reg', name: upper, text };
+    }
+    if (isIndirect(text)) {
+        const inner = text.slice(1, -1).trim();
+        const innerUpper = inner.toUpperCase();
+        if (['HL', 'BC', 'DE', 'SP', 'C'].includes(innerUpper)) {
+            return { type: 'ind', name: innerUpper, text };
+        }
+        const index = /^(IX|IY)(?![\w.])\s*(?:([+-])(.*))?$/i.exec(inner);
+        if (index) {
+            const displacement = index[2] ? `0${index[2]}(${index[3]})` : '0';
+            return { type: 'idx', name: index[1].toUpperCase(), expr: displacement, text };
+        }
+        return { type: 'mem', expr: inner, text };
+    }
+    return { type: 'imm', expr: text, text };
+}
+
+/**
+ * 8-bit register operand as { code, prefix, displacement }, or null
+ * code is the register field of the opcode, prefix DD/FD or 0
+ */
+function register8(operand) {
+    if (operand.type === 'reg') {
+        if (operand.name in REGISTERS_8) {
+            return { code: REGISTERS_8[operand.name], prefix: 0, displacement: null };
+        }
+        if (operand.name in INDEX_HALVES) {
+            const [prefix, code] = INDEX_HALVES[operand.name];
+            return { code, prefix, displacement: null };
+        }
+    } else if (operand.type === 'ind' && operand.name === 'HL') {
+        return { code: 6, prefix: 0, displacement: null };
+    } else if (operand.type === 'idx') {
+        return { code: 6, prefix: INDEX_PREFIXES[operand.name], displacement: operand.expr };
+    }
+    return null;
+}
+
+// HL, IX or IY as { prefix }, or null
+function indexRegister(operand) {
+    if (operand.type !== 'reg') {
+        return null;
+    }
+    if (operand.name === 'HL') {
+        return { prefix: 0 };
+    }
+    return operand.name in INDEX_PREFIXES ? { prefix: INDEX_PREFIXES[operand.name] } : null;
+}
+
+// Plain 8-bit register or (HL), without index prefix
+function plainRegister8(operand) {
+    const register = register8(operand);
+    return register && register.prefix === 0 ? register : null;
+}
+
+function condition(operand) {
+    const code = CONDITIONS[operand.text.toUpperCase()];
+    return code === undefined ? null : code;
+}
+
+function invalid(operands) {
+    return new Error(`Invalid operands: ${operands.map(operand => operand.text).join(',')}`);
+}
+
+function expectCount(operands, ...counts) {
+    if (!counts.includes(operands.length)) {
+        throw invalid(operands);
+    }
+}
+
+// Two 8-bit register operands sharing at most one prefix
+function registerPair(a, b, operands) {
+    const prefixes = [a.prefix, b.prefix].filter(Boolean);
+    const indexed = a.displacement !== null || b.displacement !== null;
+    const plainHL = [a, b].some(r => r.prefix === 0 && (r.code === 4 || r.code === 5 || r.code === 6));
+    if (
+        (a.code === 6 && b.code === 6) ||
+        (prefixes.length === 2 && (prefixes[0] !== prefixes[1] || indexed)) ||
+        (prefixes.length > 0 && !indexed && plainHL)
+    ) {
+        throw invalid(operands);
+    }
+    return {
+        code: 0,
+        prefix: prefixes[0] || 0,
+        displacement: a.displacement ?? b.displacement,
+    };
+}
+
+function ld(asm, operands) {
+    expectCount(operands, 2);
+    const [dest, src] = operands;
+
+    // 8-bit register to register
+    const destRegister = register8(dest);
+    const srcRegister = register8(src);
+    if (destRegister && srcRegister) {
+        const pair = registerPair(destRegister, srcRegister, operands);
+        asm.emitRegister(pair, 0x40 | (destRegister.code << 3) | srcRegister.code);
+        return;
+    }
+    if (destRegister && src.type === 'imm') {
+        asm.emitRegister(destRegister, 0x06 | (destRegister.code << 3), asm.byte(src.expr));
+        return;
+    }
+
+    const names = `${dest.type === 'reg' ? dest.name : dest.type}:${src.type === 'reg' ? src.name : src.type}`;
+    switch (names) {
+        case 'A:ind':
+            if (src.name === 'BC' || src.name === 'DE') {
+                asm.emit(src.name === 'BC' ? 0x0a : 0x1a);
+                return;
+            }
+            break;
+        case 'ind:A':
+            if (dest.name === 'BC' || dest.name === 'DE') {
+                asm.emit(dest.name === 'BC' ? 0x02 : 0x12);
+                return;
+            }
+            break;
+        case 'A:mem':
+            asm.emit(0x3a);
+            asm.emitWord(asm.word(src.expr));
+            return;
+        case 'mem:A':
+            asm.emit(0x32);
+            asm.emitWord(asm.word(dest.expr));
+            return;
+        case 'A:I':
+            asm.emit(0xed, 0x57);
+            return;
+        case 'A:R':
+            asm.emit(0xed, 0x5f);
+            return;
+        case 'I:A':
+            asm.emit(0xed, 0x47);
+            return;
+        case 'R:A':
+            asm.emit(0xed, 0x4f);
+            return;
+        default:
+            break;
+    }
+
+    // 16-bit loads
+    if (dest.type === 'reg' && dest.name === 'SP' && src.type === 'reg') {
+        const index = indexRegister(src);
+        if (index) {
+            asm.emitRegister({ prefix: index.prefix, displacement: null }, 0xf9);
+            return;
+        }
+    }
+    const destIndex = indexRegister(dest);
+    const srcIndex = indexRegister(src);
+    if (destIndex && (src.type === 'imm' || src.type === 'mem')) {
+        const opcode = src.type === 'imm' ? 0x21 : 0x2a;
+        asm.emitRegister({ prefix: destIndex.prefix, displacement: null }, opcode);
+        asm.emitWord(asm.word(src.expr));
+        return;
+    }
+    if (srcIndex && dest.type === 'mem') {
+        asm.emitRegister({ prefix: srcIndex.prefix, displacement: null }, 0x22);
+        asm.emitWord(asm.word(dest.expr));
+        return;
+    }
+    if (dest.type === 'reg' && dest.name in PAIRS && (src.type === 'imm' || src.type === 'mem')) {
+        const p = PAIRS[dest.name] << 4;
+        if (src.type === 'imm') {
+            asm.emit(0x01 | p);
+        } else {
+            asm.emit(0xed, 0x4b | p);
+        }
+        asm.emitWord(asm.word(src.expr));
+        return;
+    }
+    if (src.type === 'reg' && src.name in PAIRS && dest.type === 'mem') {
+        asm.emit(0xed, 0x43 | (PAIRS[src.name] << 4));
+        asm.emitWord(asm.word(dest.expr));
+        return;
+    }
+
+    throw invalid(operands);
+}
+
+function pushPop(opcode) {
+    return (asm, operands) => {
+        expectCount(operands, 1);
+        const [operand] = operands;
+        const index = operand.type === 'reg' && INDEX_PREFIXES[operand.name];
+        if (index) {
+            asm.emit(index, opcode | 0x20);
+        } else if (operand.type === 'reg' && operand.name in STACK_PAIRS) {
+            asm.emit(opcode | (STACK_PAIRS[operand.name] << 4));
+        } else {
+            throw invalid(operands);
+        }
+    };
+}
+
+function ex(asm, operands) {
+    expectCount(operands, 2);
+    const [a, b] = operands.map(operand => operand.text.toUpperCase().replace(/\s+/g, ''));
+    if (a === 'DE' && b === 'HL') {
+        asm.emit(0xeb);
+    } else if (a === 'AF' && b === "AF'") {
+        asm.emit(0x08);
+    } else if (a === '(SP)' && indexRegister(operands[1])) {
+        asm.emitRegister({ prefix: indexRegister(operands[1]).prefix, displacement: null }, 0xe3);
+    } else {
+        throw invalid(operands);
+    }
+}
+
+function alu(operation) {
+    return (asm, operands) => {
+        expectCount(operands, 1, 2);
+        const first = operands[0];
+
+        // ADD/ADC/SBC HL,rr and ADD IX,rr
+        if (operands.length === 2 && indexRegister(first)) {
+            arithmetic16(asm, operation, operands);
+            return;
+        }
+        if (operands.length === 2 && !(first.type === 'reg' && first.name === 'A')) {
+            throw invalid(operands);
+        }
+
+        const operand = operands[operands.length - 1];
+        const register = register8(operand);
+        if (register) {
+            asm.emitRegister(register, 0x80 | (operation << 3) | register.code);
+        } else if (operand.type === 'imm') {
+            asm.emit(0xc6 | (operation << 3), asm.byte(operand.expr));
+        } else {
+            throw invalid(operands);
+        }
+    };
+}
+
+function arithmetic16(asm, operation, operands) {
+    const [dest, src] = operands;
+    const index = indexRegister(dest);
+    let p = src.type === 'reg' ? PAIRS[src.name] : undefined;
+
+    // ADD IX,IX takes the place of ADD HL,HL; ADD IX,HL does not exist
+    if (index.prefix) {
+        if (src.type === 'reg' && src.name === dest.name) {
+            p = 2;
+        } else if (p === 2) {
+            p = undefined;
+        }
+    }
+    if (p === undefined || (index.prefix && operation !== ALU_OPS.ADD)) {
+        throw invalid(operands);
+    }
+
+    switch (operation) {
+        case ALU_OPS.ADD:
+            asm.emitRegister({ prefix: index.prefix, displacement: null }, 0x09 | (p << 4));
+            return;
+        case ALU_OPS.ADC:
+            asm.emit(0xed, 0x4a | (p << 4));
+            return;
+        case ALU_OPS.SBC:
+            asm.emit(0xed, 0x42 | (p << 4));
+            return;
+        default:
+            throw invalid(operands);
+    }
+}
+
+function incDec(opcode8, opcode16) {
+    return (asm, operands) => {
+        expectCount(operands, 1);
+        const [operand] = operands;
+        const register = register8(operand);
+        const index = indexRegister(operand);
+        if (register) {
+            asm.emitRegister(register, opcode8 | (register.code << 3));
+        } else if (index) {
+            asm.emitRegister({ prefix: index.prefix, displacement: null }, opcode16 | 0x20);
+        } else if (operand.type === 'reg' && operand.name in PAIRS) {
+            asm.emit(opcode16 | (PAIRS[operand.name] << 4));
+        } else {
+            throw invalid(operands);
+        }
+    };
+}
+
+/**
+ * CB opcodes: on a register, (HL), (IX+d), or (IX+d) with the result also
+ * copied into a register (undocumented)
+ */
+function emitCB(asm, opcode, operands, target, copy) {
+    const register = register8(target);
+    if (!register || (register.prefix && register.displacement === null)) {
+        throw invalid(operands);
+    }
+    if (register.displacement === null) {
+        if (copy) {
+            throw invalid(operands);
+        }
+        asm.emit(0xcb, opcode | register.code);
+        return;
+    }
+    let code = 6;
+    if (copy) {
+        const copyRegister = plainRegister8(copy);
+        if (!copyRegister || copyRegister.code === 6) {
+            throw invalid(operands);
+        }
+        code = copyRegister.code;
+    }
+    asm.emit(register.prefix, 0xcb, asm.displacement(register.displacement), opcode | code);
+}
+
+function rotate(operation) {
+    return (asm, operands) => {
+        expectCount(operands, 1, 2);
+        emitCB(asm, operation << 3, operands, operands[0], operands[1]);
+    };
+}
+
+function bitOperation(opcode) {
+    return (asm, operands) => {
+        expectCount(operands, 2, opcode === BIT_OPS.BIT ? 2 : 3);
+        const bit = operands[0].type === 'imm' ? asm.known(operands[0].expr) : -1;
+        if (bit < 0 || bit > 7) {
+            throw invalid(operands);
+        }
+        emitCB(asm, opcode | (bit << 3), operands, operands[1], operands[2]);
+    };
+}
+
+function jp(asm, operands) {
+    expectCount(operands, 1, 2);
+    if (operands.length === 2) {
+        const cc = condition(operands[0]);
+        if (cc === null || operands[1].type !== 'imm') {
+            throw invalid(operands);
+        }
+        asm.emit(0xc2 | (cc << 3));
+        asm.emitWord(asm.word(operands[1].expr));
+        return;
+    }
+
+    const [target] = operands;
+    if (target.type === 'ind' && target.name === 'HL') {
+        asm.emit(0xe9);
+    } else if (target.type === 'idx' && target.expr === '0') {
+        asm.emit(INDEX_PREFIXES[target.name], 0xe9);
+    } else if (target.type === 'imm') {
+        asm.emit(0xc3);
+        asm.emitWord(asm.word(target.expr));
+    } else {
+        throw invalid(operands);
+    }
+}
+
+function jr(asm, operands) {
+    expectCount(operands, 1, 2);
+    const target = operands[operands.length - 1];
+    let opcode = 0x18;
+    if (operands.length === 2) {
+        const cc = condition(operands[0]);
+        if (cc === null || cc > 3) {
+            throw invalid(operands);
+        }
+        opcode = 0x20 | (cc << 3);
+    }
+    if (target.type !== 'imm') {
+        throw invalid(operands);
+    }
+    asm.emit(opcode, asm.relative(target.expr));
+}
+
+function djnz(asm, operands) {
+    expectCount(operands, 1);
+    if (operands[0].type !== 'imm') {
+        throw invalid(operands);
+    }
+    asm.emit(0x10, asm.relative(operands[0].expr));
+}
+
+function call(asm, operands) {
+    expectCount(operands, 1, 2);
+    const target = operands[operands.length - 1];
+    let opcode = 0xcd;
+    if (operands.length === 2) {
+        const cc = condition(operands[0]);
+        if (cc === null) {
+            throw invalid(operands);
+        }
+        opcode = 0xc4 | (cc << 3);
+    }
+    if (target.type !== 'imm') {
+        throw invalid(operands);
+    }
+    asm.emit(opcode);
+    asm.emitWord(asm.word(target.expr));
+}
+
+function ret(asm, operands) {
+    expectCount(operands, 0, 1);
+    if (operands.length === 0) {
+        asm.emit(0xc9);
+        return;
+    }
+    const cc = condition(operands[0]);
+    if (cc === null) {
+        throw invalid(operands);
+    }
+    asm.emit(0xc0 | (cc << 3));
+}
+
+function rst(asm, operands) {
+    expectCount(operands, 1);
+    const address = asm.known(operands[0].text);
+    if (address & ~0x38) {
+        throw invalid(operands);
+    }
+    asm.emit(0xc7 | address);
+}
+
+function im(asm, operands) {
+    expectCount(operands, 1);
+    const mode = asm.known(operands[0].text);
+    const opcodes = [0x46, 0x56, 0x5e];
+    if (opcodes[mode] === undefined) {
+        throw invalid(operands);
+    }
+    asm.emit(0xed, opcodes[mode]);
+}
+
+function input(asm, operands) {
+    expectCount(operands, 1, 2);
+    const [dest, port] = operands.length === 2 ? operands : [null, operands[0]];
+
+    if (port.type === 'ind' && port.name === 'C') {
+        if (dest === null || (dest.type === 'reg' && dest.name === 'F')) {
+            asm.emit(0xed, 0x70);
+            return;
+        }
+        const register = plainRegister8(dest);
+        if (register && register.code !== 6) {
+            asm.emit(0xed, 0x40 | (register.code << 3));
+            return;
+        }
+    } else if (port.type === 'mem' && dest?.type === 'reg' && dest.name === 'A') {
+        asm.emit(0xdb, asm.byte(port.expr));
+        return;
+    }
+    throw invalid(operands);
+}
+
+function output(asm, operands) {
+    expectCount(operands, 2);
+    const [port, src] = operands;
+
+    if (port.type === 'ind' && port.name === 'C') {
+        if (src.type === 'imm' && asm.known(src.expr) === 0) {
+            asm.emit(0xed, 0x71);
+            return;
+        }
+        const register = plainRegister8(src);
+        if (register && register.code !== 6) {
+            asm.emit(0xed, 0x41 | (register.code << 3));
+            return;
+        }
+    } else if (port.type === 'mem' && src.type === 'reg' && src.name === 'A') {
+        asm.emit(0xd3, asm.byte(port.expr));
+        return;
+    }
+    throw invalid(operands);
+}
+
+const INSTRUCTIONS = {
+    LD: ld,
+    PUSH: pushPop(0xc5),
+    POP: pushPop(0xc1),
+    EX: ex,
+    INC: incDec(0x04, 0x03),
+    DEC: incDec(0x05, 0x0b),
+    JP: jp,
+    JR: jr,
+    DJNZ: djnz,
+    CALL: call,
+    RET: ret,
+    RST: rst,
+    IM: im,
+    IN: input,
+    OUT: output,
+};
+for (const [name, bytes] of Object.entries(IMPLIED)) {
+    INSTRUCTIONS[name] = (asm, operands) => {
+        expectCount(operands, 0);
+        asm.emit(...bytes);
+    };
+}
+for (const [name, operation] of Object.entries(ALU_OPS)) {
+    INSTRUCTIONS[name] = alu(operation);
+}
+for (const [name, operation] of Object.entries(ROTATE_OPS)) {
+    INSTRUCTIONS[name] = rotate(operation);
+}
+for (const [name, opcode] of Object.entries(BIT_OPS)) {
+    INSTRUCTIONS[name] = bitOperation(opcode);
+}
+
+/**
+ * One run of the assembler over the parsed lines
+ */
+class Assembly {
+    constructor(source, origin) {
+        this.lines = source.split(/\r?\n/).map((text, i) => this.parseLine(text, i + 1));
+        this.origin = origin & 0xffff;
+        this.symbols = new Map();
+        this.equates = new Map();
+        this.defined = new Set();
+        this.resolving = new Set();
+        this.output = new Uint8Array(0x10000);
+        this.written = new Uint8Array(0x10000);
+        this.final = false;
+    }
+
+    parseLine(text, number) {
+        const line = { number, label: null, mnemonic: null, operands: [] };
+        let rest = stripComment(text);
+
+        const label = /^\s*([A-Za-z_.][\w.]*):/.exec(rest) ||
+            /^([A-Za-z_.][\w.]*)(?![\w.:])/.exec(rest);
+        if (label && (rest[label[0].length - 1] === ':' || !this.isKeyword(label[1]))) {
+            line.label = label[1];
+            rest = rest.slice(label[0].length);
+        } else {
+            // NAME EQU value, with NAME indented
+            const equ = /^\s*([A-Za-z_.][\w.]*)\s+(?=equ\s)/i.exec(rest);
+            if (equ && !this.isKeyword(equ[1])) {
+                line.label = equ[1];
+                rest = rest.slice(equ[0].length);
+            }
+        }
+
+        const statement = /^\s*\.?([A-Za-z]\w*)\s*(.*?)\s*$/.exec(rest);
+        if (statement) {
+            line.mnemonic = statement[1].toUpperCase();
+            line.operandText = statement[2];
+        } else if (rest.trim() !== '') {
+            line.error = `Cannot parse: ${rest.trim()}`;
+        }
+
+        return line;
+    }
+
+    isKeyword(word) {
+        const upper = word.replace(/^\./, '').toUpperCase();
+        return upper in DIRECTIVES || upper in INSTRUCTIONS;
+    }
+
+    run() {
+        for (const final of [false, true]) {
+            this.final = final;
+            this.address = this.origin;
+            this.output.fill(0);
+            this.written.fill(0);
+            for (const line of this.lines) {
+                this.line = line;
+                this.lineAddress = this.address;
+                try {
+                    this.assembleLine(line);
+                } catch (error) {
+                    throw new Error(`Line ${line.number}: ${error.message}`);
+                }
+            }
+        }
+    }
+
+    assembleLine(line) {
+        if (line.error) {
+            throw new Error(line.error);
+        }
+        const directive = line.mnemonic && DIRECTIVES[line.mnemonic];
+        const operands = line.mnemonic ? splitOperands(line.operandText) : [];
+
+        if (directive === 'EQU') {
+            if (!line.label) {
+                throw new Error('EQU without a name');
+            }
+            // Kept so that lines before it can use it once its own symbols are known
+            this.equates.set(line.label, { text: operands[0], address: this.address });
+            this.define(line.label, this.value(operands[0]));
+            return;
+        }
+        if (line.label) {
+            this.define(line.label, this.address);
+        }
+        if (!line.mnemonic) {
+            return;
+        }
+
+        switch (directive) {
+            case 'ORG':
+                this.address = this.known(operands[0]) & 0xffff;
+                return;
+            case 'DB':
+                for (const operand of operands) {
+                    const string = /^(['"])(.*)\1$/.exec(operand);
+                    if (string && string[2].length !== 1) {
+                        this.emit(...Array.from(string[2], c => c.charCodeAt(0)));
+                    } else {
+                        this.emit(this.byte(operand));
+                    }
+                }
+                return;
+            case 'DW':
+                for (const operand of operands) {
+                    this.emitWord(this.word(operand));
+                }
+                return;
+            case 'DS': {
+                const count = this.known(operands[0]);
+                const fill = operands.length > 1 ? this.byte(operands[1]) : 0;
+                for (let i = 0; i < count; i++) {
+                    this.emit(fill);
+                }
+                return;
+            }
+            default:
+                break;
+        }
+
+        const encode = INSTRUCTIONS[line.mnemonic];
+        if (!encode) {
+            throw new Error(`Unknown instruction: ${line.mnemonic}`);
+        }
+        encode(this, operands.map(parseOperand));
+    }
+
+    define(name, value) {
+        if (!this.final) {
+            if (this.defined.has(name)) {
+                throw new Error(`Symbol already defined: ${name}`);
+            }
+            this.defined.add(name);
+        }
+        this.symbols.set(name, value);
+    }
+
+    resolve(name) {
+        let value = this.symbols.get(name);
+
+        // An EQU further down that the first pass could not evaluate yet
+        if (value === undefined && this.final && this.equates.has(name) && !this.resolving.has(name)) {
+            const { text, address } = this.equates.get(name);
+            this.resolving.add(name);
+            value = this.value(text, address);
+            this.resolving.delete(name);
+            this.symbols.set(name, value);
+        }
+        if (value === undefined && this.final) {
+            throw new Error(`Undefined symbol: ${name}`);
+        }
+        return value;
+    }
+
+    value(text, here = this.lineAddress) {
+        if (text === undefined || text === '') {
+            throw new Error('Missing operand');
+        }
+        return evaluate(text, name => (name === '$' ? here : this.resolve(name)));
+    }
+
+    // Value that sizes the output, so must be known on the first pass
+    known(text) {
+        const value = this.value(text);
+        if (value === undefined) {
+            throw new Error(`Value must be defined before use: ${text}`);
+        }
+        return value;
+    }
+
+    // Checked value of an operand; 0 while symbols are missing on the first pass
+    checked(text, min, max, what) {
+        const value = this.value(text);
+        if (value === undefined) {
+            return 0;
+        }
+        if (this.final && (value < min || value > max)) {
+            throw new Error(`${what} out of range: ${text} = ${value}`);
+        }
+        return value;
+    }
+
+    byte(text) {
+        return this.checked(text, -128, 255, 'Byte') & 0xff;
+    }
+
+    word(text) {
+        return this.checked(text, -32768, 65535, 'Word') & 0xffff;
+    }
+
+    displacement(text) {
+        return this.checked(text, -128, 127, 'Displacement') & 0xff;
+    }
+
+    // Offset from the end of a 2-byte relative jump
+    relative(text) {
+        const target = this.value(text);
+        if (target === undefined) {
+            return 0;
+        }
+        const offset = target - ((this.lineAddress + 2) & 0xffff);
+        if (this.final && (offset < -128 || offset > 127)) {
+            throw new Error(`Relative jump out of range: ${text}`);
+        }
+        return offset & 0xff;
+    }
+
+    emit(...bytes) {
+        for (const byte of bytes) {
+            if (this.address > 0xffff) {
+                throw new Error('Code runs past the end of memory');
+            }
+            this.output[this.address] = byte;
+            this.written[this.address] = 1;
+            this.address++;
+        }
+    }
+
+    emitWord(value) {
+        this.emit(value & 0xff, value >> 8);
+    }
+
+    /**
+     * Emit an opcode with an 8-bit register operand: the DD/FD prefix, then
+     * the displacement for (IX+d) and (IY+d), then any further bytes
+     */
+    emitRegister(register, opcode, ...rest) {
+        if (register.prefix) {
+            this.emit(register.prefix, opcode);
+        } else {
+            this.emit(opcode);
+        }
+        if (register.displacement !== null) {
+            this.emit(this.displacement(register.displacement));
+        }
+        this.emit(...rest);
+    }
+
+    result() {
+        let start = this.written.indexOf(1);
+        let end = this.written.lastIndexOf(1) + 1;
+        if (start === -1) {
+            start = this.origin;
+            end = this.origin;
+        }
+        return {
+            origin: start,
+            bytes: this.output.slice(start, end),
+            symbols: new Map(this.symbols),
+        };
+    }
+}
+
+/**
+ * Assemble Z80 source
+ * @param {string} source - Assembly source
+ * @param {Object} [options={}]
+ * @param {number} [options.origin=0] - Address before any ORG
+ * @returns {{ origin: number, bytes: Uint8Array, symbols: Map<string, number> }}
+ *   bytes cover the lowest to the highest address written, gaps left as zeroes
+ */
+export function assemble(source, options = {}) {
+    const assembly = new Assembly(source, options.origin ?? 0);
+    assembly.run();
+    return assembly.result();
+}
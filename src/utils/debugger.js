@@ -2,6 +2,8 @@
  * Z80 Debugger
  * Simple debugging utilities for the emulator
  */
+import { disassemble, disassembleRange } from './disassembler.js';
+
 class Z80Debugger {
     constructor(cpu) {
         this.cpu = cpu;
@@ -93,6 +95,34 @@ class Z80Debugger {
         ].join('');
 
         console.log(`Flags: ${flagStr}  Cycles: ${this.cpu.cycles}`);
+        console.log(this.formatInstruction(disassemble(this.peek, regs.getPC())));
+    }
+
+    /**
+     * Read memory without going through the CPU's bus timing
+     */
+    get peek() {
+        const memory = this.cpu.memory.memory;
+        return address => memory.read(address);
+    }
+
+    /**
+     * Format a disassembled instruction as address, bytes and mnemonic
+     */
+    formatInstruction({ address, bytes, mnemonic }) {
+        const hex = bytes.map(byte => byte.toString(16).padStart(2, '0').toUpperCase()).join(' ');
+        return `${address.toString(16).padStart(4, '0').toUpperCase()}H: ${hex.padEnd(12)} ${mnemonic}`;
+    }
+
+    /**
+     * Show disassembly, from the current PC by default
+     */
+    disassemble(address = this.cpu.registers.getPC(), lines = 8) {
+        console.log(`\n--- Disassembly from ${address.toString(16).padStart(4, '0').toUpperCase()}H ---`);
+
+        for (const instruction of disassembleRange(this.peek, address, lines)) {
+            console.log(this.formatInstruction(instruction));
+        }
     }
 
     /**
@@ -0,0 +1,364 @@
+/**
+ * Z80 Disassembler
+ * Turns memory into mnemonics for the debugger, trace logs and UI panels.
+ *
+ * Covers the main, CB, ED, DD, FD, DDCB and FDCB tables, undocumented
+ * instructions included: SLL, the IXH/IXL/IYH/IYL halves, the DDCB/FDCB forms
+ * that also copy their result into a register, IN F,(C), OUT (C),0 and the ED
+ * duplicates of NEG, RETN and IM. ED opcodes that do nothing come out as DB.
+ *
+ * A DD or FD prefix in front of an instruction that does not use HL is
+ * included in that instruction, as the CPU runs the two together. Numbers are
+ * hex with a $ prefix, and relative jumps show the address they go to.
+ */
+import { sign8, toHex } from './helpers.js';
+
+const R = ['B', 'C', 'D', 'E', 'H', 'L', '(HL)', 'A'];
+const RP = ['BC', 'DE', 'HL', 'SP'];
+const RP2 = ['BC', 'DE', 'HL', 'AF'];
+const CC = ['NZ', 'Z', 'NC', 'C', 'PO', 'PE', 'P', 'M'];
+const ALU = ['ADD A,', 'ADC A,', 'SUB ', 'SBC A,', 'AND ', 'XOR ', 'OR ', 'CP '];
+const ROT = ['RLC', 'RRC', 'RL', 'RR', 'SLA', 'SRA', 'SLL', 'SRL'];
+const ACCUMULATOR_OPS = ['RLCA', 'RRCA', 'RLA', 'RRA', 'DAA', 'CPL', 'SCF', 'CCF'];
+const IM_MODES = ['0', '0', '1', '2', '0', '0', '1', '2'];
+const BLOCK_OPS = [
+    ['LDI', 'CPI', 'INI', 'OUTI'],
+    ['LDD', 'CPD', 'IND', 'OUTD'],
+    ['LDIR', 'CPIR', 'INIR', 'OTIR'],
+    ['LDDR', 'CPDR', 'INDR', 'OTDR'],
+];
+
+/**
+ * Main opcodes a DD/FD prefix changes: the ones using HL, H, L or (HL),
+ * apart from EX DE,HL and HALT
+ */
+const INDEXED = new Uint8Array(256);
+for (const op of [0x09, 0x19, 0x29, 0x39, 0x21, 0x22, 0x2a, 0x23, 0x2b, 0x24, 0x25, 0x26, 0x2c, 0x2d, 0x2e,
+    0x34, 0x35, 0x36, 0xcb, 0xe1, 0xe3, 0xe5, 0xe9, 0xf9]) {
+    INDEXED[op] = 1;
+}
+for (let op = 0x40; op < 0xc0; op++) {
+    const y = (op >> 3) & 0x07;
+    const z = op & 0x07;
+    if (op !== 0x76 && (z === 4 || z === 5 || z === 6 || (op < 0x80 && (y === 4 || y === 5 || y === 6)))) {
+        INDEXED[op] = 1;
+    }
+}
+
+const byteOperand = value => `$${toHex(value, 2)}`;
+const wordOperand = value => `$${toHex(value, 4)}`;
+
+/**
+ * Reads the bytes of one instruction and formats its operands
+ */
+class Cursor {
+    constructor(read, address) {
+        this.read = read;
+        this.address = address;
+        this.bytes = [];
+        this.target = null;
+    }
+
+    next() {
+        const value = this.read(this.address) & 0xff;
+        this.bytes.push(value);
+        this.address = (this.address + 1) & 0xffff;
+        return value;
+    }
+
+    byte() {
+        return byteOperand(this.next());
+    }
+
+    word() {
+        const low = this.next();
+        return wordOperand(low | (this.next() << 8));
+    }
+
+    // Jump or call target given as an operand
+    jump() {
+        const low = this.next();
+        this.target = low | (this.next() << 8);
+        return wordOperand(this.target);
+    }
+
+    // Relative jump target, counted from the end of the instruction
+    relative() {
+        const offset = sign8(this.next());
+        this.target = (this.address + offset) & 0xffff;
+        return wordOperand(this.target);
+    }
+
+    // (IX+d) or (IY+d) with the displacement from memory
+    indexed(index) {
+        return indexedOperand(index, this.next());
+    }
+}
+
+function indexedOperand(index, displacement) {
+    const offset = sign8(displacement);
+    return `(${index}${offset < 0 ? '-' : '+'}${byteOperand(Math.abs(offset))})`;
+}
+
+/**
+ * 8-bit register operand, with H, L and (HL) replaced when an index prefix applies
+ */
+function register(c, z, index) {
+    if (index === null) {
+        return R[z];
+    }
+    switch (z) {
+        case 4:
+            return `${index}H`;
+        case 5:
+            return `${index}L`;
+        case 6:
+            return c.indexed(index);
+        default:
+            return R[z];
+    }
+}
+
+function decodeMain(c, op, index) {
+    const x = op >> 6;
+    const y = (op >> 3) & 0x07;
+    const z = op & 0x07;
+    const p = y >> 1;
+    const q = y & 1;
+    const hl = index || 'HL';
+    const rp = n => (n === 2 ? hl : RP[n]);
+
+    switch (x) {
+        case 0:
+            switch (z) {
+                case 0:
+                    if (y === 0) {
+                        return 'NOP';
+                    }
+                    if (y === 1) {
+                        return "EX AF,AF'";
+                    }
+                    if (y === 2) {
+                        return `DJNZ ${c.relative()}`;
+                    }
+                    if (y === 3) {
+                        return `JR ${c.relative()}`;
+                    }
+                    return `JR ${CC[y - 4]},${c.relative()}`;
+                case 1:
+                    return q === 0 ? `LD ${rp(p)},${c.word()}` : `ADD ${hl},${rp(p)}`;
+                case 2: {
+                    const store = q === 0;
+                    switch (p) {
+                        case 0:
+                            return store ? 'LD (BC),A' : 'LD A,(BC)';
+                        case 1:
+                            return store ? 'LD (DE),A' : 'LD A,(DE)';
+                        case 2:
+                            return store ? `LD (${c.word()}),${hl}` : `LD ${hl},(${c.word()})`;
+                        default:
+                            return store ? `LD (${c.word()}),A` : `LD A,(${c.word()})`;
+                    }
+                }
+                case 3:
+                    return `${q === 0 ? 'INC' : 'DEC'} ${rp(p)}`;
+                case 4:
+                    return `INC ${register(c, y, index)}`;
+                case 5:
+                    return `DEC ${register(c, y, index)}`;
+                case 6: {
+                    const destination = register(c, y, index);
+                    return `LD ${destination},${c.byte()}`;
+                }
+                default:
+                    return ACCUMULATOR_OPS[y];
+            }
+
+        case 1:
+            if (op === 0x76) {
+                return 'HALT';
+            }
+            // With (IX+d) on one side, H and L on the other stay H and L
+            if (z === 6) {
+                return `LD ${R[y]},${register(c, z, index)}`;
+            }
+            if (y === 6) {
+                return `LD ${register(c, y, index)},${R[z]}`;
+            }
+            return `LD ${register(c, y, index)},${register(c, z, index)}`;
+
+        case 2:
+            return `${ALU[y]}${register(c, z, index)}`;
+
+        default:
+            switch (z) {
+                case 0:
+                    return `RET ${CC[y]}`;
+                case 1:
+                    if (q === 0) {
+                        return `POP ${p === 2 ? hl : RP2[p]}`;
+                    }
+                    return ['RET', 'EXX', `JP (${hl})`, `LD SP,${hl}`][p];
+                case 2:
+                    return `JP ${CC[y]},${c.jump()}`;
+                case 3:
+                    switch (y) {
+                        case 0:
+                            return `JP ${c.jump()}`;
+                        case 1:
+                            return index === null ? decodeCB(c, c.next()) : decodeIndexedCB(c, index);
+                        case 2:
+                            return `OUT (${c.byte()}),A`;
+                        case 3:
+                            return `IN A,(${c.byte()})`;
+                        case 4:
+                            return `EX (SP),${hl}`;
+                        case 5:
+                            return 'EX DE,HL';
+                        case 6:
+                            return 'DI';
+                        default:
+                            return 'EI';
+                    }
+                case 4:
+                    return `CALL ${CC[y]},${c.jump()}`;
+                case 5:
+                    // q = 1, p = 1..3 are the prefixes, handled before decodeMain
+                    return q === 0 ? `PUSH ${p === 2 ? hl : RP2[p]}` : `CALL ${c.jump()}`;
+                case 6:
+                    return `${ALU[y]}${c.byte()}`;
+                default:
+                    c.target = y << 3;
+                    return `RST ${byteOperand(y << 3)}`;
+            }
+    }
+}
+
+function decodeCB(c, op) {
+    const y = (op >> 3) & 0x07;
+    const operand = R[op & 0x07];
+
+    switch (op >> 6) {
+        case 0:
+            return `${ROT[y]} ${operand}`;
+        case 1:
+            return `BIT ${y},${operand}`;
+        case 2:
+            return `RES ${y},${operand}`;
+        default:
+            return `SET ${y},${operand}`;
+    }
+}
+
+/**
+ * DDCB/FDCB: the displacement comes before the opcode, and every opcode not
+ * naming (HL) also copies the result into that register (BIT excepted)
+ */
+function decodeIndexedCB(c, index) {
+    const operand = c.indexed(index);
+    const op = c.next();
+    const y = (op >> 3) & 0x07;
+    const z = op & 0x07;
+    const copy = z === 6 ? '' : `,${R[z]}`;
+
+    switch (op >> 6) {
+        case 0:
+            return `${ROT[y]} ${operand}${copy}`;
+        case 1:
+            return `BIT ${y},${operand}`;
+        case 2:
+            return `RES ${y},${operand}${copy}`;
+        default:
+            return `SET ${y},${operand}${copy}`;
+    }
+}
+
+function decodeED(c, op) {
+    const x = op >> 6;
+    const y = (op >> 3) & 0x07;
+    const z = op & 0x07;
+    const p = y >> 1;
+    const q = y & 1;
+
+    if (x === 2 && z <= 3 && y >= 4) {
+        return BLOCK_OPS[y - 4][z];
+    }
+    if (x !== 1 || (z === 7 && y >= 6)) {
+        return `DB $ED,${byteOperand(op)}`;
+    }
+
+    switch (z) {
+        case 0:
+            return y === 6 ? 'IN F,(C)' : `IN ${R[y]},(C)`;
+        case 1:
+            return y === 6 ? 'OUT (C),0' : `OUT (C),${R[y]}`;
+        case 2:
+            return `${q === 0 ? 'SBC' : 'ADC'} HL,${RP[p]}`;
+        case 3:
+            return q === 0 ? `LD (${c.word()}),${RP[p]}` : `LD ${RP[p]},(${c.word()})`;
+        case 4:
+            return 'NEG';
+        case 5:
+            return y === 1 ? 'RETI' : 'RETN';
+        case 6:
+            return `IM ${IM_MODES[y]}`;
+        default:
+            return ['LD I,A', 'LD R,A', 'LD A,I', 'LD A,R', 'RRD', 'RLD'][y];
+    }
+}
+
+/**
+ * Disassemble the instruction at an address
+ * @param {Function} read - (address) => byte, reading memory without side effects
+ * @param {number} address - Address of the instruction
+ * @returns {{ address: number, bytes: number[], mnemonic: string, length: number, target: number|null }}
+ *   target is the address a jump, call or RST goes to, or null
+ */
+export function disassemble(read, address) {
+    const c = new Cursor(read, address & 0xffff);
+
+    // Of a run of DD/FD prefixes only the last one counts
+    let index = null;
+    let op = c.next();
+    while (op === 0xdd || op === 0xfd) {
+        index = op === 0xdd ? 'IX' : 'IY';
+        op = c.next();
+    }
+
+    let mnemonic;
+    if (op === 0xed) {
+        mnemonic = decodeED(c, c.next());
+    } else if (op === 0xcb && index === null) {
+        mnemonic = decodeCB(c, c.next());
+    } else {
+        mnemonic = decodeMain(c, op, INDEXED[op] ? index : null);
+    }
+
+    return {
+        address: address & 0xffff,
+        bytes: c.bytes,
+        mnemonic,
+        length: c.bytes.length,
+        target: c.target,
+    };
+}
+
+/**
+ * Disassemble consecutive instructions
+ * @param {Function} read - (address) => byte, reading memory without side effects
+ * @param {number} address - Address of the first instruction
+ * @param {number} count - Number of instructions
+ * @returns {Array} Instructions as returned by disassemble()
+ */
+export function disassembleRange(read, address, count) {
+    const instructions = [];
+    let next = address;
+
+    for (let i = 0; i < count; i++) {
+        const instruction = disassemble(read, next);
+        instructions.push(instruction);
+        next = (next + instruction.length) & 0xffff;
+    }
+
+    return instructions;
+}
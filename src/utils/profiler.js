@@ -0,0 +1,334 @@
+/**
+ * Z80 Profiler
+ * Counts executions and T-states per instruction address, and T-states per
+ * subroutine, to find where a frame's 69888 T-states go.
+ *
+ * Attach it with profiler.attach(). An instruction is counted once the next
+ * one starts, or when the profile is read or detached, as its T-states are
+ * only known then. A subroutine starts at a CALL or RST
+ * that is taken, or where an interrupt lands, and ends when the stack pointer
+ * rises above its return address: a RET, or code that drops the return address
+ * and resets SP. Instructions outside any subroutine belong to "root".
+ *
+ * Each routine has its inclusive T-states (its own instructions and the
+ * routines it calls, counted once when it recurses) and its self T-states. The
+ * call paths export in the folded-stack format flamegraph.pl and speedscope read.
+ */
+import { disassemble } from './disassembler.js';
+import { toHex } from './helpers.js';
+
+// owners[] values for addresses never run and for addresses run outside any call
+const NONE = -1;
+const ROOT = 0x10000;
+
+// What started last and is still to be counted
+const IDLE = 0;
+const INSTRUCTION = 1;
+const INTERRUPT = 2;
+
+class Profiler {
+    /**
+     * @param {Z80} cpu - CPU to profile
+     * @param {Object} [options={}]
+     * @param {Map|Object} [options.symbols] - Routine names to addresses, e.g. the
+     *   symbols of assemble(); other routines are named by their address
+     */
+    constructor(cpu, options = {}) {
+        this.cpu = cpu;
+        this.names = new Map();
+        this.removeListeners = [];
+
+        const symbols = options.symbols instanceof Map
+            ? options.symbols
+            : Object.entries(options.symbols ?? {});
+        for (const [name, address] of symbols) {
+            if (!this.names.has(address)) {
+                this.names.set(address, name);
+            }
+        }
+
+        this.reset();
+    }
+
+    /**
+     * Drop everything counted so far
+     */
+    reset() {
+        this.counts = new Float64Array(0x10000);
+        this.tStates = new Float64Array(0x10000);
+        // Routine each address first ran in
+        this.owners = new Int32Array(0x10000).fill(NONE);
+
+        this.totalTStates = 0;
+        this.instructions = 0;
+        // Bumped on each charge, marking the routines already charged for it
+        this.stamp = 0;
+        this.routines = new Map();
+        this.folded = new Map();
+
+        const root = this.routine(ROOT);
+        this.stack = [{ routine: root, sp: null, path: root.name }];
+        this.sp = this.cpu.registers.sp;
+
+        this.pending = IDLE;
+        this.pendingPC = 0;
+        this.pendingCycles = 0;
+    }
+
+    /**
+     * Profile every instruction and interrupt from now on
+     * @param {Z80|ZXSpectrum} [target=cpu] - The CPU, or the ZXSpectrum it runs in
+     */
+    attach(target = this.cpu) {
+        this.detach();
+        this.removeListeners = [
+            target.onInstruction(pc => this.start(INSTRUCTION, pc)),
+            target.onInterrupt((type, pc) => this.start(INTERRUPT, pc)),
+        ];
+    }
+
+    /**
+     * Count the last instruction and stop profiling
+     */
+    detach() {
+        this.flush();
+        for (const removeListener of this.removeListeners) {
+            removeListener();
+        }
+        this.removeListeners = [];
+    }
+
+    // Count whatever ran before, and remember what starts now
+    start(type, pc) {
+        this.flush();
+        this.pending = type;
+        this.pendingPC = pc;
+        this.pendingCycles = this.cpu.cycles;
+        this.sp = this.cpu.registers.sp;
+    }
+
+    /**
+     * Count the instruction or interrupt that started last, which has finished
+     * when the CPU is between instructions. Reading the profile does this.
+     */
+    flush() {
+        const tStates = this.cpu.cycles - this.pendingCycles;
+        if (this.pending === INSTRUCTION) {
+            this.instruction(this.pendingPC, tStates);
+        } else if (this.pending === INTERRUPT) {
+            this.interrupt(this.pendingPC, tStates);
+        }
+        this.pending = IDLE;
+    }
+
+    /**
+     * Routine record for an address, created on first use
+     */
+    routine(address) {
+        let routine = this.routines.get(address);
+        if (!routine) {
+            routine = {
+                address: address === ROOT ? null : address,
+                name: address === ROOT ? 'root' : this.names.get(address) ?? toHex(address, 4),
+                calls: 0,
+                tStates: 0,
+                selfTStates: 0,
+                stamp: -1,
+            };
+            this.routines.set(address, routine);
+        }
+        return routine;
+    }
+
+    /**
+     * Count T-states against the innermost routine, and inclusively against
+     * every routine on the stack
+     */
+    charge(tStates) {
+        const frame = this.stack[this.stack.length - 1];
+        frame.routine.selfTStates += tStates;
+        this.folded.set(frame.path, (this.folded.get(frame.path) ?? 0) + tStates);
+
+        const stamp = ++this.stamp;
+        for (const { routine } of this.stack) {
+            if (routine.stamp !== stamp) {
+                routine.stamp = stamp;
+                routine.tStates += tStates;
+            }
+        }
+        this.totalTStates += tStates;
+    }
+
+    enter(address) {
+        const parent = this.stack[this.stack.length - 1];
+        const routine = this.routine(address);
+        routine.calls++;
+        this.stack.push({ routine, sp: this.cpu.registers.sp, path: `${parent.path};${routine.name}` });
+    }
+
+    // Leave the routines whose return address is no longer on the stack. SP is
+    // compared modulo 64K, as a stack set up with LD SP,0 wraps to 0 on a RET,
+    // and counts as above the return address up to 32K past it.
+    leave(sp) {
+        while (this.stack.length > 1) {
+            const rise = (sp - this.stack[this.stack.length - 1].sp) & 0xffff;
+            if (rise === 0 || rise > 0x8000) {
+                break;
+            }
+            this.stack.pop();
+        }
+    }
+
+    /**
+     * Count a finished instruction
+     * @param {number} pc - Address of the instruction
+     * @param {number} tStates - T-states it took
+     */
+    instruction(pc, tStates) {
+        this.counts[pc]++;
+        this.tStates[pc] += tStates;
+        if (this.owners[pc] === NONE) {
+            const { routine } = this.stack[this.stack.length - 1];
+            this.owners[pc] = routine.address ?? ROOT;
+        }
+        this.charge(tStates);
+        this.instructions++;
+
+        const regs = this.cpu.registers;
+        const { sp } = regs;
+        this.leave(sp);
+
+        // A CALL or RST was taken if it pushed a word and went where it says
+        if (sp === ((this.sp - 2) & 0xffff)) {
+            const memory = this.cpu.memory.memory;
+            const op = memory.read(pc);
+            let target = null;
+            if (op === 0xcd || (op & 0xc7) === 0xc4) {
+                target = memory.read((pc + 1) & 0xffff) | (memory.read((pc + 2) & 0xffff) << 8);
+            } else if ((op & 0xc7) === 0xc7) {
+                target = op & 0x38;
+            }
+            if (target !== null && regs.pc === target) {
+                this.enter(target);
+            }
+        }
+    }
+
+    /**
+     * Count a finished interrupt acknowledge
+     * @param {number} pc - PC when the interrupt was taken
+     * @param {number} tStates - T-states the acknowledge took
+     */
+    interrupt(pc, tStates) {
+        const regs = this.cpu.registers;
+        this.leave(regs.sp);
+        // An IM 0 instruction that is not a call leaves PC where it was
+        if (regs.pc !== pc) {
+            this.enter(regs.pc);
+        }
+        this.charge(tStates);
+    }
+
+    /**
+     * Routines sorted by inclusive T-states, each with the instructions run in it
+     * @param {number} [limit=Infinity] - Number of routines to return
+     * @returns {Array<{ address: number|null, name: string, calls: number, tStates: number,
+     *   selfTStates: number, lines: Array<{ address: number, count: number, tStates: number,
+     *   bytes: number[], mnemonic: string }> }>} address is null for root
+     */
+    report(limit = Infinity) {
+        this.flush();
+        const routines = [...this.routines.values()]
+            .filter(routine => routine.tStates > 0)
+            .sort((a, b) => b.tStates - a.tStates)
+            .slice(0, limit);
+
+        const lines = new Map(routines.map(routine => [routine.address ?? ROOT, []]));
+        const memory = this.cpu.memory.memory;
+        for (let address = 0; address < 0x10000; address++) {
+            const owned = lines.get(this.owners[address]);
+            if (owned) {
+                const { bytes, mnemonic } = disassemble(at => memory.read(at), address);
+                owned.push({
+                    address,
+                    count: this.counts[address],
+                    tStates: this.tStates[address],
+                    bytes,
+                    mnemonic,
+                });
+            }
+        }
+
+        return routines.map(({ address, name, calls, tStates, selfTStates }) => ({
+            address,
+            name,
+            calls,
+            tStates,
+            selfTStates,
+            lines: lines.get(address ?? ROOT),
+        }));
+    }
+
+    /**
+     * Text report of the hot routines with their disassembly
+     * @param {number} [limit=10] - Number of routines
+     * @returns {string}
+     */
+    formatReport(limit = 10) {
+        this.flush();
+        const percent = tStates => `${((100 * tStates) / (this.totalTStates || 1)).toFixed(1)}%`.padStart(6);
+        const out = [
+            `${this.instructions} instructions, ${this.totalTStates} T-states`,
+            '',
+            '  T-states      %  Self T-states   Calls  Routine',
+        ];
+
+        for (const routine of this.report(limit)) {
+            const address = routine.address === null ? '' : ` ($${toHex(routine.address, 4)})`;
+            const total = `${String(routine.tStates).padStart(10)} ${percent(routine.tStates)}`;
+            const self = `${String(routine.selfTStates).padStart(14)} ${String(routine.calls).padStart(7)}`;
+            out.push(`${total} ${self}  ${routine.name}${address}`);
+            for (const line of routine.lines) {
+                const count = `${String(line.count).padStart(9)} x ${String(line.tStates).padStart(10)} T`;
+                out.push(`    ${toHex(line.address, 4)}  ${line.mnemonic.padEnd(19)} ${count}`);
+            }
+            out.push('');
+        }
+
+        return out.join('\n');
+    }
+
+    /**
+     * Everything counted, for JSON.stringify
+     * @returns {{ totalTStates: number, instructions: number, routines: Array,
+     *   addresses: Array<{ address: number, count: number, tStates: number }> }}
+     */
+    toJSON() {
+        this.flush();
+        const addresses = [];
+        for (let address = 0; address < 0x10000; address++) {
+            if (this.counts[address] > 0) {
+                addresses.push({ address, count: this.counts[address], tStates: this.tStates[address] });
+            }
+        }
+
+        return {
+            totalTStates: this.totalTStates,
+            instructions: this.instructions,
+            routines: this.report(),
+            addresses,
+        };
+    }
+
+    /**
+     * Call paths in the folded-stack format: "root;main;draw 1234" per line,
+     * with the T-states spent in the last routine of the path
+     * @returns {string}
+     */
+    toFoldedStacks() {
+        this.flush();
+        return [...this.folded].map(([path, tStates]) => `${path} ${tStates}\n`).join('');
+    }
+}
+
+export { Profiler };
@@ -0,0 +1,153 @@
+/**
+ * Z80 Tracer
+ * Logs one line per instruction in the format of MAME's debugger trace, so that
+ * runs can be diffed against MAME's to find where they diverge:
+ *
+ *   AF=0044 BC=0000 DE=0000 HL=0000 IX=0000 IY=0000 SP=FFFF T=12345 8000: ld   a,$42
+ *
+ * The address and disassembly are MAME's trace line, in its Z80 syntax. The
+ * registers and T-state in front are what MAME's tracelog action prints with
+ *
+ *   trace run.tr,maincpu,noloop,{tracelog "AF=%04X BC=%04X DE=%04X HL=%04X IX=%04X IY=%04X SP=%04X T=%d ",af,bc,de,hl,ix,iy,sp,totalcycles}
+ *
+ * Registers are the ones the instruction starts with, and T is the CPU's cycle
+ * count. Undocumented instructions keep this disassembler's names (IXH, SLL,
+ * RLC (IX+d),B), which MAME spells differently. While the CPU is halted each
+ * line shows the HALT, at its own address.
+ */
+import { disassemble } from './disassembler.js';
+
+const hex = (value, digits) => value.toString(16).padStart(digits, '0').toUpperCase();
+
+/**
+ * Disassembly in MAME's Z80 syntax: lower case apart from hex numbers, index
+ * displacements in lower case too, and the mnemonic padded to 4 characters
+ * when operands follow
+ */
+function mameSyntax(mnemonic) {
+    const space = mnemonic.indexOf(' ');
+    if (space < 0) {
+        return mnemonic.toLowerCase();
+    }
+    const operands = mnemonic.slice(space + 1)
+        .replace(/\$[0-9A-F]+|[^$]+/g, part => (part[0] === '$' ? part : part.toLowerCase()))
+        .replace(/([+-])\$([0-9A-F]{2})\)/, (match, sign, offset) => `${sign}$${offset.toLowerCase()})`);
+    return `${mnemonic.slice(0, space).toLowerCase().padEnd(4)} ${operands}`;
+}
+
+class Tracer {
+    /**
+     * @param {Z80} cpu - CPU to trace
+     * @param {Object} [options={}]
+     * @param {Array|Object|Function} [options.output=[]] - Array the lines are pushed to,
+     *   stream with write() that gets them newline-terminated, or function called with each
+     * @param {Array<number[]>} [options.ranges] - Inclusive [start, end] address ranges to log, default all
+     * @param {number[]} [options.frames] - Inclusive [first, last] frames to log, last optional, default all
+     */
+    constructor(cpu, options = {}) {
+        this.cpu = cpu;
+        this.output = options.output ?? [];
+        this.ranges = options.ranges ?? null;
+        this.frames = options.frames ?? null;
+        this.count = 0;
+        this.removeListener = null;
+
+        if (Array.isArray(this.output)) {
+            this.write = line => this.output.push(line);
+        } else if (typeof this.output === 'function') {
+            this.write = this.output;
+        } else {
+            this.write = line => this.output.write(`${line}\n`);
+        }
+    }
+
+    /**
+     * Array the lines go to, or null when they go to a stream or function
+     */
+    get lines() {
+        return Array.isArray(this.output) ? this.output : null;
+    }
+
+    /**
+     * Whether an instruction at this address and frame passes the filters
+     */
+    accepts(pc, frame) {
+        if (this.frames !== null) {
+            const [first, last = Infinity] = this.frames;
+            if (frame < first || frame > last) {
+                return false;
+            }
+        }
+        return this.ranges === null || this.ranges.some(([start, end]) => pc >= start && pc <= end);
+    }
+
+    /**
+     * Log the instruction the CPU is about to execute
+     * @param {number} [frame=0] - Frame number, for the frame filter
+     * @param {number} [tState=cpu.cycles] - T-state shown on the line
+     * @returns {string|null} The line, or null if filtered out
+     */
+    trace(frame = 0, tState = this.cpu.cycles) {
+        const regs = this.cpu.registers;
+        const pc = this.cpu.halted ? (regs.pc - 1) & 0xffff : regs.pc;
+        if (!this.accepts(pc, frame)) {
+            return null;
+        }
+
+        const memory = this.cpu.memory.memory;
+        const instruction = disassemble(address => memory.read(address), pc);
+        const line =
+            `AF=${hex(regs.af, 4)} BC=${hex(regs.bc, 4)} DE=${hex(regs.de, 4)} HL=${hex(regs.hl, 4)} ` +
+            `IX=${hex(regs.ix, 4)} IY=${hex(regs.iy, 4)} SP=${hex(regs.sp, 4)} T=${tState} ` +
+            `${hex(pc, 4)}: ${mameSyntax(instruction.mnemonic)}`;
+
+        this.write(line);
+        this.count++;
+        return line;
+    }
+
+    /**
+     * Trace every instruction from now on
+     * @param {Z80|ZXSpectrum} [target=cpu] - The CPU, or the ZXSpectrum it runs in
+     *   for frame numbers
+     */
+    attach(target = this.cpu) {
+        this.detach();
+        if (target === this.cpu) {
+            this.removeListener = target.onInstruction(() => this.trace());
+        } else {
+            this.removeListener = target.onInstruction(() => this.trace(target.frameCount));
+        }
+    }
+
+    /**
+     * Stop tracing
+     */
+    detach() {
+        if (this.removeListener !== null) {
+            this.removeListener();
+            this.removeListener = null;
+        }
+    }
+
+    /**
+     * Trace and execute one instruction, when not attached
+     * @returns {number} T-states taken
+     */
+    step() {
+        this.trace();
+        return this.cpu.execute();
+    }
+
+    /**
+     * Drop the lines collected so far
+     */
+    clear() {
+        if (Array.isArray(this.output)) {
+            this.output.length = 0;
+        }
+        this.count = 0;
+    }
+}
+
+export { Tracer };
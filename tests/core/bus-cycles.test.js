@@ -0,0 +1,303 @@
+import { Z80 } from '../../src/core/cpu.js';
+
+/*
+ * Reference bus cycles of every opcode, in the notation of the Spectrum
+ * contention tables. Each cycle is type:address, optionally repeated *n times:
+ *
+ *   f    opcode fetch, 4 T-states
+ *   r/w  memory read/write, 3 T-states
+ *   i    internal T-state with the address left on the bus
+ *   in   port read, 4 T-states
+ *   out  port write, 4 T-states
+ *
+ * Addresses are worked out from the registers before the instruction: pc,
+ * bc, de, hl and sp, nn for the word operand, ixd for IX/IY+d, an for the
+ * port of IN A,(n) and OUT (n),A, and ir for I and R after the opcode fetches.
+ * Entries that depend on a condition are functions of the start state.
+ */
+
+const PC = 0x1000;
+const FILL = 0x5a; // Every operand byte: n, d and both bytes of nn
+const REGS = { A: 0x12, DE: 0x3000, HL: 0x4000, SP: 0x5000, IX: 0x6000, IY: 0x7000, I: 0x20 };
+
+// Two start states so both outcomes of every condition, repeat and DJNZ are covered
+const STATES = [
+    { F: 0x00, BC: 0x0001 },
+    { F: 0xff, BC: 0x0102 },
+];
+
+// NZ, Z, NC, C, PO, PE, P, M
+const condition = (cc, f) => ((f & [0x40, 0x01, 0x04, 0x80][cc >> 1]) !== 0) === ((cc & 1) === 1);
+
+const when = (test, taken, notTaken) => state => (test(state) ? taken : notTaken);
+const jr = cc => when(s => condition(cc, s.F), 'f:pc r:pc+1 i:pc+1*5', 'f:pc r:pc+1');
+const call = cc =>
+    when(s => condition(cc, s.F), 'f:pc r:pc+1 r:pc+2 i:pc+2 w:sp-1 w:sp-2', 'f:pc r:pc+1 r:pc+2');
+const ret = cc => when(s => condition(cc, s.F), 'f:pc i:ir r:sp r:sp+1', 'f:pc i:ir');
+
+const OP = 'f:pc';
+const N = 'f:pc r:pc+1';
+const NN = 'f:pc r:pc+1 r:pc+2';
+const INC16 = 'f:pc i:ir*2';
+const ADD16 = 'f:pc i:ir*7';
+const PUSH = 'f:pc i:ir w:sp-1 w:sp-2';
+const POP = 'f:pc r:sp r:sp+1';
+const INC_HL = 'f:pc r:hl i:hl w:hl';
+
+// prettier-ignore
+const MAIN = [
+    // 0x00
+    OP, NN, 'f:pc w:bc', INC16, OP, OP, N, OP,
+    OP, ADD16, 'f:pc r:bc', INC16, OP, OP, N, OP,
+    // 0x10
+    when(s => (s.BC >> 8) !== 1, 'f:pc i:ir r:pc+1 i:pc+1*5', 'f:pc i:ir r:pc+1'),
+    NN, 'f:pc w:de', INC16, OP, OP, N, OP,
+    'f:pc r:pc+1 i:pc+1*5', ADD16, 'f:pc r:de', INC16, OP, OP, N, OP,
+    // 0x20
+    jr(0), NN, 'f:pc r:pc+1 r:pc+2 w:nn w:nn+1', INC16, OP, OP, N, OP,
+    jr(1), ADD16, 'f:pc r:pc+1 r:pc+2 r:nn r:nn+1', INC16, OP, OP, N, OP,
+    // 0x30
+    jr(2), NN, 'f:pc r:pc+1 r:pc+2 w:nn', INC16, INC_HL, INC_HL, 'f:pc r:pc+1 w:hl', OP,
+    jr(3), ADD16, 'f:pc r:pc+1 r:pc+2 r:nn', INC16, OP, OP, N, OP,
+];
+
+// LD r,r' and the ALU group, with (HL) in column 6 and HALT at 0x76
+for (let op = 0x40; op < 0xc0; op++) {
+    if (op === 0x76) {
+        MAIN[op] = OP;
+    } else if ((op & 0x07) === 6) {
+        MAIN[op] = 'f:pc r:hl';
+    } else if (op >= 0x70 && op < 0x78) {
+        MAIN[op] = 'f:pc w:hl';
+    } else {
+        MAIN[op] = OP;
+    }
+}
+
+// prettier-ignore
+MAIN.push(
+    // 0xC0
+    ret(0), POP, NN, NN, call(0), PUSH, N, PUSH,
+    ret(1), 'f:pc r:sp r:sp+1', NN, null, call(1), 'f:pc r:pc+1 r:pc+2 i:pc+2 w:sp-1 w:sp-2', N, PUSH,
+    // 0xD0
+    ret(2), POP, NN, 'f:pc r:pc+1 out:an', call(2), PUSH, N, PUSH,
+    ret(3), OP, NN, 'f:pc r:pc+1 in:an', call(3), null, N, PUSH,
+    // 0xE0
+    ret(4), POP, NN, 'f:pc r:sp r:sp+1 i:sp+1 w:sp+1 w:sp i:sp*2', call(4), PUSH, N, PUSH,
+    ret(5), OP, NN, OP, call(5), null, N, PUSH,
+    // 0xF0
+    ret(6), POP, NN, OP, call(6), PUSH, N, PUSH,
+    ret(7), INC16, NN, OP, call(7), null, N, PUSH,
+);
+
+const CB = [];
+for (let op = 0; op < 0x100; op++) {
+    if ((op & 0x07) !== 6) {
+        CB[op] = 'f:pc f:pc+1';
+    } else if ((op & 0xc0) === 0x40) {
+        CB[op] = 'f:pc f:pc+1 r:hl i:hl';
+    } else {
+        CB[op] = 'f:pc f:pc+1 r:hl i:hl w:hl';
+    }
+}
+
+// Everything else on the ED page, documented or not, is a two-fetch NOP
+const ED = new Array(0x100).fill('f:pc f:pc+1');
+for (let op = 0x40; op < 0x80; op += 8) {
+    ED[op] = 'f:pc f:pc+1 in:bc';
+    ED[op + 1] = 'f:pc f:pc+1 out:bc';
+    ED[op + 2] = 'f:pc f:pc+1 i:ir*7';
+    ED[op + 3] = (op & 0x08) === 0
+        ? 'f:pc f:pc+1 r:pc+2 r:pc+3 w:nn w:nn+1'
+        : 'f:pc f:pc+1 r:pc+2 r:pc+3 r:nn r:nn+1';
+    ED[op + 5] = 'f:pc f:pc+1 r:sp r:sp+1';
+}
+ED[0x47] = ED[0x4f] = ED[0x57] = ED[0x5f] = 'f:pc f:pc+1 i:ir';
+ED[0x67] = ED[0x6f] = 'f:pc f:pc+1 r:hl i:hl*4 w:hl';
+
+const LDI = 'f:pc f:pc+1 r:hl w:de i:de*2';
+const CPI = 'f:pc f:pc+1 r:hl i:hl*5';
+const INI = 'f:pc f:pc+1 i:ir in:bc w:hl';
+const OUTI = 'f:pc f:pc+1 i:ir r:hl out:bc-256'; // B is decremented before the port write
+const bcRepeats = when(s => s.BC !== 1, true, false);
+const bRepeats = when(s => (s.BC >> 8) !== 1, true, false);
+ED[0xa0] = ED[0xa8] = LDI;
+ED[0xa1] = ED[0xa9] = CPI;
+ED[0xa2] = ED[0xaa] = INI;
+ED[0xa3] = ED[0xab] = OUTI;
+ED[0xb0] = ED[0xb8] = s => (bcRepeats(s) ? `${LDI} i:de*5` : LDI);
+ED[0xb1] = ED[0xb9] = s => (bcRepeats(s) ? `${CPI} i:hl*5` : CPI); // A never matches (HL)
+ED[0xb2] = ED[0xba] = s => (bRepeats(s) ? `${INI} i:hl*5` : INI);
+ED[0xb3] = ED[0xbb] = s => (bRepeats(s) ? `${OUTI} i:bc-256*5` : OUTI);
+
+// DD/FD: a 4 T-state prefix fetch in front of the unprefixed instruction,
+// except where (HL) becomes (IX+d)
+const prefixed = cycles => {
+    const shift = seq => `f:pc ${seq.replace(/:pc(\+(\d))?/g, (m, p, k) => `:pc+${Number(k || 0) + 1}`)}`;
+    return typeof cycles === 'function' ? state => shift(cycles(state)) : shift(cycles);
+};
+const INDEXED = [];
+for (let op = 0; op < 0x100; op++) {
+    if (MAIN[op] !== null) {
+        INDEXED[op] = prefixed(MAIN[op]);
+    }
+}
+const D = 'f:pc f:pc+1 r:pc+2 i:pc+2*5';
+for (let op = 0x40; op < 0xc0; op++) {
+    if (op === 0x76) {
+        continue;
+    }
+    if ((op & 0x07) === 6) {
+        INDEXED[op] = `${D} r:ixd`;
+    } else if (op >= 0x70 && op < 0x78) {
+        INDEXED[op] = `${D} w:ixd`;
+    }
+}
+INDEXED[0x34] = INDEXED[0x35] = `${D} r:ixd i:ixd w:ixd`;
+INDEXED[0x36] = 'f:pc f:pc+1 r:pc+2 r:pc+3 i:pc+3*2 w:ixd';
+
+const INDEXED_CB = [];
+for (let op = 0; op < 0x100; op++) {
+    INDEXED_CB[op] = (op & 0xc0) === 0x40
+        ? 'f:pc f:pc+1 r:pc+2 r:pc+3 i:pc+3*2 r:ixd i:ixd'
+        : 'f:pc f:pc+1 r:pc+2 r:pc+3 i:pc+3*2 r:ixd i:ixd w:ixd';
+}
+
+const TYPES = { f: 'fetch', r: 'read', w: 'write', i: 'internal', in: 'in', out: 'out' };
+const LENGTHS = { fetch: 4, read: 3, write: 3, internal: 1, in: 4, out: 4 };
+
+function expand(sequence, state, indexReg) {
+    const nn = FILL * 0x101;
+    const base = {
+        pc: PC,
+        bc: state.BC,
+        de: REGS.DE,
+        hl: REGS.HL,
+        sp: REGS.SP,
+        nn,
+        ixd: REGS[indexReg] + FILL,
+        an: (REGS.A << 8) | FILL,
+    };
+    let fetches = 0;
+
+    return sequence.split(' ').flatMap(token => {
+        const [, code, symbol, offset, count] = token.match(/^(\w+):([a-z]+)([+-]\d+)?(?:\*(\d+))?$/);
+        const type = TYPES[code];
+        if (type === 'fetch') {
+            fetches++;
+        }
+        const address = symbol === 'ir'
+            ? (REGS.I << 8) | fetches
+            : (base[symbol] + Number(offset || 0)) & 0xffff;
+        return new Array(Number(count || 1)).fill(`${type} ${address.toString(16)}`);
+    });
+}
+
+function createCPU() {
+    const ram = new Uint8Array(0x10000);
+    const cpu = new Z80(
+        {
+            read: address => ram[address],
+            write: (address, value) => {
+                ram[address] = value;
+            },
+        },
+        { readPort: () => 0xff, writePort: () => {} },
+    );
+    return { cpu, ram };
+}
+
+/**
+ * Run one instruction from each start state and list where its bus cycles or
+ * T-state count differ from the reference
+ */
+function checkTable(table, prefix, indexReg = 'IX') {
+    const { cpu, ram } = createCPU();
+    const mismatches = [];
+
+    table.forEach((reference, op) => {
+        if (reference === null || reference === undefined) {
+            return;
+        }
+        const bytes = [...prefix, op].map(byte => byte.toString(16).padStart(2, '0')).join(' ');
+
+        for (const state of STATES) {
+            ram.fill(FILL);
+            const code = prefix.length === 2 && prefix[1] === 0xcb ? [...prefix, FILL, op] : [...prefix, op];
+            ram.set(code, PC);
+
+            cpu.reset();
+            cpu.registers.setPC(PC);
+            cpu.registers.set('A', REGS.A);
+            cpu.registers.set('F', state.F);
+            cpu.registers.set('I', REGS.I);
+            ['DE', 'HL', 'SP', 'IX', 'IY'].forEach(reg => cpu.registers.set16(reg, REGS[reg]));
+            cpu.registers.set16('BC', state.BC);
+
+            const cycles = [];
+            let clock = 0;
+            let late = false;
+            cpu.memory.setBusListener((type, address, value, tState) => {
+                late = late || tState !== clock;
+                clock = tState + LENGTHS[type];
+                cycles.push(`${type} ${address.toString(16)}`);
+            });
+            const tStates = cpu.execute();
+
+            const expected = expand(typeof reference === 'function' ? reference(state) : reference, state, indexReg);
+            const actual = cycles.join(', ');
+            if (actual !== expected.join(', ')) {
+                mismatches.push(`${bytes} (F=${state.F}): ${actual} instead of ${expected.join(', ')}`);
+            } else if (late || tStates !== clock) {
+                mismatches.push(`${bytes} (F=${state.F}): ${tStates} T-states over ${clock} T-states of bus cycles`);
+            }
+        }
+    });
+
+    return mismatches;
+}
+
+describe('Bus cycles', () => {
+    it('should match the reference for the unprefixed opcodes', () => {
+        expect(checkTable(MAIN, [])).toEqual([]);
+    });
+
+    it('should match the reference for the CB opcodes', () => {
+        expect(checkTable(CB, [0xcb])).toEqual([]);
+    });
+
+    it('should match the reference for the ED opcodes', () => {
+        expect(checkTable(ED, [0xed])).toEqual([]);
+    });
+
+    it.each([
+        ['DD', 0xdd, 'IX'],
+        ['FD', 0xfd, 'IY'],
+    ])('should match the reference for the %s opcodes', (name, prefix, indexReg) => {
+        // Prefix chains (DD DD, DD ED, DD FD) are left to the last prefix
+        const table = INDEXED.map((reference, op) => ([0xdd, 0xed, 0xfd].includes(op) ? null : reference));
+        expect(checkTable(table, [prefix], indexReg)).toEqual([]);
+    });
+
+    it.each([
+        ['DDCB', 0xdd, 'IX'],
+        ['FDCB', 0xfd, 'IY'],
+    ])('should match the reference for the %s opcodes', (name, prefix, indexReg) => {
+        expect(checkTable(INDEXED_CB, [prefix, 0xcb], indexReg)).toEqual([]);
+    });
+
+    it('should report the T-state of each cycle after its contention', () => {
+        const { cpu, ram } = createCPU();
+        ram.set([0x34], PC); // INC (HL)
+        cpu.registers.setPC(PC);
+        cpu.registers.set16('HL', 0x4000);
+        // Page 1 contended, with 2 wait states throughout
+        cpu.memory.setContention([false, true, false, false], new Uint8Array(32).fill(2));
+
+        const cycles = [];
+        cpu.memory.setBusListener((type, address, value, tState) => cycles.push([type, tState]));
+
+        expect(cpu.execute()).toBe(11 + 3 * 2);
+        expect(cycles).toEqual([['fetch', 0], ['read', 6], ['internal', 11], ['write', 14]]);
+    });
+});
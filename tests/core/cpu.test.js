@@ -133,6 +133,148 @@ describe('Z80 CPU', () => {
       expect(mockMemory.write).toHaveBeenCalledWith(0x7FFF, 0x12); // High byte of return address
       expect(mockMemory.write).toHaveBeenCalledWith(0x7FFE, 0x34); // Low byte of return address
     });
+
+    it('should not accept an interrupt straight after EI', () => {
+      cpu.iff1 = false;
+      cpu.iff2 = false;
+      cpu.registers.set16('SP', 0x8000);
+      mockMemory.read.mockReturnValueOnce(0xFB).mockReturnValue(0x00); // EI ; NOP
+
+      cpu.execute();
+      cpu.interrupt();
+      expect(cpu.registers.getPC()).toBe(1);
+
+      cpu.execute();
+      cpu.interrupt();
+      expect(cpu.registers.getPC()).toBe(0x0038);
+    });
+
+    it('should keep interrupts blocked through a chain of EI', () => {
+      cpu.registers.set16('SP', 0x8000);
+      mockMemory.read.mockReturnValue(0xFB); // EI ; EI ; EI
+
+      for (let i = 0; i < 3; i++) {
+        cpu.execute();
+        cpu.interrupt();
+      }
+
+      expect(cpu.registers.getPC()).toBe(3);
+    });
+
+    it('should clear P/V when an interrupt is accepted after LD A,I', () => {
+      cpu.registers.set16('SP', 0x8000);
+      mockMemory.read.mockReturnValueOnce(0xED).mockReturnValueOnce(0x57); // LD A,I
+
+      cpu.execute();
+      expect(cpu.registers.f & 0x04).toBe(0x04); // IFF2 was set
+
+      cpu.interrupt();
+      expect(cpu.registers.f & 0x04).toBe(0);
+    });
+
+    it('should run RST 38h in IM 0 and read the IM 2 vector at 0xFF with an idle bus', () => {
+      cpu.interruptMode = 0;
+      cpu.registers.setPC(0x1234);
+      cpu.registers.set16('SP', 0x8000);
+
+      cpu.interrupt();
+      expect(cpu.registers.getPC()).toBe(0x0038);
+      expect(cpu.cycles).toBe(13);
+
+      cpu.iff1 = true;
+      cpu.interruptMode = 2;
+      cpu.registers.set('I', 0x3F);
+      cpu.interrupt();
+      expect(mockMemory.read).toHaveBeenCalledWith(0x3FFF);
+    });
+
+    it('should execute the RST placed on the bus in IM 0', () => {
+      cpu.interruptMode = 0;
+      cpu.registers.setPC(0x1234);
+      cpu.registers.set16('SP', 0x8000);
+      cpu.setDataBusProvider(() => 0xEF); // RST 28h
+
+      cpu.interrupt();
+
+      expect(cpu.registers.getPC()).toBe(0x0028);
+      expect(cpu.registers.memptr).toBe(0x0028);
+      expect(mockMemory.write).toHaveBeenCalledWith(0x7FFF, 0x12);
+      expect(mockMemory.write).toHaveBeenCalledWith(0x7FFE, 0x34);
+    });
+
+    it('should execute any instruction placed on the bus in IM 0', () => {
+      const bus = [0xCD, 0x00, 0x90]; // CALL 0x9000
+      cpu.interruptMode = 0;
+      cpu.registers.setPC(0x1234);
+      cpu.registers.set16('SP', 0x8000);
+      cpu.setDataBusProvider(() => bus.shift());
+
+      cpu.interrupt();
+
+      expect(bus).toHaveLength(0);
+      expect(cpu.registers.getPC()).toBe(0x9000);
+      expect(cpu.cycles).toBe(19);
+      expect(mockMemory.read).not.toHaveBeenCalled();
+      expect(mockMemory.write).toHaveBeenCalledWith(0x7FFF, 0x12);
+      expect(mockMemory.write).toHaveBeenCalledWith(0x7FFE, 0x34);
+      expect(cpu.memory.dataBus).toBeNull();
+    });
+
+    it('should take the IM 2 vector low byte from the bus', () => {
+      cpu.interruptMode = 2;
+      cpu.registers.set('I', 0x3F);
+      cpu.registers.set16('SP', 0x8000);
+      cpu.setDataBusProvider(() => 0x40);
+      mockMemory.read.mockImplementation((addr) => ({ 0x3F40: 0x00, 0x3F41: 0x90 })[addr] || 0);
+
+      cpu.interrupt();
+
+      expect(cpu.registers.getPC()).toBe(0x9000);
+      expect(cpu.registers.memptr).toBe(0x9000);
+      expect(cpu.cycles).toBe(19);
+    });
+
+    it('should call 0x0066 on NMI even with interrupts disabled', () => {
+      cpu.iff1 = false;
+      cpu.iff2 = false;
+      cpu.registers.setPC(0x1234);
+      cpu.registers.set16('SP', 0x8000);
+
+      cpu.nmi();
+
+      expect(cpu.registers.getPC()).toBe(0x0066);
+      expect(cpu.cycles).toBe(11);
+      expect(mockMemory.write).toHaveBeenCalledWith(0x7FFF, 0x12);
+      expect(mockMemory.write).toHaveBeenCalledWith(0x7FFE, 0x34);
+    });
+
+    it('should keep IFF1 in IFF2 across NMI and restore it with RETN', () => {
+      cpu.iff1 = true;
+      cpu.iff2 = true;
+      cpu.registers.setPC(0x1234);
+      cpu.registers.set16('SP', 0x8000);
+
+      cpu.nmi();
+      expect(cpu.iff1).toBe(false);
+      expect(cpu.iff2).toBe(true);
+
+      mockMemory.read.mockReturnValueOnce(0xED).mockReturnValueOnce(0x45) // RETN
+        .mockReturnValueOnce(0x34).mockReturnValueOnce(0x12);
+      cpu.execute();
+
+      expect(cpu.registers.getPC()).toBe(0x1234);
+      expect(cpu.iff1).toBe(true);
+    });
+
+    it('should leave HALT on NMI', () => {
+      cpu.halted = true;
+      cpu.registers.setPC(0x8001);
+
+      cpu.nmi();
+
+      expect(cpu.halted).toBe(false);
+      expect(cpu.registers.getPC()).toBe(0x0066);
+    });
   });
 
   describe('execute', () => {
@@ -201,6 +343,167 @@ describe('Z80 CPU', () => {
     });
   });
 
+  describe('memory contention', () => {
+    it('should add the delays of accesses to contended pages', () => {
+      mockMemory.read.mockReturnValue(0x7E); // LD A,(HL)
+      cpu.registers.setHL(0x4000);
+      cpu.memory.setContention([false, true, false, false], new Uint8Array(16).fill(5));
+
+      expect(cpu.execute()).toBe(12);
+      expect(cpu.cycles).toBe(12);
+    });
+
+    it('should look the delays up by the T-state of each access within the frame', () => {
+      mockMemory.read.mockReturnValue(0x7E); // LD A,(HL)
+      cpu.cycles = 100;
+      cpu.registers.setPC(0x8000);
+      cpu.registers.setHL(0x4000);
+      const delays = new Uint8Array(16);
+      // Opcode fetch at 100, operand read after the 4 T-state M1 cycle and its wait state
+      delays[0] = 1;
+      delays[5] = 2;
+      delays[4] = 7;
+      cpu.memory.setContention([false, true, true, false], delays);
+      cpu.memory.frameStart = 100;
+
+      expect(cpu.execute()).toBe(7 + 1 + 2);
+    });
+
+    it('should not delay accesses outside the frame the delays cover', () => {
+      mockMemory.read.mockReturnValue(0x7E);
+      cpu.cycles = 100;
+      cpu.registers.setHL(0x4000);
+      cpu.memory.setContention([true, true, true, true], new Uint8Array(16).fill(3));
+      cpu.memory.frameStart = 200;
+
+      expect(cpu.execute()).toBe(7);
+    });
+
+    it('should run at nominal timing without contention tables', () => {
+      mockMemory.read.mockReturnValue(0x7E);
+      cpu.memory.setContention(null, null);
+
+      expect(cpu.execute()).toBe(7);
+    });
+  });
+
+  describe('MEMPTR and Q', () => {
+    function run(...bytes) {
+      bytes.forEach(byte => mockMemory.read.mockReturnValueOnce(byte));
+      mockMemory.read.mockReturnValue(0x00);
+      cpu.execute();
+    }
+
+    it('should set MEMPTR to the address after LD A,(nn)', () => {
+      run(0x3A, 0x34, 0x12); // LD A,(0x1234)
+
+      expect(cpu.registers.memptr).toBe(0x1235);
+    });
+
+    it('should put A in the high byte of MEMPTR after LD (nn),A', () => {
+      cpu.registers.set('A', 0x55);
+      run(0x32, 0xFF, 0x12); // LD (0x12FF),A
+
+      expect(cpu.registers.memptr).toBe(0x5500);
+    });
+
+    it('should set MEMPTR to the target of a jump that is not taken', () => {
+      cpu.registers.set('F', 0x00);
+      run(0xCA, 0x00, 0x80); // JP Z,0x8000
+
+      expect(cpu.registers.getPC()).toBe(3);
+      expect(cpu.registers.memptr).toBe(0x8000);
+    });
+
+    it('should take F3/F5 of BIT n,(HL) from the high byte of MEMPTR', () => {
+      cpu.setState({ memptr: 0x2800, h: 0x40, l: 0x00 });
+      run(0xCB, 0x46, 0x00); // BIT 0,(HL) reading 0x00
+
+      expect(cpu.registers.f & 0x28).toBe(0x28);
+    });
+
+    it('should take F3/F5 of BIT n,(IX+d) from the high byte of IX+d', () => {
+      cpu.registers.ix = 0x27F0;
+      run(0xDD, 0xCB, 0x10, 0x46, 0x00); // BIT 0,(IX+0x10)
+
+      expect(cpu.registers.memptr).toBe(0x2800);
+      expect(cpu.registers.f & 0x28).toBe(0x28);
+    });
+
+    it('should OR the old F3/F5 into SCF after an instruction that leaves the flags alone', () => {
+      cpu.registers.set('A', 0x00);
+      cpu.registers.set('F', 0x28);
+      run(0x00); // NOP
+      run(0x37); // SCF
+
+      expect(cpu.registers.f & 0x28).toBe(0x28);
+    });
+
+    it('should copy F3/F5 of SCF from A after an instruction that set the flags', () => {
+      cpu.registers.set('A', 0x00);
+      run(0xFE, 0x28); // CP 0x28 sets F3/F5 from the operand
+      expect(cpu.registers.f & 0x28).toBe(0x28);
+      run(0x37); // SCF
+
+      expect(cpu.registers.f & 0x28).toBe(0x00);
+    });
+
+    it('should round-trip MEMPTR through getState/setState', () => {
+      cpu.setState({ memptr: 0xBEEF });
+
+      expect(cpu.getState().memptr).toBe(0xBEEF);
+    });
+  });
+
+  describe('CPU variants', () => {
+    function outCZero(cpuVariant) {
+      const ula = { readPort: jest.fn(), writePort: jest.fn() };
+      const variantCPU = new Z80(mockMemory, ula, { cpuVariant });
+      mockMemory.read.mockReturnValueOnce(0xED).mockReturnValueOnce(0x71); // OUT (C),0
+      variantCPU.execute();
+      return ula.writePort.mock.calls[0][1];
+    }
+
+    it('should default to the Zilog NMOS part', () => {
+      expect(cpu.variant.id).toBe('nmos');
+    });
+
+    it('should output 0 for OUT (C),0 on NMOS and 0xFF on CMOS', () => {
+      expect(outCZero('nmos')).toBe(0x00);
+      expect(outCZero('nec')).toBe(0x00);
+      expect(outCZero('cmos')).toBe(0xFF);
+      expect(outCZero('toshiba')).toBe(0xFF);
+    });
+
+    it('should keep P/V of LD A,I on a CMOS part when an interrupt is accepted', () => {
+      cpu.setVariant('cmos');
+      cpu.registers.set16('SP', 0x8000);
+      mockMemory.read.mockReturnValueOnce(0xED).mockReturnValueOnce(0x57); // LD A,I
+
+      cpu.execute();
+      cpu.interrupt();
+
+      expect(cpu.registers.getPC()).toBe(0x0038);
+      expect(cpu.registers.f & 0x04).toBe(0x04);
+    });
+
+    it('should copy F3/F5 of SCF from A alone on the NEC part', () => {
+      cpu.setVariant('nec');
+      cpu.registers.set('A', 0x00);
+      cpu.registers.set('F', 0x28);
+      mockMemory.read.mockReturnValueOnce(0x00).mockReturnValueOnce(0x37); // NOP ; SCF
+
+      cpu.execute();
+      cpu.execute();
+
+      expect(cpu.registers.f & 0x28).toBe(0x00);
+    });
+
+    it('should reject unknown variants', () => {
+      expect(() => cpu.setVariant('z180')).toThrow('Unknown CPU variant: z180');
+    });
+  });
+
   describe('legacy register methods', () => {
     it('should support legacy getBC/setBC methods', () => {
       cpu.setBC(0x1234);
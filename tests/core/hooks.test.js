@@ -0,0 +1,181 @@
+import { Hooks } from '../../src/core/hooks.js';
+import { createTestCPU, createTestSpectrum } from '../roms/test-machine.js';
+
+describe('Hooks', () => {
+    it('should leave the dispatch slot null without listeners', () => {
+        const hooks = new Hooks();
+
+        expect(hooks.instruction).toBeNull();
+        expect(hooks.memoryRead).toBeNull();
+        expect(hooks.frame).toBeNull();
+    });
+
+    it('should dispatch straight to a single listener', () => {
+        const hooks = new Hooks();
+        const listener = jest.fn();
+
+        hooks.add('portWrite', listener);
+
+        expect(hooks.portWrite).toBe(listener);
+    });
+
+    it('should call several listeners in the order they were added', () => {
+        const hooks = new Hooks();
+        const calls = [];
+        hooks.add('memoryWrite', (address, value) => calls.push(['first', address, value]));
+        hooks.add('memoryWrite', (address, value) => calls.push(['second', address, value]));
+
+        hooks.memoryWrite(0x4000, 0x42);
+
+        expect(calls).toEqual([['first', 0x4000, 0x42], ['second', 0x4000, 0x42]]);
+    });
+
+    it('should remove listeners with the function add returns', () => {
+        const hooks = new Hooks();
+        const first = jest.fn();
+        const second = jest.fn();
+        const removeFirst = hooks.add('interrupt', first);
+        const removeSecond = hooks.add('interrupt', second);
+
+        removeFirst();
+        expect(hooks.interrupt).toBe(second);
+        removeSecond();
+        removeSecond();
+        expect(hooks.interrupt).toBeNull();
+    });
+
+    it('should reject unknown events', () => {
+        expect(() => new Hooks().add('reset', () => {})).toThrow('Unknown hook: reset');
+    });
+});
+
+describe('Z80 observer hooks', () => {
+    let ram;
+    let cpu;
+    let load;
+
+    beforeEach(() => {
+        ({ cpu, ram, load } = createTestCPU({ readPort: port => port >> 8 }));
+    });
+
+    it('should report each instruction before it runs, and the HALT while halted', () => {
+        load(' LD A,$42\n NOP\n HALT');
+        const seen = [];
+        cpu.onInstruction(pc => seen.push([pc, cpu.registers.a]));
+
+        for (let i = 0; i < 5; i++) {
+            cpu.execute();
+        }
+
+        expect(seen).toEqual([[0x8000, 0], [0x8002, 0x42], [0x8003, 0x42], [0x8003, 0x42], [0x8003, 0x42]]);
+    });
+
+    it('should report memory reads, telling instruction bytes from data', () => {
+        load(' LD A,($9000)');
+        ram[0x9000] = 0x55;
+        const reads = [];
+        cpu.onMemoryRead((address, value, code) => reads.push([address, value, code]));
+
+        cpu.execute();
+
+        expect(reads).toEqual([
+            [0x8000, 0x3a, true],
+            [0x8001, 0x00, true],
+            [0x8002, 0x90, true],
+            [0x9000, 0x55, false],
+        ]);
+    });
+
+    it('should report memory writes', () => {
+        load(' LD HL,$1234\n PUSH HL');
+        const writes = [];
+        cpu.onMemoryWrite((address, value) => writes.push([address, value]));
+
+        cpu.execute();
+        cpu.execute();
+
+        expect(writes).toEqual([[0xfffe, 0x12], [0xfffd, 0x34]]);
+    });
+
+    it('should report port reads and writes', () => {
+        load(' LD A,$7F\n IN A,($FE)\n OUT ($FE),A');
+        const ports = [];
+        cpu.onPortRead((port, value) => ports.push(['in', port, value]));
+        cpu.onPortWrite((port, value) => ports.push(['out', port, value]));
+
+        for (let i = 0; i < 3; i++) {
+            cpu.execute();
+        }
+
+        expect(ports).toEqual([['in', 0x7ffe, 0x7f], ['out', 0x7ffe, 0x7f]]);
+    });
+
+    it('should report accepted interrupts with the address they return to', () => {
+        load(' EI\n NOP\n NOP');
+        const interrupts = [];
+        cpu.onInterrupt((type, pc) => interrupts.push([type, pc, cpu.registers.sp]));
+
+        cpu.execute();
+        cpu.interrupt(); // Held off by EI
+        cpu.execute();
+        cpu.interrupt();
+        cpu.interrupt(); // IFF1 is clear
+        cpu.nmi();
+
+        expect(interrupts).toEqual([['int', 0x8002, 0xffff], ['nmi', 0x0038, 0xfffd]]);
+    });
+
+    it('should stop calling a listener once removed', () => {
+        load(' NOP\n NOP');
+        const listener = jest.fn();
+        const remove = cpu.onInstruction(listener);
+
+        cpu.execute();
+        remove();
+        cpu.execute();
+
+        expect(listener).toHaveBeenCalledTimes(1);
+        expect(cpu.hooks.instruction).toBeNull();
+    });
+
+    it('should not change what the CPU does', () => {
+        const source = ' LD HL,$9000\n LD (HL),$AA\n INC (HL)\n HALT';
+        load(source);
+        const watched = createTestCPU();
+        watched.load(source);
+        for (const on of ['onInstruction', 'onMemoryRead', 'onMemoryWrite', 'onPortRead', 'onPortWrite']) {
+            watched.cpu[on](() => {});
+        }
+
+        for (let i = 0; i < 4; i++) {
+            cpu.execute();
+            watched.cpu.execute();
+        }
+
+        expect(watched.cpu.cycles).toBe(cpu.cycles);
+        expect(watched.cpu.registers.hl).toBe(cpu.registers.hl);
+        expect(ram[0x9000]).toBe(0xab);
+        expect(watched.ram[0x9000]).toBe(0xab);
+    });
+});
+
+describe('ZXSpectrum observer hooks', () => {
+    it('should pass the CPU hooks through and report frames', () => {
+        const spectrum = createTestSpectrum('loop: LD ($9000),A\n INC A\n JR loop');
+        const frames = [];
+        let writes = 0;
+        spectrum.onFrame(frame => frames.push(frame));
+        const remove = spectrum.onMemoryWrite(address => {
+            writes += address === 0x9000 ? 1 : 0;
+        });
+
+        spectrum.runFrame();
+        spectrum.runFrame();
+        remove();
+        spectrum.runFrame();
+
+        expect(frames).toEqual([0, 1, 2]);
+        expect(writes).toBeGreaterThan(1000);
+        expect(spectrum.cpu.hooks.memoryWrite).toBeNull();
+    });
+});
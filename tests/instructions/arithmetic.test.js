@@ -508,5 +508,15 @@ describe('Arithmetic Instructions', () => {
 
       expect(cpu.registers.a).toBe(0x29); // BCD 29
     });
+
+    it('should correct a digit over 9 after a subtraction too', () => {
+      cpu.registers.a = 0x9a;
+      cpu.registers.f = 0x02; // N
+      mockMemory.read.mockReturnValueOnce(0x27); // DAA
+      cpu.execute();
+
+      expect(cpu.registers.a).toBe(0x34);
+      expect(cpu.registers.f).toBe(0x23); // F5, N and C
+    });
   });
 });
\ No newline at end of file
@@ -222,6 +222,19 @@ describe('Load Instructions', () => {
 
         expect(cpu.registers.sp).toBe(0x8000);
       });
+
+      it.each([
+        [0xdd, 'ix'],
+        [0xfd, 'iy'],
+      ])('should load the index register to SP after a %s prefix', (prefix, index) => {
+        cpu.registers.setHL(0x1234);
+        cpu.registers[index] = 0xabcd;
+        mockMemory.read.mockReturnValueOnce(prefix).mockReturnValueOnce(0xF9); // LD SP,IX/IY
+
+        expect(cpu.execute()).toBe(10);
+        expect(cpu.registers.sp).toBe(0xabcd);
+        expect(cpu.registers.pc).toBe(2);
+      });
     });
 
     describe('LD HL,(nn) and LD (nn),HL', () => {
@@ -451,4 +464,56 @@ describe('Load Instructions', () => {
       expect(cycles).toBe(10);
     });
   });
+
+  describe('Block instruction flags', () => {
+    // Cases from the FUSE core tests, run from 0x0000
+    let ram;
+
+    beforeEach(() => {
+      ram = new Uint8Array(0x10000);
+      mockMemory.read.mockImplementation(address => ram[address]);
+      mockIO.readPort = port => port >> 8;
+      mockIO.writePort = jest.fn();
+    });
+
+    const run = (bytes, state) => {
+      ram.set(bytes, 0);
+      cpu.setState({ pc: 0, ...state });
+      cpu.execute();
+    };
+
+    it('should take F3 from bit 3 and F5 from bit 1 of A + (HL) for LDI', () => {
+      ram[0xd097] = 0xb7;
+      run([0xed, 0xa0], { a: 0x1b, f: 0xc9, b: 0x3d, c: 0x11, d: 0x95, e: 0xc1, h: 0xd0, l: 0x97 });
+
+      expect(cpu.registers.f).toBe(0xe5);
+      expect(cpu.registers.getBC()).toBe(0x3d10);
+    });
+
+    it('should keep P/V set when CPIR stops on a match with BC not 0', () => {
+      ram.set([0x50, 0xe5, 0x41, 0xf4, 0x01], 0x9825);
+      run([0xed, 0xb1], { a: 0xf4, f: 0xdd, b: 0x00, c: 0x08, h: 0x98, l: 0x25 });
+      while (cpu.registers.pc === 0) {
+        cpu.execute();
+      }
+
+      expect(cpu.registers.f).toBe(0x47);
+      expect(cpu.registers.getBC()).toBe(0x0004);
+    });
+
+    it('should take H, C and P/V of INI from the byte read plus C + 1', () => {
+      run([0xed, 0xa2], { a: 0x01, f: 0x21, b: 0x9a, c: 0x82, h: 0x26, l: 0x66 });
+
+      expect(cpu.registers.f).toBe(0x9f);
+      expect(cpu.registers.b).toBe(0x99);
+    });
+
+    it('should take H, C and P/V of OUTD from the byte written plus L', () => {
+      ram[0x199f] = 0x49;
+      run([0xed, 0xab], { a: 0x00, f: 0x37, b: 0xf3, c: 0x34, h: 0x19, l: 0x9f });
+
+      expect(cpu.registers.f).toBe(0xa4);
+      expect(mockIO.writePort).toHaveBeenCalledWith(0xf234, 0x49);
+    });
+  });
 });
\ No newline at end of file
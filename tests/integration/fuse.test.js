@@ -0,0 +1,144 @@
+import { describe, test, expect } from '@jest/globals';
+import fs from 'fs';
+import path from 'path';
+import { parseFuseTests, parseFuseExpected, runFuseTest, compareFuseResult, runFuseSuite } from '../roms/fuse.js';
+
+// The FUSE core tests are not distributed with the emulator: copy tests.in and
+// tests.expected from FUSE's z80/tests directory into tests/roms/fuse to run them.
+const FUSE_DIR = path.join(process.cwd(), 'tests', 'roms', 'fuse');
+
+// A few cases copied from the FUSE files, where its logging differs from the core's
+const SAMPLE_DIR = path.join(process.cwd(), 'tests', 'roms', 'fuse-sample');
+
+const TESTS_IN = `02
+5600 0001 0000 0000 0000 0000 0000 0000 0000 0000 0000 0000 0000
+00 00 0 0 0 0 1
+0000 02 -1
+-1
+
+db
+3500 0000 0000 0000 0000 0000 0000 0000 0000 0000 0000 0000 0000
+00 00 0 0 0 0 1
+0000 db 12 -1
+-1
+`;
+
+const TESTS_EXPECTED = `02
+    0 MC 0000
+    4 MR 0000 02
+    4 MC 0001
+    7 MW 0001 56
+5600 0001 0000 0000 0000 0000 0000 0000 0000 0000 0000 0001 5602
+00 01 0 0 0 0 7
+0000 02 56 -1
+
+db
+    0 MC 0000
+    4 MR 0000 db
+    4 MC 0001
+    7 MR 0001 12
+    8 PR 3512 35
+3500 0000 0000 0000 0000 0000 0000 0000 0000 0000 0000 0002 3513
+00 01 0 0 0 0 11
+`;
+
+describe('FUSE test runner', () => {
+    test('should parse initial state and memory blocks', () => {
+        const [fuseTest] = parseFuseTests(TESTS_IN);
+
+        expect(fuseTest.name).toBe('02');
+        expect(fuseTest.registers.AF).toBe(0x5600);
+        expect(fuseTest.registers.BC).toBe(0x0001);
+        expect(fuseTest.state).toEqual({ I: 0, R: 0, IFF1: 0, IFF2: 0, IM: 0, halted: 0, tstates: 1 });
+        expect(fuseTest.memory).toEqual([{ address: 0x0000, bytes: [0x02] }]);
+    });
+
+    test('should parse expected bus events, end state and memory', () => {
+        const expected = parseFuseExpected(TESTS_EXPECTED).get('02');
+
+        expect(expected.events).toEqual([
+            { time: 0, type: 'MC', address: 0x0000, data: null },
+            { time: 4, type: 'MR', address: 0x0000, data: 0x02 },
+            { time: 4, type: 'MC', address: 0x0001, data: null },
+            { time: 7, type: 'MW', address: 0x0001, data: 0x56 },
+        ]);
+        expect(expected.registers.MEMPTR).toBe(0x5602);
+        expect(expected.state.tstates).toBe(7);
+        expect(expected.memory).toEqual([{ address: 0x0000, bytes: [0x02, 0x56] }]);
+    });
+
+    test('should pass cases the core gets right', () => {
+        expect(runFuseSuite(TESTS_IN, TESTS_EXPECTED)).toEqual([
+            { name: '02', mismatches: [] },
+            { name: 'db', mismatches: [] },
+        ]);
+    });
+
+    test('should run register lines without MEMPTR, as older versions write them', () => {
+        const testsIn = `02
+5600 0001 0000 0000 0000 0000 0000 0000 0000 0000 0000 0000
+00 00 0 0 0 0 1
+0000 02 -1
+-1
+`;
+        const testsExpected = `02
+    0 MC 0000
+    4 MR 0000 02
+    4 MC 0001
+    7 MW 0001 56
+5600 0001 0000 0000 0000 0000 0000 0000 0000 0000 0000 0001
+00 01 0 0 0 0 7
+0000 02 56 -1
+`;
+        const [fuseTest] = parseFuseTests(testsIn);
+
+        expect(Object.keys(fuseTest.registers)).toHaveLength(12);
+        expect(fuseTest.registers.MEMPTR).toBeUndefined();
+        expect(runFuseSuite(testsIn, testsExpected)).toEqual([{ name: '02', mismatches: [] }]);
+    });
+
+    test('should follow FUSE for relative jumps not taken, conditional jumps and calls, and HALT', () => {
+        const results = runFuseSuite(
+            fs.readFileSync(path.join(SAMPLE_DIR, 'tests.in'), 'utf8'),
+            fs.readFileSync(path.join(SAMPLE_DIR, 'tests.expected'), 'utf8'),
+        );
+
+        expect(results.map(result => result.name)).toEqual(['10', '20_1', '20_2', '28_1', '76', 'c2_2', 'c4_2']);
+        for (const result of results) {
+            expect(result.mismatches).toEqual([]);
+        }
+    });
+
+    test('should report register, flag, memory, T-state and event mismatches', () => {
+        const [fuseTest] = parseFuseTests(TESTS_IN);
+        const expected = parseFuseExpected(TESTS_EXPECTED).get('02');
+        expected.registers.AF = 0x5601;
+        expected.state.tstates = 8;
+        expected.memory = [{ address: 0x0000, bytes: [0x02, 0x57] }];
+        expected.events[3] = { time: 8, type: 'MW', address: 0x0001, data: 0x56 };
+
+        expect(compareFuseResult(runFuseTest(fuseTest), expected)).toEqual([
+            'AF: expected 5601, got 5600',
+            'flags: expected -------C, got --------',
+            'tstates: expected 8, got 7',
+            'memory 0001: expected 57, got 56',
+            'event 3: expected 8 MW 0001 56, got 7 MW 0001 56',
+        ]);
+    });
+});
+
+describe('FUSE core tests', () => {
+    const inFile = path.join(FUSE_DIR, 'tests.in');
+    const expectedFile = path.join(FUSE_DIR, 'tests.expected');
+
+    if (!fs.existsSync(inFile) || !fs.existsSync(expectedFile)) {
+        test.skip('tests.in and tests.expected not found in tests/roms/fuse', () => {});
+        return;
+    }
+
+    const results = runFuseSuite(fs.readFileSync(inFile, 'utf8'), fs.readFileSync(expectedFile, 'utf8'));
+
+    test.each(results.map(result => [result.name, result]))('%s', (_, result) => {
+        expect(result.mismatches).toEqual([]);
+    });
+});
@@ -0,0 +1,601 @@
+import { ZXSpectrum } from '../../src/spectrum/spectrum.js';
+import { getMachineModel, MACHINE_MODELS } from '../../src/spectrum/machines.js';
+
+function createSpectrum(model, rom, options = {}) {
+    const canvas = document.createElement('canvas');
+    return new ZXSpectrum(canvas, {
+        model,
+        rom,
+        autoStart: false,
+        sound: false,
+        handleKeyboard: false,
+        touchKeyboard: false,
+        ...options,
+    });
+}
+
+function loadProgram(spectrum, address, bytes) {
+    bytes.forEach((byte, i) => spectrum.memory.write(address + i, byte));
+    spectrum.cpu.registers.setPC(address);
+}
+
+describe('Machine Models', () => {
+    describe('getMachineModel', () => {
+        it('should default to the 48K', () => {
+            expect(getMachineModel()).toBe(MACHINE_MODELS['48k']);
+        });
+
+        it('should resolve model ids case-insensitively', () => {
+            expect(getMachineModel('128K').tStatesPerFrame).toBe(70908);
+        });
+
+        it('should pass resolved profiles through', () => {
+            const profile = MACHINE_MODELS['128k'];
+            expect(getMachineModel(profile)).toBe(profile);
+        });
+
+        it('should reject unknown models', () => {
+            expect(() => getMachineModel('ql')).toThrow('Unknown machine model: ql');
+        });
+    });
+
+    describe('48K', () => {
+        it('should keep the 48K frame timing', () => {
+            const spectrum = createSpectrum('48k', new Uint8Array(16384));
+
+            expect(spectrum.TSTATES_PER_FRAME).toBe(69888);
+            expect(spectrum.ula.TSTATES_PER_SCANLINE).toBe(224);
+            expect(spectrum.ula.SCANLINES_PER_FRAME).toBe(312);
+        });
+
+        it('should ignore writes to port 0x7FFD', () => {
+            const spectrum = createSpectrum('48k', new Uint8Array(16384));
+            spectrum.memory.write(0xC000, 0x12);
+
+            // LD BC,0x7FFD ; LD A,0x07 ; OUT (C),A
+            loadProgram(spectrum, 0x8000, [0x01, 0xFD, 0x7F, 0x3E, 0x07, 0xED, 0x79]);
+            for (let i = 0; i < 3; i++) {
+                spectrum.cpu.execute();
+            }
+
+            expect(spectrum.memory.read(0xC000)).toBe(0x12);
+        });
+
+        it('should delay screen accesses during the paper area', () => {
+            const spectrum = createSpectrum('48k', new Uint8Array(16384));
+
+            // LD A,(0x4000) at 0x8000, timed so the read lands on the first contended T-state
+            loadProgram(spectrum, 0x8000, [0x3A, 0x00, 0x40]);
+            spectrum.frameStartCycles = 0;
+            spectrum.cpu.cycles = 14335 - 10;
+
+            expect(spectrum.cpu.execute()).toBe(13 + 6);
+        });
+
+        it('should keep nominal timing with contention disabled', () => {
+            const spectrum = createSpectrum('48k', new Uint8Array(16384), { contention: false });
+
+            loadProgram(spectrum, 0x8000, [0x3A, 0x00, 0x40]);
+            spectrum.frameStartCycles = 0;
+            spectrum.cpu.cycles = 14335 - 10;
+
+            expect(spectrum.cpu.execute()).toBe(13);
+        });
+
+        it('should contend the ULA port on the low bit', () => {
+            const spectrum = createSpectrum('48k', new Uint8Array(16384));
+
+            // OUT (0xFE),A with A = 0 (port 0x00FE), timed so N:1 ends on the first contended T-state
+            loadProgram(spectrum, 0x8000, [0xD3, 0xFE]);
+            spectrum.cpu.registers.set('A', 0x00);
+            spectrum.frameStartCycles = 0;
+            spectrum.cpu.cycles = 14335 - 8;
+
+            expect(spectrum.cpu.execute()).toBe(11 + 6);
+        });
+
+        it('should contend odd ports with a high byte in the screen bank four times', () => {
+            const spectrum = createSpectrum('48k', new Uint8Array(16384));
+
+            // IN A,(0xFF) with A = 0x40 reads port 0x40FF
+            loadProgram(spectrum, 0x8000, [0xDB, 0xFF]);
+            spectrum.cpu.registers.set('A', 0x40);
+            spectrum.frameStartCycles = 0;
+            spectrum.cpu.cycles = 14335 - 7;
+
+            // C:1 at 14335 (6), 14342 (0), 14343 (6) and 14350 (0)
+            expect(spectrum.cpu.execute()).toBe(11 + 12);
+        });
+
+        it('should record a border change on the scanline of the port cycle', () => {
+            const spectrum = createSpectrum('48k', new Uint8Array(16384));
+
+            // LD A,2 ; OUT (0xFE),A starting 11 T-states before the end of line 10
+            loadProgram(spectrum, 0x8000, [0x3E, 0x02, 0xD3, 0xFE]);
+            spectrum.frameStartCycles = 0;
+            spectrum.cpu.cycles = 11 * 224 - 7 - 11;
+            spectrum.cpu.execute();
+            spectrum.cpu.execute();
+
+            expect(spectrum.ula.getScanlineBorderColors()[11]).toBe(2);
+            expect(spectrum.ula.getScanlineBorderColors()[10]).toBe(1);
+        });
+
+        it('should keep a border colour down to the next change and start each frame with it', () => {
+            const spectrum = createSpectrum('48k', new Uint8Array(16384));
+
+            // OUT (0xFE),A with A = 2 on line 11
+            loadProgram(spectrum, 0x8000, [0xD3, 0xFE]);
+            spectrum.cpu.registers.set('A', 0x02);
+            spectrum.frameStartCycles = 0;
+            spectrum.cpu.cycles = 11 * 224;
+            spectrum.cpu.execute();
+
+            expect(Array.from(spectrum.ula.getScanlineBorderColors().subarray(9, 13))).toEqual([1, 1, 2, 2]);
+            expect(spectrum.ula.getScanlineBorderColors()[311]).toBe(2);
+
+            spectrum.ula.startFrame();
+
+            expect(spectrum.ula.getScanlineBorderColors().every(color => color === 2)).toBe(true);
+        });
+
+        it('should read the floating bus through IN', () => {
+            const spectrum = createSpectrum('48k', new Uint8Array(16384), { contention: false });
+            spectrum.memory.write(0x5800, 0x38);
+
+            // IN A,(0xFF) with A = 0: the bus is sampled at the end of the port cycle, 11 T-states in
+            loadProgram(spectrum, 0x8000, [0xDB, 0xFF]);
+            spectrum.cpu.registers.set('A', 0x00);
+            spectrum.frameStartCycles = 0;
+            spectrum.cpu.cycles = 14339 - 11;
+            spectrum.cpu.execute();
+
+            expect(spectrum.cpu.registers.get('A')).toBe(0x38);
+        });
+
+        it('should allow the floating bus to be turned off', () => {
+            const spectrum = createSpectrum('48k', new Uint8Array(16384), { floatingBus: false });
+            expect(spectrum.ula.floatingBus).toBe(false);
+        });
+
+        it('should take the IM 2 vector low byte from the floating bus', () => {
+            const spectrum = createSpectrum('48k', new Uint8Array(16384), { contention: false });
+            spectrum.memory.write(0x5800, 0x38);
+            spectrum.memory.write(0x8038, 0x00);
+            spectrum.memory.write(0x8039, 0x90);
+
+            spectrum.cpu.interruptMode = 2;
+            spectrum.cpu.registers.set('I', 0x80);
+            spectrum.cpu.registers.set16('SP', 0xC000);
+            spectrum.frameStartCycles = 0;
+            // The bus is read at the end of the 7 T-state acknowledge, while the ULA fetches the attribute
+            spectrum.cpu.cycles = 14339 - 7;
+            spectrum.cpu.interrupt();
+
+            expect(spectrum.cpu.registers.getPC()).toBe(0x9000);
+        });
+
+        it('should race the beam to show a mid-frame border change', () => {
+            // DI ; LD A,2 ; OUT (0xFE),A ; LD BC,1300
+            // loop: DEC BC ; LD A,B ; OR C ; JR NZ,loop
+            // LD A,5 ; OUT (0xFE),A ; HALT
+            const rom = new Uint8Array(16384);
+            rom.set([
+                0xF3, 0x3E, 0x02, 0xD3, 0xFE, 0x01, 0x14, 0x05,
+                0x0B, 0x78, 0xB1, 0x20, 0xFB,
+                0x3E, 0x05, 0xD3, 0xFE, 0x76,
+            ]);
+            rom[0x38] = 0xC9; // RET from the interrupt taken as the first frame starts
+            const spectrum = createSpectrum('48k', rom);
+            spectrum.runFrame();
+
+            const buffer = spectrum.renderDisplay();
+            const size = spectrum.display.getDisplaySize();
+            const lastRow = (size.height - 1) * size.width * 4;
+
+            expect(spectrum.beamFrameReady).toBe(true);
+            expect(Array.from(buffer.subarray(0, 3))).toEqual([0xD7, 0x00, 0x00]);
+            expect(Array.from(buffer.subarray(lastRow, lastRow + 3))).toEqual([0x00, 0xD7, 0xD7]);
+        });
+
+        it('should render whole frames from memory with beam racing off', () => {
+            const spectrum = createSpectrum('48k', new Uint8Array(16384), { beamRacing: false });
+            spectrum.runFrame();
+
+            expect(spectrum.beamFrameReady).toBe(false);
+            expect(spectrum.memory.onScreenWrite).toBeNull();
+        });
+
+        it('should have no AY unless the Melodik interface is requested', () => {
+            expect(createSpectrum('48k', new Uint8Array(16384)).ay).toBeNull();
+
+            const melodik = createSpectrum('48k', new Uint8Array(16384), { ay: true });
+            melodik.ula.writePort(0xFFFD, 0);
+            melodik.ula.writePort(0xBFFD, 0x55);
+
+            expect(melodik.ay.registers[0]).toBe(0x55);
+            expect(melodik.ula.readPort(0xFFFD)).toBe(0x55);
+        });
+    });
+
+    describe('128K', () => {
+        let spectrum;
+
+        beforeEach(() => {
+            const rom = new Uint8Array(32768);
+            rom[0x0000] = 0xF3;
+            rom[0x4000] = 0x01;
+            spectrum = createSpectrum('128k', rom);
+        });
+
+        it('should use the 128K frame timing', () => {
+            expect(spectrum.TSTATES_PER_FRAME).toBe(70908);
+            expect(spectrum.ula.TSTATES_PER_SCANLINE).toBe(228);
+            expect(spectrum.ula.SCANLINES_PER_FRAME).toBe(311);
+            expect(spectrum.ula.getScanlineBorderColors().length).toBe(311);
+        });
+
+        it('should load both ROMs from a 32KB image', () => {
+            expect(spectrum.memory.read(0x0000)).toBe(0xF3);
+            spectrum.memory.writePort7FFD(0x10);
+            expect(spectrum.memory.read(0x0000)).toBe(0x01);
+        });
+
+        it('should page memory through OUT to port 0x7FFD', () => {
+            // LD BC,0x7FFD ; LD A,0x04 ; OUT (C),A ; LD A,0x99 ; LD (0xC000),A
+            loadProgram(spectrum, 0x8000, [
+                0x01, 0xFD, 0x7F, 0x3E, 0x04, 0xED, 0x79, 0x3E, 0x99, 0x32, 0x00, 0xC0,
+            ]);
+            for (let i = 0; i < 5; i++) {
+                spectrum.cpu.execute();
+            }
+
+            expect(spectrum.memory.getPagedBank()).toBe(4);
+            expect(spectrum.memory.ramBanks[4][0]).toBe(0x99);
+        });
+
+        it('should not page on writes to the ULA port', () => {
+            // LD A,0x07 ; OUT (0xFE),A
+            loadProgram(spectrum, 0x8000, [0x3E, 0x07, 0xD3, 0xFE]);
+            spectrum.cpu.execute();
+            spectrum.cpu.execute();
+
+            expect(spectrum.ula.getBorderColor()).toBe(7);
+            expect(spectrum.memory.getPagedBank()).toBe(0);
+        });
+
+        it('should render the shadow screen when selected', () => {
+            spectrum.memory.ramBanks[7].fill(0xFF, 0, 0x1800);
+            spectrum.memory.ramBanks[7].fill(0x07, 0x1800, 0x1B00);
+            spectrum.memory.writePort7FFD(0x08);
+
+            const buffer = spectrum.renderDisplay();
+            const size = spectrum.display.getDisplaySize();
+            const offset = (size.borderTop * size.width + size.borderLeft) * 4;
+
+            // White ink pixel at the top-left of the paper area
+            expect(buffer[offset]).toBe(0xD7);
+            expect(buffer[offset + 1]).toBe(0xD7);
+        });
+
+        it('should drive the AY through OUT instructions', () => {
+            // LD BC,0xFFFD ; LD A,0x08 ; OUT (C),A ; LD B,0xBF ; LD A,0x0F ; OUT (C),A
+            loadProgram(spectrum, 0x8000, [
+                0x01, 0xFD, 0xFF, 0x3E, 0x08, 0xED, 0x79, 0x06, 0xBF, 0x3E, 0x0F, 0xED, 0x79,
+            ]);
+            for (let i = 0; i < 6; i++) {
+                spectrum.cpu.execute();
+            }
+
+            expect(spectrum.ay.registers[8]).toBe(0x0F);
+            expect(spectrum.memory.getPagedBank()).toBe(0);
+        });
+
+        it('should drain the AY output every frame', () => {
+            spectrum.runFrame();
+            expect(spectrum.ay.outputCount).toBe(0);
+            expect(spectrum.ay.tState).toBeLessThan(16);
+        });
+
+        it('should unlock paging on reset', () => {
+            spectrum.memory.writePort7FFD(0x23);
+            spectrum.reset();
+
+            expect(spectrum.memory.pagingLocked).toBe(false);
+            expect(spectrum.memory.getPagedBank()).toBe(0);
+        });
+
+        it('should save and restore all RAM banks and the paging state', () => {
+            spectrum.memory.writePort7FFD(0x0E);
+            spectrum.memory.write(0xC000, 0x66);
+
+            const snapshot = spectrum.saveSnapshot();
+            expect(snapshot.model).toBe('128k');
+            expect(snapshot.ram.length).toBe(131072);
+
+            spectrum.reset();
+            spectrum.loadSnapshot(snapshot);
+
+            expect(spectrum.memory.getPagedBank()).toBe(6);
+            expect(spectrum.memory.screenBank).toBe(7);
+            expect(spectrum.memory.read(0xC000)).toBe(0x66);
+        });
+
+        it('should save and restore the AY registers', () => {
+            spectrum.ay.selectRegister(2);
+            spectrum.ay.writeRegister(0x77);
+
+            const snapshot = spectrum.saveSnapshot();
+            spectrum.reset();
+            spectrum.loadSnapshot(snapshot);
+
+            expect(spectrum.ay.registers[2]).toBe(0x77);
+        });
+    });
+
+    describe('+2A/+3', () => {
+        let spectrum;
+
+        beforeEach(() => {
+            spectrum = createSpectrum('+3', new Uint8Array(65536));
+        });
+
+        it('should resolve the +2A as the same hardware', () => {
+            const plus2a = getMachineModel('+2A');
+
+            expect(plus2a.name).toBe('ZX Spectrum +2A');
+            expect(plus2a.paging).toBe('+3');
+            expect(plus2a.contentionPattern).toEqual(MACHINE_MODELS['+3'].contentionPattern);
+        });
+
+        it('should describe the +3 contention and bus', () => {
+            expect(spectrum.model.contentionPattern).toEqual([1, 0, 7, 6, 5, 4, 3, 2]);
+            expect(spectrum.model.contendedBanks).toEqual([4, 5, 6, 7]);
+            expect(spectrum.model.floatingBus).toBe(false);
+            expect(spectrum.TSTATES_PER_FRAME).toBe(70908);
+        });
+
+        it('should enter the CP/M all-RAM layout through OUT to port 0x1FFD', () => {
+            // LD BC,0x1FFD ; LD A,0x01 ; OUT (C),A ; LD A,0xC3 ; LD (0x0000),A
+            loadProgram(spectrum, 0x8000, [
+                0x01, 0xFD, 0x1F, 0x3E, 0x01, 0xED, 0x79, 0x3E, 0xC3, 0x32, 0x00, 0x00,
+            ]);
+            for (let i = 0; i < 5; i++) {
+                spectrum.cpu.execute();
+            }
+
+            expect(spectrum.memory.port1FFD).toBe(0x01);
+            expect(spectrum.memory.ramBanks[0][0]).toBe(0xC3);
+        });
+
+        it('should decode 0x7FFD on A14 as well', () => {
+            spectrum.ula.writePort(0x7FFD, 0x03);
+            expect(spectrum.memory.getPagedBank()).toBe(3);
+
+            // Bit 14 set: not the paging port on the +3
+            spectrum.ula.writePort(0xFFFD, 0x07);
+            expect(spectrum.memory.getPagedBank()).toBe(3);
+        });
+
+        it('should not contend port cycles', () => {
+            // IN A,(0xFF) with A = 0x40 on the first contended T-state
+            loadProgram(spectrum, 0x8000, [0xDB, 0xFF]);
+            spectrum.cpu.registers.set('A', 0x40);
+            spectrum.frameStartCycles = 0;
+            spectrum.cpu.cycles = 14365 - 7;
+
+            expect(spectrum.cpu.execute()).toBe(11);
+        });
+
+        it('should save and restore the 0x1FFD state', () => {
+            spectrum.memory.writePort1FFD(0x05);
+            spectrum.memory.writePort7FFD(0x20);
+
+            const snapshot = spectrum.saveSnapshot();
+            spectrum.reset();
+            spectrum.loadSnapshot(snapshot);
+
+            expect(spectrum.memory.port1FFD).toBe(0x05);
+            expect(spectrum.memory.pagingLocked).toBe(true);
+            expect(spectrum.memory.pageBanks).toEqual([4, 5, 6, 3]);
+        });
+    });
+
+    describe('Pentagon 128', () => {
+        let spectrum;
+
+        beforeEach(() => {
+            spectrum = createSpectrum('pentagon', new Uint8Array(32768));
+        });
+
+        it('should use the Pentagon frame timing', () => {
+            expect(spectrum.TSTATES_PER_FRAME).toBe(71680);
+            expect(spectrum.ula.TSTATES_PER_SCANLINE).toBe(224);
+            expect(spectrum.ula.SCANLINES_PER_FRAME).toBe(320);
+            expect(spectrum.FRAMES_PER_SECOND).toBeCloseTo(48.828, 3);
+        });
+
+        it('should place the interrupt 80 lines before the paper', () => {
+            expect(spectrum.model.firstScreenLine).toBe(80);
+            expect(spectrum.model.firstPixelTState).toBe(17988);
+            expect(spectrum.display.firstScreenLine).toBe(80);
+        });
+
+        it('should have no contended memory or floating bus', () => {
+            for (let bank = 0; bank < 8; bank++) {
+                spectrum.memory.writePort7FFD(bank);
+                expect(spectrum.memory.isContended(0xC000)).toBe(false);
+            }
+            expect(spectrum.memory.isContended(0x4000)).toBe(false);
+            expect(spectrum.model.floatingBus).toBe(false);
+        });
+
+        it('should page memory like the 128K', () => {
+            spectrum.ula.writePort(0x7FFD, 0x06);
+            expect(spectrum.memory.getPagedBank()).toBe(6);
+        });
+
+        it('should run a full 71680 T-state frame', () => {
+            // EI ; JR $ at 0x0000 so the CPU keeps running and takes interrupts
+            spectrum.loadROM(new Uint8Array([0xFB, 0x18, 0xFE]));
+            spectrum.runFrame();
+
+            expect(spectrum.cpu.cycles).toBeGreaterThanOrEqual(71680);
+            expect(spectrum.cpu.cycles).toBeLessThan(71680 + 23);
+        });
+    });
+
+    describe('Frame interrupt', () => {
+        it('should only accept the interrupt while INT is active', () => {
+            // DI ; LD A,0 ; LD B,10 ; DJNZ $ ; EI ; JR $ - interrupts come back on after the INT pulse
+            const rom = new Uint8Array(16384);
+            rom.set([0xF3, 0x3E, 0x00, 0x06, 0x0A, 0x10, 0xFE, 0xFB, 0x18, 0xFE]);
+            // INC A ; LD B,3 ; DJNZ $ ; EI ; RET - too slow to be retriggered
+            rom.set([0x3C, 0x06, 0x03, 0x10, 0xFE, 0xFB, 0xC9], 0x38);
+            const spectrum = createSpectrum('48k', rom);
+
+            spectrum.runFrame();
+            expect(spectrum.cpu.registers.get('A')).toBe(0);
+
+            spectrum.runFrame();
+            spectrum.runFrame();
+            expect(spectrum.cpu.registers.get('A')).toBe(2);
+        });
+
+        it('should retrigger when the handler re-enables interrupts inside the pulse', () => {
+            // EI ; loop: HALT ; JR loop
+            const rom = new Uint8Array(32768);
+            rom.set([0xFB, 0x76, 0x18, 0xFD]);
+            // INC A ; EI ; RET - back 31 T-states after INT went active, within the 36 T-state pulse
+            rom.set([0x3C, 0xFB, 0xC9], 0x38);
+            const spectrum = createSpectrum('128k', rom);
+            spectrum.cpu.registers.set('A', 0);
+
+            spectrum.runFrame();
+            const first = spectrum.cpu.registers.get('A');
+            spectrum.runFrame();
+
+            expect(spectrum.cpu.registers.get('A') - first).toBe(2);
+        });
+
+        it('should carry T-states past the frame end into the next frame', () => {
+            // JR $
+            const spectrum = createSpectrum('48k', new Uint8Array([0xF3, 0x18, 0xFE]));
+
+            for (let i = 0; i < 10; i++) {
+                spectrum.runFrame();
+            }
+
+            expect(spectrum.frameStartCycles).toBe(10 * 69888);
+            expect(spectrum.cpu.cycles - spectrum.frameStartCycles).toBeGreaterThanOrEqual(0);
+            expect(spectrum.cpu.cycles - spectrum.frameStartCycles).toBeLessThan(12);
+        });
+
+        it('should take a triggered NMI before the next instruction', () => {
+            // DI ; JR $
+            const rom = new Uint8Array(16384);
+            rom.set([0xF3, 0x18, 0xFE]);
+            rom[0x38] = 0xC9; // RET from the INT taken at power on
+            // NMI handler: INC A ; RETN
+            rom.set([0x3C, 0xED, 0x45], 0x66);
+            const spectrum = createSpectrum('48k', rom);
+            spectrum.cpu.registers.set('A', 0);
+
+            spectrum.runFrame();
+            spectrum.triggerNMI();
+            spectrum.runFrame();
+            spectrum.runFrame();
+
+            expect(spectrum.cpu.registers.get('A')).toBe(1);
+            expect(spectrum.nmiPending).toBe(false);
+        });
+
+        it('should use the model INT pulse length', () => {
+            expect(createSpectrum('48k', new Uint8Array(16384)).ula.INTERRUPT_TSTATES).toBe(32);
+            expect(createSpectrum('128k', new Uint8Array(32768)).ula.INTERRUPT_TSTATES).toBe(36);
+        });
+    });
+
+    describe('Timex TC2048', () => {
+        let spectrum;
+
+        beforeEach(() => {
+            spectrum = createSpectrum('tc2048', new Uint8Array(16384));
+        });
+
+        function paperPixel(buffer, x) {
+            const size = spectrum.display.getDisplaySize();
+            const offset = (size.borderTop * size.width + size.borderLeft + x) * 4;
+            return buffer[offset];
+        }
+
+        it('should use the 48K timing', () => {
+            expect(spectrum.TSTATES_PER_FRAME).toBe(69888);
+            expect(spectrum.model.timex).toBe(true);
+        });
+
+        it('should latch port 0xFF on any port with the low byte 0xFF', () => {
+            // LD BC,0x12FF ; LD A,0x3E ; OUT (C),A
+            loadProgram(spectrum, 0x8000, [0x01, 0xFF, 0x12, 0x3E, 0x3E, 0xED, 0x79]);
+            for (let i = 0; i < 3; i++) {
+                spectrum.cpu.execute();
+            }
+
+            expect(spectrum.ula.portFF).toBe(0x3E);
+            expect(spectrum.ula.readPort(0x00FF)).toBe(0x3E);
+        });
+
+        it('should leave port 0xFF alone on the 48K', () => {
+            const plain = createSpectrum('48k', new Uint8Array(16384));
+            plain.ula.writePort(0x00FF, 0x06);
+
+            expect(plain.ula.getTimexVideoMode()).toBe('standard');
+            expect(plain.ula.readPort(0x00FF)).toBe(0xFF);
+        });
+
+        it('should decode the video mode bits', () => {
+            const modes = [[0x00, 'standard'], [0x01, 'screen1'], [0x02, 'hicolour'], [0x06, 'hires']];
+            for (const [value, mode] of modes) {
+                spectrum.ula.writePort(0xFF, value);
+                expect(spectrum.ula.getTimexVideoMode()).toBe(mode);
+            }
+        });
+
+        it('should render the second screen at 0x6000', () => {
+            spectrum.memory.write(0x6000, 0xFF);
+            spectrum.memory.write(0x7800, 0x07);
+            spectrum.ula.writePort(0xFF, 0x01);
+
+            expect(paperPixel(spectrum.renderDisplay(), 0)).toBe(0xD7);
+        });
+
+        it('should render hi-res at double width', () => {
+            spectrum.memory.write(0x6000, 0x80);
+            spectrum.ula.writePort(0xFF, 0x3E); // Hi-res, white ink on black paper
+
+            const buffer = spectrum.renderDisplay();
+
+            expect(spectrum.display.getDisplaySize().width).toBe(704);
+            expect(paperPixel(buffer, 0)).toBe(0x00);
+            expect(paperPixel(buffer, 8)).toBe(0xD7);
+        });
+
+        it('should mask the frame interrupt with bit 6', () => {
+            expect(spectrum.ula.isInterruptActive(0)).toBe(true);
+
+            spectrum.ula.writePort(0xFF, 0x40);
+            expect(spectrum.ula.isInterruptActive(0)).toBe(false);
+        });
+
+        it('should save and restore the port 0xFF state', () => {
+            spectrum.ula.writePort(0xFF, 0x02);
+
+            const snapshot = spectrum.saveSnapshot();
+            spectrum.reset();
+            expect(spectrum.ula.portFF).toBe(0);
+
+            spectrum.loadSnapshot(snapshot);
+            expect(spectrum.ula.getTimexVideoMode()).toBe('hicolour');
+        });
+    });
+});
@@ -2,16 +2,7 @@ import { describe, test, expect, beforeEach } from '@jest/globals';
 import { Z80 } from '../../src/core/cpu.js';
 import { SpectrumMemory } from '../../src/spectrum/memory.js';
 import { testROMs, loadTestROM } from '../roms/test-roms.js';
-
-// Helper function from test-roms.js
-function hexToBytes(hex) {
-    const bytes = [];
-    const cleanHex = hex.replace(/\s/g, '');
-    for (let i = 0; i < cleanHex.length; i += 2) {
-        bytes.push(parseInt(cleanHex.substr(i, 2), 16));
-    }
-    return new Uint8Array(bytes);
-}
+import { assemble } from '../../src/utils/assembler.js';
 
 describe('Test ROM Execution', () => {
     let cpu;
@@ -85,10 +76,15 @@ describe('Test ROM Execution', () => {
             description: 'Tests PUSH and POP',
             loadAddress: 0x8000,
             startAddress: 0x8000,
-            data: hexToBytes(`
-                21 34 12 E5 21 78 56 E1 22 00 B0 18 FE
-            `)
-            // LD HL,0x1234 ; PUSH HL ; LD HL,0x5678 ; POP HL ; LD (0xB000),HL ; JR $
+            data: assemble(`
+                    ORG $8000
+                    LD HL,$1234
+                    PUSH HL
+                    LD HL,$5678
+                    POP HL
+                    LD ($B000),HL
+                    JR $
+            `).bytes
         };
         
         loadTestROM(memory, stackTestRom);
@@ -120,11 +116,15 @@ describe('Test ROM Execution', () => {
             description: 'Tests JP and JR',
             loadAddress: 0x8000,
             startAddress: 0x8000,
-            data: hexToBytes(`
-                18 04 3E FF 18 02 3E 42 32 00 C0 18 FE
-            `)
-            // JR +4 ; LD A,0xFF ; JR +2 ; LD A,0x42 ; LD (0xC000),A ; JR $
-            // Should skip the FF and store 0x42
+            data: assemble(`
+                    ORG $8000
+                    JR first
+                    LD A,$FF        ; skipped
+                    JR store
+            first:  LD A,$42
+            store:  LD ($C000),A
+                    JR $
+            `).bytes
         };
         
         loadTestROM(memory, jumpTestRom);
@@ -0,0 +1,80 @@
+import { describe, test, expect } from '@jest/globals';
+import fs from 'fs';
+import path from 'path';
+import { runCPMProgram, parseZexOutput } from '../roms/cpm.js';
+
+// ZEXDOC/ZEXALL are not distributed with the emulator: drop zexdoc.com and
+// zexall.com into tests/roms to run them. Each takes several minutes.
+const ZEX_PROGRAMS = ['zexdoc', 'zexall'];
+
+// Well above the ~46 billion T-states ZEXALL needs
+const ZEX_MAX_CYCLES = 100e9;
+
+describe('CP/M harness', () => {
+    const report =
+        'add.....  OK\r\n' +
+        'sub.....  ERROR **** crc expected:01234567 found:89abcdef\r\n';
+
+    test('should print through BDOS functions 9 and 2 and stop at warm boot', () => {
+        const program = Uint8Array.of(
+            0x0e, 0x09, // LD C,9
+            0x11, 0x12, 0x01, // LD DE,msg
+            0xcd, 0x05, 0x00, // CALL 5
+            0x0e, 0x02, // LD C,2
+            0x1e, 0x21, // LD E,'!'
+            0xcd, 0x05, 0x00, // CALL 5
+            0xc3, 0x00, 0x00, // JP 0
+            ...Array.from(report, c => c.charCodeAt(0)), 0x24, // msg: report, '$'
+        );
+
+        const result = runCPMProgram(program, { maxCycles: 1e6 });
+
+        expect(result.completed).toBe(true);
+        expect(result.output).toBe(`${report}!`);
+    });
+
+    test('should stop when the program returns to CP/M', () => {
+        const result = runCPMProgram(Uint8Array.of(0xc9), { maxCycles: 1e6 });
+
+        expect(result.completed).toBe(true);
+        expect(result.output).toBe('');
+    });
+
+    test('should give up after maxCycles', () => {
+        const result = runCPMProgram(Uint8Array.of(0x18, 0xfe), { maxCycles: 1000 });
+
+        expect(result.completed).toBe(false);
+        expect(result.cycles).toBeGreaterThanOrEqual(1000);
+    });
+
+    test('should report each CRC group of the exerciser output', () => {
+        const output = `Z80doc instruction exerciser\r\n${report}Tests complete\r\n`;
+
+        expect(parseZexOutput(output)).toEqual([
+            { name: 'add', passed: true },
+            { name: 'sub', passed: false, expected: '01234567', found: '89abcdef' },
+        ]);
+    });
+});
+
+describe.each(ZEX_PROGRAMS)('%s', name => {
+    const file = path.join(process.cwd(), 'tests', 'roms', `${name}.com`);
+
+    if (!fs.existsSync(file)) {
+        test.skip(`${name}.com not found in tests/roms`, () => {});
+        return;
+    }
+
+    // Groups are only known once the program has run, so it runs while the tests are collected
+    const result = runCPMProgram(new Uint8Array(fs.readFileSync(file)), { maxCycles: ZEX_MAX_CYCLES });
+    const groups = parseZexOutput(result.output);
+
+    test('should run to completion', () => {
+        expect(result.completed).toBe(true);
+        expect(groups.length).toBeGreaterThan(0);
+    });
+
+    test.each(groups.map(group => [group.name, group]))('%s', (_, group) => {
+        expect(group).toEqual({ name: group.name, passed: true });
+    });
+});
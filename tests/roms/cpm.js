@@ -0,0 +1,120 @@
+/**
+ * CP/M harness for running .COM programs on a bare Z80
+ * Enough of CP/M for the ZEXDOC/ZEXALL instruction exercisers: a flat 64K
+ * memory, the program at 0x0100, and a BDOS stub at 0x0005 that prints
+ * characters (function 2) and '$'-terminated strings (function 9).
+ */
+import { Z80 } from '../../src/core/cpu.js';
+
+export const TPA_START = 0x0100;
+export const BDOS_ENTRY = 0x0005;
+
+// Top of the TPA: the BDOS stub sits here and programs take their stack from 0x0006
+const BDOS_STUB = 0xfe00;
+
+/**
+ * Build a CP/M machine with the program loaded
+ * 0x0000 (warm boot) holds HALT, 0x0005 jumps to a RET at the top of memory,
+ * and the stack starts there with 0x0000 pushed so a final RET also exits.
+ */
+export function createCPMMachine(program) {
+    const ram = new Uint8Array(0x10000);
+    ram.set(program, TPA_START);
+
+    ram[0x0000] = 0x76; // HALT
+    ram[BDOS_ENTRY] = 0xc3; // JP BDOS_STUB
+    ram[BDOS_ENTRY + 1] = BDOS_STUB & 0xff;
+    ram[BDOS_ENTRY + 2] = BDOS_STUB >> 8;
+    ram[BDOS_STUB] = 0xc9; // RET
+
+    const memory = {
+        read: address => ram[address],
+        write: (address, value) => {
+            ram[address] = value;
+        },
+    };
+    const io = {
+        readPort: () => 0xff,
+        writePort: () => {},
+    };
+
+    const cpu = new Z80(memory, io);
+    cpu.setState({ pc: TPA_START, sp: BDOS_STUB - 2, iff1: false, iff2: false });
+
+    return { cpu, ram };
+}
+
+/**
+ * Handle a BDOS call, returning the text it prints
+ */
+function bdosCall(cpu, ram) {
+    const regs = cpu.registers;
+
+    switch (regs.c) {
+        case 2: // C_WRITE: character in E
+            return String.fromCharCode(regs.e);
+        case 9: {
+            // C_WRITESTR: string at DE up to '$'
+            let text = '';
+            for (let address = regs.de; ram[address] !== 0x24; address = (address + 1) & 0xffff) {
+                text += String.fromCharCode(ram[address]);
+            }
+            return text;
+        }
+        default:
+            return '';
+    }
+}
+
+/**
+ * Run a CP/M program until it jumps to 0x0000 or maxCycles T-states have run
+ * @param {Uint8Array} program - .COM file contents
+ * @param {Object} [options={}]
+ * @param {number} [options.maxCycles=Infinity] - T-state limit
+ * @param {Function} [options.onOutput] - Called with each piece of console output
+ * @returns {{ output: string, cycles: number, completed: boolean }}
+ */
+export function runCPMProgram(program, options = {}) {
+    const { maxCycles = Infinity, onOutput = null } = options;
+    const { cpu, ram } = createCPMMachine(program);
+    let output = '';
+
+    while (cpu.cycles < maxCycles) {
+        const pc = cpu.registers.pc;
+        if (pc === 0x0000) {
+            return { output, cycles: cpu.cycles, completed: true };
+        }
+        if (pc === BDOS_ENTRY) {
+            const text = bdosCall(cpu, ram);
+            output += text;
+            if (onOutput && text) {
+                onOutput(text);
+            }
+        }
+        cpu.execute();
+    }
+
+    return { output, cycles: cpu.cycles, completed: false };
+}
+
+/**
+ * Split ZEXDOC/ZEXALL output into CRC groups
+ * Each group prints its name padded with dots, then "OK" or
+ * "ERROR **** crc expected:xxxxxxxx found:xxxxxxxx".
+ * @returns {Array<{ name: string, passed: boolean, expected?: string, found?: string }>}
+ */
+export function parseZexOutput(output) {
+    const groups = [];
+    const line = /^(\S.*?)\.*\s+(?:(OK)|ERROR \*+ crc expected:([0-9a-f]{8}) found:([0-9a-f]{8}))/i;
+
+    for (const text of output.split(/[\r\n]+/)) {
+        const match = line.exec(text);
+        if (!match) {
+            continue;
+        }
+        const [, name, ok, expected, found] = match;
+        groups.push(ok ? { name, passed: true } : { name, passed: false, expected, found });
+    }
+
+    return groups;
+}
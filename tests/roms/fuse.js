@@ -0,0 +1,329 @@
+/**
+ * FUSE Z80 core test-suite runner
+ * Parses the tests.in/tests.expected files of the FUSE emulator and runs each
+ * case on a Z80 with the memory and ports of FUSE's coretest: memory filled
+ * with DE AD BE EF before the test blocks are loaded, and port reads
+ * returning the high byte of the port.
+ *
+ * tests.in, per test:
+ *   name
+ *   AF BC DE HL AF' BC' DE' HL' IX IY SP PC MEMPTR  (MEMPTR is missing in older versions)
+ *   I R IFF1 IFF2 IM halted tstates
+ *   address byte byte ... -1    (memory blocks)
+ *   -1
+ *
+ * tests.expected, per test:
+ *   name
+ *   tstate type address [data]  (bus events, indented: MC MR MW PC PR PW)
+ *   registers and state lines as above, tstates being where the run ended
+ *   address byte byte ... -1    (memory that differs after the run)
+ */
+import { Z80 } from '../../src/core/cpu.js';
+
+const REGISTER_NAMES = ['AF', 'BC', 'DE', 'HL', "AF'", "BC'", "DE'", "HL'", 'IX', 'IY', 'SP', 'PC', 'MEMPTR'];
+const STATE_NAMES = ['I', 'R', 'IFF1', 'IFF2', 'IM', 'halted', 'tstates'];
+
+// Memory and port bus events, the ones the bus listener reports too
+const BUS_TYPES = {
+    fetch: 'MR',
+    read: 'MR',
+    write: 'MW',
+    in: 'PR',
+    out: 'PW',
+};
+
+// T-states from the start of a memory cycle to the access FUSE logs
+const CYCLE_LENGTHS = {
+    fetch: 4,
+    read: 3,
+    write: 3,
+};
+
+const hex = (value, digits) => value.toString(16).padStart(digits, '0');
+
+/**
+ * Whether an instruction is a DJNZ or JR cc that will not jump. FUSE runs the
+ * displacement cycle of those as a contention check alone, without reading the
+ * byte, so it logs no MR for it.
+ */
+function isRelativeJumpNotTaken(opcode, regs) {
+    if (opcode === 0x10) {
+        return regs.b === 1;
+    }
+    if ((opcode & 0xe7) !== 0x20) {
+        return false;
+    }
+    // NZ, Z, NC, C
+    const flag = opcode & 0x10 ? regs.f & 0x01 : regs.f & 0x40;
+    return opcode & 0x08 ? flag === 0 : flag !== 0;
+}
+
+// Only the registers the line has, as older test files leave out MEMPTR
+function parseRegisters(line) {
+    const values = line.trim().split(/\s+/).map(word => parseInt(word, 16));
+    return Object.fromEntries(REGISTER_NAMES.slice(0, values.length).map((name, i) => [name, values[i]]));
+}
+
+function parseState(line) {
+    const words = line.trim().split(/\s+/);
+    return Object.fromEntries(
+        STATE_NAMES.map((name, i) => [name, parseInt(words[i], i < 2 ? 16 : 10)]),
+    );
+}
+
+function parseMemoryBlock(line) {
+    const words = line.trim().split(/\s+/);
+    const address = parseInt(words[0], 16);
+    const end = words.indexOf('-1');
+    const bytes = words.slice(1, end === -1 ? undefined : end).map(word => parseInt(word, 16));
+    return { address, bytes };
+}
+
+// Split a file into the line groups of each test, which blank lines separate
+function splitTests(text) {
+    return text
+        .split(/\r?\n\s*\r?\n/)
+        .map(block => block.split(/\r?\n/).filter(line => line.trim() !== ''))
+        .filter(lines => lines.length > 0);
+}
+
+/**
+ * Parse tests.in
+ * @returns {Array<{ name: string, registers: Object, state: Object, memory: Array }>}
+ */
+export function parseFuseTests(text) {
+    return splitTests(text).map(lines => {
+        const memory = [];
+        for (const line of lines.slice(3)) {
+            if (line.trim() === '-1') {
+                break;
+            }
+            memory.push(parseMemoryBlock(line));
+        }
+        return {
+            name: lines[0].trim(),
+            registers: parseRegisters(lines[1]),
+            state: parseState(lines[2]),
+            memory,
+        };
+    });
+}
+
+/**
+ * Parse tests.expected
+ * @returns {Map<string, { events: Array, registers: Object, state: Object, memory: Array }>}
+ */
+export function parseFuseExpected(text) {
+    const expected = new Map();
+
+    for (const lines of splitTests(text)) {
+        const name = lines[0].trim();
+        let i = 1;
+
+        // Events are indented, the registers line is not
+        const events = [];
+        for (; i < lines.length && /^\s/.test(lines[i]); i++) {
+            const [time, type, address, data] = lines[i].trim().split(/\s+/);
+            events.push({
+                time: parseInt(time, 10),
+                type,
+                address: parseInt(address, 16),
+                data: data === undefined ? null : parseInt(data, 16),
+            });
+        }
+
+        expected.set(name, {
+            events,
+            registers: parseRegisters(lines[i]),
+            state: parseState(lines[i + 1]),
+            memory: lines.slice(i + 2).map(parseMemoryBlock),
+        });
+    }
+
+    return expected;
+}
+
+/**
+ * Run one test from tests.in
+ * Instructions run until the T-state count reaches the one the test gives.
+ * Registers and bus events follow FUSE's conventions where they differ from
+ * the core's: PC stays on a HALT while halted, and a DJNZ or JR cc that does
+ * not jump logs no read of its displacement.
+ * @returns {{ registers: Object, state: Object, ram: Uint8Array, initial: Uint8Array, events: Array }}
+ */
+export function runFuseTest(test) {
+    const ram = new Uint8Array(0x10000);
+    for (let address = 0; address < 0x10000; address += 4) {
+        ram.set([0xde, 0xad, 0xbe, 0xef], address);
+    }
+    for (const { address, bytes } of test.memory) {
+        bytes.forEach((byte, i) => {
+            ram[(address + i) & 0xffff] = byte;
+        });
+    }
+    const initial = ram.slice();
+
+    const memory = {
+        read: address => ram[address],
+        write: (address, value) => {
+            ram[address] = value;
+        },
+    };
+    const ula = {
+        readPort: port => port >> 8,
+        writePort: () => {},
+    };
+
+    const cpu = new Z80(memory, ula);
+    const r = test.registers;
+    const s = test.state;
+    cpu.setState({
+        a: r.AF >> 8, f: r.AF & 0xff, b: r.BC >> 8, c: r.BC & 0xff,
+        d: r.DE >> 8, e: r.DE & 0xff, h: r.HL >> 8, l: r.HL & 0xff,
+        ix: r.IX, iy: r.IY, sp: r.SP, memptr: r.MEMPTR,
+        // FUSE keeps PC on a HALT while halted, the core one past it
+        pc: s.halted !== 0 ? (r.PC + 1) & 0xffff : r.PC,
+        i: s.I, r: s.R, iff1: s.IFF1 !== 0, iff2: s.IFF2 !== 0, im: s.IM,
+        halted: s.halted !== 0, cycles: 0,
+    });
+    for (const [name, value] of [['A_', r["AF'"] >> 8], ['F_', r["AF'"] & 0xff],
+        ['B_', r["BC'"] >> 8], ['C_', r["BC'"] & 0xff], ['D_', r["DE'"] >> 8],
+        ['E_', r["DE'"] & 0xff], ['H_', r["HL'"] >> 8], ['L_', r["HL'"] & 0xff]]) {
+        cpu.registers.set(name, value);
+    }
+    // FUSE does not model Q and takes F3 and F5 of SCF and CCF from A alone,
+    // which is what the core does after an instruction that set the flags
+    cpu.registers.q = cpu.registers.f;
+
+    // FUSE logs a memory cycle as a contention check (MC) at its start and the
+    // access at its end, and an internal T-state as the contention check alone
+    const events = [];
+    cpu.memory.setBusListener((type, address, value, tState) => {
+        if (type !== 'in' && type !== 'out') {
+            events.push({ time: tState, type: 'MC', address, data: null });
+        }
+        if (type !== 'internal') {
+            const time = tState + (CYCLE_LENGTHS[type] || 0);
+            events.push({ time, type: BUS_TYPES[type], address, data: value });
+        }
+    });
+
+    while (cpu.cycles < s.tstates) {
+        const pc = cpu.registers.pc;
+        const first = events.length;
+        const skipRead = !cpu.halted && isRelativeJumpNotTaken(ram[pc], cpu.registers);
+        cpu.execute();
+        if (skipRead) {
+            const displacement = (pc + 1) & 0xffff;
+            const index = events.findIndex((event, i) =>
+                i >= first && event.type === 'MR' && event.address === displacement);
+            if (index !== -1) {
+                events.splice(index, 1);
+            }
+        }
+    }
+
+    const regs = cpu.registers;
+    return {
+        registers: {
+            AF: regs.af, BC: regs.bc, DE: regs.de, HL: regs.hl,
+            "AF'": (regs.get('A_') << 8) | regs.get('F_'),
+            "BC'": (regs.get('B_') << 8) | regs.get('C_'),
+            "DE'": (regs.get('D_') << 8) | regs.get('E_'),
+            "HL'": (regs.get('H_') << 8) | regs.get('L_'),
+            IX: regs.ix, IY: regs.iy, SP: regs.sp,
+            PC: cpu.halted ? (regs.pc - 1) & 0xffff : regs.pc,
+            MEMPTR: regs.memptr,
+        },
+        state: {
+            I: regs.i, R: regs.r, IFF1: cpu.iff1 ? 1 : 0, IFF2: cpu.iff2 ? 1 : 0,
+            IM: cpu.interruptMode, halted: cpu.halted ? 1 : 0, tstates: cpu.cycles,
+        },
+        ram,
+        initial,
+        events,
+    };
+}
+
+// F as SZ5H3PNC, with '-' for clear flags
+function flagString(f) {
+    return Array.from('SZ5H3PNC', (flag, i) => ((f << i) & 0x80 ? flag : '-')).join('');
+}
+
+function formatEvent({ time, type, address, data }) {
+    return `${time} ${type} ${hex(address, 4)}${data === null ? '' : ` ${hex(data, 2)}`}`;
+}
+
+/**
+ * Compare the result of runFuseTest with the expected end state
+ * FUSE stamps port reads and writes partway through the I/O cycle and reports
+ * its port contention checks (PC) separately, so for port events only the
+ * order, port and value are compared.
+ * @returns {string[]} Register, flag, memory, T-state and bus event mismatches
+ */
+export function compareFuseResult(result, expected) {
+    const mismatches = [];
+
+    for (const [name, want] of Object.entries(expected.registers)) {
+        const got = result.registers[name];
+        if (want !== got) {
+            mismatches.push(`${name}: expected ${hex(want, 4)}, got ${hex(got, 4)}`);
+        }
+    }
+    const wantF = expected.registers.AF & 0xff;
+    const gotF = result.registers.AF & 0xff;
+    if (wantF !== gotF) {
+        mismatches.push(`flags: expected ${flagString(wantF)}, got ${flagString(gotF)}`);
+    }
+
+    for (const name of STATE_NAMES) {
+        if (expected.state[name] !== result.state[name]) {
+            mismatches.push(`${name}: expected ${expected.state[name]}, got ${result.state[name]}`);
+        }
+    }
+
+    // Memory: the expected blocks, and no other byte changed
+    const wantRam = result.initial.slice();
+    for (const { address, bytes } of expected.memory) {
+        bytes.forEach((byte, i) => {
+            wantRam[(address + i) & 0xffff] = byte;
+        });
+    }
+    for (let address = 0; address < 0x10000; address++) {
+        if (wantRam[address] !== result.ram[address]) {
+            mismatches.push(
+                `memory ${hex(address, 4)}: expected ${hex(wantRam[address], 2)}, got ${hex(result.ram[address], 2)}`,
+            );
+        }
+    }
+
+    const isPort = event => event.type === 'PR' || event.type === 'PW';
+    const key = event => formatEvent(isPort(event) ? { ...event, time: '-' } : event);
+    const wantEvents = expected.events.filter(event => event.type !== 'PC').map(key);
+    const gotEvents = result.events.map(key);
+    const length = Math.max(wantEvents.length, gotEvents.length);
+    for (let i = 0; i < length; i++) {
+        if (wantEvents[i] !== gotEvents[i]) {
+            mismatches.push(`event ${i}: expected ${wantEvents[i] ?? 'none'}, got ${gotEvents[i] ?? 'none'}`);
+            break;
+        }
+    }
+
+    return mismatches;
+}
+
+/**
+ * Run every test of tests.in against tests.expected
+ * @returns {Array<{ name: string, mismatches: string[] }>}
+ */
+export function runFuseSuite(testsIn, testsExpected) {
+    const expected = parseFuseExpected(testsExpected);
+
+    return parseFuseTests(testsIn).map(test => {
+        const want = expected.get(test.name);
+        if (!want) {
+            return { name: test.name, mismatches: ['no expected result'] };
+        }
+        return { name: test.name, mismatches: compareFuseResult(runFuseTest(test), want) };
+    });
+}
@@ -0,0 +1,69 @@
+/**
+ * Test machines for the debugging tools
+ * A bare Z80 on a flat 64K RAM, and a headless 48K ZXSpectrum with a blank
+ * ROM, each with a program assembled into memory at 0x8000 (or elsewhere).
+ */
+import { Z80 } from '../../src/core/cpu.js';
+import { ZXSpectrum } from '../../src/spectrum/spectrum.js';
+import { assemble } from '../../src/utils/assembler.js';
+
+/**
+ * Build a Z80 with flat 64K RAM and ports that ignore writes
+ * load(source, origin = 0x8000) assembles a program at origin and starts it
+ * there with SP at 0xFFFF and the clock at 0, returning what assemble() gives.
+ * runToHalt() runs it until the CPU halts.
+ *
+ * @param {Object} [options={}]
+ * @param {Function} [options.readPort] - Port reads, 0xFF by default
+ * @returns {{ cpu: Z80, ram: Uint8Array, load: Function, runToHalt: Function }}
+ */
+export function createTestCPU(options = {}) {
+    const ram = new Uint8Array(0x10000);
+    const memory = {
+        read: address => ram[address],
+        write: (address, value) => {
+            ram[address] = value;
+        },
+    };
+    const io = {
+        readPort: options.readPort ?? (() => 0xff),
+        writePort: () => {},
+    };
+    const cpu = new Z80(memory, io);
+
+    const load = (source, origin = 0x8000) => {
+        const program = assemble(` ORG $${origin.toString(16)}\n${source}`);
+        ram.set(program.bytes, origin);
+        cpu.setState({ pc: origin, sp: 0xffff, cycles: 0 });
+        return program;
+    };
+
+    const runToHalt = () => {
+        while (!cpu.halted) {
+            cpu.execute();
+        }
+    };
+
+    return { cpu, ram, load, runToHalt };
+}
+
+/**
+ * Build a headless 48K ZXSpectrum running a program from 0x8000 with
+ * interrupts off
+ *
+ * @param {string} source - Assembly source
+ * @returns {ZXSpectrum}
+ */
+export function createTestSpectrum(source) {
+    const spectrum = new ZXSpectrum(document.createElement('canvas'), {
+        rom: new Uint8Array(16384),
+        autoStart: false,
+        sound: false,
+        handleKeyboard: false,
+        touchKeyboard: false,
+    });
+    const { origin, bytes } = assemble(` ORG $8000\n${source}`);
+    bytes.forEach((byte, i) => spectrum.memory.write(origin + i, byte));
+    spectrum.cpu.setState({ pc: origin, iff1: false, iff2: false });
+    return spectrum;
+}
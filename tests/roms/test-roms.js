@@ -2,16 +2,7 @@
  * Test ROMs for ZX Spectrum emulator validation
  * These ROMs test various aspects of the emulator
  */
-
-// Convert hex string to Uint8Array
-function hexToBytes(hex) {
-    const bytes = [];
-    const cleanHex = hex.replace(/\s/g, '');
-    for (let i = 0; i < cleanHex.length; i += 2) {
-        bytes.push(parseInt(cleanHex.substr(i, 2), 16));
-    }
-    return new Uint8Array(bytes);
-}
+import { assemble } from '../../src/utils/assembler.js';
 
 // Test ROM definitions
 export const testROMs = {
@@ -21,10 +12,16 @@ export const testROMs = {
         description: 'Writes test values to RAM',
         loadAddress: 0x8000,
         startAddress: 0x8000,
-        data: hexToBytes(`
-            3E 42 32 00 90 3E 55 32 01 90 3E AA 32 02 90 18 FE
-        `)
-        // LD A,0x42 ; LD (0x9000),A ; LD A,0x55 ; LD (0x9001),A ; LD A,0xAA ; LD (0x9002),A ; JR $
+        data: assemble(`
+                ORG $8000
+                LD A,$42
+                LD ($9000),A
+                LD A,$55
+                LD ($9001),A
+                LD A,$AA
+                LD ($9002),A
+                JR $
+        `).bytes,
     },
 
     // Basic arithmetic test
@@ -33,11 +30,15 @@ export const testROMs = {
         description: 'Tests basic arithmetic operations',
         loadAddress: 0x8000,
         startAddress: 0x8000,
-        data: hexToBytes(`
-            3E 05 C6 03 32 00 A0 3E FF 32 01 A0 18 FE
-        `)
-        // LD A,5 ; ADD A,3 ; LD (0xA000),A ; LD A,0xFF ; LD (0xA001),A ; JR $
-        // Result: 0xA000 should contain 8, 0xA001 should contain 0xFF (to verify no corruption)
+        data: assemble(`
+                ORG $8000
+                LD A,5
+                ADD A,3
+                LD ($A000),A    ; 8
+                LD A,$FF
+                LD ($A001),A    ; $FF, to verify no corruption
+                JR $
+        `).bytes,
     },
 
     // Memory test
@@ -46,18 +47,75 @@ export const testROMs = {
         description: 'Tests RAM read/write operations',
         loadAddress: 0x8000,
         startAddress: 0x8000,
-        data: hexToBytes(`
-            21 00 81 11 00 81 01 00 7F 7D 77 23 0B 78 B1 20
-            F7 21 00 81 01 00 7F 7E BD 20 0C 23 0B 78 B1 20
-            F5 21 30 80 18 04 54 5D 21 40 80 D5 11 00 40 7E
-            B7 28 05 12 23 13 18 F7 D1 7C B5 28 29 21 20 40
-            3E 41 77 23 3E 54 77 23 3E 3A 77 23 3E 20 77 23
-            7A CD 50 80 7B CD 50 80 18 FE F5 1F 1F 1F 1F E6
-            0F C6 30 FE 3A 38 02 C6 07 77 23 F1 E6 0F C6 30
-            FE 3A 38 02 C6 07 77 23 C9 4D 45 4D 4F 52 59 20
-            54 45 53 54 20 50 41 53 53 45 44 00 4D 45 4D 4F
-            52 59 20 54 45 53 54 20 46 41 49 4C 45 44 00
-        `)
+        data: assemble(`
+                ORG $8000
+                LD HL,$8100     ; fill $8100-$FFFF with the low byte of each address
+                LD BC,$7F00
+        fill:   LD (HL),L
+                INC HL
+                DEC BC
+                LD A,B
+                OR C
+                JR NZ,fill
+                LD HL,$8100     ; and read it back
+                LD BC,$7F00
+        check:  LD A,(HL)
+                CP L
+                JR NZ,failed
+                INC HL
+                DEC BC
+                LD A,B
+                OR C
+                JR NZ,check
+                LD HL,passMsg
+                LD DE,$4000
+                CALL print
+                JR $
+        failed: PUSH HL         ; address of the first bad byte
+                LD HL,failMsg
+                LD DE,$4000
+                CALL print
+                LD HL,atMsg
+                LD DE,$4020
+                CALL print
+                EX DE,HL
+                POP DE
+                LD A,D
+                CALL hex
+                LD A,E
+                CALL hex
+                JR $
+
+        ; Copy the zero-terminated string at HL to DE
+        print:  LD A,(HL)
+                OR A
+                RET Z
+                LD (DE),A
+                INC HL
+                INC DE
+                JR print
+
+        ; Write A as two hex digits to HL
+        hex:    PUSH AF
+                RRA
+                RRA
+                RRA
+                RRA
+                CALL digit
+                POP AF
+        digit:  AND $0F
+                ADD A,'0'
+                CP '9'+1
+                JR C,store
+                ADD A,'A'-'9'-1
+        store:  LD (HL),A
+                INC HL
+                RET
+
+        passMsg: DB "MEMORY TEST PASSED",0
+        failMsg: DB "MEMORY TEST FAILED",0
+        atMsg:  DB "AT: ",0
+        `).bytes,
     },
 
     // Screen pattern test
@@ -66,17 +124,70 @@ export const testROMs = {
         description: 'Tests display patterns and colors',
         loadAddress: 0x8000,
         startAddress: 0x8000,
-        data: hexToBytes(`
-            21 00 40 11 01 40 01 FF 17 36 00 ED B0 21 00 58
-            11 01 58 01 FF 02 36 07 ED B0 06 20 21 00 40 0E
-            C0 E5 36 AA 7C C6 01 67 0D 20 F7 E1 2C 10 ED 01
-            FF FF 0B 78 B1 20 FB 21 00 40 06 60 0E 20 3E FF
-            77 23 0D 20 FA 0E 20 36 00 23 0D 20 FA 10 EC 21
-            00 58 06 08 0E 00 C5 06 04 C5 06 18 79 07 07 07
-            F6 07 77 23 10 F8 11 08 00 19 C1 10 EE C1 0C 10
-            E5 21 E0 50 11 E0 50 01 0B 00 ED B0 18 FE 53 43
-            52 45 45 4E 20 54 45 53 54
-        `)
+        data: assemble(`
+                ORG $8000
+                LD HL,$4000     ; clear the bitmap
+                LD DE,$4001
+                LD BC,$17FF
+                LD (HL),0
+                LDIR
+                LD HL,$5800     ; white ink on black paper
+                LD DE,$5801
+                LD BC,$02FF
+                LD (HL),$07
+                LDIR
+                LD HL,$4000     ; vertical lines
+                LD DE,$4001
+                LD BC,$17FF
+                LD (HL),$AA
+                LDIR
+                CALL delay
+                LD HL,$4000     ; horizontal lines: rows of 32 bytes set, then clear
+                LD B,$60
+        rows:   LD C,32
+                LD A,$FF
+        set:    LD (HL),A
+                INC HL
+                DEC C
+                JR NZ,set
+                LD C,32
+        clear:  LD (HL),0
+                INC HL
+                DEC C
+                JR NZ,clear
+                DJNZ rows
+                CALL delay
+                LD HL,$5800     ; eight bars of three attribute rows, paper 0 to 7
+                LD B,8
+                LD C,0
+        bar:    LD A,C
+                RLCA
+                RLCA
+                RLCA
+                OR $07
+                LD D,96
+        cell:   LD (HL),A
+                INC HL
+                DEC D
+                JR NZ,cell
+                INC C
+                DJNZ bar
+                LD HL,message
+                LD DE,$50E0
+                LD BC,11
+                LDIR
+                JR $
+
+        ; Wait about 100000 T-states
+        delay:  LD BC,$1000
+        wait:   DEC BC
+                LD A,B
+                OR C
+                JR NZ,wait
+                RET
+
+        message: DB "SCREEN TEST"
+        `).bytes,
     },
 
     // Simple beeper test
@@ -85,20 +196,86 @@ export const testROMs = {
         description: 'Tests beeper sound generation',
         loadAddress: 0x8000,
         startAddress: 0x8000,
-        data: hexToBytes(`
-            21 00 40 11 01 40 01 FF 17 36 00 ED B0 21 90 80
-            11 00 40 01 0A 00 ED B0 21 A0 80 06 08 C5 E5 5E
-            23 56 21 C8 00 CD 60 80 E1 23 23 C1 10 ED 21 B0
-            80 5E 23 56 23 7A B3 28 0E 4E 23 46 23 E5 60 69
-            CD 60 80 E1 18 EB 18 FE F3 7D B4 C8 E5 D5 3E 10
-            D3 FE 42 4B 0B 78 B1 20 FB AF D3 FE D1 D5 42 4B
-            0B 78 B1 20 FB D1 E1 2B 7D B4 20 DD FB C9 77 07
-            A7 06 EF 05 94 05 FC 04 70 04 F4 03 BC 03 77 07
-            77 07 FC 04 FC 04 70 04 70 04 FC 04 58 02 94 05
-            94 05 EF 05 EF 05 A7 06 A7 06 77 07 58 02 00 00
-            53 4F 55 4E 44 20 54 45 53 54
-        `)
-    }
+        data: assemble(`
+                ORG $8000
+        ; Half periods in steps of the 26 T-state delay loop: 3.5 MHz / 2 / 26 / frequency
+        STEPS   EQU 67308
+
+                LD HL,$4000     ; clear the bitmap
+                LD DE,$4001
+                LD BC,$17FF
+                LD (HL),0
+                LDIR
+                LD HL,message
+                LD DE,$4000
+                LD BC,10
+                LDIR
+                LD HL,scale
+                CALL play
+                LD HL,melody
+                CALL play
+                JR $
+
+        ; Play the notes at HL, pairs of half period and cycles ending with a 0 half period
+        play:   LD E,(HL)
+                INC HL
+                LD D,(HL)
+                INC HL
+                LD A,D
+                OR E
+                RET Z
+                LD C,(HL)
+                INC HL
+                LD B,(HL)
+                INC HL
+                PUSH HL
+                LD H,B
+                LD L,C
+                CALL beep
+                POP HL
+                JR play
+
+        ; Toggle the speaker for HL cycles of DE delay steps high and DE low
+        beep:   DI
+        cycle:  LD A,L
+                OR H
+                JR Z,done
+                LD A,$10
+                OUT ($FE),A
+                LD B,D
+                LD C,E
+        high:   DEC BC
+                LD A,B
+                OR C
+                JR NZ,high
+                XOR A
+                OUT ($FE),A
+                LD B,D
+                LD C,E
+        low:    DEC BC
+                LD A,B
+                OR C
+                JR NZ,low
+                DEC HL
+                JR cycle
+        done:   EI
+                RET
+
+        ; C major scale, a fifth of a second a note
+        scale:  DW STEPS/262,262/5, STEPS/294,294/5, STEPS/330,330/5, STEPS/349,349/5
+                DW STEPS/392,392/5, STEPS/440,440/5, STEPS/494,494/5, STEPS/523,523/5
+                DW 0
+
+        ; Twinkle Twinkle Little Star, a quarter of a second a note and half a second the long ones
+        melody: DW STEPS/262,262/4, STEPS/262,262/4, STEPS/392,392/4, STEPS/392,392/4
+                DW STEPS/440,440/4, STEPS/440,440/4, STEPS/392,392/2
+                DW STEPS/349,349/4, STEPS/349,349/4, STEPS/330,330/4, STEPS/330,330/4
+                DW STEPS/294,294/4, STEPS/294,294/4, STEPS/262,262/2
+                DW 0
+
+        message: DB "SOUND TEST"
+        `).bytes,
+    },
 };
 
 // Helper function to load a test ROM into memory
@@ -139,6 +316,6 @@ export function runTestROM(spectrum, romName) {
 
     return {
         cyclesRun: cycles,
-        completed: cycles < maxCycles
+        completed: cycles < maxCycles,
     };
 }
\ No newline at end of file
@@ -0,0 +1,207 @@
+import { AY38912 } from '../../src/spectrum/ay.js';
+import { SpectrumULA } from '../../src/spectrum/ula.js';
+
+function writeReg(ay, reg, value, tState) {
+    ay.selectRegister(reg);
+    ay.writeRegister(value, tState);
+}
+
+describe('AY38912', () => {
+    let ay;
+
+    beforeEach(() => {
+        ay = new AY38912();
+    });
+
+    describe('registers', () => {
+        it('should read back the selected register', () => {
+            writeReg(ay, 0, 0xAB);
+            writeReg(ay, 7, 0x38);
+
+            ay.selectRegister(0);
+            expect(ay.readRegister()).toBe(0xAB);
+            ay.selectRegister(7);
+            expect(ay.readRegister()).toBe(0x38);
+        });
+
+        it('should clear unused bits on read-back', () => {
+            writeReg(ay, 1, 0xFF);
+            writeReg(ay, 6, 0xFF);
+            writeReg(ay, 8, 0xFF);
+            writeReg(ay, 13, 0xFF);
+
+            const expected = { 1: 0x0F, 6: 0x1F, 8: 0x1F, 13: 0x0F };
+            for (const [reg, value] of Object.entries(expected)) {
+                ay.selectRegister(Number(reg));
+                expect(ay.readRegister()).toBe(value);
+            }
+        });
+
+        it('should only use the low nibble of the register select', () => {
+            ay.selectRegister(0x12);
+            expect(ay.selectedRegister).toBe(2);
+        });
+
+        it('should round-trip its state', () => {
+            writeReg(ay, 0, 0x34);
+            writeReg(ay, 8, 0x0F);
+            const state = ay.getState();
+
+            const copy = new AY38912();
+            copy.setState(state);
+
+            expect(copy.registers).toEqual(ay.registers);
+            expect(copy.selectedRegister).toBe(8);
+        });
+    });
+
+    describe('output', () => {
+        it('should be silent after reset', () => {
+            const frame = ay.endFrame(69888);
+
+            expect(frame.count).toBe(Math.floor(69888 / 16));
+            expect(frame.tStatesPerTick).toBe(16);
+            expect(frame.levels.subarray(0, frame.count).every(level => level === 0)).toBe(true);
+        });
+
+        it('should output a constant level with tone and noise disabled', () => {
+            writeReg(ay, 7, 0x3F);
+            writeReg(ay, 8, 0x0F);
+            const frame = ay.endFrame(1600);
+
+            expect(frame.levels[0]).toBeCloseTo(1 / 3);
+            expect(frame.levels[frame.count - 1]).toBeCloseTo(1 / 3);
+        });
+
+        it('should generate a square wave at the tone period', () => {
+            writeReg(ay, 0, 10); // Toggle every 10 ticks
+            writeReg(ay, 7, 0x3E); // Tone A only
+            writeReg(ay, 8, 0x0F);
+            const frame = ay.endFrame(16 * 40);
+
+            const levels = Array.from(frame.levels.subarray(0, frame.count), level => (level > 0 ? 1 : 0));
+            expect(levels.slice(0, 9).every(v => v === 0)).toBe(true);
+            expect(levels.slice(9, 19).every(v => v === 1)).toBe(true);
+            expect(levels.slice(19, 29).every(v => v === 0)).toBe(true);
+        });
+
+        it('should catch up to the T-state of a register write', () => {
+            writeReg(ay, 7, 0x3F, 0);
+            writeReg(ay, 8, 0x0F, 160); // Volume up after 10 ticks
+            const frame = ay.endFrame(320);
+
+            expect(frame.levels[9]).toBe(0);
+            expect(frame.levels[10]).toBeGreaterThan(0);
+        });
+
+        it('should carry T-states beyond the frame end into the next frame', () => {
+            ay.endFrame(24); // One tick, 8 T-states left over
+            ay.update(8);
+
+            expect(ay.endFrame(24).count).toBe(2);
+        });
+
+        it('should produce noise when only noise is enabled', () => {
+            writeReg(ay, 6, 1);
+            writeReg(ay, 7, 0x37); // Noise A only
+            writeReg(ay, 8, 0x0F);
+            const frame = ay.endFrame(16 * 500);
+
+            const levels = new Set(frame.levels.subarray(0, frame.count));
+            expect(levels.size).toBe(2);
+        });
+    });
+
+    describe('envelope', () => {
+        function envelopeVolumes(shape, steps) {
+            writeReg(ay, 11, 1); // One step every 2 ticks
+            writeReg(ay, 13, shape);
+            const volumes = [ay.envelopeVolume];
+            for (let i = 0; i < steps; i++) {
+                ay.stepEnvelope();
+                volumes.push(ay.envelopeVolume);
+            }
+            return volumes;
+        }
+
+        it('should decay to zero and stay there for shape 0', () => {
+            const volumes = envelopeVolumes(0x00, 20);
+            expect(volumes.slice(0, 16)).toEqual([15, 14, 13, 12, 11, 10, 9, 8, 7, 6, 5, 4, 3, 2, 1, 0]);
+            expect(volumes.slice(16).every(v => v === 0)).toBe(true);
+        });
+
+        it('should attack then drop to zero for shape 4', () => {
+            const volumes = envelopeVolumes(0x04, 20);
+            expect(volumes[0]).toBe(0);
+            expect(volumes[15]).toBe(15);
+            expect(volumes.slice(16).every(v => v === 0)).toBe(true);
+        });
+
+        it('should repeat the sawtooth for shape 8', () => {
+            const volumes = envelopeVolumes(0x08, 17);
+            expect(volumes[15]).toBe(0);
+            expect(volumes[16]).toBe(15);
+        });
+
+        it('should decay then hold high for shape 11', () => {
+            const volumes = envelopeVolumes(0x0B, 20);
+            expect(volumes[15]).toBe(0);
+            expect(volumes.slice(16).every(v => v === 15)).toBe(true);
+        });
+
+        it('should produce a triangle for shape 14', () => {
+            const volumes = envelopeVolumes(0x0E, 32);
+            expect(volumes[15]).toBe(15);
+            expect(volumes[16]).toBe(15);
+            expect(volumes[31]).toBe(0);
+        });
+
+        it('should attack then hold high for shape 13', () => {
+            const volumes = envelopeVolumes(0x0D, 20);
+            expect(volumes.slice(15).every(v => v === 15)).toBe(true);
+        });
+
+        it('should drive channels with the envelope flag set', () => {
+            writeReg(ay, 7, 0x3F);
+            writeReg(ay, 8, 0x10);
+            writeReg(ay, 13, 0x0D); // Attack and hold
+            const frame = ay.endFrame(16 * 64);
+
+            expect(frame.levels[0]).toBeLessThan(0.01);
+            expect(frame.levels[frame.count - 1]).toBeCloseTo(1 / 3);
+        });
+    });
+
+    describe('ULA port decoding', () => {
+        let ula;
+
+        beforeEach(() => {
+            ula = new SpectrumULA(null, '128k');
+            ula.attachAY(ay);
+        });
+
+        it('should select with 0xFFFD and write with 0xBFFD', () => {
+            ula.writePort(0xFFFD, 8);
+            ula.writePort(0xBFFD, 0x0C);
+
+            expect(ay.registers[8]).toBe(0x0C);
+            expect(ula.readPort(0xFFFD)).toBe(0x0C);
+        });
+
+        it('should stamp writes with the frame T-state', () => {
+            ula.setTStateCallback(() => 1600);
+            ula.writePort(0xFFFD, 7);
+            ula.writePort(0xBFFD, 0x3F);
+
+            expect(ay.endFrame(3200).count).toBe(200);
+            expect(ay.tState).toBe(0);
+        });
+
+        it('should leave the AY ports unhandled when no chip is attached', () => {
+            ula.attachAY(null);
+            ula.writePort(0xFFFD, 8);
+
+            expect(ula.readPort(0xFFFD)).toBe(0xFF);
+        });
+    });
+});
@@ -0,0 +1,63 @@
+import { SpectrumContention } from '../../src/spectrum/contention.js';
+import { SpectrumMemory } from '../../src/spectrum/memory.js';
+
+describe('SpectrumContention', () => {
+    describe('48K', () => {
+        let contention;
+
+        beforeEach(() => {
+            contention = new SpectrumContention(new SpectrumMemory('48k'), '48k');
+        });
+
+        it('should apply the 6,5,4,3,2,1,0,0 pattern from T-state 14335', () => {
+            const delays = [];
+            for (let t = 14335; t < 14343; t++) {
+                delays.push(contention.getDelay(0x4000, t));
+            }
+            expect(delays).toEqual([6, 5, 4, 3, 2, 1, 0, 0]);
+        });
+
+        it('should not delay accesses before the paper or in the border part of a line', () => {
+            expect(contention.getDelay(0x4000, 14334)).toBe(0);
+            expect(contention.getDelay(0x4000, 14335 + 128)).toBe(0);
+            expect(contention.getDelay(0x4000, 14335 + 224)).toBe(6);
+        });
+
+        it('should stop after the last paper line', () => {
+            const lastLine = 14335 + 191 * 224;
+            expect(contention.getDelay(0x4000, lastLine)).toBe(6);
+            expect(contention.getDelay(0x4000, lastLine + 224)).toBe(0);
+        });
+
+        it('should only delay the contended bank', () => {
+            expect(contention.getDelay(0x7FFF, 14335)).toBe(6);
+            expect(contention.getDelay(0x0000, 14335)).toBe(0);
+            expect(contention.getDelay(0x8000, 14335)).toBe(0);
+        });
+
+        it('should ignore T-states outside the frame', () => {
+            expect(contention.getDelay(0x4000, 69888 + 10)).toBe(0);
+        });
+    });
+
+    describe('128K', () => {
+        it('should follow the paged bank at 0xC000', () => {
+            const memory = new SpectrumMemory('128k');
+            const contention = new SpectrumContention(memory, '128k');
+
+            expect(contention.getDelay(0xC000, 14361)).toBe(0);
+            memory.writePort7FFD(0x01);
+            expect(contention.getDelay(0xC000, 14361)).toBe(6);
+            expect(contention.getDelay(0x4000, 14361 + 228)).toBe(6);
+        });
+    });
+
+    describe('+3', () => {
+        it('should use the +3 pattern from T-state 14365', () => {
+            const contention = new SpectrumContention(new SpectrumMemory('+3'), '+3');
+            expect(contention.getDelay(0x4000, 14364)).toBe(0);
+            expect(contention.getDelay(0x4000, 14365)).toBe(1);
+            expect(contention.getDelay(0x4000, 14367)).toBe(7);
+        });
+    });
+});
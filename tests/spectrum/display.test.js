@@ -0,0 +1,175 @@
+import { SpectrumDisplay } from '../../src/spectrum/display.js';
+
+function pixelAt(display, x, y) {
+    const offset = ((y + display.borderTop) * display.totalWidth + x + display.borderLeft) * 4;
+    return Array.from(display.displayBuffer.subarray(offset, offset + 3));
+}
+
+const BLACK = [0x00, 0x00, 0x00];
+const WHITE = [0xD7, 0xD7, 0xD7];
+const BLUE = [0x00, 0x00, 0xD7];
+const YELLOW = [0xD7, 0xD7, 0x00];
+
+describe('SpectrumDisplay', () => {
+    let display;
+    let screen0;
+    let screen1;
+
+    beforeEach(() => {
+        display = new SpectrumDisplay();
+        screen0 = new Uint8Array(0x1800);
+        screen1 = new Uint8Array(0x1800);
+    });
+
+    describe('standard mode', () => {
+        it('should render with one attribute per 8x8 cell', () => {
+            const attrs = new Uint8Array(0x300).fill(0x07); // White ink, black paper
+            screen0[0] = 0x80;
+
+            display.render(screen0, attrs, 0);
+
+            expect(pixelAt(display, 0, 0)).toEqual(WHITE);
+            expect(pixelAt(display, 1, 0)).toEqual(BLACK);
+            expect(display.getDisplaySize().width).toBe(352);
+        });
+    });
+
+    describe('Timex hi-colour mode', () => {
+        it('should take a colour byte for every pixel row of a cell', () => {
+            screen0.fill(0xFF, 0, 32 * 8 * 8); // Solid ink at the top of the screen
+            screen1[display.getScreenAddress(0, 0)] = 0x07; // Row 0: white ink
+            screen1[display.getScreenAddress(0, 1)] = 0x01; // Row 1: blue ink
+
+            display.renderHiColour(screen0, screen1, 0);
+
+            expect(pixelAt(display, 0, 0)).toEqual(WHITE);
+            expect(pixelAt(display, 0, 1)).toEqual(BLUE);
+            expect(pixelAt(display, 0, 2)).toEqual(BLACK);
+        });
+    });
+
+    describe('Timex hi-res mode', () => {
+        it('should double the buffer width', () => {
+            display.renderHiRes(screen0, screen1, 0);
+
+            expect(display.width).toBe(512);
+            expect(display.totalWidth).toBe(704);
+            expect(display.displayBuffer.length).toBe(704 * 296 * 4);
+        });
+
+        it('should interleave the columns of both screens', () => {
+            screen0[0] = 0x80;
+            screen1[0] = 0x01;
+
+            display.renderHiRes(screen0, screen1, 1); // Blue ink on yellow paper
+
+            expect(pixelAt(display, 0, 0)).toEqual(BLUE);
+            expect(pixelAt(display, 1, 0)).toEqual(YELLOW);
+            expect(pixelAt(display, 15, 0)).toEqual(BLUE);
+            expect(pixelAt(display, 16, 0)).toEqual(YELLOW);
+        });
+
+        it('should fill the border with the paper colour', () => {
+            display.renderHiRes(screen0, screen1, 1);
+
+            expect(Array.from(display.displayBuffer.subarray(0, 3))).toEqual(YELLOW);
+        });
+
+        it('should shrink back when a standard frame is rendered', () => {
+            display.renderHiRes(screen0, screen1, 0);
+            display.render(screen0, new Uint8Array(0x300), 0);
+
+            expect(display.totalWidth).toBe(352);
+            expect(display.displayBuffer.length).toBe(352 * 296 * 4);
+        });
+    });
+
+    describe('beam racing', () => {
+        let bank;
+
+        function paperRowTState(row) {
+            return display.firstPixelTState + row * display.tStatesPerLine;
+        }
+
+        beforeEach(() => {
+            bank = new Uint8Array(0x4000);
+            bank.fill(0xF0, 0, 0x1800);
+            bank.fill(0x07, 0x1800, 0x1B00);
+        });
+
+        it('should match the full-frame renderer when nothing changes', () => {
+            const reference = new SpectrumDisplay();
+            reference.render(bank.subarray(0, 0x1800), bank.subarray(0x1800, 0x1B00), 3);
+
+            display.startBeamFrame();
+            display.renderTo(Infinity, bank, 3);
+
+            expect(display.displayBuffer).toEqual(reference.displayBuffer);
+        });
+
+        it('should show attribute changes from the row the beam reaches next', () => {
+            display.startBeamFrame();
+            display.renderTo(paperRowTState(100), bank, 0);
+            bank[0x1800 + 12 * 32] = 0x01; // Blue ink for character row 12 (pixel rows 96-103)
+            display.renderTo(Infinity, bank, 0);
+
+            expect(pixelAt(display, 0, 99)).toEqual(WHITE);
+            expect(pixelAt(display, 0, 100)).toEqual(BLUE);
+        });
+
+        it('should draw a cell with the memory at the T-state the ULA fetches it', () => {
+            display.startBeamFrame();
+            display.renderTo(paperRowTState(0) + 4, bank, 0); // Cell 0 fetched, cell 1 not yet
+            bank[0x1800] = 0x01;
+            bank[0x1801] = 0x01;
+            display.renderTo(paperRowTState(1), bank, 0);
+
+            expect(pixelAt(display, 0, 0)).toEqual(WHITE);
+            expect(pixelAt(display, 8, 0)).toEqual(BLUE);
+        });
+
+        it('should change the border colour at the T-state it was written', () => {
+            // Top border row 10, 40 T-states (80 pixels) into the visible line
+            const rowStart = display.firstPixelTState - (display.borderTop - 10) * display.tStatesPerLine - 24;
+
+            display.startBeamFrame();
+            display.renderTo(rowStart + 40, bank, 1);
+            display.renderTo(Infinity, bank, 6);
+
+            const row = 10 * display.totalWidth * 4;
+            expect(Array.from(display.displayBuffer.subarray(row + 79 * 4, row + 79 * 4 + 3))).toEqual(BLUE);
+            expect(Array.from(display.displayBuffer.subarray(row + 80 * 4, row + 80 * 4 + 3))).toEqual(YELLOW);
+        });
+
+        it('should leave a finished frame alone until the next one starts', () => {
+            display.startBeamFrame();
+            display.renderTo(Infinity, bank, 0);
+            bank.fill(0x01, 0x1800, 0x1B00);
+            display.renderTo(Infinity, bank, 0);
+
+            expect(pixelAt(display, 0, 0)).toEqual(WHITE);
+        });
+
+        it('should only redraw an unchanged whole frame once its screen memory or border changes', () => {
+            display.startBeamFrame();
+            display.renderTo(Infinity, bank, 0);
+            display.displayPixels[0] = 0; // Marks whether the next frame draws over the buffer
+
+            display.startBeamFrame();
+            display.renderTo(100, bank, 0); // Above the visible border
+            display.renderTo(Infinity, bank, 0);
+            expect(display.displayPixels[0]).toBe(0);
+
+            display.startBeamFrame();
+            display.renderTo(Infinity, bank, 1);
+            expect(Array.from(display.displayBuffer.subarray(0, 3))).toEqual(BLUE);
+
+            display.displayPixels[0] = 0;
+            bank[0x1800] = 0x01;
+            display.startBeamFrame();
+            display.renderTo(Infinity, bank, 1);
+            expect(Array.from(display.displayBuffer.subarray(0, 3))).toEqual(BLUE);
+            expect(pixelAt(display, 0, 0)).toEqual(BLUE);
+        });
+    });
+});
@@ -237,4 +237,179 @@ describe('SpectrumMemory', () => {
             expect(memory.read(attrEnd)).toBe(0x38);
         });
     });
-});
\ No newline at end of file
+
+    describe('128K paging', () => {
+        beforeEach(() => {
+            memory = new SpectrumMemory('128k');
+        });
+
+        it('should allocate two ROMs and eight RAM banks', () => {
+            expect(memory.rom.length).toBe(32768);
+            expect(memory.ram.length).toBe(131072);
+            expect(memory.ramBanks.length).toBe(8);
+        });
+
+        it('should map banks 5, 2 and 0 at power on', () => {
+            memory.ramBanks[5][0] = 0x55;
+            memory.ramBanks[2][0] = 0x22;
+            memory.ramBanks[0][0] = 0x11;
+
+            expect(memory.read(0x4000)).toBe(0x55);
+            expect(memory.read(0x8000)).toBe(0x22);
+            expect(memory.read(0xC000)).toBe(0x11);
+        });
+
+        it('should page the selected RAM bank into 0xC000', () => {
+            memory.writePort7FFD(0x03);
+            memory.write(0xC000, 0x42);
+
+            expect(memory.ramBanks[3][0]).toBe(0x42);
+            expect(memory.ramBanks[0][0]).toBe(0x00);
+            expect(memory.getPagedBank()).toBe(3);
+        });
+
+        it('should see bank 5 at both 0x4000 and 0xC000 when paged twice', () => {
+            memory.writePort7FFD(0x05);
+            memory.write(0xC000, 0x99);
+
+            expect(memory.read(0x4000)).toBe(0x99);
+        });
+
+        it('should select the ROM with bit 4', () => {
+            const rom = new Uint8Array(32768);
+            rom[0x0000] = 0xAA;
+            rom[0x4000] = 0xBB;
+            memory.loadROM(rom);
+
+            expect(memory.read(0x0000)).toBe(0xAA);
+            memory.writePort7FFD(0x10);
+            expect(memory.read(0x0000)).toBe(0xBB);
+        });
+
+        it('should load a single ROM bank', () => {
+            memory.loadROM(new Uint8Array([0xCC]), 1);
+            memory.writePort7FFD(0x10);
+
+            expect(memory.read(0x0000)).toBe(0xCC);
+            expect(() => memory.loadROM(new Uint8Array(16385), 1)).toThrow('ROM too large');
+        });
+
+        it('should display the shadow screen in bank 7 when bit 3 is set', () => {
+            memory.ramBanks[7][0] = 0x77;
+            memory.ramBanks[7][0x1800] = 0x47;
+
+            expect(memory.getScreenMemory()[0]).toBe(0x00);
+            memory.writePort7FFD(0x08);
+            expect(memory.getScreenMemory()[0]).toBe(0x77);
+            expect(memory.getAttributeMemory()[0]).toBe(0x47);
+        });
+
+        it('should ignore paging writes after the lock bit is set', () => {
+            memory.writePort7FFD(0x21); // Bank 1 and lock
+            memory.writePort7FFD(0x04);
+
+            expect(memory.getPagedBank()).toBe(1);
+            expect(memory.pagingLocked).toBe(true);
+        });
+
+        it('should release the lock on resetPaging', () => {
+            memory.writePort7FFD(0x27);
+            memory.resetPaging();
+            memory.writePort7FFD(0x02);
+
+            expect(memory.getPagedBank()).toBe(2);
+            expect(memory.screenBank).toBe(5);
+        });
+
+        it('should ignore paging writes on the 48K', () => {
+            const memory48 = new SpectrumMemory('48k');
+            memory48.writePort7FFD(0x07);
+            memory48.write(0xC000, 0x12);
+
+            expect(memory48.ram[0x8000]).toBe(0x12);
+            expect(memory48.getPagedBank()).toBe(0);
+        });
+    });
+
+    describe('+2A/+3 paging', () => {
+        beforeEach(() => {
+            memory = new SpectrumMemory('+3');
+            const rom = new Uint8Array(65536);
+            for (let i = 0; i < 4; i++) {
+                rom[i * 0x4000] = 0xA0 + i;
+            }
+            memory.loadROM(rom);
+        });
+
+        it('should allocate four ROMs', () => {
+            expect(memory.rom.length).toBe(65536);
+            expect(memory.romBanks.length).toBe(4);
+        });
+
+        it('should select the ROM from bit 2 of 0x1FFD and bit 4 of 0x7FFD', () => {
+            const romAt = (p1FFD, p7FFD) => {
+                memory.writePort1FFD(p1FFD);
+                memory.writePort7FFD(p7FFD);
+                return memory.read(0x0000);
+            };
+
+            expect(romAt(0x00, 0x00)).toBe(0xA0);
+            expect(romAt(0x00, 0x10)).toBe(0xA1);
+            expect(romAt(0x04, 0x00)).toBe(0xA2);
+            expect(romAt(0x04, 0x10)).toBe(0xA3);
+        });
+
+        it.each([
+            [0x01, [0, 1, 2, 3]],
+            [0x03, [4, 5, 6, 7]],
+            [0x05, [4, 5, 6, 3]],
+            [0x07, [4, 7, 6, 3]],
+        ])('should map the special configuration for 0x1FFD = %i', (value, banks) => {
+            memory.writePort1FFD(value);
+
+            banks.forEach((bank, page) => {
+                memory.write(page * 0x4000 + 0x10, 0x40 + page);
+                expect(memory.ramBanks[bank][0x10]).toBe(0x40 + page);
+            });
+        });
+
+        it('should make the bottom page writable only in special paging', () => {
+            memory.write(0x0000, 0x55);
+            expect(memory.read(0x0000)).toBe(0xA0);
+
+            memory.writePort1FFD(0x01);
+            memory.write(0x0000, 0x55);
+            expect(memory.read(0x0000)).toBe(0x55);
+
+            memory.writePort1FFD(0x00);
+            expect(memory.read(0x0000)).toBe(0xA0);
+        });
+
+        it('should report contention for banks 4-7 only', () => {
+            expect(memory.isContended(0x4000)).toBe(true); // Bank 5
+            memory.writePort7FFD(0x01);
+            expect(memory.isContended(0xC000)).toBe(false); // Bank 1
+            memory.writePort7FFD(0x04);
+            expect(memory.isContended(0xC000)).toBe(true); // Bank 4
+            expect(memory.isContended(0x0000)).toBe(false); // ROM
+        });
+
+        it('should lock 0x1FFD together with 0x7FFD', () => {
+            memory.writePort7FFD(0x20);
+            memory.writePort1FFD(0x01);
+
+            expect(memory.port1FFD).toBe(0);
+            expect(memory.read(0x0000)).toBe(0xA0);
+        });
+
+        it('should ignore 0x1FFD on the 128K', () => {
+            const memory128 = new SpectrumMemory('128k');
+            memory128.writePort1FFD(0x01);
+
+            expect(memory128.port1FFD).toBe(0);
+            expect(memory128.isContended(0xC000)).toBe(false);
+            memory128.writePort7FFD(0x03);
+            expect(memory128.isContended(0xC000)).toBe(true);
+        });
+    });
+});
@@ -0,0 +1,74 @@
+import { SpectrumULA } from '../../src/spectrum/ula.js';
+import { SpectrumMemory } from '../../src/spectrum/memory.js';
+
+describe('SpectrumULA', () => {
+    describe('floating bus', () => {
+        let memory;
+        let ula;
+        let tState;
+
+        beforeEach(() => {
+            memory = new SpectrumMemory('48k');
+            ula = new SpectrumULA(memory, '48k');
+            tState = 0;
+            ula.setTStateCallback(() => tState);
+
+            memory.write(0x4000, 0x11); // Bitmap, column 0 of line 0
+            memory.write(0x4001, 0x22); // Bitmap, column 1 of line 0
+            memory.write(0x5800, 0x33); // Attribute, column 0
+            memory.write(0x5801, 0x44); // Attribute, column 1
+        });
+
+        it('should return the bitmap and attribute bytes being fetched', () => {
+            const values = [];
+            for (tState = 14338; tState < 14346; tState++) {
+                values.push(ula.readPort(0x40FF));
+            }
+
+            expect(values).toEqual([0x11, 0x33, 0x22, 0x44, 0xFF, 0xFF, 0xFF, 0xFF]);
+        });
+
+        it('should follow the screen layout on later lines', () => {
+            memory.write(0x4100 + 2, 0x55); // Line 1, column 2
+            tState = 14338 + 224 + 8;
+
+            expect(ula.readPort(0x00FF)).toBe(0x55);
+        });
+
+        it('should read 0xFF outside the paper area', () => {
+            tState = 14337;
+            expect(ula.readPort(0x40FF)).toBe(0xFF);
+
+            tState = 14338 + 128;
+            expect(ula.readPort(0x40FF)).toBe(0xFF);
+
+            tState = 14338 + 192 * 224;
+            expect(ula.readPort(0x40FF)).toBe(0xFF);
+        });
+
+        it('should read 0xFF when turned off', () => {
+            ula.setFloatingBus(false);
+            tState = 14338;
+
+            expect(ula.readPort(0x40FF)).toBe(0xFF);
+        });
+
+        it('should be absent on the +3', () => {
+            const plus3 = new SpectrumULA(new SpectrumMemory('+3'), '+3');
+            plus3.setTStateCallback(() => 14368);
+            plus3.memory.write(0x4000, 0x11);
+
+            expect(plus3.readPort(0x40FF)).toBe(0xFF);
+        });
+
+        it('should fetch from the shadow screen on the 128K', () => {
+            const memory128 = new SpectrumMemory('128k');
+            const ula128 = new SpectrumULA(memory128, '128k');
+            ula128.setTStateCallback(() => 14364);
+            memory128.ramBanks[7][0] = 0x77;
+            memory128.writePort7FFD(0x08);
+
+            expect(ula128.readPort(0x40FF)).toBe(0x77);
+        });
+    });
+});
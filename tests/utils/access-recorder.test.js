@@ -0,0 +1,158 @@
+import { AccessRecorder, EXECUTED, READ, WRITTEN } from '../../src/utils/access-recorder.js';
+import { createTestCPU, createTestSpectrum } from '../roms/test-machine.js';
+
+describe('AccessRecorder', () => {
+    let machine;
+    let recorder;
+
+    // Run a program at 0x8000 to its HALT and return its symbols
+    const run = source => {
+        const { symbols } = machine.load(source);
+        machine.runToHalt();
+        return symbols;
+    };
+
+    // Copy a table to a buffer, then HALT
+    const COPY = `
+        LD HL,table
+        LD DE,$9000
+        LD BC,3
+        LDIR
+        HALT
+table:  DB 1,2,3
+`;
+
+    beforeEach(() => {
+        machine = createTestCPU();
+        recorder = new AccessRecorder();
+        recorder.attach(machine.cpu);
+    });
+
+    it('should count opcode and operand bytes as executed', () => {
+        run(' LD A,$42\n NOP\n HALT');
+
+        expect(Array.from(recorder.executeCounts.subarray(0x8000, 0x8005))).toEqual([1, 1, 1, 1, 0]);
+        expect(recorder.readCounts[0x8001]).toBe(0);
+    });
+
+    it('should count data reads and writes', () => {
+        const symbols = run(COPY);
+        const table = symbols.get('table');
+
+        // LDIR repeats its fetches, one pass per byte
+        expect(recorder.executeCounts[0x8009]).toBe(3);
+        expect(Array.from(recorder.readCounts.subarray(table, table + 3))).toEqual([1, 1, 1]);
+        expect(Array.from(recorder.writeCounts.subarray(0x9000, 0x9003))).toEqual([1, 1, 1]);
+        expect(recorder.readCounts[0x9000]).toBe(0);
+    });
+
+    it('should count stack accesses', () => {
+        run(' CALL sub\n HALT\nsub: RET');
+
+        expect(recorder.writeCounts[0xfffd]).toBe(1);
+        expect(recorder.writeCounts[0xfffe]).toBe(1);
+        expect(recorder.readCounts[0xfffd]).toBe(1);
+        expect(recorder.readCounts[0xfffe]).toBe(1);
+    });
+
+    it('should give the access flags of each address', () => {
+        const symbols = run(COPY);
+        const flags = recorder.flags();
+
+        expect(flags[0x8000]).toBe(EXECUTED);
+        expect(flags[symbols.get('table')]).toBe(READ);
+        expect(flags[0x9000]).toBe(WRITTEN);
+        expect(flags[0xa000]).toBe(0);
+    });
+
+    it('should export the code and data regions', () => {
+        run(COPY);
+
+        expect(recorder.regions()).toEqual([
+            { start: 0x8000, end: 0x800b, type: 'code' },
+            { start: 0x800c, end: 0x800e, type: 'data' },
+            { start: 0x9000, end: 0x9002, type: 'data' },
+        ]);
+        expect(recorder.toCodeDataMap()).toBe('8000-800B code\n800C-800E data\n9000-9002 data\n');
+        expect(JSON.parse(JSON.stringify(recorder))).toEqual({
+            frames: 0,
+            regions: recorder.regions(),
+            coverage: { executed: 12, total: 0x10000 },
+        });
+    });
+
+    it('should measure how much of a range was executed', () => {
+        run(COPY);
+
+        expect(recorder.coverage(0x8000, 0x800f)).toEqual({ executed: 12, total: 16 });
+        expect(recorder.coverage(0x0000, 0x3fff)).toEqual({ executed: 0, total: 0x4000 });
+    });
+
+    it('should render a 256x256 heat map, one pixel per address', () => {
+        const symbols = run(COPY);
+        const pixels = recorder.renderHeatMap();
+        const pixel = address => Array.from(pixels.subarray(address * 4, address * 4 + 4));
+
+        expect(pixels).toHaveLength(256 * 256 * 4);
+        // The LDIR bytes are executed most, the other instructions once
+        expect(pixel(0x8009)).toEqual([0, 255, 0, 255]);
+        expect(pixel(0x8000)[1]).toBeGreaterThanOrEqual(64);
+        expect(pixel(0x8000)[1]).toBeLessThan(255);
+        expect(pixel(symbols.get('table'))).toEqual([0, 0, 255, 255]);
+        expect(pixel(0x9000)).toEqual([255, 0, 0, 255]);
+        expect(pixel(0xa000)).toEqual([0, 0, 0, 255]);
+    });
+
+    it('should draw the heat map on a canvas context', () => {
+        run(' HALT');
+        const image = { data: new Uint8ClampedArray(256 * 256 * 4) };
+        const context = {
+            createImageData: jest.fn(() => image),
+            putImageData: jest.fn(),
+        };
+
+        recorder.drawHeatMap(context, 10, 20);
+
+        expect(context.createImageData).toHaveBeenCalledWith(256, 256);
+        expect(context.putImageData).toHaveBeenCalledWith(image, 10, 20);
+        expect(image.data[0x8000 * 4 + 1]).toBe(255);
+    });
+
+    it('should stop recording when detached', () => {
+        recorder.detach();
+
+        run(' NOP\n HALT');
+
+        expect(recorder.coverage().executed).toBe(0);
+    });
+
+    it('should clear the counts at each frame in per-frame mode', () => {
+        const cumulative = new AccessRecorder();
+        const perFrame = new AccessRecorder({ perFrame: true });
+        for (const r of [cumulative, perFrame]) {
+            r.executeCounts[0x8000]++;
+            r.startFrame();
+            r.executeCounts[0x8000]++;
+        }
+
+        expect(cumulative.executeCounts[0x8000]).toBe(2);
+        expect(perFrame.executeCounts[0x8000]).toBe(1);
+        expect(perFrame.frames).toBe(1);
+    });
+
+    it('should follow the frames of a ZXSpectrum', () => {
+        const spectrum = createTestSpectrum('loop: INC A\n JR loop');
+        const frames = new AccessRecorder({ perFrame: true });
+        frames.attach(spectrum);
+
+        spectrum.runFrame();
+        const first = frames.executeCounts[0x8000];
+        spectrum.runFrame();
+        frames.detach();
+
+        expect(frames.frames).toBe(2);
+        expect(first).toBeGreaterThan(1000);
+        expect(Math.abs(frames.executeCounts[0x8000] - first)).toBeLessThanOrEqual(1);
+        expect(frames.regions()).toEqual([{ start: 0x8000, end: 0x8002, type: 'code' }]);
+    });
+});
@@ -0,0 +1,189 @@
+import { assemble } from '../../src/utils/assembler.js';
+import { disassemble } from '../../src/utils/disassembler.js';
+import { SpectrumMemory } from '../../src/spectrum/memory.js';
+
+// Bytes of a single line assembled at 0x8000
+const bytesOf = line => Array.from(assemble(` ORG $8000\n ${line}`).bytes);
+
+describe('Assembler', () => {
+    describe('output', () => {
+        it('should return bytes from the origin and the symbol table', () => {
+            const result = assemble(`
+                    ORG $8000
+            start:  LD A,$42
+                    JR start
+            `);
+
+            expect(result.origin).toBe(0x8000);
+            expect(Array.from(result.bytes)).toEqual([0x3e, 0x42, 0x18, 0xfc]);
+            expect(result.symbols.get('start')).toBe(0x8000);
+        });
+
+        it('should start at the origin option before any ORG', () => {
+            expect(assemble(' NOP', { origin: 0x6000 }).origin).toBe(0x6000);
+        });
+
+        it('should load straight into SpectrumMemory', () => {
+            const memory = new SpectrumMemory();
+            const { origin, bytes } = assemble(' ORG $8000\n DB 1,2,3');
+
+            bytes.forEach((byte, i) => memory.write(origin + i, byte));
+
+            expect([memory.read(0x8000), memory.read(0x8001), memory.read(0x8002)]).toEqual([1, 2, 3]);
+        });
+    });
+
+    describe('labels and directives', () => {
+        it('should accept labels with a colon or at the start of a line', () => {
+            const { symbols } = assemble('one: NOP\ntwo NOP\n    three: NOP');
+
+            expect([...symbols]).toEqual([['one', 0], ['two', 1], ['three', 2]]);
+        });
+
+        it('should resolve forward references and EQU', () => {
+            const { bytes, symbols } = assemble(`
+                    ORG $8000
+                    LD B,count
+                    JP end
+            data:   DB 1,2,3
+            count   EQU $-data
+            end:    RET
+            `);
+
+            expect(symbols.get('count')).toBe(3);
+            expect(Array.from(bytes)).toEqual([0x06, 0x03, 0xc3, 0x08, 0x80, 1, 2, 3, 0xc9]);
+        });
+
+        it('should use an EQU before the symbols it depends on are defined', () => {
+            const { symbols } = assemble(' LD A,size\nsize EQU last-first\nfirst: DS 5\nlast:');
+
+            expect(symbols.get('size')).toBe(5);
+        });
+
+        it('should emit DB strings, DW words and DS fills', () => {
+            expect(bytesOf('DB "Hi",0,-1')).toEqual([0x48, 0x69, 0x00, 0xff]);
+            expect(bytesOf('DEFW $1234,$')).toEqual([0x34, 0x12, 0x00, 0x80]);
+            expect(bytesOf('DS 3,$E5')).toEqual([0xe5, 0xe5, 0xe5]);
+            expect(bytesOf('DEFM "a;b" ; comment')).toEqual([0x61, 0x3b, 0x62]);
+        });
+
+        it('should leave gaps between ORG blocks as zeroes', () => {
+            const { origin, bytes } = assemble(' ORG $10\n DB 1\n ORG $13\n DB 2');
+
+            expect(origin).toBe(0x10);
+            expect(Array.from(bytes)).toEqual([1, 0, 0, 2]);
+        });
+    });
+
+    describe('expressions', () => {
+        it('should read numbers in every base and characters', () => {
+            expect(bytesOf('DB 42,$2A,0x2A,2Ah,%101010,0b101010,\'*\'')).toEqual(new Array(7).fill(42));
+        });
+
+        it('should apply operators with precedence', () => {
+            expect(bytesOf('DB 2+3*4,(2+3)*4,1<<4|1,$F0&$3C,7%3,-1,~0&$0F,100/7')).toEqual([
+                14, 20, 17, 0x30, 1, 0xff, 0x0f, 14,
+            ]);
+        });
+
+        it('should give $ the address of the line', () => {
+            expect(bytesOf('JP $+3')).toEqual([0xc3, 0x03, 0x80]);
+        });
+    });
+
+    describe('instructions', () => {
+        it('should encode loads', () => {
+            expect(bytesOf('LD B,C')).toEqual([0x41]);
+            expect(bytesOf('ld a,(hl)')).toEqual([0x7e]);
+            expect(bytesOf('LD (HL),$12')).toEqual([0x36, 0x12]);
+            expect(bytesOf('LD A,(DE)')).toEqual([0x1a]);
+            expect(bytesOf('LD ($5C00),A')).toEqual([0x32, 0x00, 0x5c]);
+            expect(bytesOf('LD HL,($5C00)')).toEqual([0x2a, 0x00, 0x5c]);
+            expect(bytesOf('LD ($5C00),DE')).toEqual([0xed, 0x53, 0x00, 0x5c]);
+            expect(bytesOf('LD SP,IX')).toEqual([0xdd, 0xf9]);
+            expect(bytesOf('LD A,R')).toEqual([0xed, 0x5f]);
+        });
+
+        it('should encode indexed operands', () => {
+            expect(bytesOf('LD A,(IX+5)')).toEqual([0xdd, 0x7e, 0x05]);
+            expect(bytesOf('LD (IY-2),$12')).toEqual([0xfd, 0x36, 0xfe, 0x12]);
+            expect(bytesOf('INC (IX)')).toEqual([0xdd, 0x34, 0x00]);
+            expect(bytesOf('BIT 7,(IY+1)')).toEqual([0xfd, 0xcb, 0x01, 0x7e]);
+            expect(bytesOf('JP (IX)')).toEqual([0xdd, 0xe9]);
+            expect(bytesOf('EX (SP),IY')).toEqual([0xfd, 0xe3]);
+        });
+
+        it('should encode jumps, calls and conditions', () => {
+            expect(bytesOf('JR NC,$8010')).toEqual([0x30, 0x0e]);
+            expect(bytesOf('DJNZ $')).toEqual([0x10, 0xfe]);
+            expect(bytesOf('JP PE,$1234')).toEqual([0xea, 0x34, 0x12]);
+            expect(bytesOf('CALL C,$1234')).toEqual([0xdc, 0x34, 0x12]);
+            expect(bytesOf('RET M')).toEqual([0xf8]);
+            expect(bytesOf('RST 38h')).toEqual([0xff]);
+        });
+
+        it('should encode arithmetic with or without the A operand', () => {
+            expect(bytesOf('SUB B')).toEqual([0x90]);
+            expect(bytesOf('SUB A,B')).toEqual([0x90]);
+            expect(bytesOf('ADC A,$10')).toEqual([0xce, 0x10]);
+            expect(bytesOf('ADD IX,IX')).toEqual([0xdd, 0x29]);
+            expect(bytesOf('SBC HL,DE')).toEqual([0xed, 0x52]);
+        });
+
+        it('should encode undocumented instructions', () => {
+            expect(bytesOf('SLL B')).toEqual([0xcb, 0x30]);
+            expect(bytesOf('LD IXH,IXL')).toEqual([0xdd, 0x65]);
+            expect(bytesOf('ADD A,IYL')).toEqual([0xfd, 0x85]);
+            expect(bytesOf('RLC (IX+1),B')).toEqual([0xdd, 0xcb, 0x01, 0x00]);
+            expect(bytesOf('SET 0,(IY-1),A')).toEqual([0xfd, 0xcb, 0xff, 0xc7]);
+            expect(bytesOf('IN F,(C)')).toEqual([0xed, 0x70]);
+            expect(bytesOf('OUT (C),0')).toEqual([0xed, 0x71]);
+        });
+
+        it('should assemble what the disassembler prints', () => {
+            const ram = new Uint8Array(0x10000);
+            const read = address => ram[address];
+            const encodings = [];
+            for (let op = 0; op < 256; op++) {
+                encodings.push([0xcb, op], [0xdd, 0xcb, 0x12, op], [0xfd, 0xcb, 0x80, op]);
+                if (![0xcb, 0xdd, 0xed, 0xfd].includes(op)) {
+                    encodings.push([op, 0x34, 0x12], [0xdd, op, 0x34, 0x12]);
+                }
+                if ((op & 0xc0) === 0x40 || (op >= 0xa0 && op <= 0xbb)) {
+                    encodings.push([0xed, op, 0x34, 0x12]);
+                }
+            }
+
+            for (const bytes of encodings) {
+                ram.set(bytes, 0x8000);
+                const { mnemonic, bytes: used } = disassemble(read, 0x8000);
+                // ED duplicates and BIT with a register field come out in their usual form
+                if (mnemonic.startsWith('DB') || /^(NEG|RETN|IM|BIT \d,\(I)/.test(mnemonic) ||
+                    /^(ED (63|6B))/.test(used.map(b => b.toString(16).toUpperCase()).join(' ')) ||
+                    (used[0] === 0xdd && !/IX/.test(mnemonic))) {
+                    continue;
+                }
+                expect([mnemonic, bytesOf(mnemonic)]).toEqual([mnemonic, used]);
+            }
+        });
+    });
+
+    describe('errors', () => {
+        it('should report the line of the error', () => {
+            expect(() => assemble(' NOP\n LD A,300')).toThrow('Line 2: Byte out of range');
+            expect(() => assemble(' JR far\n DS 200\nfar: NOP')).toThrow('Line 1: Relative jump out of range');
+            expect(() => assemble(' LD A,missing')).toThrow('Line 1: Undefined symbol: missing');
+            expect(() => assemble('x: NOP\nx: NOP')).toThrow('Line 2: Symbol already defined: x');
+            expect(() => assemble(' FOO A')).toThrow('Line 1: Unknown instruction: FOO');
+        });
+
+        it('should reject operands the Z80 cannot encode', () => {
+            expect(() => assemble(' LD H,IXL')).toThrow('Invalid operands: H,IXL');
+            expect(() => assemble(' LD IXH,IYL')).toThrow('Invalid operands');
+            expect(() => assemble(' LD (HL),(HL)')).toThrow('Invalid operands');
+            expect(() => assemble(' JR PO,$')).toThrow('Invalid operands');
+            expect(() => assemble(' ADD IX,HL')).toThrow('Invalid operands');
+            expect(() => assemble(' RST 5')).toThrow('Invalid operands');
+        });
+    });
+});
@@ -0,0 +1,172 @@
+import { disassemble, disassembleRange } from '../../src/utils/disassembler.js';
+
+describe('Disassembler', () => {
+    let ram;
+    const read = address => ram[address];
+
+    // Disassemble bytes placed at 0x8000
+    const dis = (...bytes) => {
+        ram.set(bytes, 0x8000);
+        return disassemble(read, 0x8000);
+    };
+
+    beforeEach(() => {
+        ram = new Uint8Array(0x10000);
+    });
+
+    describe('main table', () => {
+        it('should return address, bytes, mnemonic and length', () => {
+            expect(dis(0x3e, 0x42)).toEqual({
+                address: 0x8000,
+                bytes: [0x3e, 0x42],
+                mnemonic: 'LD A,$42',
+                length: 2,
+                target: null,
+            });
+        });
+
+        it('should decode register, immediate and memory operands', () => {
+            expect(dis(0x00).mnemonic).toBe('NOP');
+            expect(dis(0x01, 0x34, 0x12).mnemonic).toBe('LD BC,$1234');
+            expect(dis(0x22, 0x00, 0x90).mnemonic).toBe('LD ($9000),HL');
+            expect(dis(0x3a, 0x00, 0x90).mnemonic).toBe('LD A,($9000)');
+            expect(dis(0x08).mnemonic).toBe("EX AF,AF'");
+            expect(dis(0x36, 0xff).mnemonic).toBe('LD (HL),$FF');
+            expect(dis(0x7e).mnemonic).toBe('LD A,(HL)');
+            expect(dis(0x76).mnemonic).toBe('HALT');
+            expect(dis(0x96).mnemonic).toBe('SUB (HL)');
+            expect(dis(0xce, 0x01).mnemonic).toBe('ADC A,$01');
+            expect(dis(0xf1).mnemonic).toBe('POP AF');
+            expect(dis(0xd3, 0xfe).mnemonic).toBe('OUT ($FE),A');
+            expect(dis(0xe9).mnemonic).toBe('JP (HL)');
+        });
+
+        it('should resolve relative jump targets', () => {
+            expect(dis(0x18, 0xfe)).toMatchObject({ mnemonic: 'JR $8000', target: 0x8000 });
+            expect(dis(0x20, 0x05)).toMatchObject({ mnemonic: 'JR NZ,$8007', target: 0x8007 });
+            expect(dis(0x10, 0x80)).toMatchObject({ mnemonic: 'DJNZ $7F82', target: 0x7f82 });
+        });
+
+        it('should give the targets of jumps, calls and restarts', () => {
+            expect(dis(0xc3, 0x00, 0x60)).toMatchObject({ mnemonic: 'JP $6000', target: 0x6000 });
+            expect(dis(0xdc, 0x34, 0x12)).toMatchObject({ mnemonic: 'CALL C,$1234', target: 0x1234 });
+            expect(dis(0xff)).toMatchObject({ mnemonic: 'RST $38', target: 0x38 });
+            expect(dis(0xc9).target).toBeNull();
+        });
+
+        it('should wrap relative jumps and reads at the top of memory', () => {
+            ram[0xffff] = 0x18;
+            ram[0x0000] = 0x00;
+
+            expect(disassemble(read, 0xffff)).toMatchObject({ bytes: [0x18, 0x00], target: 0x0001 });
+        });
+    });
+
+    describe('CB table', () => {
+        it('should decode rotates, shifts and bit operations', () => {
+            expect(dis(0xcb, 0x00).mnemonic).toBe('RLC B');
+            expect(dis(0xcb, 0x3e).mnemonic).toBe('SRL (HL)');
+            expect(dis(0xcb, 0x7f).mnemonic).toBe('BIT 7,A');
+            expect(dis(0xcb, 0x86).mnemonic).toBe('RES 0,(HL)');
+            expect(dis(0xcb, 0xd9).mnemonic).toBe('SET 3,C');
+        });
+
+        it('should decode undocumented SLL', () => {
+            expect(dis(0xcb, 0x37)).toMatchObject({ mnemonic: 'SLL A', length: 2 });
+        });
+    });
+
+    describe('ED table', () => {
+        it('should decode extended instructions', () => {
+            expect(dis(0xed, 0x78).mnemonic).toBe('IN A,(C)');
+            expect(dis(0xed, 0x42).mnemonic).toBe('SBC HL,BC');
+            expect(dis(0xed, 0x7b, 0x00, 0x60).mnemonic).toBe('LD SP,($6000)');
+            expect(dis(0xed, 0x4d).mnemonic).toBe('RETI');
+            expect(dis(0xed, 0x5e).mnemonic).toBe('IM 2');
+            expect(dis(0xed, 0x57).mnemonic).toBe('LD A,I');
+            expect(dis(0xed, 0x6f).mnemonic).toBe('RLD');
+            expect(dis(0xed, 0xb0).mnemonic).toBe('LDIR');
+            expect(dis(0xed, 0xbb).mnemonic).toBe('OTDR');
+        });
+
+        it('should decode undocumented forms and duplicates', () => {
+            expect(dis(0xed, 0x70).mnemonic).toBe('IN F,(C)');
+            expect(dis(0xed, 0x71).mnemonic).toBe('OUT (C),0');
+            expect(dis(0xed, 0x4c).mnemonic).toBe('NEG');
+            expect(dis(0xed, 0x55).mnemonic).toBe('RETN');
+            expect(dis(0xed, 0x76).mnemonic).toBe('IM 1');
+        });
+
+        it('should show opcodes that do nothing as data', () => {
+            expect(dis(0xed, 0x00)).toMatchObject({ mnemonic: 'DB $ED,$00', length: 2 });
+            expect(dis(0xed, 0x77)).toMatchObject({ mnemonic: 'DB $ED,$77', length: 2 });
+        });
+    });
+
+    describe('DD/FD tables', () => {
+        it('should substitute the index register for HL', () => {
+            expect(dis(0xdd, 0x21, 0x34, 0x12).mnemonic).toBe('LD IX,$1234');
+            expect(dis(0xfd, 0x09).mnemonic).toBe('ADD IY,BC');
+            expect(dis(0xdd, 0x29).mnemonic).toBe('ADD IX,IX');
+            expect(dis(0xfd, 0xe5).mnemonic).toBe('PUSH IY');
+            expect(dis(0xdd, 0xe3).mnemonic).toBe('EX (SP),IX');
+            expect(dis(0xdd, 0xe9).mnemonic).toBe('JP (IX)');
+            expect(dis(0xfd, 0xf9).mnemonic).toBe('LD SP,IY');
+        });
+
+        it('should decode signed displacements', () => {
+            expect(dis(0xdd, 0x7e, 0x05)).toMatchObject({ mnemonic: 'LD A,(IX+$05)', length: 3 });
+            expect(dis(0xfd, 0x35, 0xff).mnemonic).toBe('DEC (IY-$01)');
+            expect(dis(0xdd, 0x36, 0xfe, 0x12)).toMatchObject({ mnemonic: 'LD (IX-$02),$12', length: 4 });
+            expect(dis(0xfd, 0xbe, 0x80).mnemonic).toBe('CP (IY-$80)');
+        });
+
+        it('should decode the undocumented index register halves', () => {
+            expect(dis(0xdd, 0x65).mnemonic).toBe('LD IXH,IXL');
+            expect(dis(0xfd, 0x2e, 0x10).mnemonic).toBe('LD IYL,$10');
+            expect(dis(0xdd, 0x84).mnemonic).toBe('ADD A,IXH');
+            expect(dis(0xfd, 0x24).mnemonic).toBe('INC IYH');
+        });
+
+        it('should keep H and L beside an indexed operand', () => {
+            expect(dis(0xdd, 0x66, 0x01).mnemonic).toBe('LD H,(IX+$01)');
+            expect(dis(0xfd, 0x75, 0x02).mnemonic).toBe('LD (IY+$02),L');
+        });
+
+        it('should run a prefix that changes nothing together with the next instruction', () => {
+            expect(dis(0xdd, 0x00)).toMatchObject({ bytes: [0xdd, 0x00], mnemonic: 'NOP', length: 2 });
+            expect(dis(0xfd, 0xeb)).toMatchObject({ mnemonic: 'EX DE,HL', length: 2 });
+            expect(dis(0xdd, 0xed, 0xb0)).toMatchObject({ mnemonic: 'LDIR', length: 3 });
+            expect(dis(0xdd, 0xfd, 0x21, 0x34, 0x12)).toMatchObject({ mnemonic: 'LD IY,$1234', length: 5 });
+        });
+    });
+
+    describe('DDCB/FDCB tables', () => {
+        it('should read the displacement before the opcode', () => {
+            expect(dis(0xdd, 0xcb, 0x03, 0x06)).toMatchObject({ mnemonic: 'RLC (IX+$03)', length: 4 });
+            expect(dis(0xfd, 0xcb, 0xfe, 0x4e).mnemonic).toBe('BIT 1,(IY-$02)');
+            expect(dis(0xdd, 0xcb, 0x00, 0xfe).mnemonic).toBe('SET 7,(IX+$00)');
+        });
+
+        it('should decode the undocumented register-copy forms', () => {
+            expect(dis(0xfd, 0xcb, 0x01, 0x00).mnemonic).toBe('RLC (IY+$01),B');
+            expect(dis(0xdd, 0xcb, 0x01, 0x37).mnemonic).toBe('SLL (IX+$01),A');
+            expect(dis(0xdd, 0xcb, 0x01, 0x85).mnemonic).toBe('RES 0,(IX+$01),L');
+            expect(dis(0xdd, 0xcb, 0x01, 0xfc).mnemonic).toBe('SET 7,(IX+$01),H');
+            expect(dis(0xdd, 0xcb, 0x01, 0x40).mnemonic).toBe('BIT 0,(IX+$01)');
+        });
+    });
+
+    describe('disassembleRange', () => {
+        it('should disassemble consecutive instructions', () => {
+            ram.set([0x21, 0x00, 0x40, 0x36, 0xaa, 0x23, 0x18, 0xfa], 0x8000);
+
+            expect(disassembleRange(read, 0x8000, 4).map(i => [i.address, i.mnemonic])).toEqual([
+                [0x8000, 'LD HL,$4000'],
+                [0x8003, 'LD (HL),$AA'],
+                [0x8005, 'INC HL'],
+                [0x8006, 'JR $8002'],
+            ]);
+        });
+    });
+});
@@ -0,0 +1,217 @@
+import { Profiler } from '../../src/utils/profiler.js';
+import { createTestCPU, createTestSpectrum } from '../roms/test-machine.js';
+
+describe('Profiler', () => {
+    let cpu;
+    let load;
+    let runToHalt;
+
+    // LD B,3 / CALL draw x3 / HALT, draw calling plot once per call
+    const NESTED = `
+main:   LD B,3
+loop:   CALL draw
+        DJNZ loop
+        HALT
+draw:   PUSH BC
+        CALL plot
+        POP BC
+        RET
+plot:   NOP
+        RET
+`;
+
+    beforeEach(() => {
+        ({ cpu, load, runToHalt } = createTestCPU());
+    });
+
+    it('should count executions and T-states per address', () => {
+        load(NESTED);
+        const profiler = new Profiler(cpu);
+        profiler.attach();
+
+        runToHalt();
+        profiler.detach();
+
+        expect(profiler.counts[0x8000]).toBe(1);
+        expect(profiler.counts[0x8002]).toBe(3);
+        expect(profiler.tStates[0x8002]).toBe(3 * 17);
+        expect(profiler.tStates[0x8005]).toBe(13 + 13 + 8);
+        expect(profiler.instructions).toBe(1 + 3 * 8 + 1);
+        expect(profiler.totalTStates).toBe(cpu.cycles);
+    });
+
+    it('should count inclusive and self T-states per called routine', () => {
+        const { symbols } = load(NESTED);
+        const profiler = new Profiler(cpu, { symbols });
+        profiler.attach();
+
+        runToHalt();
+
+        const routines = profiler.report();
+        expect(routines.map(({ name, address, calls, tStates, selfTStates }) =>
+            ({ name, address, calls, tStates, selfTStates }))).toEqual([
+            { name: 'root', address: null, calls: 0, tStates: 282, selfTStates: 96 },
+            { name: 'draw', address: 0x8008, calls: 3, tStates: 186, selfTStates: 144 },
+            { name: 'plot', address: 0x800e, calls: 3, tStates: 42, selfTStates: 42 },
+        ]);
+        expect(routines[2].lines.map(line => line.mnemonic)).toEqual(['NOP', 'RET']);
+        expect(routines[1].lines[1]).toEqual({
+            address: 0x8009, count: 3, tStates: 51, bytes: [0xcd, 0x0e, 0x80], mnemonic: 'CALL $800E',
+        });
+    });
+
+    it('should name routines without a symbol by their address', () => {
+        load(NESTED);
+        const profiler = new Profiler(cpu);
+        profiler.attach();
+
+        runToHalt();
+
+        expect(profiler.report().map(routine => routine.name)).toEqual(['root', '8008', '800E']);
+    });
+
+    it('should not count a routine twice while it recurses', () => {
+        const { symbols } = load(`
+        LD A,3
+        CALL rec
+        HALT
+rec:    DEC A
+        RET Z
+        CALL rec
+        RET
+`);
+        const profiler = new Profiler(cpu, { symbols });
+        profiler.attach();
+
+        runToHalt();
+
+        const [root, rec] = profiler.report();
+        expect(rec.calls).toBe(3);
+        expect(rec.tStates).toBe(root.tStates - root.selfTStates);
+        expect(profiler.toFoldedStacks().split('\n')).toEqual([
+            'root 28',
+            'root;rec 36',
+            'root;rec;rec 36',
+            'root;rec;rec;rec 15',
+            '',
+        ]);
+    });
+
+    it('should not enter a conditional CALL that is not taken', () => {
+        load(' XOR A\n CALL NZ,sub\n HALT\nsub: RET');
+        const profiler = new Profiler(cpu);
+        profiler.attach();
+
+        runToHalt();
+
+        expect(profiler.report().map(routine => routine.name)).toEqual(['root']);
+    });
+
+    it('should return from routines with the stack at the top of memory', () => {
+        const { symbols } = load(`
+        LD SP,0
+        LD B,3
+loop:   CALL sub
+        DJNZ loop
+        HALT
+sub:    RET
+`);
+        const profiler = new Profiler(cpu, { symbols });
+        profiler.attach();
+
+        runToHalt();
+
+        expect(profiler.toFoldedStacks()).toBe('root 106\nroot;sub 30\n');
+        expect(profiler.report().find(routine => routine.name === 'sub'))
+            .toMatchObject({ calls: 3, tStates: 30, selfTStates: 30 });
+    });
+
+    it('should count interrupt handlers as routines', () => {
+        const { symbols } = load('handler: INC A\n EI\n RET', 0x0038);
+        load(' EI\nloop: JR loop');
+        const profiler = new Profiler(cpu, { symbols });
+        profiler.attach();
+
+        cpu.execute();
+        cpu.execute();
+        cpu.interrupt();
+        for (let i = 0; i < 4; i++) {
+            cpu.execute();
+        }
+
+        const handler = profiler.report().find(routine => routine.name === 'handler');
+        expect(handler).toMatchObject({ address: 0x0038, calls: 1, tStates: 13 + 4 + 4 + 10 });
+        expect(profiler.toFoldedStacks()).toContain('root;handler 31\n');
+        expect(profiler.totalTStates).toBe(cpu.cycles);
+    });
+
+    it('should format a report of hot routines with their disassembly', () => {
+        const { symbols } = load(NESTED);
+        const profiler = new Profiler(cpu, { symbols });
+        profiler.attach();
+        runToHalt();
+
+        const report = profiler.formatReport(2);
+
+        expect(report).toContain('26 instructions, 282 T-states');
+        expect(report).toMatch(/186 +66\.0% +144 +3 {2}draw \(\$8008\)/);
+        expect(report).toMatch(/8009 {2}CALL \$800E +3 x +51 T/);
+        expect(report).not.toContain('plot (');
+    });
+
+    it('should export JSON', () => {
+        load(NESTED);
+        const profiler = new Profiler(cpu);
+        profiler.attach();
+        runToHalt();
+
+        const json = JSON.parse(JSON.stringify(profiler));
+
+        expect(json.totalTStates).toBe(282);
+        expect(json.instructions).toBe(26);
+        expect(json.routines).toHaveLength(3);
+        expect(json.addresses[0]).toEqual({ address: 0x8000, count: 1, tStates: 7 });
+        expect(json.addresses).toHaveLength(10);
+    });
+
+    it('should start again after reset', () => {
+        load(NESTED);
+        const profiler = new Profiler(cpu);
+        profiler.attach();
+        runToHalt();
+
+        profiler.reset();
+
+        expect(profiler.totalTStates).toBe(0);
+        expect(profiler.counts[0x8000]).toBe(0);
+        expect(profiler.report()).toEqual([]);
+        expect(profiler.toFoldedStacks()).toBe('');
+    });
+
+    it('should stop counting when detached', () => {
+        load(NESTED);
+        const profiler = new Profiler(cpu);
+        profiler.attach();
+        cpu.execute();
+        profiler.detach();
+
+        runToHalt();
+
+        expect(profiler.instructions).toBe(1);
+    });
+
+    it('should account for a whole ZXSpectrum frame', () => {
+        const spectrum = createTestSpectrum('loop: CALL sub\n JR loop\nsub: RET');
+        spectrum.cpu.setState({ sp: 0xfff0 });
+        const profiler = new Profiler(spectrum.cpu);
+        profiler.attach(spectrum);
+        const start = spectrum.cpu.cycles;
+
+        spectrum.runFrame();
+        profiler.detach();
+
+        expect(profiler.totalTStates).toBe(spectrum.cpu.cycles - start);
+        expect(profiler.totalTStates).toBeGreaterThanOrEqual(spectrum.TSTATES_PER_FRAME);
+        expect(profiler.report()[1]).toMatchObject({ name: '8005' });
+    });
+});
@@ -0,0 +1,143 @@
+import { Tracer } from '../../src/utils/tracer.js';
+import { createTestCPU, createTestSpectrum } from '../roms/test-machine.js';
+
+describe('Tracer', () => {
+    let cpu;
+    let load;
+
+    beforeEach(() => {
+        ({ cpu, load } = createTestCPU());
+    });
+
+    it('should log registers, T-state, address and disassembly', () => {
+        load(' LD A,$42\n LD HL,$1234');
+        const tracer = new Tracer(cpu);
+
+        tracer.step();
+        tracer.step();
+
+        expect(tracer.lines).toEqual([
+            'AF=0000 BC=0000 DE=0000 HL=0000 IX=0000 IY=0000 SP=FFFF T=0 8000: ld   a,$42',
+            'AF=4200 BC=0000 DE=0000 HL=0000 IX=0000 IY=0000 SP=FFFF T=7 8002: ld   hl,$1234',
+        ]);
+        expect(tracer.count).toBe(2);
+    });
+
+    it('should end each line with the line of a MAME trace', () => {
+        // The first lines of MAME's trace of the 48K ROM
+        const mame = ['0000: di', '0001: xor  a', '0002: ld   de,$FFFF', '0005: jp   $11CB'];
+        load(' DI\n XOR A\n LD DE,$FFFF\n JP $11CB', 0);
+        const tracer = new Tracer(cpu);
+
+        for (let i = 0; i < 4; i++) {
+            tracer.step();
+        }
+
+        expect(tracer.lines.map(line => line.replace(/^.* T=\d+ /, ''))).toEqual(mame);
+    });
+
+    it('should write operands in MAME syntax', () => {
+        load(' BIT 1,(IY+$01)\n LD A,(IX-5)\n EX AF,AF\'\n IN A,($FE)');
+        const tracer = new Tracer(cpu);
+
+        for (let i = 0; i < 4; i++) {
+            tracer.step();
+        }
+
+        expect(tracer.lines.map(line => line.replace(/^.* T=\d+ /, ''))).toEqual([
+            '8000: bit  1,(iy+$01)',
+            '8004: ld   a,(ix-$05)',
+            "8007: ex   af,af'",
+            '8008: in   a,($FE)',
+        ]);
+    });
+
+    it('should only log instructions inside the address ranges', () => {
+        load(' CALL sub\n NOP\nsub: INC A\n RET');
+        const tracer = new Tracer(cpu, { ranges: [[0x8004, 0x80ff]] });
+
+        for (let i = 0; i < 4; i++) {
+            tracer.step();
+        }
+
+        expect(tracer.lines.map(line => line.match(/ (\w{4}): /)[1])).toEqual(['8004', '8005']);
+    });
+
+    it('should only log the frames asked for', () => {
+        load(' NOP');
+        const tracer = new Tracer(cpu, { frames: [2, 3] });
+
+        expect(tracer.trace(1)).toBeNull();
+        expect(tracer.trace(2)).not.toBeNull();
+        expect(tracer.trace(3)).not.toBeNull();
+        expect(tracer.trace(4)).toBeNull();
+        expect(tracer.count).toBe(2);
+    });
+
+    it('should write lines to a stream or function', () => {
+        load(' NOP');
+        const written = [];
+        const stream = { write: text => written.push(text) };
+        const lines = [];
+
+        new Tracer(cpu, { output: stream }).trace();
+        new Tracer(cpu, { output: line => lines.push(line) }).trace();
+
+        expect(written).toEqual([expect.stringMatching(/ T=0 8000: nop\n$/)]);
+        expect(lines).toEqual([expect.stringMatching(/ T=0 8000: nop$/)]);
+    });
+
+    it('should show the HALT while the CPU is halted', () => {
+        load(' HALT');
+        const tracer = new Tracer(cpu);
+
+        tracer.step();
+        tracer.step();
+
+        expect(tracer.lines[1]).toMatch(/ T=4 8000: halt$/);
+    });
+
+    it('should trace each instruction the CPU runs while attached', () => {
+        load(' LD A,$42\n NOP\n HALT');
+        const tracer = new Tracer(cpu);
+
+        tracer.attach();
+        cpu.execute();
+        cpu.execute();
+        tracer.detach();
+        cpu.execute();
+
+        expect(tracer.lines.map(line => line.match(/ (\w{4}): /)[1])).toEqual(['8000', '8002']);
+        expect(tracer.lines[1]).toMatch(/^AF=4200 .* T=7 /);
+    });
+
+    it('should clear collected lines', () => {
+        load(' NOP');
+        const tracer = new Tracer(cpu);
+        tracer.step();
+
+        tracer.clear();
+
+        expect(tracer.lines).toEqual([]);
+        expect(tracer.count).toBe(0);
+    });
+
+    it('should trace the frames of a ZXSpectrum asked for', () => {
+        const spectrum = createTestSpectrum('loop: INC A\n JR loop');
+        const tracer = new Tracer(spectrum.cpu, { frames: [1, 1] });
+        tracer.attach(spectrum);
+
+        spectrum.runFrame();
+        const frameStart = spectrum.cpu.cycles;
+        spectrum.runFrame();
+        const frameEnd = spectrum.cpu.cycles;
+        spectrum.runFrame();
+        tracer.detach();
+
+        const tStates = tracer.lines.map(line => Number(line.match(/ T=(\d+) /)[1]));
+        expect(tracer.count).toBeGreaterThan(1000);
+        expect(tStates[0] - frameStart).toBeLessThan(16);
+        expect(Math.max(...tStates)).toBeLessThan(frameEnd);
+        expect(tracer.lines[0]).toMatch(/ 800[02]: /);
+    });
+});